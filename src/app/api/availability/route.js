@@ -0,0 +1,62 @@
+import { NextResponse } from 'next/server'
+import { supabaseAdmin } from '@/services/supabaseAdmin'
+import { fetchAvailableSlots } from '@/lib/availability'
+
+// GET endpoint to fetch open booking slots for a service on a date
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const serviceId = searchParams.get('service_id') || ''
+    const date = searchParams.get('date') || ''
+    const workerId = searchParams.get('worker_id') || ''
+    const duration = searchParams.get('duration')
+    const interval = searchParams.get('interval')
+    const excludeBookingId = searchParams.get('exclude_booking_id')
+    // Comma-separated worker ids who must all be free (lead and helpers of a crew)
+    const crewWorkerIds = (searchParams.get('crew_worker_ids') || '').split(',').filter(Boolean)
+    // City or service address, so city-specific blackout dates apply
+    const location = searchParams.get('location') || ''
+
+    if (!serviceId || !date) {
+      return NextResponse.json(
+        { error: 'service_id and date are required' },
+        { status: 400 }
+      )
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return NextResponse.json(
+        { error: 'date must be in YYYY-MM-DD format' },
+        { status: 400 }
+      )
+    }
+
+    if (interval && !(parseInt(interval) > 0)) {
+      return NextResponse.json(
+        { error: 'interval must be a positive number of minutes' },
+        { status: 400 }
+      )
+    }
+
+    const admin = supabaseAdmin()
+
+    const result = await fetchAvailableSlots(admin, {
+      serviceId,
+      date,
+      workerId,
+      duration,
+      interval: interval || undefined,
+      excludeBookingId,
+      crewWorkerIds,
+      location
+    })
+
+    return NextResponse.json(result)
+  } catch (error) {
+    console.error('Error fetching availability:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to fetch availability' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,122 @@
+import { NextResponse } from 'next/server'
+import { supabaseAdmin } from '@/services/supabaseAdmin'
+import { getUser } from '@/lib/supabase/server'
+import { transitionBookingStatus } from '@/lib/bookingStatus'
+import { getAvailableStatusTransitions } from '@/utils/bookingUtils'
+
+// Resolve the signed-in user's profile and check they may act on the booking
+const getActorForBooking = async (admin, bookingId) => {
+  const user = await getUser()
+  if (!user) {
+    return { error: 'Not authenticated', status: 401 }
+  }
+
+  const [{ data: profile }, { data: booking, error: bookingError }] = await Promise.all([
+    admin.from('profiles').select('id, role').eq('id', user.id).maybeSingle(),
+    admin
+      .from('bookings')
+      .select('id, status, customer_id, worker:worker_id ( user_id )')
+      .eq('id', bookingId)
+      .maybeSingle()
+  ])
+
+  if (bookingError) throw bookingError
+  if (!booking) {
+    return { error: 'Booking not found', status: 404 }
+  }
+
+  const role = profile?.role
+  const isStaff = role === 'admin' || role === 'manager'
+  const isOwnCustomer = role === 'customer' && booking.customer_id === user.id
+  const isAssignedWorker = role === 'worker' && booking.worker?.user_id === user.id
+
+  if (!isStaff && !isOwnCustomer && !isAssignedWorker) {
+    return { error: 'You cannot change this booking', status: 403 }
+  }
+
+  return { user, role, booking }
+}
+
+// GET endpoint to list a booking's status history and the transitions open to the caller
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params
+    const admin = supabaseAdmin()
+
+    const actor = await getActorForBooking(admin, id)
+    if (actor.error) {
+      return NextResponse.json({ error: actor.error }, { status: actor.status })
+    }
+
+    const { data: history, error } = await admin
+      .from('booking_status_history')
+      .select(`
+        *,
+        actor:changed_by (
+          id,
+          full_name,
+          role
+        )
+      `)
+      .eq('booking_id', id)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+
+    return NextResponse.json({
+      status: actor.booking.status,
+      allowed_transitions: getAvailableStatusTransitions(actor.booking.status, actor.role),
+      history: history || []
+    })
+  } catch (error) {
+    console.error('Error fetching booking status history:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to fetch booking status history' },
+      { status: 500 }
+    )
+  }
+}
+
+// POST endpoint to move a booking to a new status
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params
+    const body = await request.json()
+    const { status, reason = null } = body
+
+    if (!status) {
+      return NextResponse.json(
+        { error: 'status is required' },
+        { status: 400 }
+      )
+    }
+
+    const admin = supabaseAdmin()
+
+    const actor = await getActorForBooking(admin, id)
+    if (actor.error) {
+      return NextResponse.json({ error: actor.error }, { status: actor.status })
+    }
+
+    const booking = await transitionBookingStatus(admin, id, status, {
+      changedBy: actor.user.id,
+      role: actor.role,
+      reason
+    })
+
+    return NextResponse.json(booking)
+  } catch (error) {
+    if (['INVALID_STATUS_TRANSITION', 'STATUS_CHANGED', 'STATUS_REQUIRES_FLOW'].includes(error.code)) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: 409 }
+      )
+    }
+
+    console.error('Error updating booking status:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to update booking status' },
+      { status: 500 }
+    )
+  }
+}
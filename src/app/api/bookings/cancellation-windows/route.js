@@ -0,0 +1,44 @@
+import { NextResponse } from 'next/server'
+import { supabaseAdmin } from '@/services/supabaseAdmin'
+import { getUser } from '@/lib/supabase/server'
+import { closeCancellationWindows } from '@/lib/cancellation'
+
+// Allow the scheduler (via CRON_SECRET) or a signed-in admin/manager
+const isAuthorized = async (request, admin) => {
+  const secret = process.env.CRON_SECRET
+  if (secret && request.headers.get('authorization') === `Bearer ${secret}`) {
+    return true
+  }
+
+  const user = await getUser()
+  if (!user) return false
+
+  const { data: profile } = await admin
+    .from('profiles')
+    .select('role')
+    .eq('id', user.id)
+    .maybeSingle()
+
+  return profile?.role === 'admin' || profile?.role === 'manager'
+}
+
+// POST endpoint to turn off can_cancel on bookings whose cancellation window has closed
+export async function POST(request) {
+  try {
+    const admin = supabaseAdmin()
+
+    if (!(await isAuthorized(request, admin))) {
+      return NextResponse.json({ error: 'Not authorized' }, { status: 401 })
+    }
+
+    const closed = await closeCancellationWindows(admin)
+
+    return NextResponse.json({ closed })
+  } catch (error) {
+    console.error('Error closing cancellation windows:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to close cancellation windows' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,46 @@
+import { NextResponse } from 'next/server'
+import { supabaseAdmin } from '@/services/supabaseAdmin'
+import { getPaymentProvider, getPaymentProviderName } from '@/lib/gateway'
+import { applyGatewayEvent } from '@/lib/gateway/events'
+
+// Errors meaning the server isn't set up to take webhooks, so the provider should retry later
+const NOT_CONFIGURED_CODES = ['WEBHOOK_NOT_CONFIGURED', 'PAYMENT_PROVIDER_NOT_CONFIGURED']
+
+// POST endpoint the payment provider calls when a payment changes. The signature is the only authentication.
+export async function POST(request) {
+  let providerName
+  let event
+  try {
+    providerName = getPaymentProviderName()
+    const rawBody = await request.text()
+    event = await getPaymentProvider(providerName).verifyWebhook(rawBody, request.headers)
+  } catch (error) {
+    if (error.code === 'INVALID_SIGNATURE' || error instanceof SyntaxError) {
+      console.warn('⚠️ Rejected payment webhook:', error.message)
+      return NextResponse.json({ error: 'Invalid webhook signature' }, { status: 400 })
+    }
+    if (NOT_CONFIGURED_CODES.includes(error.code)) {
+      console.error('Payment webhooks are not configured:', error.message)
+      return NextResponse.json({ error: 'Payment webhooks are not configured' }, { status: 503 })
+    }
+    console.error('Error verifying payment webhook:', error)
+    return NextResponse.json({ error: error.message || 'Failed to verify webhook' }, { status: 500 })
+  }
+
+  try {
+    const { result, payment } = await applyGatewayEvent(supabaseAdmin(), event, providerName)
+
+    // Let the provider retry events that arrive before their payment is saved
+    if (result === 'unmatched') {
+      return NextResponse.json({ error: 'No payment matches this event', result }, { status: 404 })
+    }
+
+    return NextResponse.json({ received: true, result, payment_id: payment?.id || null })
+  } catch (error) {
+    console.error('Error handling payment webhook:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to handle payment webhook' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,308 @@
+"use client"
+
+import { useState, useEffect, useCallback } from 'react'
+import ProtectedRoute from '@/components/ProtectedRoute'
+import { DashboardPage } from '@/components/dashboard-page'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Switch } from '@/components/ui/switch'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table'
+import { CalendarOff, Edit, Loader2, Save, Trash2 } from 'lucide-react'
+import { toast } from 'sonner'
+import { getBlackouts, saveBlackout, deleteBlackout } from '@/services/blackouts'
+import { BLACKOUT_TYPES, validateBlackout } from '@/utils/blackoutUtils'
+import { getTodayDateString } from '@/utils/scheduleUtils'
+
+const emptyBlackout = () => ({
+  id: null,
+  title: '',
+  type: 'closed',
+  start_date: '',
+  end_date: '',
+  city: '',
+  open_time: '09:00',
+  close_time: '15:00'
+})
+
+function BlackoutDatesContent() {
+  const [blackouts, setBlackouts] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showPast, setShowPast] = useState(false)
+  const [form, setForm] = useState(emptyBlackout())
+  const [isSaving, setIsSaving] = useState(false)
+
+  const loadBlackouts = useCallback(async () => {
+    try {
+      setLoading(true)
+      const data = await getBlackouts({ from: showPast ? null : getTodayDateString() })
+      setBlackouts(data)
+    } catch (error) {
+      console.error('Failed to load blackout dates:', error)
+      toast.error('Failed to load blackout dates')
+    } finally {
+      setLoading(false)
+    }
+  }, [showPast])
+
+  useEffect(() => {
+    loadBlackouts()
+  }, [loadBlackouts])
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }))
+  }
+
+  const handleEdit = (blackout) => {
+    setForm({
+      ...emptyBlackout(),
+      ...blackout,
+      city: blackout.city || '',
+      open_time: blackout.open_time?.slice(0, 5) || '09:00',
+      close_time: blackout.close_time?.slice(0, 5) || '15:00'
+    })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    const validationError = validateBlackout(form)
+    if (validationError) {
+      toast.error(validationError)
+      return
+    }
+
+    setIsSaving(true)
+    try {
+      await saveBlackout(form)
+      toast.success(form.id ? 'Blackout updated' : 'Blackout added')
+      setForm(emptyBlackout())
+      loadBlackouts()
+    } catch (error) {
+      console.error('Failed to save blackout:', error)
+      toast.error(error.message || 'Failed to save blackout')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleDelete = async (blackout) => {
+    try {
+      await deleteBlackout(blackout.id)
+      toast.success(`${blackout.title} removed`)
+      if (form.id === blackout.id) setForm(emptyBlackout())
+      loadBlackouts()
+    } catch (error) {
+      console.error('Failed to delete blackout:', error)
+      toast.error(error.message || 'Failed to delete blackout')
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <CalendarOff className="h-5 w-5" />
+            {form.id ? 'Edit blackout' : 'Add blackout'}
+          </CardTitle>
+          <CardDescription>
+            Closed days take no bookings. Reduced-hours days only offer slots inside the opening hours.
+            Leave the city empty to apply everywhere.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="blackout_title">Name *</Label>
+                <Input
+                  id="blackout_title"
+                  value={form.title}
+                  onChange={(e) => handleChange('title', e.target.value)}
+                  placeholder="e.g., Eid al-Fitr, Ramadan hours"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label>Type *</Label>
+                <Select value={form.type} onValueChange={(value) => handleChange('type', value)}>
+                  <SelectTrigger className="w-full">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(BLACKOUT_TYPES).map(([value, config]) => (
+                      <SelectItem key={value} value={value}>{config.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="blackout_city">City</Label>
+                <Input
+                  id="blackout_city"
+                  value={form.city}
+                  onChange={(e) => handleChange('city', e.target.value)}
+                  placeholder="All cities"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="blackout_start">First date *</Label>
+                <Input
+                  id="blackout_start"
+                  type="date"
+                  value={form.start_date}
+                  onChange={(e) => handleChange('start_date', e.target.value)}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="blackout_end">Last date *</Label>
+                <Input
+                  id="blackout_end"
+                  type="date"
+                  value={form.end_date}
+                  min={form.start_date || undefined}
+                  onChange={(e) => handleChange('end_date', e.target.value)}
+                />
+              </div>
+              {form.type === 'reduced_hours' && (
+                <div className="grid grid-cols-2 gap-2">
+                  <div className="space-y-2">
+                    <Label htmlFor="blackout_open">Opens *</Label>
+                    <Input
+                      id="blackout_open"
+                      type="time"
+                      value={form.open_time}
+                      onChange={(e) => handleChange('open_time', e.target.value)}
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="blackout_close">Closes *</Label>
+                    <Input
+                      id="blackout_close"
+                      type="time"
+                      value={form.close_time}
+                      onChange={(e) => handleChange('close_time', e.target.value)}
+                    />
+                  </div>
+                </div>
+              )}
+            </div>
+
+            <div className="flex justify-end gap-3">
+              {form.id && (
+                <Button type="button" variant="outline" onClick={() => setForm(emptyBlackout())} disabled={isSaving}>
+                  Cancel
+                </Button>
+              )}
+              <Button type="submit" disabled={isSaving}>
+                {isSaving ? (
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                ) : (
+                  <Save className="mr-2 h-4 w-4" />
+                )}
+                {form.id ? 'Update Blackout' : 'Add Blackout'}
+              </Button>
+            </div>
+          </form>
+        </CardContent>
+      </Card>
+
+      <div className="flex items-center gap-2">
+        <Switch id="show_past_blackouts" checked={showPast} onCheckedChange={setShowPast} />
+        <Label htmlFor="show_past_blackouts" className="text-sm">Show past blackouts</Label>
+      </div>
+
+      <Card>
+        <CardContent className="p-0">
+          {loading ? (
+            <p className="text-sm text-muted-foreground flex items-center gap-2 p-6">
+              <Loader2 className="h-4 w-4 animate-spin" />
+              Loading blackout dates...
+            </p>
+          ) : blackouts.length === 0 ? (
+            <p className="text-sm text-muted-foreground text-center p-6">No blackout dates scheduled.</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Name</TableHead>
+                  <TableHead>Dates</TableHead>
+                  <TableHead>Type</TableHead>
+                  <TableHead>Hours</TableHead>
+                  <TableHead>City</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {blackouts.map((blackout) => (
+                  <TableRow key={blackout.id}>
+                    <TableCell className="font-medium">{blackout.title}</TableCell>
+                    <TableCell>
+                      {blackout.start_date === blackout.end_date
+                        ? blackout.start_date
+                        : `${blackout.start_date} to ${blackout.end_date}`}
+                    </TableCell>
+                    <TableCell>
+                      <Badge className={BLACKOUT_TYPES[blackout.type]?.color}>
+                        {BLACKOUT_TYPES[blackout.type]?.label || blackout.type}
+                      </Badge>
+                    </TableCell>
+                    <TableCell>
+                      {blackout.type === 'reduced_hours'
+                        ? `${blackout.open_time?.slice(0, 5)} - ${blackout.close_time?.slice(0, 5)}`
+                        : '-'}
+                    </TableCell>
+                    <TableCell>{blackout.city || 'All cities'}</TableCell>
+                    <TableCell>
+                      <div className="flex justify-end gap-1">
+                        <Button variant="ghost" size="sm" title="Edit" onClick={() => handleEdit(blackout)}>
+                          <Edit className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          title="Delete"
+                          className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                          onClick={() => handleDelete(blackout)}
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
+
+export default function BlackoutDatesPage() {
+  return (
+    <ProtectedRoute allowedRoles={['admin', 'manager']}>
+      <DashboardPage
+        title="Blackout Dates"
+        description="Public holidays, closures and reduced opening hours that scheduling respects"
+        breadcrumb={[
+          { label: 'Dashboard', href: '/dashboard' },
+          { label: 'Blackout Dates' }
+        ]}
+      >
+        <BlackoutDatesContent />
+      </DashboardPage>
+    </ProtectedRoute>
+  )
+}
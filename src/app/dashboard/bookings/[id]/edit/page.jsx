@@ -7,6 +7,7 @@ import { BookingForm } from '@/components/BookingForm'
 import { Alert, AlertDescription } from '@/components/ui/alert'
 import { Loader2, CheckCircle2, AlertCircle } from 'lucide-react'
 import { updateBooking, getBooking } from '@/services/bookings'
+import { updateSeriesBookings } from '@/services/bookingSeries'
 import { getBookingFormData } from '@/services/bookingHelpers'
 import ProtectedRoute from '@/components/ProtectedRoute'
 import { DashboardPage } from '@/components/dashboard-page'
@@ -70,7 +71,22 @@ export default function EditBookingPage() {
       setIsSubmitting(true)
       setAlert(null)
 
-      const result = await updateBooking(bookingId, bookingData)
+      const { series_scope, ...updates } = bookingData
+
+      if (series_scope && series_scope !== 'this') {
+        const { updated, failed } = await updateSeriesBookings(bookingId, updates, series_scope)
+        const failedText = failed.length > 0
+          ? ` ${failed.length} could not be updated: ${failed.map(f => f.reason).join('; ')}`
+          : ''
+
+        setAlert({
+          type: failed.length > 0 ? 'error' : 'success',
+          message: `Updated ${updated.length} bookings in the series.${failedText}`
+        })
+        return
+      }
+
+      const result = await updateBooking(bookingId, updates)
 
       setAlert({
         type: 'success',
@@ -0,0 +1,174 @@
+"use client"
+
+import { useState, useEffect, useCallback } from 'react'
+import { useRouter } from 'next/navigation'
+import { addDays, format, parseISO, startOfWeek } from 'date-fns'
+import { useAuth } from '@/contexts/AuthContext'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent } from '@/components/ui/card'
+import { Input } from '@/components/ui/input'
+import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group'
+import { Loader2, ChevronLeft, ChevronRight, List, Plus } from 'lucide-react'
+import { toast } from 'sonner'
+import { getBookings, updateBooking } from '@/services/bookings'
+import { getAvailableWorkers } from '@/services/workers'
+import ProtectedRoute from '@/components/ProtectedRoute'
+import { DashboardPage } from '@/components/dashboard-page'
+import { DispatchBoard } from '@/components/DispatchBoard'
+import { getTodayDateString } from '@/utils/scheduleUtils'
+
+export default function BookingsCalendarPage() {
+  const router = useRouter()
+  const { profile, loading: authLoading } = useAuth()
+
+  const [view, setView] = useState('day')
+  const [date, setDate] = useState(() => getTodayDateString())
+  const [bookings, setBookings] = useState([])
+  const [workers, setWorkers] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+
+  // Week view always starts on Monday
+  const rangeStart = view === 'week'
+    ? format(startOfWeek(parseISO(date), { weekStartsOn: 1 }), 'yyyy-MM-dd')
+    : date
+  const rangeEnd = view === 'week'
+    ? format(addDays(parseISO(rangeStart), 6), 'yyyy-MM-dd')
+    : date
+
+  const loadBoard = useCallback(async () => {
+    try {
+      setIsLoading(true)
+      const [bookingsResponse, workersData] = await Promise.all([
+        getBookings({
+          dateFrom: rangeStart,
+          dateTo: rangeEnd,
+          limit: 1000,
+          sortBy: 'scheduled_time',
+          sortOrder: 'asc'
+        }),
+        getAvailableWorkers({ status: '' })
+      ])
+      setBookings(bookingsResponse?.data || [])
+      setWorkers(workersData || [])
+    } catch (error) {
+      console.error('❌ Failed to load dispatch board:', error)
+      toast.error('Failed to load the dispatch board. Please try again.')
+    } finally {
+      setIsLoading(false)
+    }
+  }, [rangeStart, rangeEnd])
+
+  useEffect(() => {
+    if (!authLoading && profile?.id) {
+      loadBoard()
+    }
+  }, [authLoading, profile?.id, loadBoard])
+
+  // Move a booking to another worker/slot, rolling back if the update fails
+  const moveBooking = async (booking, changes, allowConflicts = false) => {
+    const previous = bookings
+    setBookings(current => current.map(b => (b.id === booking.id ? { ...b, ...changes } : b)))
+
+    try {
+      const updated = await updateBooking(booking.id, {
+        ...changes,
+        allow_conflicts: allowConflicts
+      })
+      setBookings(current => current.map(b => (b.id === booking.id ? { ...b, ...updated } : b)))
+      toast.success(`${booking.booking_number} moved`)
+    } catch (error) {
+      console.error('Error moving booking:', error)
+      setBookings(previous)
+
+      if (error.code === 'BOOKING_CONFLICT') {
+        toast.error(error.message, {
+          action: {
+            label: 'Move anyway',
+            onClick: () => moveBooking(booking, changes, true)
+          }
+        })
+      } else {
+        toast.error(error.message || 'Failed to move booking')
+      }
+    }
+  }
+
+  const shiftDate = (direction) => {
+    const step = view === 'week' ? 7 : 1
+    setDate(format(addDays(parseISO(date), step * direction), 'yyyy-MM-dd'))
+  }
+
+  return (
+    <ProtectedRoute allowedRoles={['admin', 'manager']}>
+      <DashboardPage
+        title="Dispatch Calendar"
+        description="Drag bookings between workers and time slots"
+        breadcrumb={[
+          { label: "Dashboard", href: "/dashboard" },
+          { label: "Bookings", href: "/dashboard/bookings" },
+          { label: "Calendar" },
+        ]}
+      >
+        {/* Toolbar */}
+        <div className="mb-6 flex flex-wrap items-center justify-between gap-4">
+          <div className="flex items-center gap-2">
+            <Button variant="outline" size="icon" onClick={() => shiftDate(-1)}>
+              <ChevronLeft className="h-4 w-4" />
+            </Button>
+            <Input
+              type="date"
+              value={date}
+              onChange={(e) => e.target.value && setDate(e.target.value)}
+              className="w-44"
+            />
+            <Button variant="outline" size="icon" onClick={() => shiftDate(1)}>
+              <ChevronRight className="h-4 w-4" />
+            </Button>
+            <Button variant="ghost" onClick={() => setDate(getTodayDateString())}>
+              Today
+            </Button>
+          </div>
+
+          <div className="flex items-center gap-2">
+            <ToggleGroup
+              type="single"
+              variant="outline"
+              value={view}
+              onValueChange={(value) => value && setView(value)}
+            >
+              <ToggleGroupItem value="day">Day</ToggleGroupItem>
+              <ToggleGroupItem value="week">Week</ToggleGroupItem>
+            </ToggleGroup>
+            <Button variant="outline" onClick={() => router.push('/dashboard/bookings')}>
+              <List className="mr-2 h-4 w-4" />
+              List
+            </Button>
+            <Button onClick={() => router.push('/dashboard/bookings/create')}>
+              <Plus className="mr-2 h-4 w-4" />
+              New Booking
+            </Button>
+          </div>
+        </div>
+
+        {isLoading ? (
+          <Card>
+            <CardContent className="p-6">
+              <div className="flex items-center justify-center py-8">
+                <Loader2 className="h-8 w-8 animate-spin text-muted-foreground" />
+                <span className="ml-2 text-muted-foreground">Loading dispatch board...</span>
+              </div>
+            </CardContent>
+          </Card>
+        ) : (
+          <DispatchBoard
+            bookings={bookings}
+            workers={workers}
+            view={view}
+            date={rangeStart}
+            onMoveBooking={moveBooking}
+          />
+        )}
+      </DashboardPage>
+    </ProtectedRoute>
+  )
+}
@@ -7,6 +7,7 @@ import { BookingForm } from '@/components/BookingForm'
 import { Alert, AlertDescription } from '@/components/ui/alert'
 import { Loader2, CheckCircle2, AlertCircle } from 'lucide-react'
 import { createBooking } from '@/services/bookings'
+import { createBookingSeries } from '@/services/bookingSeries'
 import { getBookingFormData } from '@/services/bookingHelpers'
 import ProtectedRoute from '@/components/ProtectedRoute'
 import { DashboardPage } from '@/components/dashboard-page'
@@ -87,7 +88,10 @@ export default function CreateBookingPage() {
         setTimeout(() => reject(new Error('Request timeout - took longer than 30 seconds')), 30000)
       })
       
-      const bookingPromise = createBooking(bookingData)
+      const { recurrence, ...singleBookingData } = bookingData
+      const bookingPromise = recurrence
+        ? createBookingSeries(singleBookingData, recurrence)
+        : createBooking(singleBookingData)
       
       console.log('⏳ Waiting for booking creation (with 30s timeout)...')
       const result = await Promise.race([bookingPromise, timeoutPromise])
@@ -97,10 +101,27 @@ export default function CreateBookingPage() {
       console.log('✅ Booking created:', result)
       
       // Show success message
-      setAlert({
-        type: 'success',
-        message: `Booking created successfully! Booking Number: ${result?.booking_number}`
-      })
+      if (recurrence) {
+        if (result.created.length === 0) {
+          throw new Error(`No bookings in the series could be created: ${result.skipped[0]?.reason || 'unknown error'}`)
+        }
+
+        const skippedText = result.skipped.length > 0
+          ? ` Skipped ${result.skipped.length}: ${result.skipped.map(s => `${s.date} (${s.reason})`).join('; ')}`
+          : ''
+        setAlert({
+          type: result.skipped.length > 0 ? 'error' : 'success',
+          message: `Created ${result.created.length} of ${result.created.length + result.skipped.length} bookings in the series.${skippedText}`
+        })
+
+        // Leave partial results on screen so the skipped dates can be handled
+        if (result.skipped.length > 0) return
+      } else {
+        setAlert({
+          type: 'success',
+          message: `Booking created successfully! Booking Number: ${result?.booking_number}`
+        })
+      }
 
       // Redirect after a short delay to show success message
       setTimeout(() => {
@@ -21,15 +21,20 @@ import { Input } from '@/components/ui/input'
 import { Label } from '@/components/ui/label'
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
 import { Separator } from '@/components/ui/separator'
+import { Checkbox } from '@/components/ui/checkbox'
 import {
   Loader2, Plus, Calendar, MapPin, User, DollarSign, Clock, Phone,
   Edit, Trash2, Search, Filter, X, ChevronDown, CalendarDays,
-  CheckCircle, XCircle, AlertCircle, Timer, ArrowUpDown, Eye, Download
+  CheckCircle, XCircle, AlertCircle, Timer, ArrowUpDown, Eye, Download, Repeat,
+  CalendarRange, Upload, Copy, UserX, Hourglass
 } from 'lucide-react'
 import { getBookings, deleteBooking } from '@/services/bookings'
 import ProtectedRoute from '@/components/ProtectedRoute'
 import { DashboardPage } from '@/components/dashboard-page'
 import { BookingViewModal } from '@/components/BookingViewModal'
+import { BookingBulkActions } from '@/components/BookingBulkActions'
+import { BookingImportDialog } from '@/components/BookingImportDialog'
+import { DuplicateReportDialog } from '@/components/DuplicateReportDialog'
 import { cn } from '@/lib/utils'
 import { useDebounce } from '@/hooks/useDebounce'
 import { toast } from 'sonner'
@@ -42,7 +47,8 @@ const BOOKING_STATUSES = [
   { value: 'confirmed', label: 'Confirmed', icon: CheckCircle, color: 'text-blue-600 bg-blue-50' },
   { value: 'in_progress', label: 'In Progress', icon: Timer, color: 'text-purple-600 bg-purple-50' },
   { value: 'completed', label: 'Completed', icon: CheckCircle, color: 'text-green-600 bg-green-50' },
-  { value: 'cancelled', label: 'Cancelled', icon: XCircle, color: 'text-red-600 bg-red-50' }
+  { value: 'cancelled', label: 'Cancelled', icon: XCircle, color: 'text-red-600 bg-red-50' },
+  { value: 'no_show', label: 'No-show', icon: UserX, color: 'text-gray-600 bg-gray-50' }
 ]
 
 // Sort options
@@ -81,6 +87,12 @@ export default function BookingsListPage() {
   const [bookingToDelete, setBookingToDelete] = useState(null)
   const [isDeleting, setIsDeleting] = useState(false)
 
+  // Import dialog state
+  const [importOpen, setImportOpen] = useState(false)
+
+  // Duplicate report dialog state
+  const [duplicatesOpen, setDuplicatesOpen] = useState(false)
+
   // Debounce search query to avoid too many API calls
   const debouncedSearchQuery = useDebounce(searchQuery, 500)
 
@@ -202,6 +214,27 @@ export default function BookingsListPage() {
     }
   }
 
+  // Bulk actions are for staff only
+  const canBulkEdit = profile?.role === 'admin' || profile?.role === 'manager'
+  const allSelected = bookings.length > 0 && bookings.every(booking => selectedBookings.includes(booking.id))
+
+  const toggleBookingSelection = (bookingId, checked) => {
+    setSelectedBookings(prev => checked
+      ? [...new Set([...prev, bookingId])]
+      : prev.filter(id => id !== bookingId)
+    )
+  }
+
+  const toggleSelectAll = (checked) => {
+    setSelectedBookings(checked ? bookings.map(booking => booking.id) : [])
+  }
+
+  // Reload after a bulk action, keeping only the rows that failed selected
+  const handleBulkCompleted = (result) => {
+    setSelectedBookings(result.results.filter(row => !row.success).map(row => row.id))
+    loadBookings(false)
+  }
+
   // Clear all filters
   const clearFilters = () => {
     setSearchQuery('')
@@ -417,10 +450,42 @@ export default function BookingsListPage() {
           </div>
 
           <div className="flex gap-2">
+            {canBulkEdit && bookings.length > 0 && (
+              <div className="flex items-center gap-2 px-2">
+                <Checkbox
+                  id="select-all"
+                  checked={allSelected}
+                  onCheckedChange={(checked) => toggleSelectAll(checked === true)}
+                />
+                <Label htmlFor="select-all" className="text-sm whitespace-nowrap">Select all</Label>
+              </div>
+            )}
+            <Button variant="outline" onClick={() => router.push('/dashboard/bookings/calendar')}>
+              <CalendarRange className="mr-2 h-4 w-4" />
+              Calendar
+            </Button>
             <Button variant="outline" onClick={handleExport}>
               <Download className="mr-2 h-4 w-4" />
               Export CSV
             </Button>
+            {canBulkEdit && (
+              <Button variant="outline" onClick={() => setImportOpen(true)}>
+                <Upload className="mr-2 h-4 w-4" />
+                Import
+              </Button>
+            )}
+            {canBulkEdit && (
+              <Button variant="outline" onClick={() => setDuplicatesOpen(true)}>
+                <Copy className="mr-2 h-4 w-4" />
+                Duplicates
+              </Button>
+            )}
+            {canBulkEdit && (
+              <Button variant="outline" onClick={() => router.push('/dashboard/bookings/waitlist')}>
+                <Hourglass className="mr-2 h-4 w-4" />
+                Waitlist
+              </Button>
+            )}
             <Button onClick={() => router.push('/dashboard/bookings/create')}>
               <Plus className="mr-2 h-4 w-4" />
               New Booking
@@ -428,6 +493,29 @@ export default function BookingsListPage() {
           </div>
         </div>
 
+        {canBulkEdit && (
+          <BookingBulkActions
+            selected={bookings.filter(booking => selectedBookings.includes(booking.id))}
+            onClear={() => setSelectedBookings([])}
+            onCompleted={handleBulkCompleted}
+          />
+        )}
+
+        {canBulkEdit && (
+          <BookingImportDialog
+            open={importOpen}
+            onOpenChange={setImportOpen}
+            onImported={() => loadBookings()}
+          />
+        )}
+
+        {canBulkEdit && (
+          <DuplicateReportDialog
+            open={duplicatesOpen}
+            onOpenChange={setDuplicatesOpen}
+          />
+        )}
+
         {/* Bookings Grid with overlay loading */}
         <div className="relative">
           {/* Loading overlay */}
@@ -468,19 +556,38 @@ export default function BookingsListPage() {
               {bookings.map((booking) => (
                 <Card
                   key={booking.id}
-                  className="cursor-pointer hover:shadow-lg transition-all hover:-translate-y-1"
+                  className={cn(
+                    "cursor-pointer hover:shadow-lg transition-all hover:-translate-y-1",
+                    selectedBookings.includes(booking.id) && "ring-2 ring-primary"
+                  )}
                   onClick={() => router.push(`/dashboard/bookings/${booking.id}/edit`)}
                 >
                   <CardHeader>
                     <div className="flex items-center justify-between">
-                      <CardTitle className="text-lg">{booking.booking_number}</CardTitle>
+                      <div className="flex items-center gap-2">
+                        {canBulkEdit && (
+                          <Checkbox
+                            checked={selectedBookings.includes(booking.id)}
+                            onCheckedChange={(checked) => toggleBookingSelection(booking.id, checked === true)}
+                            onClick={(e) => e.stopPropagation()}
+                            aria-label={`Select ${booking.booking_number}`}
+                          />
+                        )}
+                        <CardTitle className="text-lg">{booking.booking_number}</CardTitle>
+                      </div>
                       <Badge className={cn("flex items-center gap-1", getStatusColor(booking.status))}>
                         {getStatusIcon(booking.status)}
                         {booking.status?.replace('_', ' ')}
                       </Badge>
                     </div>
-                    <CardDescription>
-                      {booking.service?.title || 'Service'}
+                    <CardDescription className="flex items-center justify-between gap-2">
+                      <span>{booking.service?.title || 'Service'}</span>
+                      {booking.series_id && (
+                        <Badge variant="outline" className="flex items-center gap-1 text-xs">
+                          <Repeat className="h-3 w-3" />
+                          Series {booking.series_index}{booking.series?.occurrence_count ? `/${booking.series.occurrence_count}` : ''}
+                        </Badge>
+                      )}
                     </CardDescription>
                   </CardHeader>
                   <CardContent className="space-y-3">
@@ -540,6 +647,7 @@ export default function BookingsListPage() {
                       <BookingViewModal
                         booking={booking}
                         onEdit={(id) => router.push(`/dashboard/bookings/${id}/edit`)}
+                        onUpdated={() => loadBookings(false)}
                       >
                         <Button
                           variant="outline"
@@ -0,0 +1,237 @@
+"use client"
+
+import { useState, useEffect, useCallback } from 'react'
+import { useRouter } from 'next/navigation'
+import ProtectedRoute from '@/components/ProtectedRoute'
+import { DashboardPage } from '@/components/dashboard-page'
+import { Card, CardContent } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table'
+import { CalendarCheck, Loader2, RefreshCw, Trash2, XCircle } from 'lucide-react'
+import { toast } from 'sonner'
+import { getWaitlistEntries, offerFreedSlot, declineWaitlistOffer, removeWaitlistEntry } from '@/services/waitlist'
+import { bookWaitlistOffer } from '@/services/bookings'
+import { WAITLIST_STATUSES, OPEN_WAITLIST_STATUSES } from '@/utils/waitlistUtils'
+import { getTodayDateString } from '@/utils/scheduleUtils'
+
+// Select values for the status filter
+const OPEN_ONLY = 'open'
+const ALL_STATUSES = 'all'
+
+function WaitlistContent() {
+  const router = useRouter()
+  const [entries, setEntries] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [filter, setFilter] = useState(OPEN_ONLY)
+  const [busyId, setBusyId] = useState(null)
+
+  const loadEntries = useCallback(async () => {
+    try {
+      setLoading(true)
+      const data = await getWaitlistEntries({
+        statuses: filter === OPEN_ONLY ? OPEN_WAITLIST_STATUSES : Object.keys(WAITLIST_STATUSES),
+        dateFrom: getTodayDateString()
+      })
+      setEntries(data)
+    } catch (error) {
+      console.error('Failed to load waitlist:', error)
+      toast.error('Failed to load waitlist')
+    } finally {
+      setLoading(false)
+    }
+  }, [filter])
+
+  useEffect(() => {
+    loadEntries()
+  }, [loadEntries])
+
+  const runAction = async (entry, action) => {
+    setBusyId(entry.id)
+    try {
+      await action()
+      loadEntries()
+    } catch (error) {
+      console.error('Waitlist action failed:', error)
+      toast.error(error.message || 'Failed to update waitlist entry')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleBook = (entry) => runAction(entry, async () => {
+    const booking = await bookWaitlistOffer(entry)
+    toast.success(`Booked ${booking.booking_number} for ${entry.customer?.full_name || 'the customer'}`)
+    router.push(`/dashboard/bookings/${booking.id}/edit`)
+  })
+
+  const handleDecline = (entry) => runAction(entry, async () => {
+    const { next } = await declineWaitlistOffer(entry.id)
+    toast.success(next
+      ? `Offer declined. Slot offered to ${next.customer?.full_name || 'the next customer'}.`
+      : 'Offer declined. Nobody else on the waitlist fits this slot.')
+  })
+
+  const handleFindSlot = (entry) => runAction(entry, async () => {
+    const offered = await offerFreedSlot(entry.preferred_date)
+    if (offered) {
+      toast.success(`Slot at ${offered.offered_time.slice(0, 5)} offered to ${offered.customer?.full_name || 'a waiting customer'}`)
+    } else {
+      toast.info('No open slot fits anyone waiting on this date yet')
+    }
+  })
+
+  const handleRemove = (entry) => runAction(entry, async () => {
+    await removeWaitlistEntry(entry.id)
+    toast.success('Removed from the waitlist')
+  })
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <Select value={filter} onValueChange={setFilter}>
+          <SelectTrigger className="w-44">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={OPEN_ONLY}>Waiting and offered</SelectItem>
+            <SelectItem value={ALL_STATUSES}>All statuses</SelectItem>
+          </SelectContent>
+        </Select>
+        <p className="text-sm text-muted-foreground">
+          Freed slots are offered to the oldest matching entry first.
+        </p>
+      </div>
+
+      <Card>
+        <CardContent className="p-0">
+          {loading ? (
+            <p className="text-sm text-muted-foreground flex items-center gap-2 p-6">
+              <Loader2 className="h-4 w-4 animate-spin" />
+              Loading waitlist...
+            </p>
+          ) : entries.length === 0 ? (
+            <p className="text-sm text-muted-foreground text-center p-6">Nobody is on the waitlist.</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Customer</TableHead>
+                  <TableHead>Service</TableHead>
+                  <TableHead>Date</TableHead>
+                  <TableHead>Window</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead>Added</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {entries.map((entry) => {
+                  const isBusy = busyId === entry.id
+                  return (
+                    <TableRow key={entry.id}>
+                      <TableCell>
+                        <p className="font-medium">{entry.customer?.full_name || 'N/A'}</p>
+                        <p className="text-xs text-muted-foreground">{entry.customer?.phone || entry.customer?.email}</p>
+                      </TableCell>
+                      <TableCell>{entry.service?.title || 'N/A'} ({entry.estimated_duration} min)</TableCell>
+                      <TableCell>{entry.preferred_date}</TableCell>
+                      <TableCell>{entry.window_start?.slice(0, 5)} - {entry.window_end?.slice(0, 5)}</TableCell>
+                      <TableCell>
+                        <Badge className={WAITLIST_STATUSES[entry.status]?.color}>
+                          {WAITLIST_STATUSES[entry.status]?.label || entry.status}
+                        </Badge>
+                        {entry.status === 'offered' && (
+                          <p className="text-xs text-muted-foreground mt-1">
+                            {entry.offered_time?.slice(0, 5)}
+                            {entry.offered_worker && ` with ${entry.offered_worker.user?.full_name || entry.offered_worker.business_name}`}
+                          </p>
+                        )}
+                      </TableCell>
+                      <TableCell>{new Date(entry.created_at).toLocaleString()}</TableCell>
+                      <TableCell>
+                        <div className="flex justify-end gap-1">
+                          {entry.status === 'offered' && (
+                            <>
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                title="Book offered slot"
+                                disabled={isBusy}
+                                onClick={() => handleBook(entry)}
+                              >
+                                <CalendarCheck className="h-4 w-4" />
+                              </Button>
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                title="Customer declined"
+                                disabled={isBusy}
+                                onClick={() => handleDecline(entry)}
+                              >
+                                <XCircle className="h-4 w-4" />
+                              </Button>
+                            </>
+                          )}
+                          {entry.status === 'waiting' && (
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              title="Look for an open slot now"
+                              disabled={isBusy}
+                              onClick={() => handleFindSlot(entry)}
+                            >
+                              <RefreshCw className="h-4 w-4" />
+                            </Button>
+                          )}
+                          {OPEN_WAITLIST_STATUSES.includes(entry.status) && (
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              title="Remove"
+                              className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                              disabled={isBusy}
+                              onClick={() => handleRemove(entry)}
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </Button>
+                          )}
+                        </div>
+                      </TableCell>
+                    </TableRow>
+                  )
+                })}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
+
+export default function WaitlistPage() {
+  return (
+    <ProtectedRoute allowedRoles={['admin', 'manager']}>
+      <DashboardPage
+        title="Waitlist"
+        description="Customers waiting for a slot on a fully booked day"
+        breadcrumb={[
+          { label: 'Dashboard', href: '/dashboard' },
+          { label: 'Bookings', href: '/dashboard/bookings' },
+          { label: 'Waitlist' }
+        ]}
+      >
+        <WaitlistContent />
+      </DashboardPage>
+    </ProtectedRoute>
+  )
+}
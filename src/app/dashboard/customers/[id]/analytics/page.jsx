@@ -65,6 +65,7 @@ export default function CustomerAnalyticsPage() {
       // Calculate stats
       const completedBookings = bookingsData.filter(b => b.status === 'completed').length
       const cancelledBookings = bookingsData.filter(b => b.status === 'cancelled').length
+      const noShowBookings = bookingsData.filter(b => b.status === 'no_show').length
       
       const totalSpent = paymentsData
         .filter(p => p.status === 'completed')
@@ -86,6 +87,7 @@ export default function CustomerAnalyticsPage() {
           totalBookings: bookingsData.length,
           completedBookings,
           cancelledBookings,
+          noShowBookings,
           totalSpent,
           averageBookingValue,
           lastBookingDate
@@ -104,6 +106,7 @@ export default function CustomerAnalyticsPage() {
       completed: "default",
       pending: "secondary",
       cancelled: "destructive",
+      no_show: "destructive",
       active: "default"
     }
     return <Badge variant={variants[status] || "secondary"}>{status}</Badge>
@@ -254,7 +257,7 @@ export default function CustomerAnalyticsPage() {
                 : 0}%
             </div>
             <p className="text-xs text-muted-foreground mt-1">
-              {analytics.stats.cancelledBookings} cancelled
+              {analytics.stats.cancelledBookings} cancelled, {analytics.stats.noShowBookings} no-show
             </p>
           </CardContent>
         </Card>
@@ -10,6 +10,7 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@
 import { MapPin, RefreshCw, Calendar, User, Car, Clock } from 'lucide-react'
 import { getBookingsWithLocations } from '@/services/map'
 import { cn } from '@/lib/utils'
+import { countBookingVehicles, formatBookingVehicles } from '@/utils/vehicleUtils'
 
 // Google Maps API key - loaded from environment variable
 const GOOGLE_MAPS_API_KEY = process.env.NEXT_PUBLIC_GOOGLE_MAPS_API_KEY
@@ -20,7 +21,8 @@ const STATUS_COLORS = {
     confirmed: '#3B82F6',   // Blue  
     in_progress: '#8B5CF6', // Purple
     completed: '#10B981',   // Green
-    cancelled: '#EF4444'    // Red
+    cancelled: '#EF4444',   // Red
+    no_show: '#6B7280'      // Gray
 }
 
 export default function MapPage() {
@@ -160,7 +162,7 @@ export default function MapPage() {
               <strong>Service:</strong> ${booking.service?.title || 'N/A'}
             </div>
             <div style="font-size: 12px; color: #666; margin-bottom: 4px;">
-              <strong>Vehicle:</strong> ${booking.vehicle_make || ''} ${booking.vehicle_model || ''} (${booking.vehicle_type || 'N/A'})
+              <strong>${countBookingVehicles(booking) > 1 ? `Vehicles (${countBookingVehicles(booking)})` : 'Vehicle'}:</strong> ${formatBookingVehicles(booking) || 'N/A'}
             </div>
             <div style="font-size: 12px; color: #666; margin-bottom: 4px;">
               <strong>Date:</strong> ${booking.scheduled_date} at ${booking.scheduled_time}
@@ -204,6 +206,9 @@ export default function MapPage() {
         return acc
     }, {})
 
+    // A booking can carry several vehicles
+    const vehicleCount = bookings.reduce((sum, b) => sum + countBookingVehicles(b), 0)
+
     return (
         <DashboardPage
             title="Booking Locations"
@@ -232,6 +237,10 @@ export default function MapPage() {
                             <MapPin className="h-3 w-3" />
                             {bookings.length} locations
                         </Badge>
+                        <Badge variant="outline" className="flex items-center gap-1">
+                            <Car className="h-3 w-3" />
+                            {vehicleCount} vehicles
+                        </Badge>
                         {Object.entries(statusCounts).map(([status, count]) => (
                             <Badge
                                 key={status}
@@ -257,6 +266,7 @@ export default function MapPage() {
                             <SelectItem value="in_progress">In Progress</SelectItem>
                             <SelectItem value="completed">Completed</SelectItem>
                             <SelectItem value="cancelled">Cancelled</SelectItem>
+                            <SelectItem value="no_show">No-show</SelectItem>
                         </SelectContent>
                     </Select>
                 </div>
@@ -15,11 +15,12 @@ import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar"
 import {
   Calendar, Users, DollarSign, TrendingUp, Clock, Activity,
   CheckCircle, XCircle, AlertCircle, Timer, Briefcase, Star,
-  ArrowUp, ArrowDown, RefreshCw, Package, UserCheck
+  ArrowUp, ArrowDown, RefreshCw, Package, UserCheck, Share2
 } from 'lucide-react'
 import {
   getDashboardOverview,
   getBookingAnalytics,
+  getChannelAnalytics,
   getRevenueAnalytics,
   getCustomerStats,
   getWorkerStats,
@@ -28,6 +29,7 @@ import {
 } from '@/services/dashboard'
 import { useAuth } from '@/contexts/AuthContext'
 import { cn } from '@/lib/utils'
+import { BOOKING_CHANNELS } from '@/utils/channelUtils'
 
 export default function DashboardOverviewPage() {
   const { profile, loading: authLoading } = useAuth()
@@ -42,6 +44,7 @@ export default function DashboardOverviewPage() {
   // State for dashboard data
   const [overview, setOverview] = useState(null)
   const [bookingAnalytics, setBookingAnalytics] = useState(null)
+  const [channelAnalytics, setChannelAnalytics] = useState(null)
   const [revenueAnalytics, setRevenueAnalytics] = useState(null)
   const [customerStats, setCustomerStats] = useState(null)
   const [workerStats, setWorkerStats] = useState(null)
@@ -74,6 +77,7 @@ export default function DashboardOverviewPage() {
       const [
         overviewData,
         bookingData,
+        channelData,
         revenueData,
         customerData,
         workerData,
@@ -89,6 +93,9 @@ export default function DashboardOverviewPage() {
           role: profileData?.role,
           period: 'month'
         }), {}, 'Booking Analytics'),
+        profileData?.role === 'admin'
+          ? safeFetch(() => getChannelAnalytics(), null, 'Channel Analytics')
+          : Promise.resolve(null),
         safeFetch(() => getRevenueAnalytics({
           userId: profileData?.id,
           role: profileData?.role
@@ -106,6 +113,7 @@ export default function DashboardOverviewPage() {
       if (isMounted.current) {
         setOverview(overviewData)
         setBookingAnalytics(bookingData)
+        setChannelAnalytics(channelData)
         setRevenueAnalytics(revenueData)
         setCustomerStats(customerData)
         setWorkerStats(workerData)
@@ -369,6 +377,62 @@ export default function DashboardOverviewPage() {
           </Card>
         </div>
 
+        {/* Booking Channels (admin only) */}
+        {channelAnalytics && (
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <Share2 className="h-5 w-5" />
+                Bookings by Channel
+              </CardTitle>
+              <CardDescription>
+                Where bookings come from, what they earn and how often they are cancelled
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <div className="grid gap-6 grid-cols-1 lg:grid-cols-3">
+                <div className="space-y-4 lg:col-span-2">
+                  {channelAnalytics.channels.length > 0 ? channelAnalytics.channels.map((channel) => (
+                    <div key={channel.channel} className="space-y-2">
+                      <div className="flex items-center justify-between">
+                        <Badge className={BOOKING_CHANNELS[channel.channel]?.color} variant="secondary">
+                          {channel.label}
+                        </Badge>
+                        <span className="text-sm text-muted-foreground">
+                          {channel.bookings} bookings
+                        </span>
+                      </div>
+                      <Progress
+                        value={(channel.bookings / (channelAnalytics.totalBookings || 1)) * 100}
+                        className="h-2"
+                      />
+                      <div className="flex justify-between text-xs text-muted-foreground">
+                        <span>{channel.cancellationRate.toFixed(1)}% cancelled</span>
+                        <span>{formatCurrency(channel.revenue)}</span>
+                      </div>
+                    </div>
+                  )) : (
+                    <p className="text-sm text-muted-foreground">No booking data available</p>
+                  )}
+                </div>
+                <div className="space-y-3">
+                  <p className="text-sm font-medium">Top campaigns</p>
+                  {channelAnalytics.campaigns.length > 0 ? channelAnalytics.campaigns.slice(0, 5).map((campaign) => (
+                    <div key={campaign.campaign} className="flex items-center justify-between text-sm">
+                      <span className="truncate">{campaign.campaign}</span>
+                      <span className="text-muted-foreground whitespace-nowrap">
+                        {campaign.bookings} · {formatCurrency(campaign.revenue)}
+                      </span>
+                    </div>
+                  )) : (
+                    <p className="text-sm text-muted-foreground">No bookings carry campaign data yet</p>
+                  )}
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+        )}
+
         {/* Additional Stats Grid */}
         <div className="grid gap-4 grid-cols-2 sm:grid-cols-2 lg:grid-cols-4">
           {/* Pending Bookings */}
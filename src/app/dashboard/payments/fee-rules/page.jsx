@@ -0,0 +1,393 @@
+"use client"
+
+import { useState, useEffect } from 'react'
+import ProtectedRoute from '@/components/ProtectedRoute'
+import { DashboardPage } from '@/components/dashboard-page'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Switch } from '@/components/ui/switch'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { Edit, Loader2, Plus, Trash2 } from 'lucide-react'
+import { toast } from 'sonner'
+import { getFeeRules, saveFeeRule, deleteFeeRule } from '@/services/feeRules'
+import { getAllWorkers } from '@/services/workers'
+import { getServiceCategories } from '@/services/services'
+import {
+  DEFAULT_PLATFORM_FEE_PERCENTAGE,
+  FEE_RULE_SCOPES,
+  getFeeRuleScope,
+  validateFeeRule
+} from '@/utils/feeRuleUtils'
+
+const emptyRule = () => ({
+  id: null,
+  name: '',
+  scope: 'promotion',
+  fee_percentage: DEFAULT_PLATFORM_FEE_PERCENTAGE,
+  promotion_code: '',
+  worker_id: '',
+  service_category: '',
+  starts_on: '',
+  ends_on: '',
+  is_active: true
+})
+
+const getWorkerName = (worker) => worker?.user?.full_name || worker?.business_name || 'Worker'
+
+// What a rule targets, e.g. 'Code SUMMER10' or 'Interior cleaning'
+const describeRuleTarget = (rule) => {
+  switch (rule.scope) {
+    case 'promotion':
+      return `Code ${rule.promotion_code}`
+    case 'worker':
+      return getWorkerName(rule.worker)
+    case 'category':
+      return rule.service_category
+    default:
+      return 'All bookings'
+  }
+}
+
+function FeeRulesContent() {
+  const [rules, setRules] = useState([])
+  const [workers, setWorkers] = useState([])
+  const [categories, setCategories] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [editing, setEditing] = useState(null)
+  const [isSaving, setIsSaving] = useState(false)
+
+  const loadRules = async () => {
+    try {
+      const [ruleData, workerData, categoryData] = await Promise.all([
+        getFeeRules(),
+        getAllWorkers(),
+        getServiceCategories()
+      ])
+      setRules(ruleData)
+      setWorkers(workerData || [])
+      setCategories(categoryData)
+    } catch (error) {
+      console.error('Failed to load fee rules:', error)
+      toast.error('Failed to load fee rules')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadRules()
+  }, [])
+
+  const startEditing = (rule) => {
+    setEditing(rule
+      ? {
+          ...emptyRule(),
+          ...rule,
+          promotion_code: rule.promotion_code || '',
+          worker_id: rule.worker_id || '',
+          service_category: rule.service_category || '',
+          starts_on: rule.starts_on || '',
+          ends_on: rule.ends_on || ''
+        }
+      : emptyRule())
+  }
+
+  const handleSave = async () => {
+    const validationError = validateFeeRule(editing)
+    if (validationError) {
+      toast.error(validationError)
+      return
+    }
+
+    setIsSaving(true)
+    try {
+      await saveFeeRule(editing)
+      toast.success('Fee rule saved')
+      setEditing(null)
+      loadRules()
+    } catch (error) {
+      console.error('Failed to save fee rule:', error)
+      toast.error(error.message || 'Failed to save fee rule')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleDelete = async (rule) => {
+    try {
+      await deleteFeeRule(rule.id)
+      toast.success(`${rule.name} deleted`)
+      loadRules()
+    } catch (error) {
+      console.error('Failed to delete fee rule:', error)
+      toast.error('Failed to delete fee rule')
+    }
+  }
+
+  // Rules grouped in order of precedence
+  const rulesByScope = FEE_RULE_SCOPES
+    .map(scope => ({ ...scope, rules: rules.filter(rule => rule.scope === scope.value) }))
+    .filter(scope => scope.rules.length > 0)
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle>How the platform fee is chosen</CardTitle>
+          <CardDescription>
+            The first match wins. Rules limited to dates only apply to bookings scheduled in that range.
+            A fee typed in on a booking overrides all of this.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <ol className="list-inside list-decimal space-y-1 text-sm">
+            {FEE_RULE_SCOPES.map((scope) => (
+              <li key={scope.value}>
+                <span className="font-medium">{scope.label} rule</span>
+                <span className="text-muted-foreground"> · {scope.description}</span>
+              </li>
+            ))}
+            <li>
+              <span className="font-medium">Worker commission</span>
+              <span className="text-muted-foreground"> · The commission rate on the lead worker&apos;s profile</span>
+            </li>
+            <li>
+              <span className="font-medium">Default</span>
+              <span className="text-muted-foreground"> · {DEFAULT_PLATFORM_FEE_PERCENTAGE}%</span>
+            </li>
+          </ol>
+        </CardContent>
+      </Card>
+
+      <div className="flex justify-end">
+        <Button onClick={() => startEditing(null)} disabled={!!editing}>
+          <Plus className="h-4 w-4 mr-2" />
+          Add Rule
+        </Button>
+      </div>
+
+      {editing && (
+        <Card>
+          <CardHeader>
+            <CardTitle>{editing.id ? 'Edit Rule' : 'New Rule'}</CardTitle>
+            <CardDescription>
+              Changing a rule only affects bookings saved afterwards; payments keep the rule they were charged under.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid md:grid-cols-3 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="rule_name">Name *</Label>
+                <Input
+                  id="rule_name"
+                  value={editing.name}
+                  onChange={(e) => setEditing(prev => ({ ...prev, name: e.target.value }))}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label>Applies to</Label>
+                <Select
+                  value={editing.scope}
+                  onValueChange={(value) => setEditing(prev => ({ ...prev, scope: value }))}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {FEE_RULE_SCOPES.map((scope) => (
+                      <SelectItem key={scope.value} value={scope.value}>
+                        {scope.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="rule_fee">Platform fee (%) *</Label>
+                <Input
+                  id="rule_fee"
+                  type="number"
+                  step="0.1"
+                  min="0"
+                  max="100"
+                  value={editing.fee_percentage}
+                  onChange={(e) => setEditing(prev => ({ ...prev, fee_percentage: e.target.value }))}
+                />
+              </div>
+
+              {editing.scope === 'promotion' && (
+                <div className="space-y-2">
+                  <Label htmlFor="rule_code">Promo code or campaign *</Label>
+                  <Input
+                    id="rule_code"
+                    value={editing.promotion_code}
+                    onChange={(e) => setEditing(prev => ({ ...prev, promotion_code: e.target.value }))}
+                    placeholder="e.g., SUMMER10"
+                  />
+                  <p className="text-xs text-muted-foreground">Matches a promo price line&apos;s label or the booking&apos;s campaign.</p>
+                </div>
+              )}
+              {editing.scope === 'worker' && (
+                <div className="space-y-2">
+                  <Label>Worker *</Label>
+                  <Select
+                    value={editing.worker_id}
+                    onValueChange={(value) => setEditing(prev => ({ ...prev, worker_id: value }))}
+                  >
+                    <SelectTrigger>
+                      <SelectValue placeholder="Choose a worker" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {workers.map((worker) => (
+                        <SelectItem key={worker.id} value={worker.id}>
+                          {getWorkerName(worker)}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+              {editing.scope === 'category' && (
+                <div className="space-y-2">
+                  <Label>Service category *</Label>
+                  <Select
+                    value={editing.service_category}
+                    onValueChange={(value) => setEditing(prev => ({ ...prev, service_category: value }))}
+                  >
+                    <SelectTrigger>
+                      <SelectValue placeholder="Choose a category" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {categories.map((category) => (
+                        <SelectItem key={category} value={category}>
+                          {category}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+
+              <div className="space-y-2">
+                <Label htmlFor="rule_starts_on">First day{editing.scope === 'period' && ' *'}</Label>
+                <Input
+                  id="rule_starts_on"
+                  type="date"
+                  value={editing.starts_on}
+                  onChange={(e) => setEditing(prev => ({ ...prev, starts_on: e.target.value }))}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="rule_ends_on">Last day{editing.scope === 'period' && ' *'}</Label>
+                <Input
+                  id="rule_ends_on"
+                  type="date"
+                  value={editing.ends_on}
+                  min={editing.starts_on || undefined}
+                  onChange={(e) => setEditing(prev => ({ ...prev, ends_on: e.target.value }))}
+                />
+              </div>
+            </div>
+
+            <div className="flex items-center gap-2">
+              <Switch
+                id="rule_active"
+                checked={editing.is_active}
+                onCheckedChange={(checked) => setEditing(prev => ({ ...prev, is_active: checked }))}
+              />
+              <Label htmlFor="rule_active">Active</Label>
+            </div>
+
+            <div className="flex justify-end gap-2">
+              <Button variant="outline" onClick={() => setEditing(null)} disabled={isSaving}>
+                Cancel
+              </Button>
+              <Button onClick={handleSave} disabled={isSaving}>
+                {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Save Rule
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-muted-foreground flex items-center gap-2">
+          <Loader2 className="h-4 w-4 animate-spin" />
+          Loading fee rules...
+        </p>
+      ) : rules.length === 0 ? (
+        <Card>
+          <CardContent className="py-6">
+            <p className="text-sm text-muted-foreground">
+              No fee rules yet. Bookings are charged their worker&apos;s commission rate, or {DEFAULT_PLATFORM_FEE_PERCENTAGE}% without one.
+            </p>
+          </CardContent>
+        </Card>
+      ) : (
+        rulesByScope.map((scope) => (
+          <div key={scope.value} className="space-y-3">
+            <h3 className="text-sm font-semibold">{scope.label} rules</h3>
+            <div className="grid md:grid-cols-2 gap-4">
+              {scope.rules.map((rule) => (
+                <Card key={rule.id}>
+                  <CardHeader>
+                    <CardTitle className="flex items-center justify-between gap-2">
+                      <span>{rule.name}</span>
+                      <div className="flex gap-2">
+                        <Badge variant="outline">{rule.fee_percentage}%</Badge>
+                        {!rule.is_active && <Badge variant="secondary">Inactive</Badge>}
+                      </div>
+                    </CardTitle>
+                    <CardDescription>
+                      {getFeeRuleScope(rule.scope)?.label}: {describeRuleTarget(rule)}
+                      {(rule.starts_on || rule.ends_on) && ` · ${rule.starts_on || '…'} to ${rule.ends_on || '…'}`}
+                    </CardDescription>
+                  </CardHeader>
+                  <CardContent>
+                    <div className="flex gap-2">
+                      <Button variant="outline" size="sm" onClick={() => startEditing(rule)} disabled={!!editing}>
+                        <Edit className="h-4 w-4 mr-2" />
+                        Edit
+                      </Button>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleDelete(rule)}
+                        className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                      >
+                        <Trash2 className="h-4 w-4 mr-2" />
+                        Delete
+                      </Button>
+                    </div>
+                  </CardContent>
+                </Card>
+              ))}
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  )
+}
+
+export default function FeeRulesPage() {
+  return (
+    <ProtectedRoute allowedRoles={['admin', 'manager']}>
+      <DashboardPage
+        title="Fee Rules"
+        description="Set the platform fee per promotion, worker, service category or date range"
+        breadcrumb={[
+          { label: 'Dashboard', href: '/dashboard' },
+          { label: 'Payments', href: '/dashboard/payments' },
+          { label: 'Fee Rules' }
+        ]}
+      >
+        <FeeRulesContent />
+      </DashboardPage>
+    </ProtectedRoute>
+  )
+}
@@ -0,0 +1,422 @@
+"use client"
+
+import { useState, useEffect, useCallback } from 'react'
+import ProtectedRoute from '@/components/ProtectedRoute'
+import { DashboardPage } from '@/components/dashboard-page'
+import { SettlementLineDialog } from '@/components/SettlementLineDialog'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table'
+import { FileSpreadsheet, Loader2, Scale, Upload } from 'lucide-react'
+import { toast } from 'sonner'
+import { useAuth } from '@/contexts/AuthContext'
+import { getSettlementImports, getSettlementLines, importSettlementFile } from '@/services/reconciliation'
+import { IMPORT_FIELDS, readSpreadsheetFile, guessColumnMapping } from '@/utils/import'
+import { OPEN_SETTLEMENT_STATUSES, SETTLEMENT_LINE_STATUSES, prepareSettlementLines } from '@/utils/reconciliationUtils'
+
+const FIELDS = IMPORT_FIELDS.settlements
+// Select values for an unmapped field and for showing every line (Select items can't use an empty string)
+const NOT_MAPPED = 'none'
+const ALL_STATUSES = 'all'
+
+const formatMoney = (value) => `${(parseFloat(value) || 0).toFixed(2)} MAD`
+
+// Upload a settlement file and map its columns before matching
+function SettlementUpload({ onImported }) {
+  const { profile } = useAuth()
+  const [fileName, setFileName] = useState('')
+  const [headers, setHeaders] = useState([])
+  const [rows, setRows] = useState([])
+  const [mapping, setMapping] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+
+  const reset = () => {
+    setFileName('')
+    setHeaders([])
+    setRows([])
+    setMapping(null)
+  }
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    setIsLoading(true)
+    try {
+      const sheet = await readSpreadsheetFile(file)
+      if (sheet.rows.length === 0) {
+        toast.error('The file has a header row but no settlement lines')
+        return
+      }
+
+      setFileName(file.name)
+      setHeaders(sheet.headers)
+      setRows(sheet.rows)
+      setMapping(guessColumnMapping(sheet.headers, FIELDS))
+    } catch (error) {
+      console.error('Failed to read settlement file:', error)
+      toast.error(error.message || 'Failed to read the file')
+    } finally {
+      setIsLoading(false)
+      e.target.value = ''
+    }
+  }
+
+  const handleMatch = async () => {
+    const missing = FIELDS.filter(field => field.required && mapping[field.key] === '')
+    if (missing.length > 0) {
+      toast.error(`Map a column for: ${missing.map(field => field.label).join(', ')}`)
+      return
+    }
+
+    setIsLoading(true)
+    try {
+      const result = await importSettlementFile({
+        fileName,
+        lines: prepareSettlementLines(rows, mapping)
+      }, profile?.id)
+
+      const open = result.counts.mismatched + result.counts.unmatched
+      if (open === 0) {
+        toast.success(`All ${result.counts.matched} lines matched`)
+      } else {
+        toast.error(`${result.counts.matched} lines matched, ${open} need attention`)
+      }
+      reset()
+      onImported?.(result.import)
+    } catch (error) {
+      console.error('Settlement import failed:', error)
+      toast.error(error.message || 'Failed to import the settlement file')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <FileSpreadsheet className="h-5 w-5" />
+          Upload settlement file
+        </CardTitle>
+        <CardDescription>
+          {mapping
+            ? `${fileName}: ${rows.length} lines. Match each field to a column.`
+            : 'Upload the .csv or .xlsx statement from the bank or payment provider. Lines are matched to payments by reference, amount and date.'}
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {!mapping ? (
+          <div className="space-y-2 max-w-md">
+            <Label htmlFor="settlement_file">File</Label>
+            <Input
+              id="settlement_file"
+              type="file"
+              accept=".csv,.xlsx,text/csv"
+              onChange={handleFile}
+              disabled={isLoading}
+            />
+            {isLoading && (
+              <p className="text-sm text-muted-foreground flex items-center gap-2">
+                <Loader2 className="h-3 w-3 animate-spin" />
+                Reading file...
+              </p>
+            )}
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div className="grid md:grid-cols-4 gap-4">
+              {FIELDS.map((field) => (
+                <div key={field.key} className="space-y-1">
+                  <Label>
+                    {field.label}{field.required && ' *'}
+                  </Label>
+                  <Select
+                    value={mapping[field.key] === '' ? NOT_MAPPED : String(mapping[field.key])}
+                    onValueChange={(value) => setMapping(prev => ({
+                      ...prev,
+                      [field.key]: value === NOT_MAPPED ? '' : parseInt(value)
+                    }))}
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={NOT_MAPPED}>Not mapped</SelectItem>
+                      {headers.map((header, index) => (
+                        <SelectItem key={index} value={String(index)}>
+                          {header || `Column ${index + 1}`}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              ))}
+            </div>
+            <div className="flex justify-end gap-2">
+              <Button variant="outline" onClick={reset} disabled={isLoading}>Back</Button>
+              <Button onClick={handleMatch} disabled={isLoading}>
+                {isLoading ? (
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                ) : (
+                  <Upload className="mr-2 h-4 w-4" />
+                )}
+                Match {rows.length} Lines
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+function ReconciliationContent() {
+  const [imports, setImports] = useState([])
+  const [selectedImportId, setSelectedImportId] = useState(null)
+  const [lines, setLines] = useState([])
+  const [status, setStatus] = useState(ALL_STATUSES)
+  const [loading, setLoading] = useState(true)
+  const [linesLoading, setLinesLoading] = useState(false)
+  const [resolveTarget, setResolveTarget] = useState(null)
+
+  const loadImports = useCallback(async () => {
+    try {
+      setLoading(true)
+      const data = await getSettlementImports()
+      setImports(data)
+      setSelectedImportId(prev => prev || data[0]?.id || null)
+    } catch (error) {
+      console.error('Failed to load settlement imports:', error)
+      toast.error('Failed to load settlement files')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  const loadLines = useCallback(async () => {
+    if (!selectedImportId) {
+      setLines([])
+      return
+    }
+
+    try {
+      setLinesLoading(true)
+      setLines(await getSettlementLines(selectedImportId))
+    } catch (error) {
+      console.error('Failed to load settlement lines:', error)
+      toast.error('Failed to load settlement lines')
+    } finally {
+      setLinesLoading(false)
+    }
+  }, [selectedImportId])
+
+  useEffect(() => {
+    loadImports()
+  }, [loadImports])
+
+  useEffect(() => {
+    loadLines()
+  }, [loadLines])
+
+  const handleImported = (settlementImport) => {
+    setSelectedImportId(settlementImport.id)
+    setStatus(ALL_STATUSES)
+    loadImports()
+  }
+
+  const handleResolved = () => {
+    loadLines()
+    loadImports()
+  }
+
+  const visibleLines = status === ALL_STATUSES ? lines : lines.filter(line => line.status === status)
+
+  return (
+    <div className="space-y-6">
+      <SettlementUpload onImported={handleImported} />
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Settlement files</CardTitle>
+          <CardDescription>Matched lines reconcile their payments straight away; mismatched and unmatched ones wait for review.</CardDescription>
+        </CardHeader>
+        <CardContent className="p-0">
+          {loading ? (
+            <p className="text-sm text-muted-foreground flex items-center gap-2 p-6">
+              <Loader2 className="h-4 w-4 animate-spin" />
+              Loading settlement files...
+            </p>
+          ) : imports.length === 0 ? (
+            <p className="text-sm text-muted-foreground text-center p-6">No settlement files uploaded yet.</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>File</TableHead>
+                  <TableHead>Uploaded</TableHead>
+                  <TableHead className="text-right">Lines</TableHead>
+                  <TableHead className="text-right">Matched</TableHead>
+                  <TableHead className="text-right">Mismatched</TableHead>
+                  <TableHead className="text-right">Unmatched</TableHead>
+                  <TableHead className="text-right">Resolved</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {imports.map((settlementImport) => (
+                  <TableRow
+                    key={settlementImport.id}
+                    className={`cursor-pointer ${settlementImport.id === selectedImportId ? 'bg-muted' : ''}`}
+                    onClick={() => setSelectedImportId(settlementImport.id)}
+                  >
+                    <TableCell className="font-medium">{settlementImport.file_name || 'Settlement file'}</TableCell>
+                    <TableCell>
+                      {new Date(settlementImport.created_at).toLocaleString()}
+                      {settlementImport.uploader?.full_name && (
+                        <span className="text-muted-foreground"> · {settlementImport.uploader.full_name}</span>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-right">{settlementImport.line_count}</TableCell>
+                    <TableCell className="text-right">{settlementImport.matched_count || 0}</TableCell>
+                    <TableCell className="text-right">{settlementImport.mismatched_count || 0}</TableCell>
+                    <TableCell className="text-right">{settlementImport.unmatched_count || 0}</TableCell>
+                    <TableCell className="text-right">{settlementImport.resolved_count || 0}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      {selectedImportId && (
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between gap-4">
+            <div className="space-y-1.5">
+              <CardTitle>Lines</CardTitle>
+              <CardDescription>Resolve each mismatched or unmatched line against a payment, or ignore it with a note.</CardDescription>
+            </div>
+            <Select value={status} onValueChange={setStatus}>
+              <SelectTrigger className="w-44">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL_STATUSES}>All lines</SelectItem>
+                {Object.entries(SETTLEMENT_LINE_STATUSES).map(([value, config]) => (
+                  <SelectItem key={value} value={value}>{config.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </CardHeader>
+          <CardContent className="p-0">
+            {linesLoading ? (
+              <p className="text-sm text-muted-foreground flex items-center gap-2 p-6">
+                <Loader2 className="h-4 w-4 animate-spin" />
+                Loading lines...
+              </p>
+            ) : visibleLines.length === 0 ? (
+              <p className="text-sm text-muted-foreground text-center p-6">No lines with this status.</p>
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Row</TableHead>
+                    <TableHead>Reference</TableHead>
+                    <TableHead>Date</TableHead>
+                    <TableHead className="text-right">Amount</TableHead>
+                    <TableHead>Payment</TableHead>
+                    <TableHead>Status</TableHead>
+                    <TableHead className="text-right">Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {visibleLines.map((line) => (
+                    <TableRow key={line.id}>
+                      <TableCell>{line.row_number}</TableCell>
+                      <TableCell>
+                        <p className="font-medium">{line.reference || '—'}</p>
+                        {line.description && <p className="text-xs text-muted-foreground">{line.description}</p>}
+                      </TableCell>
+                      <TableCell>{line.settled_date || '—'}</TableCell>
+                      <TableCell className="text-right">{line.amount !== null ? formatMoney(line.amount) : '—'}</TableCell>
+                      <TableCell>
+                        {line.payment ? (
+                          <>
+                            <p>{line.payment.booking?.booking_number || line.payment.gateway_transaction_id || line.payment.id.slice(0, 8)}</p>
+                            <p className="text-xs text-muted-foreground">{formatMoney(line.payment.amount)}</p>
+                          </>
+                        ) : '—'}
+                      </TableCell>
+                      <TableCell>
+                        <Badge className={SETTLEMENT_LINE_STATUSES[line.status]?.color}>
+                          {SETTLEMENT_LINE_STATUSES[line.status]?.label || line.status}
+                        </Badge>
+                        {line.issues?.length > 0 && !['resolved', 'ignored'].includes(line.status) && (
+                          <ul className="mt-1 text-xs text-amber-700">
+                            {line.issues.map((issue) => (
+                              <li key={issue}>{issue}</li>
+                            ))}
+                          </ul>
+                        )}
+                        {line.resolution_note && (
+                          <p className="mt-1 text-xs text-muted-foreground">
+                            {line.resolution_note}
+                            {line.resolver?.full_name && ` (${line.resolver.full_name})`}
+                          </p>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {OPEN_SETTLEMENT_STATUSES.includes(line.status) && (
+                          <Button variant="outline" size="sm" onClick={() => setResolveTarget(line)}>
+                            <Scale className="h-4 w-4 mr-1" />
+                            Resolve
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      <SettlementLineDialog
+        line={resolveTarget}
+        open={!!resolveTarget}
+        onOpenChange={(open) => !open && setResolveTarget(null)}
+        onResolved={handleResolved}
+      />
+    </div>
+  )
+}
+
+export default function ReconciliationPage() {
+  return (
+    <ProtectedRoute allowedRoles={['admin', 'manager']}>
+      <DashboardPage
+        title="Reconciliation"
+        description="Match settlement files to payments and resolve the exceptions"
+        breadcrumb={[
+          { label: 'Dashboard', href: '/dashboard' },
+          { label: 'Payments', href: '/dashboard/payments' },
+          { label: 'Reconciliation' }
+        ]}
+      >
+        <ReconciliationContent />
+      </DashboardPage>
+    </ProtectedRoute>
+  )
+}
@@ -0,0 +1,336 @@
+"use client"
+
+import { useState, useEffect, useCallback } from 'react'
+import { useParams, useRouter } from 'next/navigation'
+import ProtectedRoute from '@/components/ProtectedRoute'
+import { DashboardPage } from '@/components/dashboard-page'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table'
+import { CheckCircle, FileText, Loader2, RefreshCw, RotateCcw, Save, Trash2, Wallet } from 'lucide-react'
+import { toast } from 'sonner'
+import { useAuth } from '@/contexts/AuthContext'
+import {
+  getPayoutBatch,
+  recalculatePayoutBatch,
+  updatePayoutDeduction,
+  approvePayoutBatch,
+  markPayoutBatchPaid,
+  reopenPayoutBatch,
+  deletePayoutBatch
+} from '@/services/payouts'
+import { PAYOUT_STATUSES, validatePayoutDeduction } from '@/utils/payoutUtils'
+
+const formatMoney = (value) => `${(parseFloat(value) || 0).toFixed(2)} MAD`
+
+const formatTimestamp = (value) => value ? new Date(value).toLocaleString() : null
+
+function PayoutDetailContent() {
+  const params = useParams()
+  const router = useRouter()
+  const { profile } = useAuth()
+  const [batch, setBatch] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [deductions, setDeductions] = useState({})
+  const [paymentReference, setPaymentReference] = useState('')
+  const [busyAction, setBusyAction] = useState(null)
+
+  const showBatch = (data) => {
+    setBatch(data)
+    setDeductions(Object.fromEntries((data.items || []).map(item => [
+      item.id,
+      { amount: (parseFloat(item.deductions) || 0).toFixed(2), reason: item.deduction_reason || '' }
+    ])))
+  }
+
+  const loadBatch = useCallback(async () => {
+    try {
+      setLoading(true)
+      showBatch(await getPayoutBatch(params.id))
+    } catch (error) {
+      console.error('Failed to load payout:', error)
+      toast.error('Failed to load payout')
+    } finally {
+      setLoading(false)
+    }
+  }, [params.id])
+
+  useEffect(() => {
+    if (params.id) loadBatch()
+  }, [params.id, loadBatch])
+
+  const runAction = async (name, action, successMessage) => {
+    setBusyAction(name)
+    try {
+      await action()
+      toast.success(successMessage)
+      await loadBatch()
+    } catch (error) {
+      console.error('Payout action failed:', error)
+      toast.error(error.message || 'Failed to update payout')
+    } finally {
+      setBusyAction(null)
+    }
+  }
+
+  const handleDeductionChange = (itemId, field, value) => {
+    setDeductions(prev => ({ ...prev, [itemId]: { ...prev[itemId], [field]: value } }))
+  }
+
+  const handleSaveDeduction = (item) => {
+    const { amount, reason } = deductions[item.id] || {}
+    const validationError = validatePayoutDeduction(item, amount)
+    if (validationError) {
+      toast.error(validationError)
+      return
+    }
+    runAction(`deduction-${item.id}`, () => updatePayoutDeduction(item.id, amount, reason), 'Deduction saved')
+  }
+
+  const handleDelete = async () => {
+    setBusyAction('delete')
+    try {
+      await deletePayoutBatch(batch.id)
+      toast.success(`Payout ${batch.batch_number} deleted`)
+      router.push('/dashboard/payouts')
+    } catch (error) {
+      console.error('Failed to delete payout:', error)
+      toast.error(error.message || 'Failed to delete payout')
+      setBusyAction(null)
+    }
+  }
+
+  if (loading && !batch) {
+    return (
+      <p className="text-sm text-muted-foreground flex items-center gap-2">
+        <Loader2 className="h-4 w-4 animate-spin" />
+        Loading payout...
+      </p>
+    )
+  }
+
+  if (!batch) {
+    return <p className="text-sm text-muted-foreground">Payout not found.</p>
+  }
+
+  const isDraft = batch.status === 'draft'
+  const items = [...(batch.items || [])].sort((a, b) =>
+    (a.worker?.user?.full_name || a.worker?.business_name || '').localeCompare(b.worker?.user?.full_name || b.worker?.business_name || '')
+  )
+  const actionIcon = (name, Icon) => busyAction === name
+    ? <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+    : <Icon className="mr-2 h-4 w-4" />
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Wallet className="h-5 w-5" />
+            Payout {batch.batch_number}
+            <Badge className={PAYOUT_STATUSES[batch.status]?.color}>
+              {PAYOUT_STATUSES[batch.status]?.label || batch.status}
+            </Badge>
+          </CardTitle>
+          <CardDescription>
+            {batch.period_start} to {batch.period_end}. {PAYOUT_STATUSES[batch.status]?.description}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="rounded-lg bg-muted/50 p-4">
+              <p className="text-xs text-muted-foreground">Earnings</p>
+              <p className="text-lg font-semibold">{formatMoney(batch.total_gross)}</p>
+            </div>
+            <div className="rounded-lg bg-muted/50 p-4">
+              <p className="text-xs text-muted-foreground">Deductions</p>
+              <p className="text-lg font-semibold text-red-600">-{formatMoney(batch.total_deductions)}</p>
+            </div>
+            <div className="rounded-lg bg-muted/50 p-4">
+              <p className="text-xs text-muted-foreground">To pay</p>
+              <p className="text-lg font-semibold text-green-600">{formatMoney(batch.total_net)}</p>
+            </div>
+          </div>
+
+          <div className="text-sm text-muted-foreground space-y-1">
+            {batch.notes && <p>{batch.notes}</p>}
+            {batch.creator && <p>Created by {batch.creator.full_name} on {formatTimestamp(batch.created_at)}</p>}
+            {batch.approved_at && <p>Approved by {batch.approver?.full_name || 'Unknown user'} on {formatTimestamp(batch.approved_at)}</p>}
+            {batch.paid_at && (
+              <p>
+                Paid by {batch.payer?.full_name || 'Unknown user'} on {formatTimestamp(batch.paid_at)}
+                {batch.payment_reference && ` (reference ${batch.payment_reference})`}
+              </p>
+            )}
+          </div>
+
+          <div className="flex flex-wrap items-end justify-end gap-2">
+            {isDraft && (
+              <>
+                <Button variant="outline" onClick={handleDelete} disabled={!!busyAction} className="text-red-600 hover:text-red-700">
+                  {actionIcon('delete', Trash2)}
+                  Delete
+                </Button>
+                <Button
+                  variant="outline"
+                  disabled={!!busyAction}
+                  onClick={() => runAction('recalculate', () => recalculatePayoutBatch(batch.id), 'Payout recalculated')}
+                >
+                  {actionIcon('recalculate', RefreshCw)}
+                  Recalculate
+                </Button>
+                <Button
+                  disabled={!!busyAction || items.length === 0}
+                  onClick={() => runAction('approve', () => approvePayoutBatch(batch.id, profile?.id), 'Payout approved')}
+                >
+                  {actionIcon('approve', CheckCircle)}
+                  Approve
+                </Button>
+              </>
+            )}
+            {batch.status === 'approved' && (
+              <>
+                <Button
+                  variant="outline"
+                  disabled={!!busyAction}
+                  onClick={() => runAction('reopen', () => reopenPayoutBatch(batch.id), 'Payout reopened as a draft')}
+                >
+                  {actionIcon('reopen', RotateCcw)}
+                  Reopen
+                </Button>
+                <div className="space-y-2">
+                  <Label htmlFor="payment_reference" className="text-xs">Transfer reference</Label>
+                  <Input
+                    id="payment_reference"
+                    value={paymentReference}
+                    onChange={(e) => setPaymentReference(e.target.value)}
+                    placeholder="Optional"
+                    className="w-48"
+                  />
+                </div>
+                <Button
+                  disabled={!!busyAction}
+                  onClick={() => runAction('pay', () => markPayoutBatchPaid(batch.id, profile?.id, paymentReference), 'Payout marked as paid')}
+                >
+                  {actionIcon('pay', Wallet)}
+                  Mark as Paid
+                </Button>
+              </>
+            )}
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardContent className="p-0">
+          {items.length === 0 ? (
+            <p className="text-sm text-muted-foreground text-center p-6">
+              No unpaid worker earnings were found in this period.
+            </p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Worker</TableHead>
+                  <TableHead>Jobs</TableHead>
+                  <TableHead className="text-right">Earnings</TableHead>
+                  <TableHead>Deductions</TableHead>
+                  <TableHead className="text-right">Net</TableHead>
+                  <TableHead className="text-right">Statement</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {items.map((item) => (
+                  <TableRow key={item.id}>
+                    <TableCell>
+                      <div className="font-medium">{item.worker?.user?.full_name || 'Unknown worker'}</div>
+                      {item.worker?.business_name && (
+                        <div className="text-xs text-muted-foreground">{item.worker.business_name}</div>
+                      )}
+                    </TableCell>
+                    <TableCell>{item.lines?.length || 0}</TableCell>
+                    <TableCell className="text-right">{formatMoney(item.gross_earnings)}</TableCell>
+                    <TableCell>
+                      {isDraft ? (
+                        <div className="flex items-center gap-2">
+                          <Input
+                            type="number"
+                            min="0"
+                            max={item.gross_earnings}
+                            step="0.01"
+                            value={deductions[item.id]?.amount ?? ''}
+                            onChange={(e) => handleDeductionChange(item.id, 'amount', e.target.value)}
+                            className="w-24"
+                          />
+                          <Input
+                            value={deductions[item.id]?.reason ?? ''}
+                            onChange={(e) => handleDeductionChange(item.id, 'reason', e.target.value)}
+                            placeholder="Reason"
+                            className="w-40"
+                          />
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            title="Save deduction"
+                            disabled={!!busyAction}
+                            onClick={() => handleSaveDeduction(item)}
+                          >
+                            {busyAction === `deduction-${item.id}`
+                              ? <Loader2 className="h-4 w-4 animate-spin" />
+                              : <Save className="h-4 w-4" />}
+                          </Button>
+                        </div>
+                      ) : (
+                        <div>
+                          <div>{formatMoney(item.deductions)}</div>
+                          {item.deduction_reason && (
+                            <div className="text-xs text-muted-foreground">{item.deduction_reason}</div>
+                          )}
+                        </div>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-right font-medium">{formatMoney(item.net_amount)}</TableCell>
+                    <TableCell className="text-right">
+                      <Button variant="ghost" size="sm" onClick={() => window.open(`/payouts/${item.id}/statement`, '_blank')}>
+                        <FileText className="h-4 w-4 mr-1" />
+                        Open
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
+
+export default function PayoutDetailPage() {
+  return (
+    <ProtectedRoute allowedRoles={['admin', 'manager']}>
+      <DashboardPage
+        title="Payout"
+        description="Review worker earnings and deductions before paying out"
+        breadcrumb={[
+          { label: 'Dashboard', href: '/dashboard' },
+          { label: 'Payouts', href: '/dashboard/payouts' },
+          { label: 'Payout' }
+        ]}
+      >
+        <PayoutDetailContent />
+      </DashboardPage>
+    </ProtectedRoute>
+  )
+}
@@ -0,0 +1,253 @@
+"use client"
+
+import { useState, useEffect, useCallback } from 'react'
+import { useRouter } from 'next/navigation'
+import ProtectedRoute from '@/components/ProtectedRoute'
+import { DashboardPage } from '@/components/dashboard-page'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table'
+import { Eye, Loader2, Plus, Trash2, Wallet } from 'lucide-react'
+import { toast } from 'sonner'
+import { useAuth } from '@/contexts/AuthContext'
+import { getPayoutBatches, createPayoutBatch, deletePayoutBatch } from '@/services/payouts'
+import { PAYOUT_STATUSES, validatePayoutPeriod } from '@/utils/payoutUtils'
+import { addDaysToDateString, getBusinessMonthStart } from '@/utils/timeZoneUtils'
+
+// Select value for showing every status (Select items can't use an empty string)
+const ALL_STATUSES = 'all'
+
+const formatMoney = (value) => `${(parseFloat(value) || 0).toFixed(2)} MAD`
+
+// Payouts usually settle the previous business month
+const getDefaultPeriod = () => {
+  const periodEnd = addDaysToDateString(getBusinessMonthStart(), -1)
+  return { periodStart: `${periodEnd.slice(0, 7)}-01`, periodEnd }
+}
+
+function PayoutsContent() {
+  const router = useRouter()
+  const { profile } = useAuth()
+  const [batches, setBatches] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [status, setStatus] = useState(ALL_STATUSES)
+  const [period, setPeriod] = useState(getDefaultPeriod)
+  const [notes, setNotes] = useState('')
+  const [isCreating, setIsCreating] = useState(false)
+
+  const isStaff = ['admin', 'manager'].includes(profile?.role)
+
+  const loadBatches = useCallback(async () => {
+    try {
+      setLoading(true)
+      const data = await getPayoutBatches({ status: status === ALL_STATUSES ? '' : status })
+      setBatches(data)
+    } catch (error) {
+      console.error('Failed to load payouts:', error)
+      toast.error('Failed to load payouts')
+    } finally {
+      setLoading(false)
+    }
+  }, [status])
+
+  useEffect(() => {
+    if (isStaff) loadBatches()
+  }, [isStaff, loadBatches])
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+
+    const validationError = validatePayoutPeriod(period.periodStart, period.periodEnd)
+    if (validationError) {
+      toast.error(validationError)
+      return
+    }
+
+    setIsCreating(true)
+    try {
+      const batch = await createPayoutBatch({ ...period, notes }, profile?.id)
+      toast.success(batch.items?.length
+        ? `Payout ${batch.batch_number} created for ${batch.items.length} workers`
+        : `Payout ${batch.batch_number} created, but no unpaid earnings were found in the period`)
+      setNotes('')
+      router.push(`/dashboard/payouts/${batch.id}`)
+    } catch (error) {
+      console.error('Failed to create payout:', error)
+      toast.error(error.message || 'Failed to create payout')
+    } finally {
+      setIsCreating(false)
+    }
+  }
+
+  const handleDelete = async (batch) => {
+    try {
+      await deletePayoutBatch(batch.id)
+      toast.success(`Payout ${batch.batch_number} deleted`)
+      loadBatches()
+    } catch (error) {
+      console.error('Failed to delete payout:', error)
+      toast.error(error.message || 'Failed to delete payout')
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Wallet className="h-5 w-5" />
+            New payout
+          </CardTitle>
+          <CardDescription>
+            Collects each worker&apos;s earnings from payments processed in the period that haven&apos;t been paid out yet.
+            Refunds are already taken off the earnings.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleCreate} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+            <div className="space-y-2">
+              <Label htmlFor="payout_start">First day *</Label>
+              <Input
+                id="payout_start"
+                type="date"
+                value={period.periodStart}
+                onChange={(e) => setPeriod(prev => ({ ...prev, periodStart: e.target.value }))}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="payout_end">Last day *</Label>
+              <Input
+                id="payout_end"
+                type="date"
+                value={period.periodEnd}
+                min={period.periodStart || undefined}
+                onChange={(e) => setPeriod(prev => ({ ...prev, periodEnd: e.target.value }))}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="payout_notes">Notes</Label>
+              <Input
+                id="payout_notes"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                placeholder="Optional"
+              />
+            </div>
+            <Button type="submit" disabled={isCreating}>
+              {isCreating ? (
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              ) : (
+                <Plus className="mr-2 h-4 w-4" />
+              )}
+              Create Draft
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      <Select value={status} onValueChange={setStatus}>
+        <SelectTrigger className="w-44">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value={ALL_STATUSES}>All statuses</SelectItem>
+          {Object.entries(PAYOUT_STATUSES).map(([value, config]) => (
+            <SelectItem key={value} value={value}>{config.label}</SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+
+      <Card>
+        <CardContent className="p-0">
+          {loading ? (
+            <p className="text-sm text-muted-foreground flex items-center gap-2 p-6">
+              <Loader2 className="h-4 w-4 animate-spin" />
+              Loading payouts...
+            </p>
+          ) : batches.length === 0 ? (
+            <p className="text-sm text-muted-foreground text-center p-6">No payouts found.</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Payout</TableHead>
+                  <TableHead>Period</TableHead>
+                  <TableHead>Workers</TableHead>
+                  <TableHead className="text-right">Earnings</TableHead>
+                  <TableHead className="text-right">Deductions</TableHead>
+                  <TableHead className="text-right">Net</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {batches.map((batch) => (
+                  <TableRow key={batch.id}>
+                    <TableCell className="font-medium">{batch.batch_number}</TableCell>
+                    <TableCell>{batch.period_start} to {batch.period_end}</TableCell>
+                    <TableCell>{batch.items?.[0]?.count || 0}</TableCell>
+                    <TableCell className="text-right">{formatMoney(batch.total_gross)}</TableCell>
+                    <TableCell className="text-right">{formatMoney(batch.total_deductions)}</TableCell>
+                    <TableCell className="text-right font-medium">{formatMoney(batch.total_net)}</TableCell>
+                    <TableCell>
+                      <Badge className={PAYOUT_STATUSES[batch.status]?.color}>
+                        {PAYOUT_STATUSES[batch.status]?.label || batch.status}
+                      </Badge>
+                    </TableCell>
+                    <TableCell>
+                      <div className="flex justify-end gap-1">
+                        <Button variant="ghost" size="sm" title="View" onClick={() => router.push(`/dashboard/payouts/${batch.id}`)}>
+                          <Eye className="h-4 w-4" />
+                        </Button>
+                        {batch.status === 'draft' && (
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            title="Delete"
+                            className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                            onClick={() => handleDelete(batch)}
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        )}
+                      </div>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
+
+export default function PayoutsPage() {
+  return (
+    <ProtectedRoute allowedRoles={['admin', 'manager']}>
+      <DashboardPage
+        title="Payouts"
+        description="Settle worker earnings per period and share their statements"
+        breadcrumb={[
+          { label: 'Dashboard', href: '/dashboard' },
+          { label: 'Payments', href: '/dashboard/payments' },
+          { label: 'Payouts' }
+        ]}
+      >
+        <PayoutsContent />
+      </DashboardPage>
+    </ProtectedRoute>
+  )
+}
@@ -0,0 +1,105 @@
+"use client"
+
+import { useState, useEffect } from 'react'
+import { useRouter, useParams } from 'next/navigation'
+import { QuoteForm } from '@/components/QuoteForm'
+import { Alert, AlertDescription } from '@/components/ui/alert'
+import { AlertCircle, Loader2 } from 'lucide-react'
+import { toast } from 'sonner'
+import { getQuote, saveQuote } from '@/services/quotes'
+import { getCustomersForBooking, getServicesForBooking } from '@/services/bookingHelpers'
+import { EDITABLE_QUOTE_STATUSES } from '@/utils/quoteUtils'
+import ProtectedRoute from '@/components/ProtectedRoute'
+import { DashboardPage } from '@/components/dashboard-page'
+
+export default function EditQuotePage() {
+  const router = useRouter()
+  const params = useParams()
+  const quoteId = params.id
+
+  const [quote, setQuote] = useState(null)
+  const [customers, setCustomers] = useState([])
+  const [services, setServices] = useState([])
+  const [isLoadingData, setIsLoadingData] = useState(true)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  useEffect(() => {
+    const loadData = async () => {
+      try {
+        const [quoteData, customerData, serviceData] = await Promise.all([
+          getQuote(quoteId),
+          getCustomersForBooking(),
+          getServicesForBooking()
+        ])
+        setQuote(quoteData)
+        setCustomers(customerData || [])
+        setServices(serviceData || [])
+      } catch (error) {
+        console.error('Error loading quote:', error)
+        toast.error('Failed to load quote')
+      } finally {
+        setIsLoadingData(false)
+      }
+    }
+
+    if (quoteId) {
+      loadData()
+    }
+  }, [quoteId])
+
+  const handleSubmit = async (quoteData) => {
+    setIsSubmitting(true)
+    try {
+      await saveQuote({ ...quoteData, id: quote.id, status: quote.status })
+      toast.success(`Quote ${quote.quote_number} updated`)
+      router.push('/dashboard/quotes')
+    } catch (error) {
+      console.error('Error updating quote:', error)
+      toast.error(error.message || 'Failed to update quote')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <ProtectedRoute allowedRoles={['admin', 'manager']}>
+      <DashboardPage
+        title={quote ? `Edit ${quote.quote_number}` : 'Edit Quote'}
+        description="Update the quoted vehicles, prices and validity"
+        breadcrumb={[
+          { label: 'Dashboard', href: '/dashboard' },
+          { label: 'Quotes', href: '/dashboard/quotes' },
+          { label: 'Edit' }
+        ]}
+      >
+        {isLoadingData ? (
+          <div className="flex items-center justify-center h-64">
+            <Loader2 className="h-8 w-8 animate-spin text-primary" />
+            <span className="ml-2">Loading quote...</span>
+          </div>
+        ) : !quote ? (
+          <Alert className="border-red-200 bg-red-50">
+            <AlertCircle className="h-4 w-4 text-red-600" />
+            <AlertDescription className="text-red-800">Quote not found.</AlertDescription>
+          </Alert>
+        ) : !EDITABLE_QUOTE_STATUSES.includes(quote.status) ? (
+          <Alert className="border-red-200 bg-red-50">
+            <AlertCircle className="h-4 w-4 text-red-600" />
+            <AlertDescription className="text-red-800">
+              This quote is {quote.status} and can no longer be changed.
+            </AlertDescription>
+          </Alert>
+        ) : (
+          <QuoteForm
+            quote={quote}
+            customers={customers}
+            services={services}
+            onSubmit={handleSubmit}
+            onCancel={() => router.push('/dashboard/quotes')}
+            isLoading={isSubmitting}
+          />
+        )}
+      </DashboardPage>
+    </ProtectedRoute>
+  )
+}
@@ -0,0 +1,82 @@
+"use client"
+
+import { useState, useEffect } from 'react'
+import { useRouter } from 'next/navigation'
+import { QuoteForm } from '@/components/QuoteForm'
+import { Loader2 } from 'lucide-react'
+import { toast } from 'sonner'
+import { saveQuote } from '@/services/quotes'
+import { getCustomersForBooking, getServicesForBooking } from '@/services/bookingHelpers'
+import ProtectedRoute from '@/components/ProtectedRoute'
+import { DashboardPage } from '@/components/dashboard-page'
+
+export default function CreateQuotePage() {
+  const router = useRouter()
+  const [customers, setCustomers] = useState([])
+  const [services, setServices] = useState([])
+  const [isLoadingData, setIsLoadingData] = useState(true)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  useEffect(() => {
+    const loadData = async () => {
+      try {
+        const [customerData, serviceData] = await Promise.all([
+          getCustomersForBooking(),
+          getServicesForBooking()
+        ])
+        setCustomers(customerData || [])
+        setServices(serviceData || [])
+      } catch (error) {
+        console.error('Error loading quote form data:', error)
+        toast.error('Failed to load form data. Please refresh the page.')
+      } finally {
+        setIsLoadingData(false)
+      }
+    }
+
+    loadData()
+  }, [])
+
+  const handleSubmit = async (quoteData) => {
+    setIsSubmitting(true)
+    try {
+      const quote = await saveQuote(quoteData)
+      toast.success(`Quote ${quote.quote_number} created`)
+      router.push('/dashboard/quotes')
+    } catch (error) {
+      console.error('Error creating quote:', error)
+      toast.error(error.message || 'Failed to create quote')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <ProtectedRoute allowedRoles={['admin', 'manager']}>
+      <DashboardPage
+        title="New Quote"
+        description="Price the job before committing to a booking"
+        breadcrumb={[
+          { label: 'Dashboard', href: '/dashboard' },
+          { label: 'Quotes', href: '/dashboard/quotes' },
+          { label: 'Create' }
+        ]}
+      >
+        {isLoadingData ? (
+          <div className="flex items-center justify-center h-64">
+            <Loader2 className="h-8 w-8 animate-spin text-primary" />
+            <span className="ml-2">Loading form data...</span>
+          </div>
+        ) : (
+          <QuoteForm
+            customers={customers}
+            services={services}
+            onSubmit={handleSubmit}
+            onCancel={() => router.push('/dashboard/quotes')}
+            isLoading={isSubmitting}
+          />
+        )}
+      </DashboardPage>
+    </ProtectedRoute>
+  )
+}
@@ -0,0 +1,256 @@
+"use client"
+
+import { useState, useEffect, useCallback } from 'react'
+import { useRouter } from 'next/navigation'
+import ProtectedRoute from '@/components/ProtectedRoute'
+import { DashboardPage } from '@/components/dashboard-page'
+import { AcceptQuoteDialog } from '@/components/AcceptQuoteDialog'
+import { Card, CardContent } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Input } from '@/components/ui/input'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table'
+import { CheckCircle, Edit, Loader2, Plus, Printer, Send, Trash2, XCircle } from 'lucide-react'
+import { toast } from 'sonner'
+import { getQuotes, markQuoteSent, expireQuote, deleteQuote } from '@/services/quotes'
+import { getWorkersForBooking } from '@/services/bookingHelpers'
+import { QUOTE_STATUSES, EDITABLE_QUOTE_STATUSES, getQuoteStatus } from '@/utils/quoteUtils'
+import { getTodayDateString } from '@/utils/scheduleUtils'
+
+// Select value for showing every status (Select items can't use an empty string)
+const ALL_STATUSES = 'all'
+
+function QuotesContent() {
+  const router = useRouter()
+  const [quotes, setQuotes] = useState([])
+  const [workers, setWorkers] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [status, setStatus] = useState(ALL_STATUSES)
+  const [search, setSearch] = useState('')
+  const [acceptingQuote, setAcceptingQuote] = useState(null)
+
+  const today = getTodayDateString()
+
+  const loadQuotes = useCallback(async () => {
+    try {
+      setLoading(true)
+      const data = await getQuotes({ search: search.trim() })
+      setQuotes(data)
+    } catch (error) {
+      console.error('Failed to load quotes:', error)
+      toast.error('Failed to load quotes')
+    } finally {
+      setLoading(false)
+    }
+  }, [search])
+
+  useEffect(() => {
+    const timer = setTimeout(loadQuotes, 300)
+    return () => clearTimeout(timer)
+  }, [loadQuotes])
+
+  useEffect(() => {
+    getWorkersForBooking()
+      .then(setWorkers)
+      .catch(error => console.error('Failed to load workers:', error))
+  }, [])
+
+  // Open quotes past their validity date count as expired
+  const visibleQuotes = quotes.filter(quote => status === ALL_STATUSES || getQuoteStatus(quote, today) === status)
+
+  const runAction = async (action, successMessage) => {
+    try {
+      await action()
+      toast.success(successMessage)
+      loadQuotes()
+    } catch (error) {
+      console.error('Quote action failed:', error)
+      toast.error(error.message || 'Failed to update quote')
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex flex-wrap items-center gap-3">
+          <Input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search quote number"
+            className="w-56"
+          />
+          <Select value={status} onValueChange={setStatus}>
+            <SelectTrigger className="w-44">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL_STATUSES}>All statuses</SelectItem>
+              {Object.entries(QUOTE_STATUSES).map(([value, config]) => (
+                <SelectItem key={value} value={value}>{config.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <Button onClick={() => router.push('/dashboard/quotes/create')}>
+          <Plus className="h-4 w-4 mr-2" />
+          New Quote
+        </Button>
+      </div>
+
+      <Card>
+        <CardContent className="p-0">
+          {loading ? (
+            <p className="text-sm text-muted-foreground flex items-center gap-2 p-6">
+              <Loader2 className="h-4 w-4 animate-spin" />
+              Loading quotes...
+            </p>
+          ) : visibleQuotes.length === 0 ? (
+            <p className="text-sm text-muted-foreground text-center p-6">No quotes found.</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Quote</TableHead>
+                  <TableHead>Customer</TableHead>
+                  <TableHead>Vehicles</TableHead>
+                  <TableHead className="text-right">Total</TableHead>
+                  <TableHead>Valid Until</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {visibleQuotes.map((quote) => {
+                  const quoteStatus = getQuoteStatus(quote, today)
+                  const isOpen = EDITABLE_QUOTE_STATUSES.includes(quoteStatus)
+                  return (
+                    <TableRow key={quote.id}>
+                      <TableCell className="font-medium">{quote.quote_number}</TableCell>
+                      <TableCell>{quote.customer?.full_name || 'N/A'}</TableCell>
+                      <TableCell>{quote.vehicles?.length || 0}</TableCell>
+                      <TableCell className="text-right">{(parseFloat(quote.total_price) || 0).toFixed(2)} MAD</TableCell>
+                      <TableCell>{quote.valid_until}</TableCell>
+                      <TableCell>
+                        <Badge className={QUOTE_STATUSES[quoteStatus]?.color}>
+                          {QUOTE_STATUSES[quoteStatus]?.label || quoteStatus}
+                        </Badge>
+                        {quote.booking && (
+                          <Button
+                            variant="link"
+                            size="sm"
+                            onClick={() => router.push(`/dashboard/bookings/${quote.booking.id}/edit`)}
+                          >
+                            {quote.booking.booking_number}
+                          </Button>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <div className="flex justify-end gap-1">
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            title="Print"
+                            onClick={() => window.open(`/quotes/${quote.id}/print`, '_blank')}
+                          >
+                            <Printer className="h-4 w-4" />
+                          </Button>
+                          {isOpen && (
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              title="Edit"
+                              onClick={() => router.push(`/dashboard/quotes/${quote.id}/edit`)}
+                            >
+                              <Edit className="h-4 w-4" />
+                            </Button>
+                          )}
+                          {quoteStatus === 'draft' && (
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              title="Mark as sent"
+                              onClick={() => runAction(() => markQuoteSent(quote.id), `${quote.quote_number} marked as sent`)}
+                            >
+                              <Send className="h-4 w-4" />
+                            </Button>
+                          )}
+                          {isOpen && (
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              title="Accept and book"
+                              onClick={() => setAcceptingQuote(quote)}
+                            >
+                              <CheckCircle className="h-4 w-4" />
+                            </Button>
+                          )}
+                          {EDITABLE_QUOTE_STATUSES.includes(quote.status) && (
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              title="Mark as expired"
+                              onClick={() => runAction(() => expireQuote(quote.id), `${quote.quote_number} expired`)}
+                            >
+                              <XCircle className="h-4 w-4" />
+                            </Button>
+                          )}
+                          {quote.status === 'draft' && (
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              title="Delete"
+                              className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                              onClick={() => runAction(() => deleteQuote(quote.id), `${quote.quote_number} deleted`)}
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </Button>
+                          )}
+                        </div>
+                      </TableCell>
+                    </TableRow>
+                  )
+                })}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      <AcceptQuoteDialog
+        quote={acceptingQuote}
+        workers={workers}
+        open={!!acceptingQuote}
+        onOpenChange={(open) => !open && setAcceptingQuote(null)}
+        onAccepted={(booking) => {
+          setAcceptingQuote(null)
+          router.push(`/dashboard/bookings/${booking.id}/edit`)
+        }}
+      />
+    </div>
+  )
+}
+
+export default function QuotesPage() {
+  return (
+    <ProtectedRoute allowedRoles={['admin', 'manager']}>
+      <DashboardPage
+        title="Quotes"
+        description="Price custom jobs before booking them and turn accepted quotes into bookings"
+        breadcrumb={[
+          { label: 'Dashboard', href: '/dashboard' },
+          { label: 'Quotes' }
+        ]}
+      >
+        <QuotesContent />
+      </DashboardPage>
+    </ProtectedRoute>
+  )
+}
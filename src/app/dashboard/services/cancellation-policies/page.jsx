@@ -0,0 +1,317 @@
+"use client"
+
+import { useState, useEffect } from 'react'
+import { ProtectedRoute } from '@/components/ProtectedRoute'
+import { DashboardPage } from '@/components/dashboard-page'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Switch } from '@/components/ui/switch'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { Edit, Loader2, Plus, Trash2 } from 'lucide-react'
+import { toast } from 'sonner'
+import {
+  getCancellationPolicies,
+  saveCancellationPolicy,
+  deleteCancellationPolicy
+} from '@/services/cancellation'
+import { getServiceCategories } from '@/services/services'
+import { DEFAULT_CANCELLATION_POLICY, describeCancellationPolicy } from '@/utils/cancellationUtils'
+
+// Select value for the catch-all policy (Select items can't use an empty string)
+const ALL_CATEGORIES = 'all'
+
+const emptyPolicy = () => ({
+  id: null,
+  name: '',
+  service_category: ALL_CATEGORIES,
+  tiers: DEFAULT_CANCELLATION_POLICY.tiers.map(tier => ({ ...tier })),
+  cancel_cutoff_hours: 0,
+  is_active: true
+})
+
+function CancellationPoliciesContent() {
+  const [policies, setPolicies] = useState([])
+  const [categories, setCategories] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [editing, setEditing] = useState(null)
+  const [isSaving, setIsSaving] = useState(false)
+
+  const loadPolicies = async () => {
+    try {
+      const [policyData, categoryData] = await Promise.all([
+        getCancellationPolicies(),
+        getServiceCategories()
+      ])
+      setPolicies(policyData)
+      setCategories(categoryData)
+    } catch (error) {
+      console.error('Failed to load cancellation policies:', error)
+      toast.error('Failed to load cancellation policies')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadPolicies()
+  }, [])
+
+  const startEditing = (policy) => {
+    setEditing(policy
+      ? { ...policy, service_category: policy.service_category || ALL_CATEGORIES, tiers: [...(policy.tiers || [])] }
+      : emptyPolicy())
+  }
+
+  const updateTier = (index, field, value) => {
+    setEditing(prev => ({
+      ...prev,
+      tiers: prev.tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier))
+    }))
+  }
+
+  const handleSave = async () => {
+    if (!editing.name.trim()) {
+      toast.error('Please enter a policy name')
+      return
+    }
+    if (editing.tiers.length === 0) {
+      toast.error('Add at least one fee tier')
+      return
+    }
+    if (editing.tiers.some(tier => parseFloat(tier.fee_percentage) < 0 || parseFloat(tier.fee_percentage) > 100)) {
+      toast.error('Fee percentages must be between 0 and 100')
+      return
+    }
+
+    setIsSaving(true)
+    try {
+      await saveCancellationPolicy({
+        ...editing,
+        name: editing.name.trim(),
+        service_category: editing.service_category === ALL_CATEGORIES ? null : editing.service_category
+      })
+      toast.success('Cancellation policy saved')
+      setEditing(null)
+      loadPolicies()
+    } catch (error) {
+      console.error('Failed to save cancellation policy:', error)
+      toast.error(error.message || 'Failed to save cancellation policy')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleDelete = async (policy) => {
+    try {
+      await deleteCancellationPolicy(policy.id)
+      toast.success(`${policy.name} deleted`)
+      loadPolicies()
+    } catch (error) {
+      console.error('Failed to delete cancellation policy:', error)
+      toast.error('Failed to delete cancellation policy')
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-end">
+        <Button onClick={() => startEditing(null)} disabled={!!editing}>
+          <Plus className="h-4 w-4 mr-2" />
+          Add Policy
+        </Button>
+      </div>
+
+      {editing && (
+        <Card>
+          <CardHeader>
+            <CardTitle>{editing.id ? 'Edit Policy' : 'New Policy'}</CardTitle>
+            <CardDescription>
+              The first tier whose notice is met applies. Bookings inside the cutoff can no longer be cancelled.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid md:grid-cols-3 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="policy_name">Name *</Label>
+                <Input
+                  id="policy_name"
+                  value={editing.name}
+                  onChange={(e) => setEditing(prev => ({ ...prev, name: e.target.value }))}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label>Service category</Label>
+                <Select
+                  value={editing.service_category}
+                  onValueChange={(value) => setEditing(prev => ({ ...prev, service_category: value }))}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={ALL_CATEGORIES}>All categories</SelectItem>
+                    {categories.map((category) => (
+                      <SelectItem key={category} value={category}>
+                        {category}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="cancel_cutoff_hours">Cancellation cutoff (hours before)</Label>
+                <Input
+                  id="cancel_cutoff_hours"
+                  type="number"
+                  min="0"
+                  value={editing.cancel_cutoff_hours}
+                  onChange={(e) => setEditing(prev => ({ ...prev, cancel_cutoff_hours: e.target.value }))}
+                />
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <Label>Fee tiers</Label>
+              {editing.tiers.map((tier, index) => (
+                <div key={index} className="flex items-center gap-2">
+                  <Input
+                    type="number"
+                    min="0"
+                    value={tier.hours_before}
+                    onChange={(e) => updateTier(index, 'hours_before', e.target.value)}
+                    className="w-28"
+                  />
+                  <span className="text-sm text-muted-foreground">hours or more before:</span>
+                  <Input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={tier.fee_percentage}
+                    onChange={(e) => updateTier(index, 'fee_percentage', e.target.value)}
+                    className="w-24"
+                  />
+                  <span className="text-sm text-muted-foreground">% fee</span>
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setEditing(prev => ({ ...prev, tiers: prev.tiers.filter((_, i) => i !== index) }))}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              ))}
+              <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                onClick={() => setEditing(prev => ({ ...prev, tiers: [...prev.tiers, { hours_before: 0, fee_percentage: 0 }] }))}
+              >
+                <Plus className="h-4 w-4 mr-2" />
+                Add Tier
+              </Button>
+            </div>
+
+            <div className="flex items-center gap-2">
+              <Switch
+                id="policy_active"
+                checked={editing.is_active}
+                onCheckedChange={(checked) => setEditing(prev => ({ ...prev, is_active: checked }))}
+              />
+              <Label htmlFor="policy_active">Active</Label>
+            </div>
+
+            <div className="flex justify-end gap-2">
+              <Button variant="outline" onClick={() => setEditing(null)} disabled={isSaving}>
+                Cancel
+              </Button>
+              <Button onClick={handleSave} disabled={isSaving}>
+                {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Save Policy
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-muted-foreground flex items-center gap-2">
+          <Loader2 className="h-4 w-4 animate-spin" />
+          Loading policies...
+        </p>
+      ) : policies.length === 0 ? (
+        <Card>
+          <CardContent className="py-6 space-y-2">
+            <p className="text-sm text-muted-foreground">
+              No policies configured. The built-in {DEFAULT_CANCELLATION_POLICY.name} policy applies to every booking:
+            </p>
+            <ul className="list-inside list-disc text-sm">
+              {describeCancellationPolicy(DEFAULT_CANCELLATION_POLICY).map((line) => (
+                <li key={line}>{line}</li>
+              ))}
+            </ul>
+          </CardContent>
+        </Card>
+      ) : (
+        <div className="grid md:grid-cols-2 gap-4">
+          {policies.map((policy) => (
+            <Card key={policy.id}>
+              <CardHeader>
+                <CardTitle className="flex items-center justify-between gap-2">
+                  <span>{policy.name}</span>
+                  <div className="flex gap-2">
+                    <Badge variant="outline">{policy.service_category || 'All categories'}</Badge>
+                    {!policy.is_active && <Badge variant="secondary">Inactive</Badge>}
+                  </div>
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <ul className="list-inside list-disc text-sm text-muted-foreground">
+                  {describeCancellationPolicy(policy).map((line) => (
+                    <li key={line}>{line}</li>
+                  ))}
+                </ul>
+                <div className="flex gap-2">
+                  <Button variant="outline" size="sm" onClick={() => startEditing(policy)} disabled={!!editing}>
+                    <Edit className="h-4 w-4 mr-2" />
+                    Edit
+                  </Button>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleDelete(policy)}
+                    className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                  >
+                    <Trash2 className="h-4 w-4 mr-2" />
+                    Delete
+                  </Button>
+                </div>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default function CancellationPoliciesPage() {
+  return (
+    <ProtectedRoute allowedRoles={['admin', 'manager']}>
+      <DashboardPage
+        title="Cancellation Policies"
+        description="Set late-cancellation fees and cutoffs per service category"
+        breadcrumb={[
+          { label: 'Dashboard', href: '/dashboard' },
+          { label: 'Services', href: '/dashboard/services' },
+          { label: 'Cancellation Policies' }
+        ]}
+      >
+        <CancellationPoliciesContent />
+      </DashboardPage>
+    </ProtectedRoute>
+  )
+}
@@ -8,7 +8,7 @@ import { ServicesTable } from "@/components/services-table";
 import { Card, CardContent } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
-import { Plus } from "lucide-react";
+import { Ban, Plus } from "lucide-react";
 import { getServices, getServiceStats, getServiceCategories } from "@/services/services";
 import { toast } from "sonner";
 import { Skeleton } from "@/components/ui/skeleton";
@@ -316,7 +316,11 @@ export default function ServicesPage() {
           </div>
         </FilterSection>
 
-        <div className="flex justify-end">
+        <div className="flex justify-end gap-2">
+          <Button variant="outline" onClick={() => router.push('/dashboard/services/cancellation-policies')}>
+            <Ban className="h-4 w-4 mr-2" />
+            Cancellation Policies
+          </Button>
           <Button onClick={() => router.push('/dashboard/services/create')}>
             <Plus className="h-4 w-4 mr-2" />
             Add Service
@@ -25,9 +25,13 @@ import {
   Edit,
   ArrowLeft,
   CheckCircle,
-  XCircle
+  XCircle,
+  Briefcase
 } from 'lucide-react'
 import { getWorkerById, updateWorkerStatus } from '@/services/workers'
+import { getWorkerJobs } from '@/services/bookingCrew'
+import { BOOKING_STATUSES } from '@/utils/bookingUtils'
+import { CREW_ROLES } from '@/utils/crewUtils'
 
 const WORKER_STATUSES = [
   { value: 'available', label: 'Available', color: 'bg-green-500', icon: CheckCircle },
@@ -44,6 +48,8 @@ export default function WorkerDetailPage() {
   const [isLoading, setIsLoading] = useState(true)
   const [error, setError] = useState(null)
   const [isUpdatingStatus, setIsUpdatingStatus] = useState(false)
+  const [jobs, setJobs] = useState([])
+  const [isLoadingJobs, setIsLoadingJobs] = useState(true)
 
   // Fetch worker data
   const fetchWorker = async () => {
@@ -62,6 +68,20 @@ export default function WorkerDetailPage() {
     }
   }
 
+  // Fetch the bookings this worker leads or helps on
+  const fetchJobs = async () => {
+    try {
+      setIsLoadingJobs(true)
+      const jobsData = await getWorkerJobs(workerId)
+      setJobs(jobsData)
+    } catch (error) {
+      console.error('Error fetching worker jobs:', error)
+      toast.error('Failed to load worker jobs')
+    } finally {
+      setIsLoadingJobs(false)
+    }
+  }
+
   // Handle status update
   const handleStatusUpdate = async (newStatus) => {
     try {
@@ -94,6 +114,7 @@ export default function WorkerDetailPage() {
   useEffect(() => {
     if (workerId) {
       fetchWorker()
+      fetchJobs()
     }
   }, [workerId])
 
@@ -313,6 +334,57 @@ export default function WorkerDetailPage() {
                 )}
               </CardContent>
             </Card>
+
+            {/* Jobs, including crew jobs led by another worker */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Briefcase className="h-5 w-5" />
+                  Recent Jobs
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                {isLoadingJobs ? (
+                  <div className="space-y-2">
+                    {[...Array(3)].map((_, i) => (
+                      <Skeleton key={i} className="h-10 w-full" />
+                    ))}
+                  </div>
+                ) : jobs.length === 0 ? (
+                  <p className="text-gray-500">No jobs yet</p>
+                ) : (
+                  <div className="divide-y">
+                    {jobs.map(({ booking, role, share_percent, earnings, crewSize }) => (
+                      <div key={booking.id} className="flex flex-wrap items-center justify-between gap-2 py-3">
+                        <div className="space-y-1">
+                          <div className="flex items-center gap-2">
+                            <span className="font-medium">{booking.booking_number}</span>
+                            <Badge className={BOOKING_STATUSES[booking.status]?.color}>
+                              {BOOKING_STATUSES[booking.status]?.label || booking.status}
+                            </Badge>
+                            {crewSize > 1 && (
+                              <Badge variant={role === 'lead' ? 'default' : 'outline'}>
+                                {CREW_ROLES[role]?.label || role} · crew of {crewSize}
+                              </Badge>
+                            )}
+                          </div>
+                          <div className="flex items-center gap-2 text-sm text-gray-500">
+                            <Calendar className="h-3 w-3" />
+                            {booking.scheduled_date} {booking.scheduled_time?.slice(0, 5)}
+                            {booking.service?.title && ` · ${booking.service.title}`}
+                            {booking.customer?.full_name && ` · ${booking.customer.full_name}`}
+                          </div>
+                        </div>
+                        <div className="text-right text-sm">
+                          <div className="font-semibold">{(parseFloat(earnings) || 0).toFixed(2)} MAD</div>
+                          {crewSize > 1 && <div className="text-gray-500">{share_percent}% share</div>}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
           </div>
 
           {/* Sidebar */}
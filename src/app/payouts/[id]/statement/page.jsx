@@ -0,0 +1,145 @@
+"use client"
+
+import { useState, useEffect } from 'react'
+import { useParams } from 'next/navigation'
+import { ProtectedRoute } from '@/components/ProtectedRoute'
+import { Button } from '@/components/ui/button'
+import { Download, Loader2, Printer } from 'lucide-react'
+import { useAuth } from '@/contexts/AuthContext'
+import { getPayoutStatement } from '@/services/payouts'
+import { CREW_ROLES } from '@/utils/crewUtils'
+import { exportToCSV, EXPORT_COLUMNS } from '@/utils/export'
+import { PAYOUT_STATUSES, RELEASED_PAYOUT_STATUSES } from '@/utils/payoutUtils'
+
+// Workers only see their own statements, and only once the payout is approved
+const canViewStatement = (statement, profile) => {
+  if (profile?.role !== 'worker') return true
+  return statement.worker?.user?.id === profile.id && RELEASED_PAYOUT_STATUSES.includes(statement.batch?.status)
+}
+
+// Printable payout statement for one worker, kept outside the dashboard layout so only the document is printed
+function PayoutStatementContent() {
+  const params = useParams()
+  const { profile } = useAuth()
+  const [statement, setStatement] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    if (!params.id) return
+
+    getPayoutStatement(params.id)
+      .then(setStatement)
+      .catch(error => console.error('Error loading payout statement:', error))
+      .finally(() => setLoading(false))
+  }, [params.id])
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <Loader2 className="h-8 w-8 animate-spin text-primary" />
+      </div>
+    )
+  }
+
+  if (!statement || !canViewStatement(statement, profile)) {
+    return <p className="p-8 text-center text-muted-foreground">Statement not found.</p>
+  }
+
+  const { batch, worker } = statement
+  const lines = [...(statement.lines || [])].sort((a, b) =>
+    String(a.scheduled_date || '').localeCompare(String(b.scheduled_date || ''))
+  )
+
+  const handleDownload = () => {
+    exportToCSV(lines, EXPORT_COLUMNS.payoutStatement, `statement_${batch.batch_number}`)
+  }
+
+  return (
+    <div className="mx-auto max-w-3xl bg-white p-8 text-black print:p-0">
+      <div className="mb-6 flex justify-end gap-2 print:hidden">
+        <Button variant="outline" onClick={handleDownload} disabled={lines.length === 0}>
+          <Download className="mr-2 h-4 w-4" />
+          Download CSV
+        </Button>
+        <Button onClick={() => window.print()}>
+          <Printer className="mr-2 h-4 w-4" />
+          Print
+        </Button>
+      </div>
+
+      <header className="flex items-start justify-between border-b pb-6">
+        <div>
+          <h1 className="text-2xl font-bold">Payout statement</h1>
+          <p className="text-sm text-gray-600">Naqiago – payout {batch.batch_number}</p>
+        </div>
+        <div className="text-right text-sm">
+          <p className="font-semibold">{batch.period_start} to {batch.period_end}</p>
+          <p className="text-gray-600">{PAYOUT_STATUSES[batch.status]?.label || batch.status}</p>
+          {batch.paid_at && <p>Paid {new Date(batch.paid_at).toLocaleDateString()}</p>}
+          {batch.payment_reference && <p>Reference {batch.payment_reference}</p>}
+        </div>
+      </header>
+
+      <section className="border-b py-6 text-sm">
+        <p className="font-semibold">Paid to</p>
+        <p>{worker?.user?.full_name}</p>
+        {worker?.business_name && <p>{worker.business_name}</p>}
+        {worker?.user?.email && <p>{worker.user.email}</p>}
+        {worker?.user?.phone && <p>{worker.user.phone}</p>}
+      </section>
+
+      <section className="py-6">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b text-left">
+              <th className="py-2">Date</th>
+              <th className="py-2">Booking</th>
+              <th className="py-2">Role</th>
+              <th className="py-2 text-right">Earnings (MAD)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {lines.map((line, index) => (
+              <tr key={index} className="border-b">
+                <td className="py-2">{line.scheduled_date || '-'}</td>
+                <td className="py-2">{line.booking_number || '-'}</td>
+                <td className="py-2">{CREW_ROLES[line.role]?.label || line.role}</td>
+                <td className="py-2 text-right">{(parseFloat(line.earnings) || 0).toFixed(2)}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td colSpan={3} className="pt-4 text-right">Earnings</td>
+              <td className="pt-4 text-right">{(parseFloat(statement.gross_earnings) || 0).toFixed(2)}</td>
+            </tr>
+            <tr>
+              <td colSpan={3} className="pt-1 text-right">
+                Deductions{statement.deduction_reason ? ` (${statement.deduction_reason})` : ''}
+              </td>
+              <td className="pt-1 text-right">-{(parseFloat(statement.deductions) || 0).toFixed(2)}</td>
+            </tr>
+            <tr>
+              <td colSpan={3} className="pt-2 text-right font-semibold">Net payout</td>
+              <td className="pt-2 text-right text-lg font-bold">
+                {(parseFloat(statement.net_amount) || 0).toFixed(2)} MAD
+              </td>
+            </tr>
+          </tfoot>
+        </table>
+      </section>
+
+      <footer className="border-t pt-6 text-xs text-gray-600">
+        Earnings are your share of payments collected in the period, after any refunds.
+      </footer>
+    </div>
+  )
+}
+
+export default function PayoutStatementPage() {
+  return (
+    <ProtectedRoute allowedRoles={['admin', 'manager', 'worker']}>
+      <PayoutStatementContent />
+    </ProtectedRoute>
+  )
+}
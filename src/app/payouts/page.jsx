@@ -0,0 +1,103 @@
+"use client"
+
+import { useState, useEffect } from 'react'
+import Link from 'next/link'
+import { ProtectedRoute } from '@/components/ProtectedRoute'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table'
+import { FileText, Loader2 } from 'lucide-react'
+import { toast } from 'sonner'
+import { useAuth } from '@/contexts/AuthContext'
+import { getWorkerPayoutStatements } from '@/services/payouts'
+import { PAYOUT_STATUSES } from '@/utils/payoutUtils'
+
+const formatMoney = (value) => `${(parseFloat(value) || 0).toFixed(2)} MAD`
+
+// Statements of the signed-in worker, kept outside the dashboard since workers can't open it
+function WorkerStatementsContent() {
+  const { profile } = useAuth()
+  const [statements, setStatements] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    if (!profile?.id) return
+
+    getWorkerPayoutStatements(profile.id)
+      .then(setStatements)
+      .catch(error => {
+        console.error('Failed to load payout statements:', error)
+        toast.error('Failed to load payout statements')
+      })
+      .finally(() => setLoading(false))
+  }, [profile?.id])
+
+  return (
+    <div className="mx-auto max-w-3xl p-8">
+      <Card>
+        <CardHeader>
+          <CardTitle>My statements</CardTitle>
+          <CardDescription>Approved and paid payouts, with the jobs each one covers.</CardDescription>
+        </CardHeader>
+        <CardContent className="p-0">
+          {loading ? (
+            <p className="text-sm text-muted-foreground flex items-center gap-2 p-6">
+              <Loader2 className="h-4 w-4 animate-spin" />
+              Loading statements...
+            </p>
+          ) : statements.length === 0 ? (
+            <p className="text-sm text-muted-foreground text-center p-6">No payout statements yet.</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Period</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead className="text-right">Net</TableHead>
+                  <TableHead className="text-right">Statement</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {statements.map((statement) => (
+                  <TableRow key={statement.id}>
+                    <TableCell>{statement.batch.period_start} to {statement.batch.period_end}</TableCell>
+                    <TableCell>
+                      <Badge className={PAYOUT_STATUSES[statement.batch.status]?.color}>
+                        {PAYOUT_STATUSES[statement.batch.status]?.label || statement.batch.status}
+                      </Badge>
+                    </TableCell>
+                    <TableCell className="text-right font-medium">{formatMoney(statement.net_amount)}</TableCell>
+                    <TableCell className="text-right">
+                      <Button variant="ghost" size="sm" asChild>
+                        <Link href={`/payouts/${statement.id}/statement`}>
+                          <FileText className="h-4 w-4 mr-1" />
+                          Open
+                        </Link>
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
+
+export default function WorkerStatementsPage() {
+  return (
+    <ProtectedRoute allowedRoles={['worker']}>
+      <WorkerStatementsContent />
+    </ProtectedRoute>
+  )
+}
@@ -0,0 +1,138 @@
+"use client"
+
+import { useState, useEffect } from 'react'
+import { useParams } from 'next/navigation'
+import { ProtectedRoute } from '@/components/ProtectedRoute'
+import { Button } from '@/components/ui/button'
+import { Loader2, Printer } from 'lucide-react'
+import { getQuote } from '@/services/quotes'
+import { getSignedLineAmount } from '@/utils/priceLineUtils'
+import { QUOTE_STATUSES, getQuoteStatus } from '@/utils/quoteUtils'
+import { getTodayDateString } from '@/utils/scheduleUtils'
+import { getVehicleLabel } from '@/utils/vehicleUtils'
+
+// Printable quote, kept outside the dashboard layout so only the document is printed
+function QuotePrintContent() {
+  const params = useParams()
+  const [quote, setQuote] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    if (!params.id) return
+
+    getQuote(params.id)
+      .then(setQuote)
+      .catch(error => console.error('Error loading quote for printing:', error))
+      .finally(() => setLoading(false))
+  }, [params.id])
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <Loader2 className="h-8 w-8 animate-spin text-primary" />
+      </div>
+    )
+  }
+
+  if (!quote) {
+    return <p className="p-8 text-center text-muted-foreground">Quote not found.</p>
+  }
+
+  const status = getQuoteStatus(quote, getTodayDateString())
+  const priceLines = quote.price_lines || []
+
+  return (
+    <div className="mx-auto max-w-3xl bg-white p-8 text-black print:p-0">
+      <div className="mb-6 flex justify-end print:hidden">
+        <Button onClick={() => window.print()}>
+          <Printer className="mr-2 h-4 w-4" />
+          Print
+        </Button>
+      </div>
+
+      <header className="flex items-start justify-between border-b pb-6">
+        <div>
+          <h1 className="text-2xl font-bold">Quote {quote.quote_number}</h1>
+          <p className="text-sm text-gray-600">Naqiago</p>
+        </div>
+        <div className="text-right text-sm">
+          <p>Issued {new Date(quote.created_at).toLocaleDateString()}</p>
+          <p className="font-semibold">Valid until {quote.valid_until}</p>
+          <p className="text-gray-600">{QUOTE_STATUSES[status]?.label || status}</p>
+        </div>
+      </header>
+
+      <section className="grid grid-cols-2 gap-6 border-b py-6 text-sm">
+        <div>
+          <p className="font-semibold">Prepared for</p>
+          <p>{quote.customer?.full_name}</p>
+          {quote.customer?.email && <p>{quote.customer.email}</p>}
+          {quote.customer?.phone && <p>{quote.customer.phone}</p>}
+        </div>
+        {quote.service_address_text && (
+          <div>
+            <p className="font-semibold">Service address</p>
+            <p>{quote.service_address_text}</p>
+          </div>
+        )}
+      </section>
+
+      <section className="border-b py-6">
+        <h2 className="mb-2 font-semibold">Vehicles</h2>
+        <ul className="list-inside list-disc text-sm">
+          {(quote.vehicles || []).map((vehicle, index) => (
+            <li key={index}>
+              {getVehicleLabel(vehicle)} – about {vehicle.estimated_duration || 60} min
+            </li>
+          ))}
+        </ul>
+      </section>
+
+      <section className="py-6">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b text-left">
+              <th className="py-2">Description</th>
+              <th className="py-2 text-right">Amount (MAD)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {priceLines.map((line, index) => (
+              <tr key={index} className="border-b">
+                <td className="py-2">{line.label}</td>
+                <td className="py-2 text-right">{getSignedLineAmount(line).toFixed(2)}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td className="pt-4 text-right font-semibold">Total</td>
+              <td className="pt-4 text-right text-lg font-bold">
+                {(parseFloat(quote.total_price) || 0).toFixed(2)} MAD
+              </td>
+            </tr>
+          </tfoot>
+        </table>
+      </section>
+
+      {quote.notes && (
+        <section className="border-t py-6 text-sm">
+          <h2 className="mb-2 font-semibold">Notes</h2>
+          <p className="whitespace-pre-wrap">{quote.notes}</p>
+        </section>
+      )}
+
+      <footer className="border-t pt-6 text-xs text-gray-600">
+        Prices are valid until {quote.valid_until}. The job is booked once the quote is accepted and a time is agreed.
+      </footer>
+    </div>
+  )
+}
+
+export default function QuotePrintPage() {
+  return (
+    <ProtectedRoute allowedRoles={['admin', 'manager']}>
+      <QuotePrintContent />
+    </ProtectedRoute>
+  )
+}
@@ -0,0 +1,236 @@
+"use client"
+
+import { useState, useEffect } from 'react'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
+import { CheckCircle, Loader2 } from 'lucide-react'
+import { toast } from 'sonner'
+import { getAvailableSlots } from '@/services/availability'
+import { acceptQuote } from '@/services/quotes'
+import { getTodayDateString } from '@/utils/scheduleUtils'
+import { sumVehicleDurations } from '@/utils/vehicleUtils'
+
+// Select value for letting the assignment engine pick the worker (Select items can't use an empty string)
+const AUTO_ASSIGN = 'auto'
+
+export function AcceptQuoteDialog({ quote, workers = [], open, onOpenChange, onAccepted }) {
+  const [date, setDate] = useState('')
+  const [time, setTime] = useState('')
+  const [workerId, setWorkerId] = useState(AUTO_ASSIGN)
+  const [address, setAddress] = useState('')
+  const [slots, setSlots] = useState([])
+  const [loadingSlots, setLoadingSlots] = useState(false)
+  const [conflictError, setConflictError] = useState(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const serviceId = quote?.vehicles?.[0]?.service_id || ''
+  const duration = sumVehicleDurations(quote?.vehicles || []) || 60
+
+  // Start from a clean form each time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setDate('')
+      setTime('')
+      setWorkerId(AUTO_ASSIGN)
+      setAddress(quote?.service_address_text || '')
+      setSlots([])
+      setConflictError(null)
+    }
+  }, [open, quote?.service_address_text])
+
+  // Load open slots for the whole visit on the chosen date
+  useEffect(() => {
+    if (!open || !date || !serviceId) {
+      setSlots([])
+      return
+    }
+
+    let cancelled = false
+    const loadSlots = async () => {
+      setLoadingSlots(true)
+      try {
+        const result = await getAvailableSlots({
+          serviceId,
+          date,
+          workerId: workerId === AUTO_ASSIGN ? '' : workerId,
+          duration,
+          location: quote?.service_address_text
+        })
+        if (!cancelled) setSlots(result.slots || [])
+      } catch (error) {
+        console.error('Failed to load slots for quote:', error)
+        if (!cancelled) setSlots([])
+      } finally {
+        if (!cancelled) setLoadingSlots(false)
+      }
+    }
+
+    setTime('')
+    setConflictError(null)
+    loadSlots()
+    return () => {
+      cancelled = true
+    }
+  }, [open, date, workerId, serviceId, duration, quote?.service_address_text])
+
+  if (!quote) return null
+
+  const handleSubmit = async (allowConflicts = false) => {
+    if (!date || !time) {
+      toast.error('Choose a date and time for the booking')
+      return
+    }
+    if (!address.trim()) {
+      toast.error('Enter the service address')
+      return
+    }
+
+    setIsSubmitting(true)
+    try {
+      const { booking } = await acceptQuote(quote.id, {
+        scheduled_date: date,
+        scheduled_time: time,
+        worker_id: workerId === AUTO_ASSIGN ? null : workerId,
+        auto_assign: workerId === AUTO_ASSIGN,
+        service_address_text: address.trim(),
+        allow_conflicts: allowConflicts
+      })
+      toast.success(`Quote ${quote.quote_number} accepted as booking ${booking.booking_number}`)
+      onOpenChange?.(false)
+      onAccepted?.(booking)
+    } catch (error) {
+      console.error('Error accepting quote:', error)
+      if (error.code === 'BOOKING_CONFLICT') {
+        setConflictError(error.message)
+      } else {
+        toast.error(error.message || 'Failed to accept quote')
+      }
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <CheckCircle className="h-5 w-5" />
+            Accept {quote.quote_number}
+          </DialogTitle>
+          <DialogDescription>
+            Book the quoted work for {(parseFloat(quote.total_price) || 0).toFixed(2)} MAD ({duration} min).
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <Label>Worker</Label>
+            <Select value={workerId} onValueChange={setWorkerId}>
+              <SelectTrigger className="w-full">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={AUTO_ASSIGN}>Assign automatically</SelectItem>
+                {workers.map((worker) => (
+                  <SelectItem key={worker.id} value={worker.id}>
+                    {worker.user?.full_name || worker.business_name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="quote_booking_date">Date</Label>
+              <Input
+                id="quote_booking_date"
+                type="date"
+                value={date}
+                min={getTodayDateString()}
+                onChange={(e) => setDate(e.target.value)}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="quote_booking_time">Time</Label>
+              <Select value={time} onValueChange={setTime} disabled={!date || loadingSlots}>
+                <SelectTrigger id="quote_booking_time" className="w-full">
+                  <SelectValue placeholder={
+                    !date ? 'Pick a date first' : loadingSlots ? 'Loading slots...' : 'Select a time slot'
+                  } />
+                </SelectTrigger>
+                <SelectContent>
+                  {slots.map((slot) => (
+                    <SelectItem key={slot.time} value={slot.time}>
+                      {slot.time}
+                    </SelectItem>
+                  ))}
+                  {slots.length === 0 && (
+                    <SelectItem value="no-slots" disabled>
+                      <span className="text-muted-foreground">No open slots on this date</span>
+                    </SelectItem>
+                  )}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="quote_booking_address">Service address *</Label>
+            <Input
+              id="quote_booking_address"
+              value={address}
+              onChange={(e) => setAddress(e.target.value)}
+            />
+          </div>
+
+          {conflictError && (
+            <div className="rounded-lg border border-red-200 bg-red-50 dark:bg-red-900/20 p-3 space-y-2">
+              <p className="text-sm text-red-700 dark:text-red-300">{conflictError}</p>
+              <Button
+                type="button"
+                size="sm"
+                variant="outline"
+                onClick={() => handleSubmit(true)}
+                disabled={isSubmitting}
+              >
+                Book anyway
+              </Button>
+            </div>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={() => onOpenChange?.(false)}>
+            Close
+          </Button>
+          <Button
+            type="button"
+            onClick={() => handleSubmit(false)}
+            disabled={isSubmitting}
+          >
+            {isSubmitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Accept and Book
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
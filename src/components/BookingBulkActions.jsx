@@ -0,0 +1,291 @@
+"use client"
+
+import { useState, useEffect } from 'react'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Label } from '@/components/ui/label'
+import { Switch } from '@/components/ui/switch'
+import { Textarea } from '@/components/ui/textarea'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { CheckCircle, Download, Loader2, Trash2, UserCog, X, XCircle, ListChecks } from 'lucide-react'
+import { toast } from 'sonner'
+import { useAuth } from '@/contexts/AuthContext'
+import { getAvailableWorkers } from '@/services/workers'
+import {
+  bulkUpdateStatus,
+  bulkReassignWorker,
+  bulkCancelBookings,
+  bulkDeleteBookings
+} from '@/services/bookingBulk'
+import { BOOKING_STATUSES, FLOW_ONLY_STATUSES } from '@/utils/bookingUtils'
+import { exportToCSV, EXPORT_COLUMNS } from '@/utils/export'
+
+// Cancelling has its own bulk action and no-shows are marked one by one, so their fees apply
+const BULK_STATUSES = Object.entries(BOOKING_STATUSES).filter(([value]) => !FLOW_ONLY_STATUSES.includes(value))
+
+const ACTION_TITLES = {
+  status: 'Change status',
+  reassign: 'Reassign worker',
+  cancel: 'Cancel bookings',
+  delete: 'Delete bookings'
+}
+
+export function BookingBulkActions({ selected = [], onClear, onCompleted }) {
+  const { profile } = useAuth()
+
+  const [workers, setWorkers] = useState([])
+  const [status, setStatus] = useState('')
+  const [workerId, setWorkerId] = useState('')
+  const [reason, setReason] = useState('')
+  const [allowConflicts, setAllowConflicts] = useState(false)
+  const [pendingAction, setPendingAction] = useState(null)
+  const [isRunning, setIsRunning] = useState(false)
+  const [report, setReport] = useState(null)
+
+  useEffect(() => {
+    getAvailableWorkers({ status: '' })
+      .then(data => setWorkers(data || []))
+      .catch(error => console.error('Failed to load workers for bulk actions:', error))
+  }, [])
+
+  const count = selected.length
+
+  const openAction = (action) => {
+    if (action === 'status' && !status) {
+      toast.error('Choose a status first')
+      return
+    }
+    if (action === 'reassign' && !workerId) {
+      toast.error('Choose a worker first')
+      return
+    }
+    setReason('')
+    setAllowConflicts(false)
+    setPendingAction(action)
+  }
+
+  const handleExport = () => {
+    const success = exportToCSV(selected, EXPORT_COLUMNS.bookings, 'bookings-selection')
+    if (success) {
+      toast.success(`Exported ${count} bookings to CSV`)
+    }
+  }
+
+  const runAction = async (e) => {
+    e.preventDefault()
+
+    if (pendingAction === 'cancel' && !reason.trim()) {
+      toast.error('Please enter a cancellation reason')
+      return
+    }
+
+    setIsRunning(true)
+    try {
+      let result
+      switch (pendingAction) {
+        case 'status':
+          result = await bulkUpdateStatus(selected, status, reason.trim() || null)
+          break
+        case 'reassign':
+          result = await bulkReassignWorker(selected, workerId, { allowConflicts })
+          break
+        case 'cancel':
+          result = await bulkCancelBookings(selected, profile?.id, reason.trim())
+          break
+        case 'delete':
+          result = await bulkDeleteBookings(selected)
+          break
+        default:
+          return
+      }
+
+      setReport({ title: ACTION_TITLES[pendingAction], ...result })
+      setPendingAction(null)
+      onCompleted?.(result)
+    } catch (error) {
+      console.error('Bulk action failed:', error)
+      toast.error('Bulk action failed. Please try again.')
+    } finally {
+      setIsRunning(false)
+    }
+  }
+
+  if (count === 0 && !report) return null
+
+  return (
+    <>
+      {count > 0 && (
+        <Card className="mb-6 border-primary/40">
+          <CardContent className="py-4">
+            <div className="flex flex-wrap items-center gap-3">
+              <Badge variant="secondary" className="flex items-center gap-1">
+                <ListChecks className="h-3 w-3" />
+                {count} selected
+              </Badge>
+
+              <div className="flex items-center gap-2">
+                <Select value={status} onValueChange={setStatus}>
+                  <SelectTrigger className="w-[160px]">
+                    <SelectValue placeholder="Set status..." />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {BULK_STATUSES.map(([value, config]) => (
+                      <SelectItem key={value} value={value}>
+                        {config.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Button variant="outline" size="sm" onClick={() => openAction('status')}>
+                  Apply
+                </Button>
+              </div>
+
+              <div className="flex items-center gap-2">
+                <Select value={workerId} onValueChange={setWorkerId}>
+                  <SelectTrigger className="w-[180px]">
+                    <SelectValue placeholder="Reassign to..." />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {workers.map((worker) => (
+                      <SelectItem key={worker.id} value={worker.id}>
+                        {worker.user?.full_name || worker.business_name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Button variant="outline" size="sm" onClick={() => openAction('reassign')}>
+                  <UserCog className="mr-2 h-4 w-4" />
+                  Reassign
+                </Button>
+              </div>
+
+              <Button variant="outline" size="sm" onClick={() => openAction('cancel')}>
+                <XCircle className="mr-2 h-4 w-4" />
+                Cancel
+              </Button>
+              <Button variant="outline" size="sm" onClick={handleExport}>
+                <Download className="mr-2 h-4 w-4" />
+                Export
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => openAction('delete')}
+                className="text-red-600 hover:text-red-700 hover:bg-red-50"
+              >
+                <Trash2 className="mr-2 h-4 w-4" />
+                Delete
+              </Button>
+              <Button variant="ghost" size="sm" onClick={onClear} className="ml-auto">
+                <X className="mr-2 h-4 w-4" />
+                Clear selection
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Confirmation */}
+      <AlertDialog open={!!pendingAction} onOpenChange={(open) => !open && !isRunning && setPendingAction(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>{ACTION_TITLES[pendingAction]}</AlertDialogTitle>
+            <AlertDialogDescription>
+              {pendingAction === 'status' && `Move ${count} bookings to ${BOOKING_STATUSES[status]?.label || status}. Bookings whose current status doesn't allow this will be skipped.`}
+              {pendingAction === 'reassign' && `Assign ${count} bookings to ${workers.find(w => w.id === workerId)?.user?.full_name || 'the selected worker'}. Each slot is checked for conflicts.`}
+              {pendingAction === 'cancel' && `Cancel ${count} bookings with the reason below.`}
+              {pendingAction === 'delete' && `Permanently delete ${count} bookings and their payments and reviews. This action cannot be undone.`}
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+
+          {(pendingAction === 'status' || pendingAction === 'cancel') && (
+            <div className="space-y-2">
+              <Label htmlFor="bulk_reason">
+                {pendingAction === 'cancel' ? 'Cancellation reason *' : 'Note for the status history'}
+              </Label>
+              <Textarea
+                id="bulk_reason"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                rows={2}
+              />
+            </div>
+          )}
+
+          {pendingAction === 'reassign' && (
+            <div className="flex items-center gap-2">
+              <Switch
+                id="bulk_allow_conflicts"
+                checked={allowConflicts}
+                onCheckedChange={setAllowConflicts}
+              />
+              <Label htmlFor="bulk_allow_conflicts" className="text-sm">
+                Assign even when the worker is already booked
+              </Label>
+            </div>
+          )}
+
+          <AlertDialogFooter>
+            <AlertDialogCancel disabled={isRunning}>Back</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={runAction}
+              disabled={isRunning}
+              className={pendingAction === 'delete' ? 'bg-red-600 hover:bg-red-700 focus:ring-red-600' : undefined}
+            >
+              {isRunning && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Run on {count} bookings
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+
+      {/* Per-row report */}
+      <Dialog open={!!report} onOpenChange={(open) => !open && setReport(null)}>
+        <DialogContent className="max-w-lg max-h-[80vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>{report?.title}</DialogTitle>
+            <DialogDescription>
+              {report?.succeeded} succeeded, {report?.failed} failed
+            </DialogDescription>
+          </DialogHeader>
+          <ul className="divide-y text-sm">
+            {report?.results.map((result) => (
+              <li key={result.id} className="flex items-start gap-2 py-2">
+                {result.success ? (
+                  <CheckCircle className="h-4 w-4 mt-0.5 shrink-0 text-green-600" />
+                ) : (
+                  <XCircle className="h-4 w-4 mt-0.5 shrink-0 text-red-600" />
+                )}
+                <div>
+                  <p className="font-medium">{result.booking_number}</p>
+                  {!result.success && (
+                    <p className="text-muted-foreground">{result.message}</p>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </DialogContent>
+      </Dialog>
+    </>
+  )
+}
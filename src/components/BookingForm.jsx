@@ -37,16 +37,68 @@ import {
   ClockIcon,
   MapPinIcon,
   CreditCardIcon,
-  CarIcon
+  CarIcon,
+  Sparkles,
+  Trash2,
+  Users,
+  Copy,
+  UserX,
+  Hourglass,
+  CalendarOff
 } from 'lucide-react'
 import { createBooking, updateBooking } from '@/services/bookings'
-import { getCustomers } from '@/services/customers'
+import { checkBookingConflicts, getAvailableSlots } from '@/services/availability'
+import { previewBookingSeries } from '@/services/bookingSeries'
+import { findDuplicateBookings } from '@/services/duplicates'
+import { rankWorkersForBooking } from '@/services/assignment'
+import { getCustomers, getCustomerReliability } from '@/services/customers'
 import { getWorkers } from '@/services/workers'
 import { getServices } from '@/services/services'
+import { getBlackouts } from '@/services/blackouts'
+import { getFeeRules } from '@/services/feeRules'
 import { format } from 'date-fns'
 import { getCarBrands, getCarModels, getCarBrandLogoUrl, getCarModelImageUrl } from '@/services/vehicles'
 import { useAuth } from '@/contexts/AuthContext'
-import { VEHICLE_TYPES } from '@/utils/bookingUtils'
+import { VEHICLE_TYPES, FLOW_ONLY_STATUSES, getAvailableStatusTransitions, getFieldErrorMessage } from '@/utils/bookingUtils'
+import { SUGGESTION_COUNT } from '@/utils/assignmentUtils'
+import { RELIABILITY_LEVELS } from '@/utils/reliabilityUtils'
+import { getDayBlackout, describeDayBlackout } from '@/utils/blackoutUtils'
+import { getTodayDateString } from '@/utils/scheduleUtils'
+import {
+  calculateFeeSplit,
+  describeAppliedFee,
+  getBookingPromotionCodes,
+  getManualFee,
+  hasManualFee,
+  resolveFeeRule
+} from '@/utils/feeRuleUtils'
+import { BOOKING_CHANNELS, getDefaultBookingChannel, getCampaignFromQuery } from '@/utils/channelUtils'
+import {
+  PRICE_LINE_TYPES,
+  calculatePriceLinesTotal,
+  getBookingPriceLines,
+  getSignedLineAmount
+} from '@/utils/priceLineUtils'
+import { getBookingVehicles, getVehicleLabel, sumVehicleDurations } from '@/utils/vehicleUtils'
+import { REFUND_PAYMENT_STATUSES } from '@/utils/refundUtils'
+import {
+  CREW_SPLIT_RULES,
+  getDefaultCrewSplitRule,
+  getBookingCrew,
+  buildBookingCrew,
+  calculateCrewShares,
+  splitCrewEarnings,
+  getCustomSplitIssue
+} from '@/utils/crewUtils'
+import { useDebounce } from '@/hooks/useDebounce'
+import { WaitlistDialog } from '@/components/WaitlistDialog'
+import {
+  RECURRENCE_FREQUENCIES,
+  SERIES_SCOPES,
+  MAX_SERIES_OCCURRENCES,
+  getFrequencyLabel,
+  validateRecurrenceRule
+} from '@/utils/recurrenceUtils'
 
 const PAYMENT_METHODS = [
   { value: 'cash', label: 'Cash', description: 'Pay with cash on service completion' },
@@ -61,7 +113,8 @@ const BOOKING_STATUS = [
   { value: 'confirmed', label: 'Confirmed', color: 'bg-blue-100 text-blue-800' },
   { value: 'in_progress', label: 'In Progress', color: 'bg-orange-100 text-orange-800' },
   { value: 'completed', label: 'Completed', color: 'bg-green-100 text-green-800' },
-  { value: 'cancelled', label: 'Cancelled', color: 'bg-red-100 text-red-800' }
+  { value: 'cancelled', label: 'Cancelled', color: 'bg-red-100 text-red-800' },
+  { value: 'no_show', label: 'No-show', color: 'bg-gray-200 text-gray-800' }
 ]
 
 const PAYMENT_STATUS = [
@@ -69,9 +122,22 @@ const PAYMENT_STATUS = [
   { value: 'completed', label: 'Completed', color: 'bg-green-100 text-green-800', icon: '✅' },
   { value: 'failed', label: 'Failed', color: 'bg-red-100 text-red-800', icon: '❌' },
   { value: 'refunded', label: 'Refunded', color: 'bg-gray-100 text-gray-800', icon: '🔄' },
+  { value: 'partially_refunded', label: 'Partially Refunded', color: 'bg-orange-100 text-orange-800', icon: '↩️' },
   { value: 'cancelled', label: 'Cancelled', color: 'bg-red-100 text-red-800', icon: '🚫' }
 ]
 
+// Fee percentage to show when editing: blank when the fee rules set it, so they apply again on save.
+// Payments from before fee rules keep the percentage they were charged.
+const getInitialFeePercentage = (booking) => {
+  const payment = booking.payment
+  if (payment?.fee_rule) {
+    return payment.fee_rule.source === 'manual' ? payment.fee_rule.fee_percentage : ''
+  }
+  return payment?.platform_fee && booking.total_price
+    ? ((payment.platform_fee / booking.total_price) * 100).toFixed(1)
+    : ''
+}
+
 export function BookingForm({
   booking = null,
   onSubmit,
@@ -84,6 +150,7 @@ export function BookingForm({
   mode = 'create' // 'create' or 'edit'
 }) {
   const { profile, isAdmin, isWorker } = useAuth()
+  const router = useRouter()
 
   // Form state - Ensure all fields have default values
   const [formData, setFormData] = useState({
@@ -112,16 +179,20 @@ export function BookingForm({
     vehicle_color: '',
     license_plate: '',
 
-    // Pricing - ACTUAL database fields
+    // Pricing - ACTUAL database fields (the service line; other lines live in priceLines)
     base_price: 0,
-    additional_charges: 0,
-    discount_amount: 0,
 
     // Notes - ACTUAL database fields
     special_instructions: '',
     customer_notes: '',
     worker_notes: '',
 
+    // Channel attribution - ACTUAL database fields
+    source: '',
+    utm_source: '',
+    utm_medium: '',
+    utm_campaign: '',
+
     // Booking control - ACTUAL database fields
     can_cancel: true,
     can_reschedule: true,
@@ -130,9 +201,8 @@ export function BookingForm({
     // Payment information (for creating payment record, NOT saved to bookings table)
     payment_method: 'cash',
     payment_status: 'pending',
-    platform_fee_percentage: 15,
-    platform_fee: 0,
-    worker_earnings: 0
+    // Blank lets the fee rules decide
+    platform_fee_percentage: ''
   })
 
   // Validation refs
@@ -166,9 +236,69 @@ export function BookingForm({
   // Add state to track which fields have been touched/interacted with
   const [touchedFields, setTouchedFields] = useState({})
 
+  // Scheduling conflict state
+  const [scheduleCheck, setScheduleCheck] = useState(null)
+  const [checkingConflicts, setCheckingConflicts] = useState(false)
+  const [allowConflicts, setAllowConflicts] = useState(false)
+
+  // Likely duplicates of the booking being created
+  const [duplicates, setDuplicates] = useState([])
+  const [allowDuplicates, setAllowDuplicates] = useState(false)
+
+  // No-show record of the selected customer
+  const [customerReliability, setCustomerReliability] = useState(null)
+  const [allowBlockedCustomer, setAllowBlockedCustomer] = useState(false)
+
+  // Open time slots for the selected service and date
+  const [availableSlots, setAvailableSlots] = useState([])
+  const [loadingSlots, setLoadingSlots] = useState(false)
+  const [slotsError, setSlotsError] = useState(null)
+  const [showWaitlistDialog, setShowWaitlistDialog] = useState(false)
+
+  // Recurring series (create mode) and series edit scope (edit mode)
+  const [recurrence, setRecurrence] = useState({ frequency: 'none', count: 4 })
+  const [seriesPreview, setSeriesPreview] = useState(null)
+  const [previewingSeries, setPreviewingSeries] = useState(false)
+  const [seriesScope, setSeriesScope] = useState('this')
+
+  // Worker suggestions from the assignment engine
+  const [rankedWorkers, setRankedWorkers] = useState([])
+  const [loadingSuggestions, setLoadingSuggestions] = useState(false)
+  const [suggestionsError, setSuggestionsError] = useState(null)
+  const [autoAssign, setAutoAssign] = useState(false)
+
+  // Price lines other than the service line (add-ons, surcharges, discounts, promo, tax)
+  const [priceLines, setPriceLines] = useState([])
+
+  // Vehicles after the first one, each with its own service, price and duration.
+  // The first vehicle uses the main vehicle, service, price and duration fields.
+  const [extraVehicles, setExtraVehicles] = useState([])
+  // Saved row of the first vehicle (id and status), so edits update it instead of resetting it
+  const [savedPrimaryVehicle, setSavedPrimaryVehicle] = useState(null)
+  const totalDuration = (parseInt(formData.estimated_duration) || 0) + sumVehicleDurations(extraVehicles)
+
+  // Helpers working alongside the selected (lead) worker, and how the earnings are split
+  const [crewHelpers, setCrewHelpers] = useState([])
+  const [crewSplitRule, setCrewSplitRule] = useState(getDefaultCrewSplitRule())
+  const [leadShare, setLeadShare] = useState('')
+  const helperIds = crewHelpers.map(helper => helper.worker_id).filter(Boolean)
+  const debouncedHelperIds = useDebounce(helperIds.join(','), 400)
+
+  // Upcoming holidays and reduced-hours days; city blackouts match the saved address city or the typed address
+  const [blackouts, setBlackouts] = useState([])
+  const bookingLocation = addresses.find(address => address.id === formData.service_address_id)?.city ||
+    formData.service_address_text
+  const debouncedLocation = useDebounce(bookingLocation, 400)
+  const dateBlackout = getDayBlackout(blackouts, formData.scheduled_date, bookingLocation)
+
+  // Active fee rules, for previewing the platform fee the booking will be charged
+  const [feeRules, setFeeRules] = useState([])
+
   // Initialize form data when booking prop changes
   useEffect(() => {
     if (booking && mode === 'edit') {
+      const [primaryVehicle, ...otherVehicles] = getBookingVehicles(booking)
+
       setFormData({
         booking_number: booking.booking_number || '',
         customer_id: booking.customer_id || '',
@@ -177,7 +307,7 @@ export function BookingForm({
         status: booking.status || 'pending',
         scheduled_date: booking.scheduled_date || '',
         scheduled_time: booking.scheduled_time || '',
-        estimated_duration: booking.estimated_duration || 60,
+        estimated_duration: (otherVehicles.length > 0 && primaryVehicle?.estimated_duration) || booking.estimated_duration || 60,
         service_address_id: booking.service_address_id || '',
         service_location: booking.service_location || null,
         service_address_text: booking.service_address_text || '',
@@ -188,25 +318,46 @@ export function BookingForm({
         vehicle_color: booking.vehicle_color || '',
         license_plate: booking.license_plate || '',
         base_price: booking.base_price || 0,
-        additional_charges: booking.additional_charges || 0,
-        discount_amount: booking.discount_amount || 0,
         special_instructions: booking.special_instructions || '',
         customer_notes: booking.customer_notes || '',
         worker_notes: booking.worker_notes || '',
+        source: booking.source || '',
+        utm_source: booking.utm_source || '',
+        utm_medium: booking.utm_medium || '',
+        utm_campaign: booking.utm_campaign || '',
         can_cancel: booking.can_cancel !== undefined ? booking.can_cancel : true,
         can_reschedule: booking.can_reschedule !== undefined ? booking.can_reschedule : true,
         can_rate: booking.can_rate !== undefined ? booking.can_rate : false,
         // Payment info from payment record (if exists)
         payment_method: booking.payment?.payment_method || 'cash',
         payment_status: booking.payment?.status || 'pending',
-        platform_fee_percentage: booking.payment?.platform_fee && booking.total_price ?
-          ((booking.payment.platform_fee / booking.total_price) * 100).toFixed(1) : 15,
-        platform_fee: booking.payment?.platform_fee || 0,
-        worker_earnings: booking.payment?.worker_earnings || 0
+        platform_fee_percentage: getInitialFeePercentage(booking)
       })
 
 
 
+      setPriceLines(getBookingPriceLines(booking).filter(line => line.type !== 'service'))
+      setSavedPrimaryVehicle(primaryVehicle ? { id: primaryVehicle.id, status: primaryVehicle.status } : null)
+      const [lead, ...helpers] = getBookingCrew(booking)
+      setCrewHelpers(helpers.map(helper => ({
+        worker_id: helper.worker_id,
+        share_percent: helper.share_percent ?? ''
+      })))
+      setLeadShare(lead?.share_percent ?? '')
+      setCrewSplitRule(booking.crew_split_rule || getDefaultCrewSplitRule())
+
+      setExtraVehicles(otherVehicles.map(vehicle => ({
+        id: vehicle.id,
+        vehicle_type: vehicle.vehicle_type || '',
+        vehicle_make: vehicle.vehicle_make || '',
+        vehicle_model: vehicle.vehicle_model || '',
+        license_plate: vehicle.license_plate || '',
+        service_id: vehicle.service_id || '',
+        price: vehicle.price ?? 0,
+        estimated_duration: vehicle.estimated_duration || 60,
+        status: vehicle.status
+      })))
+
       // Set the selected brand ID if vehicle_make exists
       if (booking.vehicle_make && carBrands.length > 0) {
         const brand = carBrands.find(b => b.car_brand_name === booking.vehicle_make)
@@ -234,6 +385,16 @@ export function BookingForm({
         }))
       }
 
+      // Default the channel from who is booking and pick up campaign tags from the page URL
+      const campaign = getCampaignFromQuery(window.location.search)
+      setFormData(prev => ({
+        ...prev,
+        source: prev.source || getDefaultBookingChannel(profile?.role) || '',
+        utm_source: prev.utm_source || campaign.utm_source || '',
+        utm_medium: prev.utm_medium || campaign.utm_medium || '',
+        utm_campaign: prev.utm_campaign || campaign.utm_campaign || ''
+      }))
+
       // Clear touched fields for create mode
       setTouchedFields({})
     }
@@ -259,6 +420,18 @@ export function BookingForm({
     fetchBrands()
   }, [])
 
+  useEffect(() => {
+    getBlackouts({ from: getTodayDateString() })
+      .then(setBlackouts)
+      .catch(error => console.error('Failed to load blackout dates:', error))
+  }, [])
+
+  useEffect(() => {
+    getFeeRules({ activeOnly: true })
+      .then(setFeeRules)
+      .catch(error => console.error('Failed to load fee rules:', error))
+  }, [])
+
   // Fetch car models when brand is selected
   useEffect(() => {
     const fetchModels = async () => {
@@ -293,11 +466,275 @@ export function BookingForm({
       setCalculatedPrice(servicePrice)
       setFormData(prev => ({
         ...prev,
-        base_price: servicePrice
+        base_price: servicePrice,
+        estimated_duration: parseInt(selectedService.duration_minutes) || prev.estimated_duration
       }))
     }
   }, [selectedService])
 
+  // Load open slots when the service, date or duration changes
+  useEffect(() => {
+    if (!formData.service_id || !formData.scheduled_date) {
+      setAvailableSlots([])
+      setSlotsError(null)
+      return
+    }
+
+    let cancelled = false
+    const fetchSlots = async () => {
+      setLoadingSlots(true)
+      setSlotsError(null)
+      try {
+        const result = await getAvailableSlots({
+          serviceId: formData.service_id,
+          date: formData.scheduled_date,
+          duration: totalDuration,
+          excludeBookingId: booking?.id,
+          crewWorkerIds: debouncedHelperIds ? debouncedHelperIds.split(',') : [],
+          location: debouncedLocation
+        })
+        if (!cancelled) setAvailableSlots(result.slots)
+      } catch (error) {
+        console.error('Failed to load available slots:', error)
+        if (!cancelled) {
+          setAvailableSlots([])
+          setSlotsError('Failed to load available time slots.')
+        }
+      } finally {
+        if (!cancelled) setLoadingSlots(false)
+      }
+    }
+
+    fetchSlots()
+    return () => {
+      cancelled = true
+    }
+  }, [formData.service_id, formData.scheduled_date, totalDuration, debouncedHelperIds, debouncedLocation, booking?.id])
+
+  const getRecurrenceRule = () => {
+    if (recurrence.frequency === 'none') return null
+    return { frequency: recurrence.frequency, count: parseInt(recurrence.count) }
+  }
+
+  // Check each occurrence of the series for worker conflicts
+  const handlePreviewSeries = async () => {
+    const rule = getRecurrenceRule()
+    const ruleError = validateRecurrenceRule(rule)
+    if (ruleError) {
+      toast.error(ruleError)
+      return
+    }
+    if (!formData.scheduled_date || !formData.scheduled_time) {
+      toast.error('Select a date and time first')
+      return
+    }
+
+    setPreviewingSeries(true)
+    try {
+      const preview = await previewBookingSeries({
+        worker_id: formData.worker_id,
+        scheduled_date: formData.scheduled_date,
+        scheduled_time: formData.scheduled_time,
+        estimated_duration: totalDuration,
+        crew: submittedCrew,
+        city: bookingLocation
+      }, rule)
+      setSeriesPreview(preview)
+    } catch (error) {
+      console.error('Failed to preview series:', error)
+      toast.error('Failed to check series occurrences')
+    } finally {
+      setPreviewingSeries(false)
+    }
+  }
+
+  // Only offer the selected worker's slots once a worker is chosen
+  const visibleSlots = formData.worker_id
+    ? availableSlots.filter(slot => slot.workers.some(w => w.id === formData.worker_id))
+    : availableSlots
+  const selectedSlotTime = formData.scheduled_time ? formData.scheduled_time.slice(0, 5) : ''
+  const selectedSlot = availableSlots.find(slot => slot.time === selectedSlotTime)
+
+  // Check worker conflicts whenever the crew or slot changes
+  const debouncedSlot = useDebounce(
+    [formData.worker_id, formData.scheduled_date, formData.scheduled_time, totalDuration, helperIds.join(',')].join('|'),
+    400
+  )
+
+  useEffect(() => {
+    const [worker_id, scheduled_date, scheduled_time, estimated_duration, helpers] = debouncedSlot.split('|')
+    const crew = helpers ? helpers.split(',').map(worker_id => ({ worker_id, role: 'helper' })) : []
+
+    if (!worker_id || !scheduled_date || !scheduled_time) {
+      setScheduleCheck(null)
+      return
+    }
+
+    let cancelled = false
+    const runCheck = async () => {
+      setCheckingConflicts(true)
+      try {
+        const result = await checkBookingConflicts(
+          { worker_id, scheduled_date, scheduled_time, estimated_duration, crew, city: debouncedLocation },
+          { excludeBookingId: booking?.id }
+        )
+        if (!cancelled) {
+          setScheduleCheck(result)
+          setAllowConflicts(false)
+        }
+      } catch (error) {
+        console.error('Failed to check booking conflicts:', error)
+        if (!cancelled) setScheduleCheck(null)
+      } finally {
+        if (!cancelled) setCheckingConflicts(false)
+      }
+    }
+
+    runCheck()
+    return () => {
+      cancelled = true
+    }
+  }, [debouncedSlot, debouncedLocation, booking?.id])
+
+  // Look for likely duplicates (same customer or plate, same service, overlapping time) while creating
+  const debouncedDuplicateKey = useDebounce(
+    [
+      formData.customer_id,
+      formData.service_id,
+      formData.scheduled_date,
+      formData.scheduled_time,
+      totalDuration,
+      [formData.license_plate, ...extraVehicles.map(vehicle => vehicle.license_plate)].filter(Boolean).join(',')
+    ].join('|'),
+    400
+  )
+
+  useEffect(() => {
+    const [customer_id, service_id, scheduled_date, scheduled_time, estimated_duration, plates] = debouncedDuplicateKey.split('|')
+
+    if (mode !== 'create' || !service_id || !scheduled_date || !scheduled_time || (!customer_id && !plates)) {
+      setDuplicates([])
+      return
+    }
+
+    let cancelled = false
+    const runCheck = async () => {
+      try {
+        const [license_plate, ...otherPlates] = plates ? plates.split(',') : []
+        const found = await findDuplicateBookings({
+          customer_id,
+          service_id,
+          scheduled_date,
+          scheduled_time,
+          estimated_duration,
+          license_plate,
+          vehicles: otherPlates.map(plate => ({ license_plate: plate }))
+        })
+        if (!cancelled) {
+          setDuplicates(found)
+          setAllowDuplicates(false)
+        }
+      } catch (error) {
+        console.error('Failed to check for duplicate bookings:', error)
+        if (!cancelled) setDuplicates([])
+      }
+    }
+
+    runCheck()
+    return () => {
+      cancelled = true
+    }
+  }, [debouncedDuplicateKey, mode])
+
+  // Look up the picked customer's no-shows so unreliable customers are flagged before booking
+  useEffect(() => {
+    setAllowBlockedCustomer(false)
+
+    if (!formData.customer_id) {
+      setCustomerReliability(null)
+      return
+    }
+
+    let cancelled = false
+    getCustomerReliability(formData.customer_id)
+      .then(result => !cancelled && setCustomerReliability(result))
+      .catch(error => {
+        console.error('Failed to load customer reliability:', error)
+        if (!cancelled) setCustomerReliability(null)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [formData.customer_id])
+
+  // Only new bookings are held back for blocked customers
+  const customerBlocked = mode === 'create' && customerReliability?.level === 'blocked'
+
+  // Drop a stale series preview whenever the rule or slot changes
+  useEffect(() => {
+    setSeriesPreview(null)
+  }, [recurrence.frequency, recurrence.count, debouncedSlot])
+
+  // Rank candidate workers whenever the service, slot or address changes
+  const debouncedAssignment = useDebounce(
+    [formData.service_id, formData.scheduled_date, formData.scheduled_time, totalDuration, formData.service_address_id].join('|'),
+    400
+  )
+
+  useEffect(() => {
+    const [service_id, scheduled_date, scheduled_time, estimated_duration, service_address_id] = debouncedAssignment.split('|')
+
+    if (!isAdmin || !service_id || !scheduled_date) {
+      setRankedWorkers([])
+      return
+    }
+
+    let cancelled = false
+    const loadSuggestions = async () => {
+      setLoadingSuggestions(true)
+      setSuggestionsError(null)
+      try {
+        const ranked = await rankWorkersForBooking(
+          { service_id, scheduled_date, scheduled_time, estimated_duration, service_address_id },
+          { excludeBookingId: booking?.id }
+        )
+        if (!cancelled) setRankedWorkers(ranked)
+      } catch (error) {
+        console.error('Failed to rank workers:', error)
+        if (!cancelled) {
+          setRankedWorkers([])
+          setSuggestionsError('Could not load worker suggestions')
+        }
+      } finally {
+        if (!cancelled) setLoadingSuggestions(false)
+      }
+    }
+
+    loadSuggestions()
+    return () => {
+      cancelled = true
+    }
+  }, [debouncedAssignment, isAdmin, booking?.id])
+
+  // Only offer the current status and the moves the workflow allows from it.
+  // Cancelling and no-shows have their own dialogs on the booking so their fees apply.
+  const statusOptions = booking?.status
+    ? BOOKING_STATUS.filter(status =>
+        status.value === booking.status ||
+        (getAvailableStatusTransitions(booking.status, profile?.role).includes(status.value) &&
+          !FLOW_ONLY_STATUSES.includes(status.value))
+      )
+    : BOOKING_STATUS.filter(status => !FLOW_ONLY_STATUSES.includes(status.value))
+
+  const suggestedWorkers = rankedWorkers.filter(candidate => candidate.eligible).slice(0, SUGGESTION_COUNT)
+  const canAutoAssign = isAdmin && mode === 'create'
+
+  const handleUseSuggestion = (workerId) => {
+    setAutoAssign(false)
+    handleChange('worker_id', workerId)
+  }
+
   // Validation function using refs
   const validateField = (fieldName, value, forceValidation = false) => {
     const ref = validationRefs.current[fieldName]
@@ -319,8 +756,12 @@ export function BookingForm({
         errorMessage = 'Please select a service'
         break
       case 'scheduled_date':
-        isValid = !!value && new Date(value) >= new Date().setHours(0, 0, 0, 0)
-        errorMessage = isValid ? '' : 'Please select a valid future date'
+        // Existing bookings keep their date even if it was later closed
+        errorMessage = getFieldErrorMessage('scheduled_date', value, profile?.role, {
+          blackouts: value === booking?.scheduled_date ? [] : blackouts,
+          location: bookingLocation
+        })
+        isValid = !errorMessage
         break
       case 'scheduled_time':
         isValid = !!value
@@ -406,31 +847,116 @@ export function BookingForm({
   }
 
   // Calculate pricing breakdown
-  const totalPrice = parseFloat(formData.base_price || 0) +
-    parseFloat(formData.additional_charges || 0) -
-    parseFloat(formData.discount_amount || 0)
+  const primaryServiceTitle = selectedService?.title || booking?.service?.title || 'Service'
+  const allPriceLines = [
+    {
+      type: 'service',
+      label: extraVehicles.length > 0
+        ? `${primaryServiceTitle} – ${getVehicleLabel(formData)}`
+        : primaryServiceTitle,
+      amount: parseFloat(formData.base_price || 0)
+    },
+    ...extraVehicles.map(vehicle => ({
+      type: 'service',
+      label: `${services.find(service => service.id === vehicle.service_id)?.title || 'Service'} – ${getVehicleLabel(vehicle)}`,
+      amount: parseFloat(vehicle.price || 0)
+    })),
+    ...priceLines
+  ]
+  const totalPrice = calculatePriceLinesTotal(allPriceLines)
+
+  const addPriceLine = () => {
+    setPriceLines(prev => [...prev, { type: 'addon', label: '', amount: '' }])
+  }
 
-  const platformFee = (totalPrice * parseFloat(formData.platform_fee_percentage || 15)) / 100
-  const workerEarnings = totalPrice - platformFee
+  const updatePriceLine = (index, field, value) => {
+    setPriceLines(prev => prev.map((line, i) => (i === index ? { ...line, [field]: value } : line)))
+  }
 
-  // Update payment calculations when price changes
-  useEffect(() => {
-    const newPlatformFee = (totalPrice * parseFloat(formData.platform_fee_percentage || 15)) / 100
-    const newWorkerEarnings = totalPrice - newPlatformFee
+  const removePriceLine = (index) => {
+    setPriceLines(prev => prev.filter((_, i) => i !== index))
+  }
 
-    setFormData(prev => ({
-      ...prev,
-      platform_fee: newPlatformFee,
-      worker_earnings: newWorkerEarnings
+  const addVehicle = () => {
+    setExtraVehicles(prev => [...prev, {
+      vehicle_type: '',
+      vehicle_make: '',
+      vehicle_model: '',
+      license_plate: '',
+      service_id: formData.service_id || '',
+      price: parseFloat(formData.base_price || 0),
+      estimated_duration: parseInt(formData.estimated_duration) || 60
+    }])
+  }
+
+  const updateVehicle = (index, field, value) => {
+    setExtraVehicles(prev => prev.map((vehicle, i) => {
+      if (i !== index) return vehicle
+      const updated = { ...vehicle, [field]: value }
+      // Picking a service fills in its price and duration
+      if (field === 'service_id') {
+        const service = services.find(s => s.id === value)
+        if (service) {
+          updated.price = parseFloat(service.price) || 0
+          updated.estimated_duration = parseInt(service.duration_minutes) || vehicle.estimated_duration
+        }
+      }
+      return updated
     }))
-  }, [totalPrice, formData.platform_fee_percentage])
+  }
+
+  const removeVehicle = (index) => {
+    setExtraVehicles(prev => prev.filter((_, i) => i !== index))
+  }
+
+  // The fee the rules give this booking, unless one is typed in
+  const ruleFee = resolveFeeRule(feeRules, {
+    workerId: formData.worker_id || null,
+    commissionRate: workers.find(worker => worker.id === formData.worker_id)?.commission_rate,
+    serviceCategory: services.find(service => service.id === formData.service_id)?.category || null,
+    promotionCodes: getBookingPromotionCodes({ price_lines: priceLines, utm_campaign: formData.utm_campaign }),
+    date: formData.scheduled_date || null
+  })
+  const appliedFee = hasManualFee(formData.platform_fee_percentage)
+    ? getManualFee(formData.platform_fee_percentage)
+    : ruleFee
+  const { platform_fee: platformFee, worker_earnings: workerEarnings } = calculateFeeSplit(totalPrice, appliedFee.fee_percentage)
+
+  // Crew as sent to the service: the lead's share, then each chosen helper
+  const submittedCrew = [
+    { role: 'lead', share_percent: leadShare },
+    ...crewHelpers
+      .filter(helper => helper.worker_id)
+      .map(helper => ({ worker_id: helper.worker_id, role: 'helper', share_percent: helper.share_percent }))
+  ]
+  // Preview of each member's earnings once a lead is chosen
+  const crewPreview = formData.worker_id && helperIds.length > 0
+    ? splitCrewEarnings(calculateCrewShares(buildBookingCrew(formData.worker_id, submittedCrew), crewSplitRule), workerEarnings)
+    : []
+
+  const addHelper = () => {
+    setCrewHelpers(prev => [...prev, { worker_id: '', share_percent: '' }])
+  }
+
+  const updateHelper = (index, field, value) => {
+    setCrewHelpers(prev => prev.map((helper, i) => (i === index ? { ...helper, [field]: value } : helper)))
+  }
+
+  const removeHelper = (index) => {
+    setCrewHelpers(prev => prev.filter((_, i) => i !== index))
+  }
+
+  const getWorkerName = (workerId) => {
+    const worker = workers.find(w => w.id === workerId)
+    return worker?.user?.full_name || worker?.business_name || 'Worker'
+  }
 
   // Validate entire form (force validation for all fields)
   const validateForm = () => {
     const requiredFields = ['customer_id', 'service_id', 'scheduled_date', 'scheduled_time', 'service_address_text', 'vehicle_type', 'base_price']
 
-    // Add worker_id as required for admins
-    if (isAdmin) {
+    // Add worker_id as required for admins, unless the assignment engine will pick one
+    if (isAdmin && !(canAutoAssign && autoAssign)) {
       requiredFields.push('worker_id')
     }
 
@@ -467,17 +993,80 @@ export function BookingForm({
       return
     }
 
+    if (scheduleCheck?.hasConflicts && !allowConflicts) {
+      toast.error('Resolve the scheduling conflict or choose to book anyway')
+      return
+    }
+
+    if (duplicates.length > 0 && !allowDuplicates) {
+      toast.error('This looks like an existing booking. Open it or choose to create anyway')
+      return
+    }
+
+    if (customerBlocked && !allowBlockedCustomer) {
+      toast.error('This customer is blocked from booking because of repeated no-shows')
+      return
+    }
+
+    const recurrenceRule = mode === 'create' ? getRecurrenceRule() : null
+    const recurrenceError = validateRecurrenceRule(recurrenceRule)
+    if (recurrenceError) {
+      toast.error(recurrenceError)
+      return
+    }
+
+    if (extraVehicles.some(vehicle => !vehicle.vehicle_type || !vehicle.service_id)) {
+      toast.error('Choose a vehicle type and service for every additional vehicle')
+      return
+    }
+
+    if (helperIds.length > 0 && !formData.worker_id) {
+      toast.error('Choose a lead worker before adding helpers')
+      return
+    }
+
+    if (helperIds.length > 0 && crewSplitRule === 'custom') {
+      const splitIssue = getCustomSplitIssue(buildBookingCrew(formData.worker_id, submittedCrew))
+      if (splitIssue) {
+        toast.error(splitIssue)
+        return
+      }
+    }
+
     setIsSubmitting(true)
 
     try {
       const submitData = {
         ...formData,
         total_price: totalPrice,
-        estimated_duration: parseInt(formData.estimated_duration),
+        estimated_duration: totalDuration,
         vehicle_year: formData.vehicle_year ? parseInt(formData.vehicle_year) : null,
         base_price: parseFloat(formData.base_price),
-        additional_charges: parseFloat(formData.additional_charges || 0),
-        discount_amount: parseFloat(formData.discount_amount || 0)
+        price_lines: allPriceLines,
+        vehicles: [
+          {
+            id: savedPrimaryVehicle?.id || null,
+            vehicle_type: formData.vehicle_type,
+            vehicle_make: formData.vehicle_make,
+            vehicle_model: formData.vehicle_model,
+            vehicle_year: formData.vehicle_year,
+            vehicle_color: formData.vehicle_color,
+            license_plate: formData.license_plate,
+            service_id: formData.service_id,
+            price: formData.base_price,
+            estimated_duration: formData.estimated_duration,
+            status: savedPrimaryVehicle?.status
+          },
+          ...extraVehicles
+        ],
+        crew: submittedCrew,
+        crew_split_rule: crewSplitRule,
+        allow_conflicts: allowConflicts,
+        ...(duplicates.length > 0 && allowDuplicates && { allow_duplicates: true }),
+        ...(customerBlocked && allowBlockedCustomer && { allow_blocked_customer: true }),
+        ...(canAutoAssign && autoAssign && !formData.worker_id && { auto_assign: true }),
+        ...(recurrenceRule && { recurrence: recurrenceRule }),
+        ...(mode === 'edit' && booking?.series_id && { series_scope: seriesScope })
       }
 
 
@@ -571,6 +1160,39 @@ export function BookingForm({
                   {getFieldError('customer_id')}
                 </p>
               )}
+              {customerReliability && customerReliability.level !== 'ok' && (
+                <div
+                  className={customerReliability.level === 'blocked'
+                    ? 'rounded-lg border border-red-200 bg-red-50 dark:bg-red-900/20 p-3 space-y-2'
+                    : 'rounded-lg border border-amber-200 bg-amber-50 dark:bg-amber-900/20 p-3 space-y-2'}
+                >
+                  <p className="text-sm flex items-center gap-2">
+                    <UserX className="h-4 w-4" />
+                    <Badge className={RELIABILITY_LEVELS[customerReliability.level].color}>
+                      {RELIABILITY_LEVELS[customerReliability.level].label}
+                    </Badge>
+                    {customerReliability.noShowCount} no-show{customerReliability.noShowCount === 1 ? '' : 's'} on record
+                  </p>
+                  {customerBlocked && (
+                    isAdmin ? (
+                      <div className="flex items-center gap-2">
+                        <Switch
+                          id="allow_blocked_customer"
+                          checked={allowBlockedCustomer}
+                          onCheckedChange={setAllowBlockedCustomer}
+                        />
+                        <Label htmlFor="allow_blocked_customer" className="text-sm">
+                          Book anyway
+                        </Label>
+                      </div>
+                    ) : (
+                      <p className="text-sm text-red-700 dark:text-red-300">
+                        New bookings need to be made by our team. Please contact us.
+                      </p>
+                    )
+                  )}
+                </div>
+              )}
             </div>
 
             <div className="space-y-2">
@@ -607,6 +1229,113 @@ export function BookingForm({
             </div>
           </div>
 
+          {/* Crew (admins only): helpers alongside the lead worker */}
+          {isAdmin && (
+            <div className="space-y-3 rounded-lg border p-4">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <Label className="flex items-center gap-2">
+                  <Users className="h-4 w-4" />
+                  Crew
+                </Label>
+                <Button type="button" variant="outline" size="sm" onClick={addHelper}>
+                  <Plus className="h-4 w-4 mr-1" />
+                  Add Helper
+                </Button>
+              </div>
+
+              {crewHelpers.length === 0 ? (
+                <p className="text-sm text-muted-foreground">
+                  The selected worker works alone. Add helpers for large vehicles or fleets.
+                </p>
+              ) : (
+                <>
+                  <div className="grid md:grid-cols-2 gap-3">
+                    <div className="space-y-1">
+                      <Label className="text-xs">Earnings split</Label>
+                      <Select value={crewSplitRule} onValueChange={setCrewSplitRule}>
+                        <SelectTrigger className="w-full">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {CREW_SPLIT_RULES.map(rule => (
+                            <SelectItem key={rule.value} value={rule.value}>{rule.label}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    {crewSplitRule === 'custom' && (
+                      <div className="space-y-1">
+                        <Label htmlFor="lead_share" className="text-xs">Lead share (%)</Label>
+                        <Input
+                          id="lead_share"
+                          type="number"
+                          min="0"
+                          max="100"
+                          value={leadShare}
+                          onChange={(e) => setLeadShare(e.target.value)}
+                        />
+                      </div>
+                    )}
+                  </div>
+
+                  {crewHelpers.map((helper, index) => (
+                    <div key={index} className="flex items-end gap-2">
+                      <div className="flex-1 space-y-1">
+                        <Label className="text-xs">Helper {index + 1}</Label>
+                        <Select
+                          value={helper.worker_id}
+                          onValueChange={(value) => updateHelper(index, 'worker_id', value)}
+                        >
+                          <SelectTrigger className="w-full">
+                            <SelectValue placeholder="Select helper" />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {workers
+                              .filter(worker => worker.id === helper.worker_id || (worker.id !== formData.worker_id && !helperIds.includes(worker.id)))
+                              .map(worker => (
+                                <SelectItem key={worker.id} value={worker.id}>
+                                  {worker.user?.full_name || worker.business_name}
+                                </SelectItem>
+                              ))}
+                          </SelectContent>
+                        </Select>
+                      </div>
+                      {crewSplitRule === 'custom' && (
+                        <div className="w-24 space-y-1">
+                          <Label className="text-xs">Share (%)</Label>
+                          <Input
+                            type="number"
+                            min="0"
+                            max="100"
+                            value={helper.share_percent}
+                            onChange={(e) => updateHelper(index, 'share_percent', e.target.value)}
+                          />
+                        </div>
+                      )}
+                      <Button type="button" variant="ghost" size="icon" onClick={() => removeHelper(index)}>
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  ))}
+
+                  {crewPreview.length > 0 && (
+                    <ul className="text-sm space-y-1 rounded-md bg-muted/50 p-3">
+                      {crewPreview.map(member => (
+                        <li key={member.worker_id} className="flex justify-between gap-2">
+                          <span>
+                            {getWorkerName(member.worker_id)}
+                            <span className="text-muted-foreground"> ({member.role === 'lead' ? 'Lead' : 'Helper'}, {member.share_percent}%)</span>
+                          </span>
+                          <span className="font-medium">{member.earnings.toFixed(2)} MAD</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+
           {/* Service Selection */}
           <div className="space-y-4">
             <div className="space-y-2">
@@ -656,7 +1385,7 @@ export function BookingForm({
                   type="date"
                   value={formData.scheduled_date}
                   onChange={(e) => handleChange('scheduled_date', e.target.value)}
-                  min={new Date().toISOString().split('T')[0]}
+                  min={getTodayDateString()}
                 />
                 {getFieldError('scheduled_date') && (
                   <p className="text-sm text-red-600 flex items-center gap-1">
@@ -664,16 +1393,72 @@ export function BookingForm({
                     {getFieldError('scheduled_date')}
                   </p>
                 )}
+                {dateBlackout && !getFieldError('scheduled_date') && (
+                  <p className="text-sm text-amber-700 dark:text-amber-300 flex items-center gap-1">
+                    <CalendarOff className="h-3 w-3" />
+                    {describeDayBlackout(dateBlackout)}
+                  </p>
+                )}
               </div>
 
               <div className="space-y-2">
                 <Label htmlFor="scheduled_time">Time *</Label>
-                <Input
-                  ref={el => validationRefs.current.scheduled_time = el}
-                  type="time"
-                  value={formData.scheduled_time}
-                  onChange={(e) => handleChange('scheduled_time', e.target.value)}
-                />
+                <Select
+                  value={selectedSlotTime}
+                  onValueChange={(value) => handleChange('scheduled_time', value)}
+                  disabled={!formData.service_id || !formData.scheduled_date || loadingSlots}
+                >
+                  <SelectTrigger
+                    id="scheduled_time"
+                    ref={el => validationRefs.current.scheduled_time = el}
+                    className="w-full"
+                  >
+                    <SelectValue placeholder={
+                      !formData.service_id || !formData.scheduled_date
+                        ? "Select service and date first"
+                        : loadingSlots
+                          ? "Loading slots..."
+                          : "Select a time slot"
+                    } />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {selectedSlotTime && !visibleSlots.some(slot => slot.time === selectedSlotTime) && (
+                      <SelectItem value={selectedSlotTime}>
+                        {selectedSlotTime} (current)
+                      </SelectItem>
+                    )}
+                    {visibleSlots.map((slot) => (
+                      <SelectItem key={slot.time} value={slot.time}>
+                        {slot.time} - {slot.workers.length} worker{slot.workers.length === 1 ? '' : 's'} free
+                      </SelectItem>
+                    ))}
+                    {visibleSlots.length === 0 && !selectedSlotTime && (
+                      <SelectItem value="no-slots" disabled>
+                        <span className="text-muted-foreground">No open slots on this date</span>
+                      </SelectItem>
+                    )}
+                  </SelectContent>
+                </Select>
+                {slotsError && (
+                  <p className="text-xs text-red-600">{slotsError}</p>
+                )}
+                {mode === 'create' && formData.customer_id && formData.service_id && formData.scheduled_date &&
+                  !loadingSlots && !slotsError && !dateBlackout?.closed && visibleSlots.length === 0 && (
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    onClick={() => setShowWaitlistDialog(true)}
+                  >
+                    <Hourglass className="mr-2 h-4 w-4" />
+                    Fully booked - add to waitlist
+                  </Button>
+                )}
+                {selectedSlot && !formData.worker_id && (
+                  <p className="text-xs text-muted-foreground">
+                    Available: {selectedSlot.workers.map(w => w.full_name || w.business_name).join(', ')}
+                  </p>
+                )}
                 {getFieldError('scheduled_time') && (
                   <p className="text-sm text-red-600 flex items-center gap-1">
                     <AlertCircle className="h-3 w-3" />
@@ -691,8 +1476,302 @@ export function BookingForm({
                   min="15"
                   step="15"
                 />
+                {extraVehicles.length > 0 && (
+                  <p className="text-xs text-muted-foreground">
+                    First vehicle only. Total visit: {totalDuration} min for {extraVehicles.length + 1} vehicles
+                  </p>
+                )}
               </div>
             </div>
+
+            {checkingConflicts && (
+              <p className="text-sm text-muted-foreground flex items-center gap-2">
+                <Loader2 className="h-3 w-3 animate-spin" />
+                Checking worker availability...
+              </p>
+            )}
+
+            {!checkingConflicts && scheduleCheck && !scheduleCheck.hasConflicts && (
+              <p className="text-sm text-green-600 flex items-center gap-1">
+                <CheckCircle className="h-3 w-3" />
+                {helperIds.length > 0 ? 'The whole crew is available for this slot' : 'Worker is available for this slot'}
+              </p>
+            )}
+
+            {!checkingConflicts && scheduleCheck?.hasConflicts && (
+              <div className="rounded-lg border border-red-200 bg-red-50 dark:bg-red-900/20 p-4 space-y-3">
+                <p className="text-sm font-semibold text-red-800 dark:text-red-200 flex items-center gap-2">
+                  <AlertCircle className="h-4 w-4" />
+                  Scheduling conflict
+                </p>
+                {scheduleCheck.blackoutIssue && (
+                  <p className="text-sm text-red-700 dark:text-red-300">
+                    {scheduleCheck.blackoutIssue}
+                  </p>
+                )}
+                {scheduleCheck.workingHoursIssue && (
+                  <p className="text-sm text-red-700 dark:text-red-300">
+                    {scheduleCheck.workingHoursIssue}
+                  </p>
+                )}
+                {scheduleCheck.conflicts.length > 0 && (
+                  <ul className="space-y-1 text-sm text-red-700 dark:text-red-300">
+                    {scheduleCheck.conflicts.map((conflict) => (
+                      <li key={`${conflict.id}-${conflict.worker_name || ''}`} className="flex flex-wrap gap-x-2">
+                        <span className="font-medium">{conflict.booking_number}</span>
+                        {conflict.worker_name && <span>({conflict.worker_name})</span>}
+                        <span>
+                          {conflict.scheduled_time?.slice(0, 5)} ({conflict.estimated_duration || 60} min)
+                        </span>
+                        {conflict.customer?.full_name && <span>- {conflict.customer.full_name}</span>}
+                        {conflict.service?.title && <span>- {conflict.service.title}</span>}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {isAdmin && (
+                  <div className="flex items-center gap-2">
+                    <Switch
+                      id="allow_conflicts"
+                      checked={allowConflicts}
+                      onCheckedChange={setAllowConflicts}
+                    />
+                    <Label htmlFor="allow_conflicts" className="text-sm">
+                      Book anyway
+                    </Label>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {duplicates.length > 0 && (
+              <div className="rounded-lg border border-amber-200 bg-amber-50 dark:bg-amber-900/20 p-4 space-y-3">
+                <p className="text-sm font-semibold text-amber-800 dark:text-amber-200 flex items-center gap-2">
+                  <Copy className="h-4 w-4" />
+                  Possible duplicate booking
+                </p>
+                <ul className="space-y-2 text-sm text-amber-800 dark:text-amber-200">
+                  {duplicates.map((duplicate) => (
+                    <li key={duplicate.id} className="flex flex-wrap items-center justify-between gap-2">
+                      <span className="flex flex-wrap gap-x-2">
+                        <span className="font-medium">{duplicate.booking_number}</span>
+                        <span>
+                          {duplicate.scheduled_time?.slice(0, 5)} ({duplicate.estimated_duration || 60} min)
+                        </span>
+                        {duplicate.customer?.full_name && <span>- {duplicate.customer.full_name}</span>}
+                        <span className="text-amber-700 dark:text-amber-300">- {duplicate.duplicate_reason}</span>
+                      </span>
+                      <Button
+                        type="button"
+                        variant="outline"
+                        size="sm"
+                        onClick={() => router.push(`/dashboard/bookings/${duplicate.id}/edit`)}
+                      >
+                        Open existing
+                      </Button>
+                    </li>
+                  ))}
+                </ul>
+                <div className="flex items-center gap-2">
+                  <Switch
+                    id="allow_duplicates"
+                    checked={allowDuplicates}
+                    onCheckedChange={setAllowDuplicates}
+                  />
+                  <Label htmlFor="allow_duplicates" className="text-sm">
+                    Create anyway
+                  </Label>
+                </div>
+              </div>
+            )}
+
+            {/* Suggested workers (admins only) */}
+            {isAdmin && formData.service_id && formData.scheduled_date && (
+              <div className="rounded-lg border p-4 space-y-3">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <p className="text-sm font-semibold flex items-center gap-2">
+                    <Sparkles className="h-4 w-4" />
+                    Suggested workers
+                  </p>
+                  {canAutoAssign && (
+                    <div className="flex items-center gap-2">
+                      <Switch
+                        id="auto_assign"
+                        checked={autoAssign}
+                        onCheckedChange={setAutoAssign}
+                        disabled={!!formData.worker_id}
+                      />
+                      <Label htmlFor="auto_assign" className="text-sm">
+                        Auto-assign best worker
+                      </Label>
+                    </div>
+                  )}
+                </div>
+
+                {loadingSuggestions ? (
+                  <p className="text-sm text-muted-foreground flex items-center gap-2">
+                    <Loader2 className="h-3 w-3 animate-spin" />
+                    Ranking workers...
+                  </p>
+                ) : suggestionsError ? (
+                  <p className="text-sm text-red-600">{suggestionsError}</p>
+                ) : suggestedWorkers.length === 0 ? (
+                  <p className="text-sm text-muted-foreground">
+                    No eligible worker for this slot
+                    {rankedWorkers.length > 0 && ` - ${rankedWorkers.length} ruled out (top candidate: ${rankedWorkers[0].blockers.join("; ")})`}
+                  </p>
+                ) : (
+                  <div className="space-y-2">
+                    {suggestedWorkers.map((candidate, index) => (
+                      <div
+                        key={candidate.worker.id}
+                        className={cn(
+                          "rounded-md border p-3 space-y-2",
+                          formData.worker_id === candidate.worker.id && "border-primary bg-primary/5"
+                        )}
+                      >
+                        <div className="flex items-center justify-between gap-2">
+                          <div className="flex items-center gap-2">
+                            <span className="text-sm font-medium">
+                              {index + 1}. {candidate.worker.user?.full_name || candidate.worker.business_name}
+                            </span>
+                            <Badge variant="secondary">{candidate.score} pts</Badge>
+                          </div>
+                          <Button
+                            type="button"
+                            size="sm"
+                            variant={formData.worker_id === candidate.worker.id ? "secondary" : "outline"}
+                            onClick={() => handleUseSuggestion(candidate.worker.id)}
+                            disabled={formData.worker_id === candidate.worker.id}
+                          >
+                            {formData.worker_id === candidate.worker.id ? 'Selected' : 'Use'}
+                          </Button>
+                        </div>
+                        <ul className="grid grid-cols-1 md:grid-cols-2 gap-x-4 text-xs text-muted-foreground">
+                          {candidate.reasons.map((reason) => (
+                            <li key={reason.factor}>
+                              {reason.label} <span className="font-medium">+{reason.points}</span>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    ))}
+                    {canAutoAssign && autoAssign && !formData.worker_id && (
+                      <p className="text-xs text-muted-foreground">
+                        The best available worker will be assigned when the booking is saved.
+                      </p>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Repeat (create mode only) */}
+            {mode === 'create' && (
+              <div className="rounded-lg border p-4 space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+                  <div className="space-y-2">
+                    <Label htmlFor="recurrence_frequency">Repeat</Label>
+                    <Select
+                      value={recurrence.frequency}
+                      onValueChange={(value) => setRecurrence(prev => ({ ...prev, frequency: value }))}
+                    >
+                      <SelectTrigger id="recurrence_frequency" className="w-full">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="none">Does not repeat</SelectItem>
+                        {RECURRENCE_FREQUENCIES.map((frequency) => (
+                          <SelectItem key={frequency.value} value={frequency.value}>
+                            {frequency.label}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+
+                  {recurrence.frequency !== 'none' && (
+                    <>
+                      <div className="space-y-2">
+                        <Label htmlFor="recurrence_count">Occurrences</Label>
+                        <Input
+                          id="recurrence_count"
+                          type="number"
+                          min="2"
+                          max={MAX_SERIES_OCCURRENCES}
+                          value={recurrence.count}
+                          onChange={(e) => setRecurrence(prev => ({ ...prev, count: e.target.value }))}
+                        />
+                      </div>
+                      <Button
+                        type="button"
+                        variant="outline"
+                        onClick={handlePreviewSeries}
+                        disabled={previewingSeries}
+                      >
+                        {previewingSeries && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                        Check occurrences
+                      </Button>
+                    </>
+                  )}
+                </div>
+
+                {recurrence.frequency !== 'none' && seriesPreview && (
+                  <ul className="space-y-1 text-sm">
+                    {seriesPreview.map((occurrence, index) => (
+                      <li key={occurrence.date} className="flex items-center gap-2">
+                        {occurrence.hasConflicts ? (
+                          <AlertCircle className="h-3 w-3 text-red-600" />
+                        ) : (
+                          <CheckCircle className="h-3 w-3 text-green-600" />
+                        )}
+                        <span className="font-medium">#{index + 1}</span>
+                        <span>{format(new Date(`${occurrence.date}T00:00:00`), 'EEE, MMM d yyyy')}</span>
+                        {occurrence.hasConflicts && (
+                          <span className="text-red-600">
+                            {occurrence.blackoutIssue || occurrence.workingHoursIssue ||
+                              `Conflicts with ${occurrence.conflicts.map(c => c.booking_number).join(', ')}`}
+                          </span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {recurrence.frequency !== 'none' && (
+                  <p className="text-xs text-muted-foreground">
+                    Occurrences that conflict when saving are skipped and reported.
+                  </p>
+                )}
+              </div>
+            )}
+
+            {/* Series scope (edit mode only) */}
+            {mode === 'edit' && booking?.series_id && (
+              <div className="rounded-lg border p-4 space-y-2">
+                <Label htmlFor="series_scope">
+                  Part of a {(getFrequencyLabel(booking.series?.frequency) || 'recurring').toLowerCase()} series
+                  {booking.series_index && booking.series?.occurrence_count &&
+                    ` (${booking.series_index} of ${booking.series.occurrence_count})`} - apply changes to
+                </Label>
+                <Select value={seriesScope} onValueChange={setSeriesScope}>
+                  <SelectTrigger id="series_scope" className="w-full md:w-80">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {SERIES_SCOPES.map((scope) => (
+                      <SelectItem key={scope.value} value={scope.value}>
+                        {scope.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                {seriesScope !== 'this' && (
+                  <p className="text-xs text-muted-foreground">
+                    Date changes only apply to this booking; other changes apply to every open booking in scope.
+                  </p>
+                )}
+              </div>
+            )}
           </div>
 
           <Separator />
@@ -913,6 +1992,106 @@ export function BookingForm({
                 />
               </div>
             </div>
+
+            {/* Additional vehicles at the same address */}
+            {extraVehicles.map((vehicle, index) => (
+              <div key={vehicle.id || index} className="rounded-lg border p-4 space-y-3">
+                <div className="flex items-center justify-between">
+                  <p className="font-medium">Vehicle {index + 2}</p>
+                  <Button type="button" variant="ghost" size="sm" onClick={() => removeVehicle(index)}>
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                  <div className="space-y-1">
+                    <Label>Vehicle Type *</Label>
+                    <Select
+                      value={vehicle.vehicle_type}
+                      onValueChange={(value) => updateVehicle(index, 'vehicle_type', value)}
+                    >
+                      <SelectTrigger>
+                        <SelectValue placeholder="Select type" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {VEHICLE_TYPES.map((type) => (
+                          <SelectItem key={type.value} value={type.value}>
+                            {type.label}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="space-y-1">
+                    <Label>Make</Label>
+                    <Input
+                      value={vehicle.vehicle_make}
+                      onChange={(e) => updateVehicle(index, 'vehicle_make', e.target.value)}
+                      placeholder="e.g., Dacia"
+                    />
+                  </div>
+                  <div className="space-y-1">
+                    <Label>Model</Label>
+                    <Input
+                      value={vehicle.vehicle_model}
+                      onChange={(e) => updateVehicle(index, 'vehicle_model', e.target.value)}
+                      placeholder="e.g., Logan"
+                    />
+                  </div>
+                  <div className="space-y-1">
+                    <Label>License Plate</Label>
+                    <Input
+                      value={vehicle.license_plate}
+                      onChange={(e) => updateVehicle(index, 'license_plate', e.target.value)}
+                    />
+                  </div>
+                  <div className="space-y-1">
+                    <Label>Service *</Label>
+                    <Select
+                      value={vehicle.service_id}
+                      onValueChange={(value) => updateVehicle(index, 'service_id', value)}
+                    >
+                      <SelectTrigger>
+                        <SelectValue placeholder="Select service" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {services.map((service) => (
+                          <SelectItem key={service.id} value={service.id}>
+                            {service.title}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="grid grid-cols-2 gap-2">
+                    <div className="space-y-1">
+                      <Label>Price (MAD)</Label>
+                      <Input
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        value={vehicle.price}
+                        onChange={(e) => updateVehicle(index, 'price', e.target.value)}
+                      />
+                    </div>
+                    <div className="space-y-1">
+                      <Label>Minutes</Label>
+                      <Input
+                        type="number"
+                        min="15"
+                        step="15"
+                        value={vehicle.estimated_duration}
+                        onChange={(e) => updateVehicle(index, 'estimated_duration', e.target.value)}
+                      />
+                    </div>
+                  </div>
+                </div>
+              </div>
+            ))}
+
+            <Button type="button" variant="outline" size="sm" onClick={addVehicle}>
+              <Plus className="mr-2 h-4 w-4" />
+              Add Another Vehicle
+            </Button>
           </div>
 
           <Separator />
@@ -941,29 +2120,70 @@ export function BookingForm({
                   </p>
                 )}
               </div>
+            </div>
 
-              <div className="space-y-2">
-                <Label htmlFor="additional_charges">Additional Charges (MAD)</Label>
-                <Input
-                  type="number"
-                  step="0.01"
-                  value={formData.additional_charges || 0}
-                  onChange={(e) => handleChange('additional_charges', e.target.value)}
-                />
-              </div>
-
-              <div className="space-y-2">
-                <Label htmlFor="discount_amount">Discount (MAD)</Label>
-                <Input
-                  type="number"
-                  step="0.01"
-                  value={formData.discount_amount || 0}
-                  onChange={(e) => handleChange('discount_amount', e.target.value)}
-                />
-              </div>
+            <div className="space-y-2">
+              <Label>Price Lines</Label>
+              {priceLines.map((line, index) => (
+                <div key={index} className="flex flex-wrap items-center gap-2">
+                  <Select
+                    value={line.type}
+                    onValueChange={(value) => updatePriceLine(index, 'type', value)}
+                  >
+                    <SelectTrigger className="w-[150px]">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {PRICE_LINE_TYPES.filter(type => type.value !== 'service').map((type) => (
+                        <SelectItem key={type.value} value={type.value}>
+                          {type.label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <Input
+                    value={line.label}
+                    onChange={(e) => updatePriceLine(index, 'label', e.target.value)}
+                    placeholder="Description, e.g. Pet hair removal"
+                    className="flex-1 min-w-[180px]"
+                  />
+                  <Input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={line.amount}
+                    onChange={(e) => updatePriceLine(index, 'amount', e.target.value)}
+                    placeholder="MAD"
+                    className="w-28"
+                  />
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => removePriceLine(index)}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              ))}
+              <Button type="button" variant="outline" size="sm" onClick={addPriceLine}>
+                <Plus className="mr-2 h-4 w-4" />
+                Add Line
+              </Button>
             </div>
 
-            <div className="bg-gray-50 dark:bg-gray-800 p-4 rounded-lg">
+            <div className="bg-gray-50 dark:bg-gray-800 p-4 rounded-lg space-y-2">
+              {allPriceLines
+                .filter(line => line.type === 'service' || parseFloat(line.amount) > 0)
+                .map((line, index) => (
+                  <div key={index} className="flex justify-between items-center text-sm">
+                    <span>{line.label || PRICE_LINE_TYPES.find(type => type.value === line.type)?.label}</span>
+                    <span className={getSignedLineAmount(line) < 0 ? 'text-green-600' : undefined}>
+                      {getSignedLineAmount(line).toFixed(2)} MAD
+                    </span>
+                  </div>
+                ))}
+              <Separator />
               <div className="flex justify-between items-center text-lg font-semibold">
                 <span>Total Price:</span>
                 <span className="text-green-600">{totalPrice.toFixed(2)} MAD</span>
@@ -1013,13 +2233,18 @@ export function BookingForm({
                 <Select
                   value={formData.payment_status}
                   onValueChange={(value) => handleChange('payment_status', value)}
+                  disabled={REFUND_PAYMENT_STATUSES.includes(formData.payment_status)}
                 >
                   <SelectTrigger>
                     <SelectValue placeholder="Select payment status" />
                   </SelectTrigger>
                   <SelectContent>
                     {PAYMENT_STATUS.map((status) => (
-                      <SelectItem key={status.value} value={status.value}>
+                      <SelectItem
+                        key={status.value}
+                        value={status.value}
+                        disabled={REFUND_PAYMENT_STATUSES.includes(status.value)}
+                      >
                         <div className="flex items-center gap-2">
                           <span>{status.icon}</span>
                           <span>{status.label}</span>
@@ -1029,7 +2254,9 @@ export function BookingForm({
                   </SelectContent>
                 </Select>
                 <p className="text-xs text-muted-foreground">
-                  Current payment status
+                  {REFUND_PAYMENT_STATUSES.includes(formData.payment_status)
+                    ? 'Refunded payments are managed from the payments page'
+                    : 'Current payment status'}
                 </p>
               </div>
             </div>
@@ -1039,15 +2266,17 @@ export function BookingForm({
               <div className="space-y-2">
                 <Label htmlFor="platform_fee_percentage">Platform Fee (%)</Label>
                 <Input
+                  id="platform_fee_percentage"
                   type="number"
                   step="0.1"
                   min="0"
-                  max="50"
-                  value={formData.platform_fee_percentage || 15}
+                  max="100"
+                  value={formData.platform_fee_percentage}
+                  placeholder={`${ruleFee.fee_percentage}`}
                   onChange={(e) => handleChange('platform_fee_percentage', e.target.value)}
                 />
                 <p className="text-xs text-muted-foreground">
-                  Platform commission percentage (default: 15%)
+                  Leave blank to use the fee rules: {describeAppliedFee(ruleFee)}
                 </p>
               </div>
             </div>
@@ -1063,7 +2292,7 @@ export function BookingForm({
                     <span className="font-medium">{totalPrice.toFixed(2)} MAD</span>
                   </div>
                   <div className="flex justify-between text-red-600">
-                    <span>Platform Fee ({formData.platform_fee_percentage}%):</span>
+                    <span>Platform Fee ({appliedFee.fee_percentage}%):</span>
                     <span className="font-medium">-{platformFee.toFixed(2)} MAD</span>
                   </div>
                 </div>
@@ -1080,6 +2309,10 @@ export function BookingForm({
                 </div>
               </div>
 
+              <p className="text-xs text-muted-foreground">
+                Fee from {describeAppliedFee(appliedFee)}
+              </p>
+
               {/* Payment Method Info */}
               {formData.payment_method && (
                 <div className="mt-3 p-3 bg-white dark:bg-gray-800 rounded border">
@@ -1128,6 +2361,51 @@ export function BookingForm({
                 </div>
               )}
 
+              {(isAdmin || isWorker) && (
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                  <div className="space-y-2">
+                    <Label htmlFor="source">Booking Channel</Label>
+                    <Select value={formData.source} onValueChange={(value) => handleChange('source', value)}>
+                      <SelectTrigger id="source" className="w-full">
+                        <SelectValue placeholder="Not recorded" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {Object.entries(BOOKING_CHANNELS).map(([value, config]) => (
+                          <SelectItem key={value} value={value}>{config.label}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="utm_source">Campaign Source</Label>
+                    <Input
+                      id="utm_source"
+                      value={formData.utm_source || ''}
+                      onChange={(e) => handleChange('utm_source', e.target.value)}
+                      placeholder="e.g., facebook"
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="utm_medium">Campaign Medium</Label>
+                    <Input
+                      id="utm_medium"
+                      value={formData.utm_medium || ''}
+                      onChange={(e) => handleChange('utm_medium', e.target.value)}
+                      placeholder="e.g., cpc"
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="utm_campaign">Campaign</Label>
+                    <Input
+                      id="utm_campaign"
+                      value={formData.utm_campaign || ''}
+                      onChange={(e) => handleChange('utm_campaign', e.target.value)}
+                      placeholder="e.g., ramadan-offer"
+                    />
+                  </div>
+                </div>
+              )}
+
               {(isAdmin || isWorker) && (
                 <div className="space-y-2">
                   <Label htmlFor="worker_notes">Worker Notes</Label>
@@ -1154,13 +2432,25 @@ export function BookingForm({
                   <SelectValue />
                 </SelectTrigger>
                 <SelectContent>
-                  {BOOKING_STATUS.map((status) => (
+                  {statusOptions.map((status) => (
                     <SelectItem key={status.value} value={status.value}>
                       {status.label}
                     </SelectItem>
                   ))}
                 </SelectContent>
               </Select>
+              {booking?.status && formData.status !== booking.status && (
+                <div className="space-y-2">
+                  <Label htmlFor="status_reason">Reason for status change</Label>
+                  <Textarea
+                    id="status_reason"
+                    value={formData.status_reason || ''}
+                    onChange={(e) => handleChange('status_reason', e.target.value)}
+                    placeholder="Recorded in the booking's status history"
+                    rows={2}
+                  />
+                </div>
+              )}
             </div>
           )}
 
@@ -1194,6 +2484,21 @@ export function BookingForm({
             </Button>
           </div>
         </form>
+
+        <WaitlistDialog
+          draft={{
+            customer_id: formData.customer_id,
+            service_id: formData.service_id,
+            preferred_date: formData.scheduled_date,
+            estimated_duration: totalDuration,
+            vehicle_type: formData.vehicle_type,
+            service_address_text: formData.service_address_text
+          }}
+          serviceTitle={services.find(service => service.id === formData.service_id)?.title}
+          open={showWaitlistDialog}
+          onOpenChange={setShowWaitlistDialog}
+          onAdded={() => router.push('/dashboard/bookings/waitlist')}
+        />
       </CardContent>
     </Card>
   )
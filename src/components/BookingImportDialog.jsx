@@ -0,0 +1,290 @@
+"use client"
+
+import { useState } from 'react'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Checkbox } from "@/components/ui/checkbox"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { CheckCircle, FileSpreadsheet, Loader2, Upload, XCircle } from 'lucide-react'
+import { toast } from 'sonner'
+import { getImportLookups, prepareImportRows, commitImportRows } from '@/services/bookingImport'
+import { IMPORT_FIELDS, readSpreadsheetFile, guessColumnMapping } from '@/utils/import'
+
+const FIELDS = IMPORT_FIELDS.bookings
+// Select value for an unmapped field (Select items can't use an empty string)
+const NOT_MAPPED = 'none'
+
+export function BookingImportDialog({ open, onOpenChange, onImported }) {
+  const [step, setStep] = useState('upload')
+  const [fileName, setFileName] = useState('')
+  const [headers, setHeaders] = useState([])
+  const [rows, setRows] = useState([])
+  const [mapping, setMapping] = useState({})
+  const [lookups, setLookups] = useState(null)
+  const [preparedRows, setPreparedRows] = useState([])
+  const [selectedRows, setSelectedRows] = useState([])
+  // Outcome of committed rows, keyed by row number
+  const [outcomes, setOutcomes] = useState({})
+  const [isLoading, setIsLoading] = useState(false)
+
+  const reset = () => {
+    setStep('upload')
+    setFileName('')
+    setHeaders([])
+    setRows([])
+    setMapping({})
+    setPreparedRows([])
+    setSelectedRows([])
+    setOutcomes({})
+  }
+
+  const handleOpenChange = (value) => {
+    if (isLoading) return
+    if (!value) reset()
+    onOpenChange?.(value)
+  }
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    setIsLoading(true)
+    try {
+      const [sheet, importLookups] = await Promise.all([
+        readSpreadsheetFile(file),
+        lookups ? Promise.resolve(lookups) : getImportLookups()
+      ])
+
+      if (sheet.rows.length === 0) {
+        toast.error('The file has a header row but no bookings')
+        return
+      }
+
+      setFileName(file.name)
+      setHeaders(sheet.headers)
+      setRows(sheet.rows)
+      setLookups(importLookups)
+      setMapping(guessColumnMapping(sheet.headers, FIELDS))
+      setStep('map')
+    } catch (error) {
+      console.error('Failed to read import file:', error)
+      toast.error(error.message || 'Failed to read the file')
+    } finally {
+      setIsLoading(false)
+      e.target.value = ''
+    }
+  }
+
+  const runDryRun = () => {
+    const missing = FIELDS.filter(field => field.required && mapping[field.key] === '')
+    if (missing.length > 0) {
+      toast.error(`Map a column for: ${missing.map(field => field.label).join(', ')}`)
+      return
+    }
+
+    const prepared = prepareImportRows(rows, mapping, lookups)
+    setPreparedRows(prepared)
+    // Rows already imported from this file stay out of the selection
+    setSelectedRows(prepared
+      .filter(row => row.isValid && !outcomes[row.rowNumber]?.success)
+      .map(row => row.rowNumber))
+    setStep('review')
+  }
+
+  const toggleRow = (rowNumber, checked) => {
+    setSelectedRows(prev => (checked
+      ? [...prev, rowNumber]
+      : prev.filter(number => number !== rowNumber)))
+  }
+
+  const handleCommit = async () => {
+    const toImport = preparedRows.filter(row => selectedRows.includes(row.rowNumber))
+    if (toImport.length === 0) {
+      toast.error('Select at least one valid row to import')
+      return
+    }
+
+    setIsLoading(true)
+    try {
+      const result = await commitImportRows(toImport)
+
+      setOutcomes(prev => ({
+        ...prev,
+        ...Object.fromEntries(result.results.map(item => [item.rowNumber, item]))
+      }))
+      // Keep only the rows that failed selected so they can be retried
+      setSelectedRows(result.results.filter(item => !item.success).map(item => item.rowNumber))
+
+      if (result.failed === 0) {
+        toast.success(`Imported ${result.succeeded} bookings`)
+      } else {
+        toast.error(`Imported ${result.succeeded} bookings, ${result.failed} failed`)
+      }
+      if (result.succeeded > 0) onImported?.(result)
+    } catch (error) {
+      console.error('Booking import failed:', error)
+      toast.error('Import failed. Please try again.')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const validCount = preparedRows.filter(row => row.isValid).length
+  const importedCount = Object.values(outcomes).filter(outcome => outcome.success).length
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <FileSpreadsheet className="h-5 w-5" />
+            Import Bookings
+          </DialogTitle>
+          <DialogDescription>
+            {step === 'upload' && 'Upload a .csv or .xlsx file with one booking per row and a header row.'}
+            {step === 'map' && `${fileName}: ${rows.length} rows. Match each booking field to a column.`}
+            {step === 'review' && `Dry run of ${preparedRows.length} rows: ${validCount} valid, ${preparedRows.length - validCount} with errors.`}
+          </DialogDescription>
+        </DialogHeader>
+
+        {step === 'upload' && (
+          <div className="space-y-2">
+            <Label htmlFor="import_file">File</Label>
+            <Input
+              id="import_file"
+              type="file"
+              accept=".csv,.xlsx,text/csv"
+              onChange={handleFile}
+              disabled={isLoading}
+            />
+            <p className="text-xs text-muted-foreground">
+              Customers are matched by email or phone, services by their key.
+            </p>
+            {isLoading && (
+              <p className="text-sm text-muted-foreground flex items-center gap-2">
+                <Loader2 className="h-3 w-3 animate-spin" />
+                Reading file...
+              </p>
+            )}
+          </div>
+        )}
+
+        {step === 'map' && (
+          <div className="grid md:grid-cols-2 gap-4">
+            {FIELDS.map((field) => (
+              <div key={field.key} className="space-y-1">
+                <Label>
+                  {field.label}{field.required && ' *'}
+                </Label>
+                <Select
+                  value={mapping[field.key] === '' ? NOT_MAPPED : String(mapping[field.key])}
+                  onValueChange={(value) => setMapping(prev => ({
+                    ...prev,
+                    [field.key]: value === NOT_MAPPED ? '' : parseInt(value)
+                  }))}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={NOT_MAPPED}>Not mapped</SelectItem>
+                    {headers.map((header, index) => (
+                      <SelectItem key={index} value={String(index)}>
+                        {header || `Column ${index + 1}`}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {step === 'review' && (
+          <div className="space-y-3">
+            <div className="flex flex-wrap gap-2">
+              <Badge variant="secondary">{validCount} valid</Badge>
+              <Badge variant={validCount < preparedRows.length ? 'destructive' : 'secondary'}>
+                {preparedRows.length - validCount} with errors
+              </Badge>
+              {importedCount > 0 && <Badge>{importedCount} imported</Badge>}
+            </div>
+            <ul className="divide-y text-sm border rounded-lg">
+              {preparedRows.map((row) => {
+                const outcome = outcomes[row.rowNumber]
+                const imported = outcome?.success
+                const rowErrors = Object.values(row.errors)
+
+                return (
+                  <li key={row.rowNumber} className="flex items-start gap-3 p-3">
+                    <Checkbox
+                      checked={selectedRows.includes(row.rowNumber)}
+                      onCheckedChange={(checked) => toggleRow(row.rowNumber, checked === true)}
+                      disabled={!row.isValid || imported || isLoading}
+                      className="mt-0.5"
+                    />
+                    <div className="flex-1 min-w-0">
+                      <div className="flex flex-wrap items-center gap-2">
+                        <span className="font-medium">Row {row.rowNumber}</span>
+                        <span className="text-muted-foreground">
+                          {row.customer?.full_name || '—'} · {row.service?.title || '—'} · {row.data.scheduled_date} {row.data.scheduled_time}
+                        </span>
+                      </div>
+                      {rowErrors.length > 0 && (
+                        <ul className="mt-1 text-red-600">
+                          {rowErrors.map((message) => (
+                            <li key={message}>{message}</li>
+                          ))}
+                        </ul>
+                      )}
+                      {outcome && (
+                        <p className={imported ? 'mt-1 text-green-600 flex items-center gap-1' : 'mt-1 text-red-600 flex items-center gap-1'}>
+                          {imported ? <CheckCircle className="h-3 w-3" /> : <XCircle className="h-3 w-3" />}
+                          {imported ? `Created ${outcome.booking_number}` : outcome.message}
+                        </p>
+                      )}
+                    </div>
+                  </li>
+                )
+              })}
+            </ul>
+          </div>
+        )}
+
+        <DialogFooter>
+          {step === 'map' && (
+            <>
+              <Button variant="outline" onClick={reset}>Back</Button>
+              <Button onClick={runDryRun}>Run Dry Run</Button>
+            </>
+          )}
+          {step === 'review' && (
+            <>
+              <Button variant="outline" onClick={() => setStep('map')} disabled={isLoading}>
+                Back to Mapping
+              </Button>
+              <Button onClick={handleCommit} disabled={isLoading || selectedRows.length === 0}>
+                {isLoading ? (
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                ) : (
+                  <Upload className="mr-2 h-4 w-4" />
+                )}
+                Import {selectedRows.length} Bookings
+              </Button>
+            </>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
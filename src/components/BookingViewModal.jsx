@@ -1,6 +1,6 @@
 "use client"
 
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { useRouter } from 'next/navigation'
 import {
   Dialog,
@@ -14,12 +14,40 @@ import { Button } from "@/components/ui/button"
 import { Badge } from "@/components/ui/badge"
 import { Separator } from "@/components/ui/separator"
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
 import { 
   Calendar, MapPin, User, DollarSign, Clock, Phone, Mail, 
   Car, Edit, Eye, CheckCircle, XCircle, AlertCircle, Timer,
-  CreditCard, FileText, Star
+  CreditCard, FileText, Star, Repeat, Loader2, CalendarClock, Ban, Users, UserX
 } from 'lucide-react'
+import { toast } from 'sonner'
 import { cn } from '@/lib/utils'
+import { useAuth } from '@/contexts/AuthContext'
+import { cancelSeriesBookings } from '@/services/bookingSeries'
+import { getBookingStatusHistory, updateBookingStatus } from '@/services/bookings'
+import { getBookingReschedules } from '@/services/reschedule'
+import { getCancellationQuote } from '@/services/cancellation'
+import { FLOW_ONLY_STATUSES, getAvailableStatusTransitions } from '@/utils/bookingUtils'
+import { RESCHEDULABLE_STATUSES } from '@/utils/scheduleUtils'
+import { RescheduleDialog } from '@/components/RescheduleDialog'
+import { CancelBookingDialog } from '@/components/CancelBookingDialog'
+import { NoShowDialog } from '@/components/NoShowDialog'
+import { describeCancellationPolicy } from '@/utils/cancellationUtils'
+import { getBookingPriceLines, getPriceLineType, getSignedLineAmount } from '@/utils/priceLineUtils'
+import { BOOKING_VEHICLE_STATUSES, getBookingVehicles, getVehicleLabel } from '@/utils/vehicleUtils'
+import { setBookingVehicleStatus } from '@/services/bookingVehicles'
+import { CREW_ROLES, CREW_SPLIT_RULES } from '@/utils/crewUtils'
+import { SERIES_SCOPES, getFrequencyLabel } from '@/utils/recurrenceUtils'
+import { getChannelLabel } from '@/utils/channelUtils'
+import { formatDateString, getBusinessTimeZone, getViewerSlotLabel } from '@/utils/timeZoneUtils'
 
 // Status options with icons and colors
 const BOOKING_STATUSES = [
@@ -27,15 +55,176 @@ const BOOKING_STATUSES = [
   { value: 'confirmed', label: 'Confirmed', icon: CheckCircle, color: 'text-blue-600 bg-blue-50 border-blue-200' },
   { value: 'in_progress', label: 'In Progress', icon: Timer, color: 'text-purple-600 bg-purple-50 border-purple-200' },
   { value: 'completed', label: 'Completed', icon: CheckCircle, color: 'text-green-600 bg-green-50 border-green-200' },
-  { value: 'cancelled', label: 'Cancelled', icon: XCircle, color: 'text-red-600 bg-red-50 border-red-200' }
+  { value: 'cancelled', label: 'Cancelled', icon: XCircle, color: 'text-red-600 bg-red-50 border-red-200' },
+  { value: 'no_show', label: 'No-show', icon: UserX, color: 'text-gray-600 bg-gray-50 border-gray-200' }
 ]
 
-export function BookingViewModal({ booking, children, onEdit }) {
+export function BookingViewModal({ booking, children, onEdit, onUpdated }) {
   const [open, setOpen] = useState(false)
   const router = useRouter()
+  const { profile } = useAuth()
+
+  // Series cancellation state
+  const [cancelScope, setCancelScope] = useState('this')
+  const [cancelReason, setCancelReason] = useState('')
+  const [isCancelling, setIsCancelling] = useState(false)
+
+  // Status history state
+  const [statusHistory, setStatusHistory] = useState([])
+  const [loadingHistory, setLoadingHistory] = useState(false)
+  const [statusReason, setStatusReason] = useState('')
+  const [changingStatus, setChangingStatus] = useState(null)
+
+  // Reschedule state
+  const [reschedules, setReschedules] = useState([])
+  const [rescheduleOpen, setRescheduleOpen] = useState(false)
+
+  // Cancellation state
+  const [cancellationQuote, setCancellationQuote] = useState(null)
+  const [cancelOpen, setCancelOpen] = useState(false)
+  const [noShowOpen, setNoShowOpen] = useState(false)
+
+  // Per-vehicle status changes made while the modal is open, keyed by vehicle id
+  const [vehicleStatuses, setVehicleStatuses] = useState({})
+  const [updatingVehicle, setUpdatingVehicle] = useState(null)
+
+  // Load the status history each time the modal opens
+  useEffect(() => {
+    if (!open || !booking?.id) return
+
+    setVehicleStatuses({})
+
+    let cancelled = false
+    const loadHistory = async () => {
+      setLoadingHistory(true)
+      try {
+        const [history, moves] = await Promise.all([
+          getBookingStatusHistory(booking.id),
+          getBookingReschedules(booking.id)
+        ])
+        if (!cancelled) {
+          setStatusHistory(history)
+          setReschedules(moves)
+        }
+      } catch (error) {
+        console.error('Error loading status history:', error)
+        if (!cancelled) {
+          setStatusHistory([])
+          setReschedules([])
+        }
+      } finally {
+        if (!cancelled) setLoadingHistory(false)
+      }
+    }
+
+    loadHistory()
+    return () => {
+      cancelled = true
+    }
+  }, [open, booking?.id])
+
+  // Show the policy that would apply if an open booking were cancelled now
+  useEffect(() => {
+    if (!open || !booking?.id || ['completed', 'cancelled', 'no_show'].includes(booking.status)) {
+      setCancellationQuote(null)
+      return
+    }
+
+    let cancelled = false
+    getCancellationQuote(booking.id)
+      .then(quote => !cancelled && setCancellationQuote(quote))
+      .catch(error => console.error('Error loading cancellation policy:', error))
+
+    return () => {
+      cancelled = true
+    }
+  }, [open, booking?.id, booking?.status])
 
   if (!booking) return null
 
+  const allowedTransitions = getAvailableStatusTransitions(booking.status, profile?.role)
+  // Cancelling and no-shows go through their own dialogs so the fee is applied
+  const statusButtons = allowedTransitions.filter(status => !FLOW_ONLY_STATUSES.includes(status))
+  const canCancel = allowedTransitions.includes('cancelled')
+  const canMarkNoShow = allowedTransitions.includes('no_show')
+  const appliedPolicy = booking.status === 'cancelled' ? booking.cancellation_policy : null
+  const priceLines = getBookingPriceLines(booking)
+  const vehicles = getBookingVehicles(booking).map(vehicle => ({
+    ...vehicle,
+    status: vehicleStatuses[vehicle.id] || vehicle.status
+  }))
+  const canMarkVehicles = ['confirmed', 'in_progress'].includes(booking.status) &&
+    ['admin', 'manager', 'worker'].includes(profile?.role)
+  // Booked times are business time; optionally show what that is on the viewer's clock
+  const viewerSlotLabel = getViewerSlotLabel(booking.scheduled_date, booking.scheduled_time)
+
+  // Mark one vehicle done (or back to pending) without touching the others
+  const handleVehicleStatus = async (vehicle, status) => {
+    setUpdatingVehicle(vehicle.id)
+    try {
+      await setBookingVehicleStatus(vehicle.id, status)
+      const nextStatuses = { ...vehicleStatuses, [vehicle.id]: status }
+      setVehicleStatuses(nextStatuses)
+
+      const allDone = vehicles.every(v => (nextStatuses[v.id] || v.status) === 'done')
+      toast.success(allDone
+        ? 'All vehicles done. The booking can now be marked completed.'
+        : `${getVehicleLabel(vehicle)} marked ${BOOKING_VEHICLE_STATUSES[status].label.toLowerCase()}`)
+      onUpdated?.()
+    } catch (error) {
+      console.error('Error updating vehicle status:', error)
+      toast.error('Failed to update vehicle status')
+    } finally {
+      setUpdatingVehicle(null)
+    }
+  }
+  const canReschedule = RESCHEDULABLE_STATUSES.includes(booking.status) && booking.can_reschedule !== false
+
+  // Move the booking to the next status in its workflow
+  const handleStatusChange = async (status) => {
+    setChangingStatus(status)
+    try {
+      await updateBookingStatus(booking.id, status, {}, statusReason.trim() || null)
+      toast.success(`Booking marked as ${getStatusConfig(status).label.toLowerCase()}`)
+      setStatusReason('')
+      setOpen(false)
+      onUpdated?.()
+    } catch (error) {
+      console.error('Error changing booking status:', error)
+      toast.error(error.message || 'Failed to change booking status')
+    } finally {
+      setChangingStatus(null)
+    }
+  }
+
+  const isOpenBooking = !['completed', 'cancelled', 'no_show'].includes(booking.status)
+
+  // Cancel this booking, the following ones or the whole series
+  const handleCancelSeries = async () => {
+    if (!cancelReason.trim()) {
+      toast.error('Please enter a cancellation reason')
+      return
+    }
+
+    setIsCancelling(true)
+    try {
+      const { cancelled, failed } = await cancelSeriesBookings(booking.id, cancelScope, profile?.id, cancelReason.trim())
+      if (failed.length > 0) {
+        toast.error(`Cancelled ${cancelled.length} bookings, ${failed.length} failed`)
+      } else {
+        toast.success(`Cancelled ${cancelled.length} booking${cancelled.length === 1 ? '' : 's'}`)
+      }
+      setCancelReason('')
+      setOpen(false)
+      onUpdated?.()
+    } catch (error) {
+      console.error('Error cancelling series bookings:', error)
+      toast.error('Failed to cancel bookings. Please try again.')
+    } finally {
+      setIsCancelling(false)
+    }
+  }
+
   // Get status configuration
   const getStatusConfig = (status) => {
     return BOOKING_STATUSES.find(s => s.value === status) || { 
@@ -152,7 +341,7 @@ export function BookingViewModal({ booking, children, onEdit }) {
                   <div>
                     <p className="text-sm text-muted-foreground">Date</p>
                     <p className="font-semibold">
-                      {new Date(booking.scheduled_date).toLocaleDateString('en-US', {
+                      {formatDateString(booking.scheduled_date, {
                         weekday: 'long',
                         year: 'numeric',
                         month: 'long',
@@ -164,8 +353,11 @@ export function BookingViewModal({ booking, children, onEdit }) {
                 <div className="flex items-center gap-2">
                   <Clock className="h-4 w-4 text-muted-foreground" />
                   <div>
-                    <p className="text-sm text-muted-foreground">Time</p>
+                    <p className="text-sm text-muted-foreground">Time ({getBusinessTimeZone()})</p>
                     <p className="font-semibold">{booking.scheduled_time}</p>
+                    {viewerSlotLabel && (
+                      <p className="text-xs text-muted-foreground">{viewerSlotLabel}</p>
+                    )}
                   </div>
                 </div>
               </div>
@@ -194,6 +386,78 @@ export function BookingViewModal({ booking, children, onEdit }) {
             </CardContent>
           </Card>
 
+          {/* Series Membership */}
+          {booking.series_id && (
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Repeat className="h-5 w-5" />
+                  Recurring Series
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <div className="grid md:grid-cols-2 gap-4">
+                  <div>
+                    <p className="text-sm text-muted-foreground">Frequency</p>
+                    <p className="font-semibold">{getFrequencyLabel(booking.series?.frequency) || 'N/A'}</p>
+                  </div>
+                  <div>
+                    <p className="text-sm text-muted-foreground">Occurrence</p>
+                    <p className="font-semibold">
+                      {booking.series_index || '?'} of {booking.series?.occurrence_count || '?'}
+                    </p>
+                  </div>
+                </div>
+
+                {isOpenBooking && (
+                  <div className="space-y-3 border-t pt-4">
+                    <div className="grid md:grid-cols-2 gap-4">
+                      <div className="space-y-2">
+                        <Label htmlFor="cancel_scope">Cancel</Label>
+                        <Select value={cancelScope} onValueChange={setCancelScope}>
+                          <SelectTrigger id="cancel_scope" className="w-full">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {SERIES_SCOPES.map((scope) => (
+                              <SelectItem key={scope.value} value={scope.value}>
+                                {scope.label}
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </div>
+                      <div className="space-y-2">
+                        <Label htmlFor="cancel_reason">Reason</Label>
+                        <Textarea
+                          id="cancel_reason"
+                          value={cancelReason}
+                          onChange={(e) => setCancelReason(e.target.value)}
+                          placeholder="Why are these bookings being cancelled?"
+                          rows={2}
+                        />
+                      </div>
+                    </div>
+                    <Button
+                      type="button"
+                      variant="outline"
+                      onClick={handleCancelSeries}
+                      disabled={isCancelling}
+                      className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                    >
+                      {isCancelling ? (
+                        <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                      ) : (
+                        <XCircle className="mr-2 h-4 w-4" />
+                      )}
+                      Cancel Bookings
+                    </Button>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          )}
+
           {/* Customer Information */}
           {booking.customer && (
             <Card>
@@ -275,8 +539,85 @@ export function BookingViewModal({ booking, children, onEdit }) {
             </Card>
           )}
 
+          {/* Crew */}
+          {booking.crew?.length > 1 && (
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Users className="h-5 w-5" />
+                  Crew ({booking.crew.length})
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-2">
+                {[...booking.crew]
+                  .sort((a, b) => (a.role === 'lead' ? -1 : b.role === 'lead' ? 1 : 0))
+                  .map(member => (
+                    <div key={member.id || member.worker_id} className="flex items-center justify-between gap-2 text-sm">
+                      <div className="flex items-center gap-2">
+                        <Badge variant={member.role === 'lead' ? 'default' : 'secondary'}>
+                          {CREW_ROLES[member.role]?.label || member.role}
+                        </Badge>
+                        <span>{member.worker?.user?.full_name || member.worker?.business_name || 'Worker'}</span>
+                      </div>
+                      <span className="text-muted-foreground">
+                        {member.share_percent}% · {(parseFloat(member.earnings) || 0).toFixed(2)} MAD
+                      </span>
+                    </div>
+                  ))}
+                <p className="text-xs text-muted-foreground pt-1">
+                  Earnings split: {CREW_SPLIT_RULES.find(rule => rule.value === booking.crew_split_rule)?.label || 'Equal shares'}
+                </p>
+              </CardContent>
+            </Card>
+          )}
+
           {/* Vehicle Information */}
-          {booking.vehicle_type && (
+          {vehicles.length > 1 ? (
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Car className="h-5 w-5" />
+                  Vehicles
+                  <Badge variant="secondary">{vehicles.length}</Badge>
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                <ul className="divide-y">
+                  {vehicles.map((vehicle) => (
+                    <li key={vehicle.id || vehicle.position} className="flex flex-wrap items-center justify-between gap-3 py-3">
+                      <div>
+                        <p className="font-semibold">{getVehicleLabel(vehicle)}</p>
+                        <p className="text-sm text-muted-foreground">
+                          {vehicle.vehicle_type} · {vehicle.service?.title || 'Service'} · {(parseFloat(vehicle.price) || 0).toFixed(2)} MAD · {vehicle.estimated_duration} min
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <Badge variant={vehicle.status === 'done' ? 'default' : 'outline'}>
+                          {BOOKING_VEHICLE_STATUSES[vehicle.status]?.label || vehicle.status}
+                        </Badge>
+                        {canMarkVehicles && vehicle.id && (
+                          <Button
+                            type="button"
+                            variant="outline"
+                            size="sm"
+                            onClick={() => handleVehicleStatus(vehicle, vehicle.status === 'done' ? 'pending' : 'done')}
+                            disabled={!!updatingVehicle}
+                          >
+                            {updatingVehicle === vehicle.id ? (
+                              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                            ) : (
+                              <CheckCircle className="mr-2 h-4 w-4" />
+                            )}
+                            {vehicle.status === 'done' ? 'Undo' : 'Mark done'}
+                          </Button>
+                        )}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </CardContent>
+            </Card>
+          ) : booking.vehicle_type && (
             <Card>
               <CardHeader>
                 <CardTitle className="flex items-center gap-2">
@@ -335,31 +676,18 @@ export function BookingViewModal({ booking, children, onEdit }) {
             </CardHeader>
             <CardContent>
               <div className="space-y-4">
-                <div className="grid md:grid-cols-2 gap-4">
-                  {booking.base_price && (
-                    <div>
-                      <p className="text-sm text-muted-foreground">Base Price</p>
-                      <p className="font-semibold">{booking.base_price.toFixed(2)} MAD</p>
-                    </div>
-                  )}
-                  {booking.additional_services_price && (
-                    <div>
-                      <p className="text-sm text-muted-foreground">Additional Services</p>
-                      <p className="font-semibold">{booking.additional_services_price.toFixed(2)} MAD</p>
-                    </div>
-                  )}
-                  {booking.discount_amount && (
-                    <div>
-                      <p className="text-sm text-muted-foreground">Discount</p>
-                      <p className="font-semibold text-green-600">-{booking.discount_amount.toFixed(2)} MAD</p>
-                    </div>
-                  )}
-                  {booking.tax_amount && (
-                    <div>
-                      <p className="text-sm text-muted-foreground">Tax</p>
-                      <p className="font-semibold">{booking.tax_amount.toFixed(2)} MAD</p>
+                <div className="space-y-2">
+                  {priceLines.map((line, index) => (
+                    <div key={index} className="flex justify-between items-center">
+                      <div>
+                        <p className="font-medium">{line.label}</p>
+                        <p className="text-xs text-muted-foreground">{getPriceLineType(line.type).label}</p>
+                      </div>
+                      <p className={cn("font-semibold", getSignedLineAmount(line) < 0 && "text-green-600")}>
+                        {getSignedLineAmount(line).toFixed(2)} MAD
+                      </p>
                     </div>
-                  )}
+                  ))}
                 </div>
                 
                 <Separator />
@@ -398,6 +726,94 @@ export function BookingViewModal({ booking, children, onEdit }) {
             </Card>
           )}
 
+          {/* No-show */}
+          {booking.status === 'no_show' && (
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <UserX className="h-5 w-5" />
+                  No-show
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                <div className="grid md:grid-cols-2 gap-4">
+                  <div>
+                    <p className="text-sm text-muted-foreground">No-show Fee</p>
+                    <p className="font-semibold">{(parseFloat(booking.no_show_fee) || 0).toFixed(2)} MAD</p>
+                  </div>
+                  {booking.no_show_at && (
+                    <div>
+                      <p className="text-sm text-muted-foreground">Marked At</p>
+                      <p className="font-semibold">{new Date(booking.no_show_at).toLocaleString()}</p>
+                    </div>
+                  )}
+                </div>
+              </CardContent>
+            </Card>
+          )}
+
+          {/* Cancellation Policy */}
+          {(appliedPolicy || cancellationQuote) && (
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Ban className="h-5 w-5" />
+                  Cancellation Policy
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                {appliedPolicy ? (
+                  <div className="grid md:grid-cols-2 gap-4">
+                    <div>
+                      <p className="text-sm text-muted-foreground">Policy Applied</p>
+                      <p className="font-semibold">{appliedPolicy.name}</p>
+                    </div>
+                    <div>
+                      <p className="text-sm text-muted-foreground">Cancellation Fee</p>
+                      <p className="font-semibold">
+                        {(parseFloat(booking.cancellation_fee) || 0).toFixed(2)} MAD
+                        {appliedPolicy.fee_waived
+                          ? ' (waived)'
+                          : ` (${appliedPolicy.fee_percentage}%)`}
+                      </p>
+                    </div>
+                    <div>
+                      <p className="text-sm text-muted-foreground">Notice Given</p>
+                      <p className="font-semibold">
+                        {appliedPolicy.hours_before > 0 ? `${appliedPolicy.hours_before}h before` : 'After the start time'}
+                      </p>
+                    </div>
+                    {booking.cancellation_reason && (
+                      <div>
+                        <p className="text-sm text-muted-foreground">Reason</p>
+                        <p className="font-semibold">{booking.cancellation_reason}</p>
+                      </div>
+                    )}
+                  </div>
+                ) : (
+                  <div className="space-y-3">
+                    <p className="text-sm font-semibold">{cancellationQuote.policyName}</p>
+                    <ul className="list-inside list-disc text-sm text-muted-foreground">
+                      {describeCancellationPolicy(cancellationQuote.policy).map((line) => (
+                        <li key={line}>{line}</li>
+                      ))}
+                    </ul>
+                    <div className="flex items-center justify-between bg-muted p-3 rounded-lg">
+                      <span className="text-sm text-muted-foreground">
+                        {cancellationQuote.windowClosed || booking.can_cancel === false
+                          ? 'Cancellation window closed'
+                          : 'Fee if cancelled now'}
+                      </span>
+                      <span className="font-semibold">
+                        {cancellationQuote.feeAmount.toFixed(2)} MAD
+                      </span>
+                    </div>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          )}
+
           {/* Booking Timeline */}
           <Card>
             <CardHeader>
@@ -408,6 +824,74 @@ export function BookingViewModal({ booking, children, onEdit }) {
             </CardHeader>
             <CardContent>
               <div className="space-y-3">
+                {loadingHistory ? (
+                  <p className="text-sm text-muted-foreground flex items-center gap-2">
+                    <Loader2 className="h-3 w-3 animate-spin" />
+                    Loading status history...
+                  </p>
+                ) : statusHistory.length > 0 && (
+                  <ol className="relative border-l ml-2 space-y-4 pb-2">
+                    {statusHistory.map((entry) => {
+                      const entryConfig = getStatusConfig(entry.to_status)
+                      const EntryIcon = entryConfig.icon
+                      return (
+                        <li key={entry.id} className="ml-5">
+                          <span className={cn(
+                            "absolute -left-3 flex h-6 w-6 items-center justify-center rounded-full border",
+                            entryConfig.color
+                          )}>
+                            <EntryIcon className="h-3 w-3" />
+                          </span>
+                          <div className="flex flex-wrap items-center justify-between gap-2">
+                            <p className="text-sm font-medium">
+                              {entry.from_status
+                                ? `${getStatusConfig(entry.from_status).label} → ${entryConfig.label}`
+                                : entryConfig.label}
+                            </p>
+                            <span className="text-xs text-muted-foreground">
+                              {new Date(entry.created_at).toLocaleString()}
+                            </span>
+                          </div>
+                          <p className="text-xs text-muted-foreground">
+                            by {entry.actor?.full_name || 'System'}
+                            {entry.changed_by_role && ` (${entry.changed_by_role})`}
+                          </p>
+                          {entry.reason && (
+                            <p className="text-sm mt-1">{entry.reason}</p>
+                          )}
+                        </li>
+                      )
+                    })}
+                  </ol>
+                )}
+
+                {reschedules.length > 0 && (
+                  <div className="space-y-2 border-b pb-3">
+                    <p className="text-sm font-medium flex items-center gap-2">
+                      <CalendarClock className="h-4 w-4" />
+                      Reschedules
+                    </p>
+                    {reschedules.map((move) => (
+                      <div key={move.id} className="text-sm">
+                        <p>
+                          {move.old_date} {move.old_time?.slice(0, 5)} → {move.new_date} {move.new_time?.slice(0, 5)}
+                        </p>
+                        <p className="text-xs text-muted-foreground">
+                          {move.rescheduler?.full_name || 'System'} · {new Date(move.created_at).toLocaleString()}
+                          {move.reason && ` · ${move.reason}`}
+                        </p>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                <div className="flex justify-between items-center">
+                  <span className="text-sm text-muted-foreground">Channel</span>
+                  <span className="text-sm font-medium">
+                    {getChannelLabel(booking.source)}
+                    {booking.utm_campaign && ` · ${booking.utm_campaign}`}
+                  </span>
+                </div>
                 <div className="flex justify-between items-center">
                   <span className="text-sm text-muted-foreground">Created</span>
                   <span className="text-sm font-medium">
@@ -420,6 +904,44 @@ export function BookingViewModal({ booking, children, onEdit }) {
                     {new Date(booking.updated_at).toLocaleString()}
                   </span>
                 </div>
+
+                {statusButtons.length > 0 && (
+                  <div className="space-y-3 border-t pt-4">
+                    <div className="space-y-2">
+                      <Label htmlFor="status_reason">Status change note</Label>
+                      <Textarea
+                        id="status_reason"
+                        value={statusReason}
+                        onChange={(e) => setStatusReason(e.target.value)}
+                        placeholder="Optional note for the status history"
+                        rows={2}
+                      />
+                    </div>
+                    <div className="flex flex-wrap gap-2">
+                      {statusButtons.map((status) => {
+                        const config = getStatusConfig(status)
+                        const TransitionIcon = config.icon
+                        return (
+                          <Button
+                            key={status}
+                            type="button"
+                            variant="outline"
+                            size="sm"
+                            onClick={() => handleStatusChange(status)}
+                            disabled={!!changingStatus}
+                          >
+                            {changingStatus === status ? (
+                              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                            ) : (
+                              <TransitionIcon className="mr-2 h-4 w-4" />
+                            )}
+                            Mark {config.label.toLowerCase()}
+                          </Button>
+                        )
+                      })}
+                    </div>
+                  </div>
+                )}
               </div>
             </CardContent>
           </Card>
@@ -434,6 +956,37 @@ export function BookingViewModal({ booking, children, onEdit }) {
               <Edit className="mr-2 h-4 w-4" />
               Edit Booking
             </Button>
+            {canReschedule && (
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => setRescheduleOpen(true)}
+              >
+                <CalendarClock className="mr-2 h-4 w-4" />
+                Reschedule
+              </Button>
+            )}
+            {canMarkNoShow && (
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => setNoShowOpen(true)}
+              >
+                <UserX className="mr-2 h-4 w-4" />
+                No-show
+              </Button>
+            )}
+            {canCancel && (
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => setCancelOpen(true)}
+                className="text-red-600 hover:text-red-700 hover:bg-red-50"
+              >
+                <XCircle className="mr-2 h-4 w-4" />
+                Cancel Booking
+              </Button>
+            )}
             <Button 
               type="button"
               variant="outline"
@@ -444,6 +997,36 @@ export function BookingViewModal({ booking, children, onEdit }) {
           </div>
         </div>
       </DialogContent>
+
+      <RescheduleDialog
+        booking={booking}
+        open={rescheduleOpen}
+        onOpenChange={setRescheduleOpen}
+        onRescheduled={() => {
+          setOpen(false)
+          onUpdated?.()
+        }}
+      />
+
+      <CancelBookingDialog
+        booking={booking}
+        open={cancelOpen}
+        onOpenChange={setCancelOpen}
+        onCancelled={() => {
+          setOpen(false)
+          onUpdated?.()
+        }}
+      />
+
+      <NoShowDialog
+        booking={booking}
+        open={noShowOpen}
+        onOpenChange={setNoShowOpen}
+        onMarked={() => {
+          setOpen(false)
+          onUpdated?.()
+        }}
+      />
     </Dialog>
   )
 }
\ No newline at end of file
@@ -0,0 +1,189 @@
+"use client"
+
+import { useState, useEffect } from 'react'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Label } from "@/components/ui/label"
+import { Switch } from "@/components/ui/switch"
+import { Textarea } from "@/components/ui/textarea"
+import { AlertCircle, Loader2, XCircle } from 'lucide-react'
+import { toast } from 'sonner'
+import { useAuth } from '@/contexts/AuthContext'
+import { cancelBooking } from '@/services/bookings'
+import { getCancellationQuote } from '@/services/cancellation'
+import { describeCancellationPolicy } from '@/utils/cancellationUtils'
+
+export function CancelBookingDialog({ booking, open, onOpenChange, onCancelled }) {
+  const { profile, isAdmin } = useAuth()
+
+  const [quote, setQuote] = useState(null)
+  const [loadingQuote, setLoadingQuote] = useState(false)
+  const [reason, setReason] = useState('')
+  const [waiveFee, setWaiveFee] = useState(false)
+  const [ignoreWindow, setIgnoreWindow] = useState(false)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  // Price the cancellation each time the dialog opens
+  useEffect(() => {
+    if (!open || !booking?.id) return
+
+    setReason('')
+    setWaiveFee(false)
+    setIgnoreWindow(false)
+
+    let cancelled = false
+    const loadQuote = async () => {
+      setLoadingQuote(true)
+      try {
+        const result = await getCancellationQuote(booking.id)
+        if (!cancelled) setQuote(result)
+      } catch (error) {
+        console.error('Failed to load cancellation quote:', error)
+        if (!cancelled) setQuote(null)
+      } finally {
+        if (!cancelled) setLoadingQuote(false)
+      }
+    }
+
+    loadQuote()
+    return () => {
+      cancelled = true
+    }
+  }, [open, booking?.id])
+
+  if (!booking) return null
+
+  const windowClosed = quote && (quote.windowClosed || quote.booking.can_cancel === false)
+  const canSubmit = !!quote && (!windowClosed || (isAdmin && ignoreWindow))
+
+  const handleSubmit = async () => {
+    if (!reason.trim()) {
+      toast.error('Please enter a cancellation reason')
+      return
+    }
+
+    setIsSubmitting(true)
+    try {
+      const updated = await cancelBooking(booking.id, profile?.id, reason.trim(), { waiveFee, ignoreWindow })
+      const fee = parseFloat(updated.cancellation_fee) || 0
+      toast.success(fee > 0
+        ? `${booking.booking_number} cancelled with a ${fee.toFixed(2)} MAD fee`
+        : `${booking.booking_number} cancelled`)
+      onOpenChange?.(false)
+      onCancelled?.(updated)
+    } catch (error) {
+      console.error('Error cancelling booking:', error)
+      toast.error(error.message || 'Failed to cancel booking')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <XCircle className="h-5 w-5" />
+            Cancel {booking.booking_number}
+          </DialogTitle>
+          <DialogDescription>
+            Scheduled {booking.scheduled_date} at {booking.scheduled_time?.slice(0, 5)}
+          </DialogDescription>
+        </DialogHeader>
+
+        {loadingQuote || !quote ? (
+          <p className="text-sm text-muted-foreground flex items-center gap-2">
+            {loadingQuote ? (
+              <>
+                <Loader2 className="h-3 w-3 animate-spin" />
+                Checking cancellation policy...
+              </>
+            ) : 'Could not load the cancellation policy.'}
+          </p>
+        ) : (
+          <div className="space-y-4">
+            <div className="rounded-lg border p-3 space-y-2">
+              <p className="text-sm font-semibold">{quote.policyName} cancellation policy</p>
+              <ul className="list-inside list-disc text-sm text-muted-foreground">
+                {describeCancellationPolicy(quote.policy).map((line) => (
+                  <li key={line}>{line}</li>
+                ))}
+              </ul>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4 text-sm">
+              <div>
+                <p className="text-muted-foreground">Notice given</p>
+                <p className="font-semibold">
+                  {quote.hoursBefore > 0 ? `${quote.hoursBefore}h before` : 'After the start time'}
+                </p>
+              </div>
+              <div>
+                <p className="text-muted-foreground">Cancellation fee</p>
+                <p className={waiveFee ? 'font-semibold line-through' : 'font-semibold'}>
+                  {quote.feeAmount.toFixed(2)} MAD ({quote.feePercentage}%)
+                </p>
+              </div>
+            </div>
+
+            {windowClosed && (
+              <div className="rounded-lg border border-red-200 bg-red-50 dark:bg-red-900/20 p-3 space-y-2">
+                <p className="text-sm text-red-700 dark:text-red-300 flex items-center gap-2">
+                  <AlertCircle className="h-4 w-4" />
+                  The cancellation window for this booking has closed.
+                </p>
+                {isAdmin && (
+                  <div className="flex items-center gap-2">
+                    <Switch id="ignore_window" checked={ignoreWindow} onCheckedChange={setIgnoreWindow} />
+                    <Label htmlFor="ignore_window" className="text-sm">Cancel anyway</Label>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {isAdmin && quote.feeAmount > 0 && (
+              <div className="flex items-center gap-2">
+                <Switch id="waive_fee" checked={waiveFee} onCheckedChange={setWaiveFee} />
+                <Label htmlFor="waive_fee" className="text-sm">Waive the cancellation fee</Label>
+              </div>
+            )}
+
+            <div className="space-y-2">
+              <Label htmlFor="cancel_booking_reason">Reason *</Label>
+              <Textarea
+                id="cancel_booking_reason"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="Why is this booking being cancelled?"
+                rows={2}
+              />
+            </div>
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={() => onOpenChange?.(false)}>
+            Keep Booking
+          </Button>
+          <Button
+            type="button"
+            variant="destructive"
+            onClick={handleSubmit}
+            disabled={!canSubmit || isSubmitting}
+          >
+            {isSubmitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Cancel Booking
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -30,9 +30,10 @@ import { toast } from "sonner"
 import { 
   User, Mail, Phone, MapPin, Calendar, Shield, 
   Languages, Award, Save, Loader2, Camera,
-  AlertCircle, CheckCircle
+  AlertCircle, CheckCircle, UserX
 } from 'lucide-react'
-import { createCustomer, updateCustomer } from '@/services/customers'
+import { createCustomer, updateCustomer, getCustomerReliability } from '@/services/customers'
+import { RELIABILITY_LEVELS } from '@/utils/reliabilityUtils'
 
 export function CustomerForm({ customer, mode = 'create' }) {
   const router = useRouter()
@@ -76,6 +77,22 @@ export function CustomerForm({ customer, mode = 'create' }) {
   // Form validation errors
   const [errors, setErrors] = useState({})
 
+  // No-show record, loaded for existing customers
+  const [reliability, setReliability] = useState(null)
+
+  useEffect(() => {
+    if (mode !== 'edit' || !customer?.id) return
+
+    let cancelled = false
+    getCustomerReliability(customer.id)
+      .then(result => !cancelled && setReliability(result))
+      .catch(error => console.error('Error loading customer reliability:', error))
+
+    return () => {
+      cancelled = true
+    }
+  }, [mode, customer?.id])
+
   // Handle input changes
   const handleChange = (field, value) => {
     setFormData(prev => ({
@@ -641,6 +658,32 @@ export function CustomerForm({ customer, mode = 'create' }) {
                     )}
                   </div>
                 </div>
+
+                {/* No-show Record */}
+                {reliability && (
+                  <div className="flex items-center justify-between">
+                    <div className="space-y-0.5">
+                      <Label className="text-base flex items-center">
+                        <UserX className="h-4 w-4 mr-2" />
+                        No-show Record
+                      </Label>
+                      <p className="text-sm text-muted-foreground">
+                        {reliability.level === 'blocked'
+                          ? 'Blocked from booking without an admin override'
+                          : `Flagged at ${reliability.flagThreshold} no-shows, blocked at ${reliability.blockThreshold}`}
+                      </p>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <span className="text-sm font-medium">
+                        {reliability.noShowCount} no-show{reliability.noShowCount === 1 ? '' : 's'}
+                      </span>
+                      <Badge className={RELIABILITY_LEVELS[reliability.level].color}>
+                        {reliability.level !== 'ok' && <AlertCircle className="h-3 w-3 mr-1" />}
+                        {RELIABILITY_LEVELS[reliability.level].label}
+                      </Badge>
+                    </div>
+                  </div>
+                )}
               </div>
 
               <Separator />
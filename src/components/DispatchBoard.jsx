@@ -0,0 +1,299 @@
+"use client"
+
+import { useMemo } from 'react'
+import {
+  DndContext,
+  KeyboardSensor,
+  MouseSensor,
+  TouchSensor,
+  useDraggable,
+  useDroppable,
+  useSensor,
+  useSensors,
+} from '@dnd-kit/core'
+import { CSS } from '@dnd-kit/utilities'
+import { addDays, format, parseISO } from 'date-fns'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Inbox, User } from 'lucide-react'
+import { cn } from '@/lib/utils'
+import { BOOKING_STATUSES } from '@/utils/bookingUtils'
+import { timeToMinutes, minutesToTime } from '@/utils/scheduleUtils'
+
+// Visible hours of the day view and the drop granularity
+const DAY_START = 6 * 60
+const DAY_END = 22 * 60
+const SNAP_MINUTES = 30
+const QUEUE_ID = 'queue'
+
+const getStatusColor = (status) => {
+  return BOOKING_STATUSES[status]?.color || 'bg-gray-100 text-gray-800'
+}
+
+// Drop target ids encode where a booking lands: lane:<workerId>:<date>[:<minutes>]
+const buildDropId = (workerId, date, minutes = null) => {
+  return minutes === null ? `lane:${workerId}:${date}` : `lane:${workerId}:${date}:${minutes}`
+}
+
+const parseDropId = (id) => {
+  if (id === QUEUE_ID) return { workerId: null }
+  const [, workerId, date, minutes] = String(id).split(':')
+  return {
+    workerId,
+    date,
+    time: minutes !== undefined ? minutesToTime(parseInt(minutes)) : null
+  }
+}
+
+function BookingBlock({ booking, style, compact = false }) {
+  const { attributes, listeners, setNodeRef, transform, isDragging } = useDraggable({
+    id: booking.id,
+    data: { booking },
+    disabled: ['completed', 'cancelled'].includes(booking.status)
+  })
+
+  return (
+    <div
+      ref={setNodeRef}
+      {...listeners}
+      {...attributes}
+      style={{ ...style, transform: CSS.Translate.toString(transform) }}
+      className={cn(
+        'rounded-md border px-2 py-1 text-xs shadow-sm cursor-grab active:cursor-grabbing overflow-hidden',
+        getStatusColor(booking.status),
+        isDragging && 'z-20 opacity-80 shadow-lg'
+      )}
+      title={`${booking.booking_number} - ${booking.service?.title || 'Service'}`}
+    >
+      <div className="font-semibold truncate">
+        {booking.scheduled_time?.slice(0, 5)} {booking.booking_number}
+      </div>
+      {!compact && (
+        <div className="truncate">
+          {booking.customer?.full_name || booking.service?.title || ''}
+        </div>
+      )}
+    </div>
+  )
+}
+
+function DropCell({ id, className, children }) {
+  const { setNodeRef, isOver } = useDroppable({ id })
+
+  return (
+    <div ref={setNodeRef} className={cn(className, isOver && 'bg-primary/10')}>
+      {children}
+    </div>
+  )
+}
+
+function UnassignedQueue({ bookings }) {
+  const { setNodeRef, isOver } = useDroppable({ id: QUEUE_ID })
+
+  return (
+    <Card className={cn('w-full lg:w-64 shrink-0', isOver && 'ring-2 ring-primary')}>
+      <CardHeader className="pb-3">
+        <CardTitle className="flex items-center gap-2 text-base">
+          <Inbox className="h-4 w-4" />
+          Unassigned
+          <Badge variant="secondary">{bookings.length}</Badge>
+        </CardTitle>
+      </CardHeader>
+      <CardContent ref={setNodeRef} className="space-y-2 min-h-[120px]">
+        {bookings.length === 0 ? (
+          <p className="text-sm text-muted-foreground">Every booking has a worker.</p>
+        ) : (
+          bookings.map(booking => (
+            <div key={booking.id} className="space-y-1">
+              <p className="text-xs text-muted-foreground">
+                {format(parseISO(booking.scheduled_date), 'EEE d MMM')}
+              </p>
+              <BookingBlock booking={booking} />
+            </div>
+          ))
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+function DayLane({ worker, date, bookings }) {
+  const slots = []
+  for (let minutes = DAY_START; minutes < DAY_END; minutes += SNAP_MINUTES) {
+    slots.push(minutes)
+  }
+  const span = DAY_END - DAY_START
+
+  return (
+    <div className="relative flex h-14 border-b">
+      {slots.map(minutes => (
+        <DropCell
+          key={minutes}
+          id={buildDropId(worker.id, date, minutes)}
+          className={cn('flex-1 border-l', minutes % 60 === 0 ? 'border-border' : 'border-dashed border-border/50')}
+        />
+      ))}
+      {bookings.map(booking => {
+        const start = timeToMinutes(booking.scheduled_time) ?? DAY_START
+        const duration = parseInt(booking.estimated_duration) || 60
+        return (
+          <BookingBlock
+            key={booking.id}
+            booking={booking}
+            style={{
+              position: 'absolute',
+              top: 4,
+              bottom: 4,
+              left: `${(Math.max(start, DAY_START) - DAY_START) / span * 100}%`,
+              width: `${Math.max(duration / span * 100, 2)}%`
+            }}
+          />
+        )
+      })}
+    </div>
+  )
+}
+
+export function DispatchBoard({
+  bookings = [],
+  workers = [],
+  view = 'day',
+  date,
+  onMoveBooking
+}) {
+  const sensors = useSensors(
+    // A small distance keeps plain clicks from starting a drag
+    useSensor(MouseSensor, { activationConstraint: { distance: 5 } }),
+    useSensor(TouchSensor, { activationConstraint: { delay: 200, tolerance: 5 } }),
+    useSensor(KeyboardSensor, {})
+  )
+
+  const days = useMemo(() => {
+    const start = parseISO(date)
+    const count = view === 'week' ? 7 : 1
+    return Array.from({ length: count }, (_, index) => format(addDays(start, index), 'yyyy-MM-dd'))
+  }, [date, view])
+
+  const unassigned = bookings.filter(booking => !booking.worker_id)
+
+  const getLaneBookings = (workerId, day) => {
+    return bookings
+      .filter(booking => booking.worker_id === workerId && booking.scheduled_date === day)
+      .sort((a, b) => (a.scheduled_time || '').localeCompare(b.scheduled_time || ''))
+  }
+
+  const handleDragEnd = ({ active, over }) => {
+    if (!active || !over) return
+
+    const booking = active.data.current?.booking
+    if (!booking) return
+
+    const target = parseDropId(over.id)
+    const changes = target.workerId === null
+      ? { worker_id: null }
+      : {
+          worker_id: target.workerId,
+          scheduled_date: target.date,
+          ...(target.time && { scheduled_time: target.time })
+        }
+
+    const unchanged = Object.entries(changes).every(([key, value]) =>
+      key === 'scheduled_time'
+        ? booking.scheduled_time?.slice(0, 5) === value
+        : (booking[key] || null) === value
+    )
+    if (unchanged) return
+
+    onMoveBooking?.(booking, changes)
+  }
+
+  const hourLabels = []
+  for (let minutes = DAY_START; minutes < DAY_END; minutes += 60) {
+    hourLabels.push(minutes)
+  }
+
+  return (
+    <DndContext sensors={sensors} onDragEnd={handleDragEnd}>
+      <div className="flex flex-col lg:flex-row gap-4">
+        <UnassignedQueue bookings={unassigned} />
+
+        <Card className="flex-1 overflow-x-auto">
+          <CardContent className="p-0">
+            <div className={cn(view === 'day' ? 'min-w-[900px]' : 'min-w-[800px]')}>
+              {/* Header row */}
+              <div className="flex border-b bg-muted/50 text-xs font-medium">
+                <div className="w-44 shrink-0 p-2">Worker</div>
+                {view === 'day' ? (
+                  <div className="flex flex-1">
+                    {hourLabels.map(minutes => (
+                      <div key={minutes} className="flex-1 border-l p-2">
+                        {minutesToTime(minutes)}
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <div className="grid flex-1 grid-cols-7">
+                    {days.map(day => (
+                      <div key={day} className="border-l p-2">
+                        {format(parseISO(day), 'EEE d MMM')}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              {/* One lane per worker */}
+              {workers.length === 0 ? (
+                <p className="p-6 text-center text-sm text-muted-foreground">No workers found.</p>
+              ) : (
+                workers.map(worker => (
+                  <div key={worker.id} className="flex">
+                    <div className="w-44 shrink-0 border-b p-2 text-sm">
+                      <div className="flex items-center gap-1 font-medium truncate">
+                        <User className="h-3 w-3 shrink-0" />
+                        {worker.user?.full_name || worker.business_name}
+                      </div>
+                      <div className="text-xs text-muted-foreground capitalize">{worker.status}</div>
+                    </div>
+                    <div className="flex-1">
+                      {view === 'day' ? (
+                        <DayLane
+                          worker={worker}
+                          date={days[0]}
+                          bookings={getLaneBookings(worker.id, days[0])}
+                        />
+                      ) : (
+                        <div className="grid grid-cols-7 border-b">
+                          {days.map(day => (
+                            <DropCell
+                              key={day}
+                              id={buildDropId(worker.id, day)}
+                              className="min-h-16 space-y-1 border-l p-1"
+                            >
+                              {getLaneBookings(worker.id, day).map(booking => (
+                                <BookingBlock key={booking.id} booking={booking} compact />
+                              ))}
+                            </DropCell>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                ))
+              )}
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Status legend */}
+      <div className="mt-4 flex flex-wrap gap-2">
+        {Object.entries(BOOKING_STATUSES).map(([value, status]) => (
+          <Badge key={value} className={status.color}>
+            {status.label}
+          </Badge>
+        ))}
+      </div>
+    </DndContext>
+  )
+}
@@ -0,0 +1,158 @@
+"use client"
+
+import { useState, useEffect } from 'react'
+import { useRouter } from 'next/navigation'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Label } from "@/components/ui/label"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Copy, Loader2 } from 'lucide-react'
+import { toast } from 'sonner'
+import { getDuplicateReport } from '@/services/duplicates'
+import { BOOKING_STATUSES } from '@/utils/bookingUtils'
+import { getTodayDateString } from '@/utils/scheduleUtils'
+
+// Periods the report can cover, as day offsets from today
+const REPORT_PERIODS = [
+  { value: 'next_30', label: 'Next 30 days', from: 0, to: 30 },
+  { value: 'last_30', label: 'Last 30 days', from: -30, to: 0 },
+  { value: 'last_90', label: 'Last 90 days', from: -90, to: 0 },
+  { value: 'around_30', label: 'Past and next 30 days', from: -30, to: 30 }
+]
+
+const shiftDate = (date, days) => {
+  const shifted = new Date(`${date}T00:00:00`)
+  shifted.setDate(shifted.getDate() + days)
+  const month = String(shifted.getMonth() + 1).padStart(2, '0')
+  const day = String(shifted.getDate()).padStart(2, '0')
+  return `${shifted.getFullYear()}-${month}-${day}`
+}
+
+export function DuplicateReportDialog({ open, onOpenChange }) {
+  const router = useRouter()
+  const [period, setPeriod] = useState('next_30')
+  const [groups, setGroups] = useState([])
+  const [isLoading, setIsLoading] = useState(false)
+
+  useEffect(() => {
+    if (!open) return
+
+    const { from, to } = REPORT_PERIODS.find(item => item.value === period)
+    const today = getTodayDateString()
+
+    let cancelled = false
+    const loadReport = async () => {
+      setIsLoading(true)
+      try {
+        const report = await getDuplicateReport({
+          dateFrom: shiftDate(today, from),
+          dateTo: shiftDate(today, to)
+        })
+        if (!cancelled) setGroups(report)
+      } catch (error) {
+        console.error('Failed to load duplicate report:', error)
+        if (!cancelled) {
+          setGroups([])
+          toast.error('Failed to load the duplicate report')
+        }
+      } finally {
+        if (!cancelled) setIsLoading(false)
+      }
+    }
+
+    loadReport()
+    return () => {
+      cancelled = true
+    }
+  }, [open, period])
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Copy className="h-5 w-5" />
+            Suspected Duplicates
+          </DialogTitle>
+          <DialogDescription>
+            Bookings for the same service at overlapping times that share a customer or license plate.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex items-center gap-3">
+          <Label className="text-sm">Period</Label>
+          <Select value={period} onValueChange={setPeriod}>
+            <SelectTrigger className="w-56">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {REPORT_PERIODS.map(item => (
+                <SelectItem key={item.value} value={item.value}>{item.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {!isLoading && (
+            <Badge variant={groups.length > 0 ? 'destructive' : 'secondary'}>
+              {groups.length} suspected group{groups.length === 1 ? '' : 's'}
+            </Badge>
+          )}
+        </div>
+
+        {isLoading ? (
+          <p className="text-sm text-muted-foreground flex items-center gap-2 py-6">
+            <Loader2 className="h-4 w-4 animate-spin" />
+            Looking for duplicates...
+          </p>
+        ) : groups.length === 0 ? (
+          <p className="text-sm text-muted-foreground py-6 text-center">
+            No suspected duplicates in this period.
+          </p>
+        ) : (
+          <div className="space-y-3">
+            {groups.map((group) => (
+              <div key={group.bookings.map(booking => booking.id).join('-')} className="rounded-lg border p-3 space-y-2">
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  <span className="font-medium">{group.bookings[0].service?.title || 'Service'}</span>
+                  <span className="text-muted-foreground">{group.bookings[0].scheduled_date}</span>
+                  <Badge variant="outline">{group.reason}</Badge>
+                </div>
+                <ul className="divide-y text-sm">
+                  {group.bookings.map((booking) => (
+                    <li key={booking.id} className="flex flex-wrap items-center justify-between gap-2 py-2">
+                      <span className="flex flex-wrap items-center gap-x-2">
+                        <span className="font-medium">{booking.booking_number}</span>
+                        <span>{booking.scheduled_time?.slice(0, 5)}</span>
+                        {booking.customer?.full_name && <span>- {booking.customer.full_name}</span>}
+                        {booking.license_plate && <span className="text-muted-foreground">{booking.license_plate}</span>}
+                        <Badge className={BOOKING_STATUSES[booking.status]?.color}>
+                          {BOOKING_STATUSES[booking.status]?.label || booking.status}
+                        </Badge>
+                        <span className="text-xs text-muted-foreground">
+                          created {new Date(booking.created_at).toLocaleString()}
+                        </span>
+                      </span>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => router.push(`/dashboard/bookings/${booking.id}/edit`)}
+                      >
+                        Open
+                      </Button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,120 @@
+"use client"
+
+import { useState, useEffect } from 'react'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import { Loader2, UserX } from 'lucide-react'
+import { toast } from 'sonner'
+import { markNoShow } from '@/services/bookings'
+import { getDefaultNoShowFee } from '@/utils/reliabilityUtils'
+
+export function NoShowDialog({ booking, open, onOpenChange, onMarked }) {
+  const [feeAmount, setFeeAmount] = useState('')
+  const [reason, setReason] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  // Start from the suggested fee each time the dialog opens
+  useEffect(() => {
+    if (!open || !booking) return
+
+    setFeeAmount(getDefaultNoShowFee(booking).toFixed(2))
+    setReason('')
+  }, [open, booking])
+
+  if (!booking) return null
+
+  const fee = parseFloat(feeAmount) || 0
+  const price = parseFloat(booking.total_price) || 0
+
+  const handleSubmit = async () => {
+    if (fee < 0 || fee > price) {
+      toast.error(`The no-show fee must be between 0 and ${price.toFixed(2)} MAD`)
+      return
+    }
+
+    setIsSubmitting(true)
+    try {
+      const updated = await markNoShow(booking.id, reason.trim() || null, { feeAmount: fee })
+      toast.success(fee > 0
+        ? `${booking.booking_number} marked as no-show with a ${fee.toFixed(2)} MAD fee`
+        : `${booking.booking_number} marked as no-show`)
+      onOpenChange?.(false)
+      onMarked?.(updated)
+    } catch (error) {
+      console.error('Error marking booking as no-show:', error)
+      toast.error(error.message || 'Failed to mark booking as no-show')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <UserX className="h-5 w-5" />
+            No-show for {booking.booking_number}
+          </DialogTitle>
+          <DialogDescription>
+            The customer was not there when the worker arrived. This counts towards their no-show record.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="no_show_fee">No-show fee (MAD)</Label>
+            <Input
+              id="no_show_fee"
+              type="number"
+              min="0"
+              max={price}
+              step="0.01"
+              value={feeAmount}
+              onChange={(e) => setFeeAmount(e.target.value)}
+            />
+            <p className="text-xs text-muted-foreground">
+              Leave at 0 to charge nothing. The booking price is {price.toFixed(2)} MAD.
+            </p>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="no_show_reason">Note</Label>
+            <Textarea
+              id="no_show_reason"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="Optional details, e.g. how long the worker waited"
+              rows={2}
+            />
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={() => onOpenChange?.(false)}>
+            Back
+          </Button>
+          <Button
+            type="button"
+            variant="destructive"
+            onClick={handleSubmit}
+            disabled={isSubmitting}
+          >
+            {isSubmitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Mark No-show
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
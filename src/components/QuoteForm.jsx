@@ -0,0 +1,372 @@
+"use client"
+
+import { useState } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import { Separator } from "@/components/ui/separator"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { CarIcon, CreditCardIcon, FileText, Loader2, Plus, Save, Trash2 } from 'lucide-react'
+import { toast } from 'sonner'
+import { VEHICLE_TYPES } from '@/utils/bookingUtils'
+import { PRICE_LINE_TYPES, calculatePriceLinesTotal, getSignedLineAmount } from '@/utils/priceLineUtils'
+import { buildQuoteVehicleLines, getDefaultQuoteValidUntil } from '@/utils/quoteUtils'
+import { getTodayDateString } from '@/utils/scheduleUtils'
+
+const emptyVehicle = () => ({
+  vehicle_type: '',
+  vehicle_make: '',
+  vehicle_model: '',
+  license_plate: '',
+  service_id: '',
+  price: 0,
+  estimated_duration: 60
+})
+
+export function QuoteForm({
+  quote = null,
+  customers = [],
+  services = [],
+  onSubmit,
+  onCancel,
+  isLoading = false
+}) {
+  const [formData, setFormData] = useState({
+    customer_id: quote?.customer_id || '',
+    valid_until: quote?.valid_until || getDefaultQuoteValidUntil(getTodayDateString()),
+    service_address_text: quote?.service_address_text || '',
+    notes: quote?.notes || ''
+  })
+  const [vehicles, setVehicles] = useState(quote?.vehicles?.length ? quote.vehicles : [emptyVehicle()])
+  // Lines other than the per-vehicle service lines, which are rebuilt from the vehicles
+  const [priceLines, setPriceLines] = useState((quote?.price_lines || []).filter(line => line.type !== 'service'))
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }))
+  }
+
+  const updateVehicle = (index, field, value) => {
+    setVehicles(prev => prev.map((vehicle, i) => {
+      if (i !== index) return vehicle
+      const updated = { ...vehicle, [field]: value }
+      // Picking a service fills in its price and duration
+      if (field === 'service_id') {
+        const service = services.find(s => s.id === value)
+        if (service) {
+          updated.price = parseFloat(service.price) || 0
+          updated.estimated_duration = parseInt(service.duration_minutes) || vehicle.estimated_duration
+        }
+      }
+      return updated
+    }))
+  }
+
+  const updatePriceLine = (index, field, value) => {
+    setPriceLines(prev => prev.map((line, i) => (i === index ? { ...line, [field]: value } : line)))
+  }
+
+  const allPriceLines = [...buildQuoteVehicleLines(vehicles, services), ...priceLines]
+  const totalPrice = calculatePriceLinesTotal(allPriceLines)
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+
+    if (!formData.customer_id) {
+      toast.error('Please select a customer')
+      return
+    }
+    if (!formData.valid_until) {
+      toast.error('Please set how long the quote is valid')
+      return
+    }
+    if (vehicles.some(vehicle => !vehicle.vehicle_type || !vehicle.service_id)) {
+      toast.error('Each vehicle needs a type and a service')
+      return
+    }
+
+    onSubmit?.({
+      ...formData,
+      vehicles,
+      price_lines: allPriceLines
+    })
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <FileText className="h-5 w-5" />
+          {quote ? `Quote ${quote.quote_number}` : 'New Quote'}
+        </CardTitle>
+        <CardDescription>
+          Price a damaged, oversized or custom job before it is booked.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit} className="space-y-8">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="space-y-2">
+              <Label htmlFor="quote_customer">Customer *</Label>
+              <Select value={formData.customer_id} onValueChange={(value) => handleChange('customer_id', value)}>
+                <SelectTrigger id="quote_customer" className="w-full">
+                  <SelectValue placeholder="Select customer" />
+                </SelectTrigger>
+                <SelectContent>
+                  {customers.map((customer) => (
+                    <SelectItem key={customer.id} value={customer.id}>
+                      {customer.full_name} ({customer.email})
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="quote_valid_until">Valid until *</Label>
+              <Input
+                id="quote_valid_until"
+                type="date"
+                value={formData.valid_until}
+                onChange={(e) => handleChange('valid_until', e.target.value)}
+              />
+            </div>
+            <div className="space-y-2 md:col-span-2">
+              <Label htmlFor="quote_address">Service address</Label>
+              <Input
+                id="quote_address"
+                value={formData.service_address_text}
+                onChange={(e) => handleChange('service_address_text', e.target.value)}
+                placeholder="Where the work would be done"
+              />
+            </div>
+          </div>
+
+          <Separator />
+
+          {/* Vehicles */}
+          <div className="space-y-4">
+            <h3 className="text-lg font-semibold flex items-center gap-2">
+              <CarIcon className="h-5 w-5" />
+              Vehicles
+            </h3>
+
+            {vehicles.map((vehicle, index) => (
+              <div key={index} className="rounded-lg border p-4 space-y-3">
+                <div className="flex items-center justify-between">
+                  <p className="font-medium">Vehicle {index + 1}</p>
+                  {vehicles.length > 1 && (
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => setVehicles(prev => prev.filter((_, i) => i !== index))}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  )}
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                  <div className="space-y-1">
+                    <Label>Vehicle Type *</Label>
+                    <Select
+                      value={vehicle.vehicle_type}
+                      onValueChange={(value) => updateVehicle(index, 'vehicle_type', value)}
+                    >
+                      <SelectTrigger>
+                        <SelectValue placeholder="Select type" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {VEHICLE_TYPES.map((type) => (
+                          <SelectItem key={type.value} value={type.value}>
+                            {type.label}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="space-y-1">
+                    <Label>Make</Label>
+                    <Input
+                      value={vehicle.vehicle_make || ''}
+                      onChange={(e) => updateVehicle(index, 'vehicle_make', e.target.value)}
+                      placeholder="e.g., Dacia"
+                    />
+                  </div>
+                  <div className="space-y-1">
+                    <Label>Model</Label>
+                    <Input
+                      value={vehicle.vehicle_model || ''}
+                      onChange={(e) => updateVehicle(index, 'vehicle_model', e.target.value)}
+                      placeholder="e.g., Logan"
+                    />
+                  </div>
+                  <div className="space-y-1">
+                    <Label>License Plate</Label>
+                    <Input
+                      value={vehicle.license_plate || ''}
+                      onChange={(e) => updateVehicle(index, 'license_plate', e.target.value)}
+                    />
+                  </div>
+                  <div className="space-y-1">
+                    <Label>Service *</Label>
+                    <Select
+                      value={vehicle.service_id || ''}
+                      onValueChange={(value) => updateVehicle(index, 'service_id', value)}
+                    >
+                      <SelectTrigger>
+                        <SelectValue placeholder="Select service" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {services.map((service) => (
+                          <SelectItem key={service.id} value={service.id}>
+                            {service.title}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="grid grid-cols-2 gap-2">
+                    <div className="space-y-1">
+                      <Label>Price (MAD)</Label>
+                      <Input
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        value={vehicle.price}
+                        onChange={(e) => updateVehicle(index, 'price', e.target.value)}
+                      />
+                    </div>
+                    <div className="space-y-1">
+                      <Label>Minutes</Label>
+                      <Input
+                        type="number"
+                        min="15"
+                        step="15"
+                        value={vehicle.estimated_duration}
+                        onChange={(e) => updateVehicle(index, 'estimated_duration', e.target.value)}
+                      />
+                    </div>
+                  </div>
+                </div>
+              </div>
+            ))}
+
+            <Button type="button" variant="outline" size="sm" onClick={() => setVehicles(prev => [...prev, emptyVehicle()])}>
+              <Plus className="mr-2 h-4 w-4" />
+              Add Vehicle
+            </Button>
+          </div>
+
+          <Separator />
+
+          {/* Pricing */}
+          <div className="space-y-4">
+            <h3 className="text-lg font-semibold flex items-center gap-2">
+              <CreditCardIcon className="h-5 w-5" />
+              Pricing
+            </h3>
+
+            <div className="space-y-2">
+              <Label>Price Lines</Label>
+              {priceLines.map((line, index) => (
+                <div key={index} className="flex flex-wrap items-center gap-2">
+                  <Select
+                    value={line.type}
+                    onValueChange={(value) => updatePriceLine(index, 'type', value)}
+                  >
+                    <SelectTrigger className="w-[150px]">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {PRICE_LINE_TYPES.filter(type => type.value !== 'service').map((type) => (
+                        <SelectItem key={type.value} value={type.value}>
+                          {type.label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <Input
+                    value={line.label}
+                    onChange={(e) => updatePriceLine(index, 'label', e.target.value)}
+                    placeholder="Description, e.g. Scratch repair on rear bumper"
+                    className="flex-1 min-w-[180px]"
+                  />
+                  <Input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={line.amount}
+                    onChange={(e) => updatePriceLine(index, 'amount', e.target.value)}
+                    placeholder="MAD"
+                    className="w-28"
+                  />
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setPriceLines(prev => prev.filter((_, i) => i !== index))}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              ))}
+              <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                onClick={() => setPriceLines(prev => [...prev, { type: 'addon', label: '', amount: '' }])}
+              >
+                <Plus className="mr-2 h-4 w-4" />
+                Add Line
+              </Button>
+            </div>
+
+            <div className="bg-gray-50 dark:bg-gray-800 p-4 rounded-lg space-y-2">
+              {allPriceLines
+                .filter(line => line.type === 'service' || parseFloat(line.amount) > 0)
+                .map((line, index) => (
+                  <div key={index} className="flex justify-between items-center text-sm">
+                    <span>{line.label || PRICE_LINE_TYPES.find(type => type.value === line.type)?.label}</span>
+                    <span className={getSignedLineAmount(line) < 0 ? 'text-green-600' : undefined}>
+                      {getSignedLineAmount(line).toFixed(2)} MAD
+                    </span>
+                  </div>
+                ))}
+              <Separator />
+              <div className="flex justify-between items-center text-lg font-semibold">
+                <span>Quoted Total:</span>
+                <span className="text-green-600">{totalPrice.toFixed(2)} MAD</span>
+              </div>
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="quote_notes">Notes</Label>
+            <Textarea
+              id="quote_notes"
+              value={formData.notes}
+              onChange={(e) => handleChange('notes', e.target.value)}
+              placeholder="Damage found, assumptions, anything the customer should know"
+              rows={3}
+            />
+          </div>
+
+          <div className="flex justify-end gap-3">
+            <Button type="button" variant="outline" onClick={onCancel} disabled={isLoading}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={isLoading}>
+              {isLoading ? (
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              ) : (
+                <Save className="mr-2 h-4 w-4" />
+              )}
+              Save Quote
+            </Button>
+          </div>
+        </form>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,129 @@
+"use client"
+
+import { useState, useEffect } from 'react'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import { Loader2, RotateCcw } from 'lucide-react'
+import { toast } from 'sonner'
+import { useAuth } from '@/contexts/AuthContext'
+import { refundPayment } from '@/services/payments'
+import { getRefundableBalance, getRefundedAmount, validateRefundAmount } from '@/utils/refundUtils'
+
+export function RefundPaymentDialog({ payment, open, onOpenChange, onRefunded }) {
+  const { profile } = useAuth()
+  const [amount, setAmount] = useState('')
+  const [reason, setReason] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  // Start from what is still owed back after a cancellation fee, or else the whole balance
+  useEffect(() => {
+    if (!open || !payment) return
+
+    const balance = getRefundableBalance(payment)
+    const owed = (parseFloat(payment.refund_amount) || 0) - getRefundedAmount(payment)
+    setAmount((owed > 0 ? Math.min(owed, balance) : balance).toFixed(2))
+    setReason('')
+  }, [open, payment])
+
+  if (!payment) return null
+
+  const balance = getRefundableBalance(payment)
+
+  const handleSubmit = async () => {
+    const validationError = validateRefundAmount(payment, amount)
+    if (validationError) {
+      toast.error(validationError)
+      return
+    }
+    if (!reason.trim()) {
+      toast.error('Please give a reason for the refund')
+      return
+    }
+
+    setIsSubmitting(true)
+    try {
+      const result = await refundPayment(payment.id, amount, reason, profile?.id)
+      toast.success(`Refunded ${(parseFloat(amount) || 0).toFixed(2)} MAD`)
+      onOpenChange?.(false)
+      onRefunded?.(result)
+    } catch (error) {
+      console.error('Error refunding payment:', error)
+      toast.error(error.message || 'Failed to refund payment')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg" onClick={(e) => e.stopPropagation()}>
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <RotateCcw className="h-5 w-5" />
+            Refund payment
+          </DialogTitle>
+          <DialogDescription>
+            {balance.toFixed(2)} MAD of {(parseFloat(payment.amount) || 0).toFixed(2)} MAD can still be refunded.
+            The platform fee and worker earnings are reduced to match.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="refund_amount">Amount (MAD) *</Label>
+            <Input
+              id="refund_amount"
+              type="number"
+              min="0.01"
+              max={balance}
+              step="0.01"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+            />
+            {payment.payout_batch_id && (
+              <p className="text-xs text-amber-600">
+                These earnings are already in a worker payout. Recalculate the payout if it is still a draft.
+              </p>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="refund_reason">Reason *</Label>
+            <Textarea
+              id="refund_reason"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="e.g., Interior cleaning was not done"
+              rows={2}
+            />
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={() => onOpenChange?.(false)}>
+            Back
+          </Button>
+          <Button
+            type="button"
+            variant="destructive"
+            onClick={handleSubmit}
+            disabled={isSubmitting || balance <= 0}
+          >
+            {isSubmitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Refund
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,255 @@
+"use client"
+
+import { useState, useEffect } from 'react'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Switch } from "@/components/ui/switch"
+import { Textarea } from "@/components/ui/textarea"
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
+import { AlertCircle, CalendarClock, Loader2 } from 'lucide-react'
+import { toast } from 'sonner'
+import { useAuth } from '@/contexts/AuthContext'
+import { getAvailableSlots } from '@/services/availability'
+import { rescheduleBooking } from '@/services/reschedule'
+import { getRescheduleIssue, getTodayDateString } from '@/utils/scheduleUtils'
+
+export function RescheduleDialog({ booking, open, onOpenChange, onRescheduled }) {
+  const { profile, isAdmin } = useAuth()
+
+  const [date, setDate] = useState('')
+  const [time, setTime] = useState('')
+  const [reason, setReason] = useState('')
+  const [slots, setSlots] = useState([])
+  const [loadingSlots, setLoadingSlots] = useState(false)
+  const [allowShortNotice, setAllowShortNotice] = useState(false)
+  const [conflictError, setConflictError] = useState(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  // Start from a clean form each time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setDate('')
+      setTime('')
+      setReason('')
+      setSlots([])
+      setAllowShortNotice(false)
+      setConflictError(null)
+    }
+  }, [open])
+
+  // Load the worker's open slots for the chosen date
+  useEffect(() => {
+    if (!open || !date || !booking?.service_id) {
+      setSlots([])
+      return
+    }
+
+    let cancelled = false
+    const loadSlots = async () => {
+      setLoadingSlots(true)
+      try {
+        const result = await getAvailableSlots({
+          serviceId: booking.service_id,
+          date,
+          workerId: booking.worker_id || '',
+          duration: booking.estimated_duration,
+          excludeBookingId: booking.id,
+          location: booking.service_address_text
+        })
+        if (!cancelled) setSlots(result.slots || [])
+      } catch (error) {
+        console.error('Failed to load reschedule slots:', error)
+        if (!cancelled) setSlots([])
+      } finally {
+        if (!cancelled) setLoadingSlots(false)
+      }
+    }
+
+    setTime('')
+    setConflictError(null)
+    loadSlots()
+    return () => {
+      cancelled = true
+    }
+  }, [open, date, booking?.id, booking?.service_id, booking?.worker_id, booking?.estimated_duration, booking?.service_address_text])
+
+  if (!booking) return null
+
+  // Short notice can be waived by admins; anything else blocks the reschedule outright
+  const blockingIssue = getRescheduleIssue(booking, { allowShortNotice: true })
+  const noticeIssue = blockingIssue ? null : getRescheduleIssue(booking)
+  const canSubmit = !blockingIssue && (!noticeIssue || (isAdmin && allowShortNotice))
+
+  const handleSubmit = async (allowConflicts = false) => {
+    if (!date || !time) {
+      toast.error('Choose a new date and time')
+      return
+    }
+    if (!reason.trim()) {
+      toast.error('Please enter a reason for rescheduling')
+      return
+    }
+
+    setIsSubmitting(true)
+    try {
+      const { booking: updated } = await rescheduleBooking(
+        booking.id,
+        { scheduled_date: date, scheduled_time: time },
+        profile?.id,
+        reason,
+        { allowConflicts, allowShortNotice }
+      )
+      toast.success(`${booking.booking_number} rescheduled to ${date} at ${time}`)
+      onOpenChange?.(false)
+      onRescheduled?.(updated)
+    } catch (error) {
+      console.error('Error rescheduling booking:', error)
+      if (error.code === 'BOOKING_CONFLICT') {
+        setConflictError(error.message)
+      } else {
+        toast.error(error.message || 'Failed to reschedule booking')
+      }
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <CalendarClock className="h-5 w-5" />
+            Reschedule {booking.booking_number}
+          </DialogTitle>
+          <DialogDescription>
+            Currently {booking.scheduled_date} at {booking.scheduled_time?.slice(0, 5)}
+            {booking.worker?.user?.full_name && ` with ${booking.worker.user.full_name}`}
+          </DialogDescription>
+        </DialogHeader>
+
+        {blockingIssue ? (
+          <p className="text-sm text-red-600 flex items-center gap-2">
+            <AlertCircle className="h-4 w-4" />
+            {blockingIssue}
+          </p>
+        ) : (
+          <div className="space-y-4">
+            {noticeIssue && (
+              <div className="rounded-lg border border-yellow-200 bg-yellow-50 dark:bg-yellow-900/20 p-3 space-y-2">
+                <p className="text-sm text-yellow-800 dark:text-yellow-200 flex items-center gap-2">
+                  <AlertCircle className="h-4 w-4" />
+                  {noticeIssue}
+                </p>
+                {isAdmin && (
+                  <div className="flex items-center gap-2">
+                    <Switch
+                      id="allow_short_notice"
+                      checked={allowShortNotice}
+                      onCheckedChange={setAllowShortNotice}
+                    />
+                    <Label htmlFor="allow_short_notice" className="text-sm">
+                      Reschedule at short notice
+                    </Label>
+                  </div>
+                )}
+              </div>
+            )}
+
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="reschedule_date">New date</Label>
+                <Input
+                  id="reschedule_date"
+                  type="date"
+                  value={date}
+                  min={getTodayDateString()}
+                  onChange={(e) => setDate(e.target.value)}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="reschedule_time">New time</Label>
+                <Select value={time} onValueChange={setTime} disabled={!date || loadingSlots}>
+                  <SelectTrigger id="reschedule_time" className="w-full">
+                    <SelectValue placeholder={
+                      !date ? 'Pick a date first' : loadingSlots ? 'Loading slots...' : 'Select a time slot'
+                    } />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {slots.map((slot) => (
+                      <SelectItem key={slot.time} value={slot.time}>
+                        {slot.time}
+                      </SelectItem>
+                    ))}
+                    {slots.length === 0 && (
+                      <SelectItem value="no-slots" disabled>
+                        <span className="text-muted-foreground">No open slots on this date</span>
+                      </SelectItem>
+                    )}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="reschedule_reason">Reason *</Label>
+              <Textarea
+                id="reschedule_reason"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="Why is this booking being moved?"
+                rows={2}
+              />
+            </div>
+
+            {conflictError && (
+              <div className="rounded-lg border border-red-200 bg-red-50 dark:bg-red-900/20 p-3 space-y-2">
+                <p className="text-sm text-red-700 dark:text-red-300">{conflictError}</p>
+                {isAdmin && (
+                  <Button
+                    type="button"
+                    size="sm"
+                    variant="outline"
+                    onClick={() => handleSubmit(true)}
+                    disabled={isSubmitting}
+                  >
+                    Reschedule anyway
+                  </Button>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={() => onOpenChange?.(false)}>
+            Close
+          </Button>
+          <Button
+            type="button"
+            onClick={() => handleSubmit(false)}
+            disabled={!canSubmit || isSubmitting}
+          >
+            {isSubmitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Reschedule
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,194 @@
+"use client"
+
+import { useState, useEffect } from 'react'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import { CheckCircle, Loader2, Scale, Search } from 'lucide-react'
+import { toast } from 'sonner'
+import { useAuth } from '@/contexts/AuthContext'
+import { getPayments } from '@/services/payments'
+import { resolveSettlementLine, ignoreSettlementLine } from '@/services/reconciliation'
+import { getPaymentSettlementDate } from '@/utils/reconciliationUtils'
+
+const formatMoney = (value) => `${(parseFloat(value) || 0).toFixed(2)} MAD`
+
+// Resolve a mismatched or unmatched settlement line by hand: link it to a payment or ignore it
+export function SettlementLineDialog({ line, open, onOpenChange, onResolved }) {
+  const { profile } = useAuth()
+  const [search, setSearch] = useState('')
+  const [results, setResults] = useState([])
+  const [isSearching, setIsSearching] = useState(false)
+  const [selectedPayment, setSelectedPayment] = useState(null)
+  const [note, setNote] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  // Start from the payment the matcher suggested each time the dialog opens
+  useEffect(() => {
+    if (!open || !line) return
+
+    setSearch(line.reference || '')
+    setResults([])
+    setSelectedPayment(line.payment || null)
+    setNote('')
+  }, [open, line])
+
+  if (!line) return null
+
+  const handleSearch = async () => {
+    if (!search.trim()) return
+
+    setIsSearching(true)
+    try {
+      const result = await getPayments({ search: search.trim(), limit: 10 })
+      setResults(result.data)
+      if (result.data.length === 0) toast.error('No payments match that reference')
+    } catch (error) {
+      console.error('Error searching payments:', error)
+      toast.error('Failed to search payments')
+    } finally {
+      setIsSearching(false)
+    }
+  }
+
+  const runAction = async (action, successMessage) => {
+    setIsSubmitting(true)
+    try {
+      await action()
+      toast.success(successMessage)
+      onOpenChange?.(false)
+      onResolved?.()
+    } catch (error) {
+      console.error('Error resolving settlement line:', error)
+      toast.error(error.message || 'Failed to resolve line')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleResolve = () => {
+    runAction(
+      () => resolveSettlementLine(line.id, selectedPayment?.id, note, profile?.id),
+      `Row ${line.row_number} reconciled`
+    )
+  }
+
+  const handleIgnore = () => {
+    runAction(
+      () => ignoreSettlementLine(line.id, note, profile?.id),
+      `Row ${line.row_number} ignored`
+    )
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Scale className="h-5 w-5" />
+            Resolve row {line.row_number}
+          </DialogTitle>
+          <DialogDescription>
+            {line.reference || 'No reference'} · {line.amount !== null ? formatMoney(line.amount) : 'no amount'} · {line.settled_date || 'no date'}
+            {line.description && ` · ${line.description}`}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          {line.issues?.length > 0 && (
+            <ul className="text-sm text-amber-700 list-disc list-inside">
+              {line.issues.map((issue) => (
+                <li key={issue}>{issue}</li>
+              ))}
+            </ul>
+          )}
+
+          <div className="space-y-2">
+            <Label htmlFor="settlement_search">Find payment</Label>
+            <div className="flex gap-2">
+              <Input
+                id="settlement_search"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
+                placeholder="Transaction ID or gateway reference"
+              />
+              <Button type="button" variant="outline" onClick={handleSearch} disabled={isSearching}>
+                {isSearching ? <Loader2 className="h-4 w-4 animate-spin" /> : <Search className="h-4 w-4" />}
+              </Button>
+            </div>
+          </div>
+
+          <ul className="divide-y rounded-lg border text-sm">
+            {[...(line.payment ? [line.payment] : []), ...results.filter(payment => payment.id !== line.payment?.id)]
+              .map((payment) => (
+                <li key={payment.id}>
+                  <button
+                    type="button"
+                    className={`flex w-full items-center justify-between gap-3 p-3 text-left hover:bg-muted/50 ${selectedPayment?.id === payment.id ? 'bg-muted' : ''}`}
+                    onClick={() => setSelectedPayment(payment)}
+                  >
+                    <div>
+                      <p className="font-medium">
+                        {payment.booking?.booking_number || payment.gateway_transaction_id || payment.id.slice(0, 8)}
+                        {payment.id === line.payment?.id && <span className="ml-2 text-xs text-muted-foreground">suggested</span>}
+                      </p>
+                      <p className="text-xs text-muted-foreground">
+                        {[payment.gateway_transaction_id, payment.gateway_reference].filter(Boolean).join(' · ') || 'No reference'}
+                        {' · '}
+                        {getPaymentSettlementDate(payment) || 'not processed'}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      {payment.reconciled && <Badge variant="outline">Reconciled</Badge>}
+                      <Badge variant="secondary">{payment.status}</Badge>
+                      <span className="font-medium">{formatMoney(payment.amount)}</span>
+                      {selectedPayment?.id === payment.id && <CheckCircle className="h-4 w-4 text-green-600" />}
+                    </div>
+                  </button>
+                </li>
+              ))}
+            {!line.payment && results.length === 0 && (
+              <li className="p-3 text-muted-foreground">Search for the payment this line settles.</li>
+            )}
+          </ul>
+
+          <div className="space-y-2">
+            <Label htmlFor="settlement_note">Note</Label>
+            <Textarea
+              id="settlement_note"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="e.g., Bank took a 10 MAD fee, or: card processor fee line"
+              rows={2}
+            />
+            <p className="text-xs text-muted-foreground">Required when ignoring a line.</p>
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={() => onOpenChange?.(false)}>
+            Back
+          </Button>
+          <Button type="button" variant="outline" onClick={handleIgnore} disabled={isSubmitting}>
+            Ignore Line
+          </Button>
+          <Button type="button" onClick={handleResolve} disabled={isSubmitting || !selectedPayment}>
+            {isSubmitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Reconcile with Payment
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
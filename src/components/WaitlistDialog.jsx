@@ -0,0 +1,138 @@
+"use client"
+
+import { useState, useEffect } from 'react'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import { Hourglass, Loader2 } from 'lucide-react'
+import { toast } from 'sonner'
+import { addWaitlistEntry } from '@/services/waitlist'
+
+// Put a customer on the waitlist for a fully booked date, starting from what was entered in the booking form
+export function WaitlistDialog({ draft, serviceTitle, open, onOpenChange, onAdded }) {
+  const [windowStart, setWindowStart] = useState('08:00')
+  const [windowEnd, setWindowEnd] = useState('18:00')
+  const [address, setAddress] = useState('')
+  const [notes, setNotes] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  // Start from the booking form's values each time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setWindowStart('08:00')
+      setWindowEnd('18:00')
+      setAddress(draft?.service_address_text || '')
+      setNotes('')
+    }
+  }, [open, draft?.service_address_text])
+
+  if (!draft) return null
+
+  const handleSubmit = async () => {
+    if (!draft.vehicle_type) {
+      toast.error('Choose the vehicle type in the booking form first')
+      return
+    }
+    if (!address.trim()) {
+      toast.error('Enter the service address')
+      return
+    }
+
+    setIsSubmitting(true)
+    try {
+      const entry = await addWaitlistEntry({
+        ...draft,
+        window_start: windowStart,
+        window_end: windowEnd,
+        service_address_text: address.trim(),
+        notes: notes.trim()
+      })
+      toast.success(`Added to the waitlist for ${draft.preferred_date}. Admins are notified when a slot frees up.`)
+      onOpenChange?.(false)
+      onAdded?.(entry)
+    } catch (error) {
+      console.error('Error joining waitlist:', error)
+      toast.error(error.message || 'Failed to join the waitlist')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Hourglass className="h-5 w-5" />
+            Join the waitlist
+          </DialogTitle>
+          <DialogDescription>
+            {serviceTitle || 'Service'} on {draft.preferred_date}. Waiting customers are offered freed slots first come, first served.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="waitlist_window_start">Earliest start</Label>
+              <Input
+                id="waitlist_window_start"
+                type="time"
+                value={windowStart}
+                onChange={(e) => setWindowStart(e.target.value)}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="waitlist_window_end">Latest start</Label>
+              <Input
+                id="waitlist_window_end"
+                type="time"
+                value={windowEnd}
+                onChange={(e) => setWindowEnd(e.target.value)}
+              />
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="waitlist_address">Service address *</Label>
+            <Input
+              id="waitlist_address"
+              value={address}
+              onChange={(e) => setAddress(e.target.value)}
+            />
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="waitlist_notes">Notes</Label>
+            <Textarea
+              id="waitlist_notes"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              placeholder="Anything to know when offering a slot"
+              rows={2}
+            />
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={() => onOpenChange?.(false)}>
+            Close
+          </Button>
+          <Button type="button" onClick={handleSubmit} disabled={isSubmitting}>
+            {isSubmitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Join Waitlist
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -4,11 +4,15 @@ import * as React from "react"
 import {
   BriefcaseBusiness,
   CalendarClock,
+  CalendarOff,
+  FileText,
   LayoutDashboard,
   MapPin,
   Package,
+  Scale,
   ShieldCheck,
   Users,
+  Wallet,
   Wrench,
   MessageSquare,
 } from "lucide-react"
@@ -64,6 +68,16 @@ const data = {
       url: "/dashboard/bookings",
       icon: CalendarClock,
     },
+    {
+      name: "Blackout Dates",
+      url: "/dashboard/blackout-dates",
+      icon: CalendarOff,
+    },
+    {
+      name: "Quotes",
+      url: "/dashboard/quotes",
+      icon: FileText,
+    },
     {
       name: "Map",
       url: "/dashboard/map",
@@ -79,6 +93,16 @@ const data = {
       url: "/dashboard/payments",
       icon: ShieldCheck,
     },
+    {
+      name: "Payouts",
+      url: "/dashboard/payouts",
+      icon: Wallet,
+    },
+    {
+      name: "Reconciliation",
+      url: "/dashboard/payments/reconciliation",
+      icon: Scale,
+    },
     {
       name: "Messages",
       url: "/dashboard/messages",
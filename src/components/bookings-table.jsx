@@ -143,6 +143,7 @@ export function BookingsTable({ loading = false }) {
         { value: "pending", label: "Pending" },
         { value: "completed", label: "Completed" },
         { value: "cancelled", label: "Cancelled" },
+        { value: "no_show", label: "No-show" },
       ],
     },
   ]
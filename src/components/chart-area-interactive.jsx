@@ -29,6 +29,8 @@ import {
   ToggleGroup,
   ToggleGroupItem,
 } from "@/components/ui/toggle-group"
+import { getTodayDateString } from "@/utils/scheduleUtils"
+import { addDaysToDateString, formatDateString } from "@/utils/timeZoneUtils"
 
 const chartConfig = {
   visitors: {
@@ -61,18 +63,15 @@ export function ChartAreaInteractive({ data = [], title = "Revenue Analytics", d
     { date: "2024-01-03", desktop: 167, mobile: 120 },
   ]
 
+  // Dates are business-time 'YYYY-MM-DD' strings, so compare them as strings
   const filteredData = chartData.filter((item) => {
-    const date = new Date(item.date)
-    const now = new Date()
     let daysToSubtract = 90
     if (timeRange === "30d") {
       daysToSubtract = 30
     } else if (timeRange === "7d") {
       daysToSubtract = 7
     }
-    const startDate = new Date(now)
-    startDate.setDate(startDate.getDate() - daysToSubtract)
-    return date >= startDate
+    return item.date >= addDaysToDateString(getTodayDateString(), -daysToSubtract)
   })
 
   return (
@@ -159,8 +158,7 @@ export function ChartAreaInteractive({ data = [], title = "Revenue Analytics", d
               tickMargin={8}
               minTickGap={32}
               tickFormatter={(value) => {
-                const date = new Date(value)
-                return date.toLocaleDateString("en-US", {
+                return formatDateString(value, {
                   month: "short",
                   day: "numeric",
                 })
@@ -171,7 +169,7 @@ export function ChartAreaInteractive({ data = [], title = "Revenue Analytics", d
               content={
                 <ChartTooltipContent
                   labelFormatter={(value) => {
-                    return new Date(value).toLocaleDateString("en-US", {
+                    return formatDateString(value, {
                       month: "short",
                       day: "numeric",
                     })
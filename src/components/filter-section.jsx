@@ -198,6 +198,7 @@ export const FILTER_PRESETS = {
             { value: 'in_progress', label: 'In Progress' },
             { value: 'completed', label: 'Completed' },
             { value: 'cancelled', label: 'Cancelled' },
+            { value: 'no_show', label: 'No-show' },
         ],
     },
     verification: [
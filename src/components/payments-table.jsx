@@ -1,16 +1,20 @@
 "use client"
 
 import { useState, useEffect } from "react"
+import Link from "next/link"
 import { DataTable } from "@/components/data-table"
 import { Badge } from "@/components/ui/badge"
 import { Button } from "@/components/ui/button"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuSeparator, DropdownMenuTrigger, DropdownMenuSub, DropdownMenuSubTrigger, DropdownMenuSubContent, DropdownMenuPortal } from "@/components/ui/dropdown-menu"
-import { getPayments, refundPayment, updatePayment } from "@/services/payments"
-import { Eye, Download, RefreshCw, MoreHorizontal, ArrowUpDown, Loader2, CheckCircle2, XCircle, Clock, Ban, RotateCcw } from "lucide-react"
+import { getPayments, processPayment, updatePayment } from "@/services/payments"
+import { Eye, Download, RefreshCw, MoreHorizontal, ArrowUpDown, Loader2, CheckCircle2, XCircle, Clock, Ban, CreditCard, Scale, Percent } from "lucide-react"
 import { toast } from "sonner"
 import { format } from "date-fns"
 import { ViewPaymentModal } from "@/components/viewPaymentModal"
+import { RefundPaymentDialog } from "@/components/RefundPaymentDialog"
 import { exportToCSV, EXPORT_COLUMNS } from "@/utils/export"
+import { REFUND_PAYMENT_STATUSES, getRefundableBalance, getRefundedAmount } from "@/utils/refundUtils"
 
 const getPaymentStatusColor = (status) => {
   const colors = {
@@ -18,23 +22,32 @@ const getPaymentStatusColor = (status) => {
     completed: "bg-green-100 text-green-800",
     failed: "bg-red-100 text-red-800",
     refunded: "bg-gray-100 text-gray-800",
+    partially_refunded: "bg-orange-100 text-orange-800",
     processing: "bg-blue-100 text-blue-800",
   }
   return colors[status] || "bg-gray-100 text-gray-800"
 }
 
+// Select value for showing payments whatever their reconciliation (Select items can't use an empty string)
+const ALL_RECONCILED = "all"
+
 export function PaymentsTable() {
   const [payments, setPayments] = useState([])
   const [loading, setLoading] = useState(true)
+  const [refundTarget, setRefundTarget] = useState(null)
+  const [reconciledFilter, setReconciledFilter] = useState(ALL_RECONCILED)
 
   useEffect(() => {
     loadPayments()
-  }, [])
+  }, [reconciledFilter])
 
   const loadPayments = async () => {
     try {
       setLoading(true)
-      const result = await getPayments({ limit: 100 })
+      const result = await getPayments({
+        limit: 100,
+        reconciled: reconciledFilter === ALL_RECONCILED ? '' : reconciledFilter
+      })
       console.log('Payments result:', result)
       setPayments(result.data || [])
     } catch (error) {
@@ -50,23 +63,28 @@ export function PaymentsTable() {
     }
   }
 
-  const handleRefund = async (paymentId) => {
+  const handleStatusUpdate = async (paymentId, newStatus) => {
     try {
-      await refundPayment(paymentId)
-      toast.success("Payment refunded successfully")
+      await updatePayment(paymentId, { status: newStatus })
+      toast.success(`Payment status updated to ${newStatus}`)
       loadPayments() // Reload payments
     } catch (error) {
-      toast.error(error.message || "Failed to refund payment")
+      toast.error(error.message || "Failed to update payment status")
     }
   }
 
-  const handleStatusUpdate = async (paymentId, newStatus) => {
+  const handleCharge = async (paymentId) => {
     try {
-      await updatePayment(paymentId, { status: newStatus })
-      toast.success(`Payment status updated to ${newStatus}`)
+      const payment = await processPayment(paymentId)
+      if (payment.status === 'completed') {
+        toast.success("Payment charged successfully")
+      } else {
+        toast.error("The payment provider did not complete the charge")
+      }
       loadPayments() // Reload payments
     } catch (error) {
-      toast.error(error.message || "Failed to update payment status")
+      toast.error(error.message || "Failed to charge payment")
+      loadPayments()
     }
   }
 
@@ -137,11 +155,21 @@ export function PaymentsTable() {
           <ArrowUpDown className="ml-2 h-4 w-4" />
         </Button>
       ),
-      cell: ({ row }) => (
-        <div className="font-medium">
-          {row.original.currency || 'MAD'} {parseFloat(row.getValue("amount")).toFixed(2)}
-        </div>
-      ),
+      cell: ({ row }) => {
+        const refunded = getRefundedAmount(row.original)
+        return (
+          <div>
+            <div className="font-medium">
+              {row.original.currency || 'MAD'} {parseFloat(row.getValue("amount")).toFixed(2)}
+            </div>
+            {refunded > 0 && (
+              <div className="text-xs text-red-600">
+                -{refunded.toFixed(2)} refunded
+              </div>
+            )}
+          </div>
+        )
+      },
     },
     {
       accessorKey: "payment_method",
@@ -167,9 +195,16 @@ export function PaymentsTable() {
       cell: ({ row }) => {
         const status = row.getValue("status") || 'pending'
         return (
-          <Badge className={getPaymentStatusColor(status)}>
-            {status}
-          </Badge>
+          <div>
+            <Badge className={getPaymentStatusColor(status)}>
+              {status}
+            </Badge>
+            {row.original.reconciled && (
+              <div className="text-xs text-muted-foreground mt-1">
+                Reconciled{row.original.reconciled_at && ` ${format(new Date(row.original.reconciled_at), "MMM d")}`}
+              </div>
+            )}
+          </div>
         )
       },
     },
@@ -237,7 +272,7 @@ export function PaymentsTable() {
               </Button>
             </DropdownMenuTrigger>
             <DropdownMenuContent align="end" className="w-48">
-              <ViewPaymentModal payment={payment} onRefund={handleRefund}>
+              <ViewPaymentModal payment={payment} onRefunded={loadPayments}>
                 <DropdownMenuItem onSelect={(e) => e.preventDefault()}>
                   <Eye className="mr-2 h-4 w-4" />
                   View Details
@@ -252,7 +287,7 @@ export function PaymentsTable() {
               <DropdownMenuSeparator />
 
               <DropdownMenuSub>
-                <DropdownMenuSubTrigger>
+                <DropdownMenuSubTrigger disabled={REFUND_PAYMENT_STATUSES.includes(currentStatus)}>
                   <RefreshCw className="mr-2 h-4 w-4" />
                   Update Status
                 </DropdownMenuSubTrigger>
@@ -279,13 +314,6 @@ export function PaymentsTable() {
                       <XCircle className="mr-2 h-4 w-4 text-red-600" />
                       Failed
                     </DropdownMenuItem>
-                    <DropdownMenuItem
-                      onClick={() => handleStatusUpdate(payment.id, 'refunded')}
-                      disabled={currentStatus === 'refunded'}
-                    >
-                      <RotateCcw className="mr-2 h-4 w-4 text-gray-600" />
-                      Refunded
-                    </DropdownMenuItem>
                     <DropdownMenuItem
                       onClick={() => handleStatusUpdate(payment.id, 'cancelled')}
                       disabled={currentStatus === 'cancelled'}
@@ -299,8 +327,15 @@ export function PaymentsTable() {
 
               <DropdownMenuSeparator />
 
-              {(payment.status === 'completed' || payment.payment_status === 'completed') && (
-                <DropdownMenuItem onClick={() => handleRefund(payment.id)}>
+              {['pending', 'processing', 'failed'].includes(currentStatus) && (
+                <DropdownMenuItem onClick={() => handleCharge(payment.id)}>
+                  <CreditCard className="mr-2 h-4 w-4" />
+                  Charge Payment
+                </DropdownMenuItem>
+              )}
+
+              {getRefundableBalance(payment) > 0 && (
+                <DropdownMenuItem onClick={() => setRefundTarget(payment)}>
                   <RefreshCw className="mr-2 h-4 w-4" />
                   Process Refund
                 </DropdownMenuItem>
@@ -322,7 +357,29 @@ export function PaymentsTable() {
 
   return (
     <div className="space-y-4">
-      <div className="flex justify-end">
+      <div className="flex justify-end gap-2">
+        <Select value={reconciledFilter} onValueChange={setReconciledFilter}>
+          <SelectTrigger className="w-44 h-9">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={ALL_RECONCILED}>All payments</SelectItem>
+            <SelectItem value="true">Reconciled</SelectItem>
+            <SelectItem value="false">Not reconciled</SelectItem>
+          </SelectContent>
+        </Select>
+        <Button variant="outline" size="sm" asChild>
+          <Link href="/dashboard/payments/reconciliation">
+            <Scale className="mr-2 h-4 w-4" />
+            Reconciliation
+          </Link>
+        </Button>
+        <Button variant="outline" size="sm" asChild>
+          <Link href="/dashboard/payments/fee-rules">
+            <Percent className="mr-2 h-4 w-4" />
+            Fee Rules
+          </Link>
+        </Button>
         <Button variant="outline" size="sm" onClick={handleExport}>
           <Download className="mr-2 h-4 w-4" />
           Export CSV
@@ -332,6 +389,12 @@ export function PaymentsTable() {
         data={payments}
         columns={columns}
       />
+      <RefundPaymentDialog
+        payment={refundTarget}
+        open={!!refundTarget}
+        onOpenChange={(isOpen) => !isOpen && setRefundTarget(null)}
+        onRefunded={loadPayments}
+      />
     </div>
   )
 }
@@ -21,10 +21,14 @@ import {
   FileText, 
   CreditCard, 
   Download, 
-  RefreshCw 
+  RefreshCw,
+  RotateCcw
 } from "lucide-react"
-import { getPayment } from "@/services/payments"
+import { getPayment, getPaymentRefunds } from "@/services/payments"
 import { toast } from "sonner"
+import { RefundPaymentDialog } from "@/components/RefundPaymentDialog"
+import { getRefundableBalance, getRefundedAmount } from "@/utils/refundUtils"
+import { describeAppliedFee } from "@/utils/feeRuleUtils"
 
 const getPaymentStatusColor = (status) => {
   const colors = {
@@ -32,15 +36,27 @@ const getPaymentStatusColor = (status) => {
     completed: "bg-green-100 text-green-800",
     failed: "bg-red-100 text-red-800",
     refunded: "bg-gray-100 text-gray-800",
+    partially_refunded: "bg-orange-100 text-orange-800",
     processing: "bg-blue-100 text-blue-800",
   }
   return colors[status] || "bg-gray-100 text-gray-800"
 }
 
-export function ViewPaymentModal({ payment, children, onRefund }) {
+export function ViewPaymentModal({ payment, children, onRefunded }) {
   const [open, setOpen] = useState(false)
   const [selectedPayment, setSelectedPayment] = useState(null)
+  const [refunds, setRefunds] = useState([])
   const [loading, setLoading] = useState(false)
+  const [refundOpen, setRefundOpen] = useState(false)
+
+  const loadPaymentDetails = async (paymentId) => {
+    const [fullPayment, paymentRefunds] = await Promise.all([
+      getPayment(paymentId),
+      getPaymentRefunds(paymentId)
+    ])
+    setSelectedPayment(fullPayment)
+    setRefunds(paymentRefunds)
+  }
 
   const handleOpenChange = async (isOpen) => {
     setOpen(isOpen)
@@ -48,8 +64,7 @@ export function ViewPaymentModal({ payment, children, onRefund }) {
     if (isOpen && payment) {
       try {
         setLoading(true)
-        const fullPayment = await getPayment(payment.id)
-        setSelectedPayment(fullPayment)
+        await loadPaymentDetails(payment.id)
       } catch (error) {
         toast.error("Failed to load payment details")
         setOpen(false)
@@ -58,21 +73,30 @@ export function ViewPaymentModal({ payment, children, onRefund }) {
       }
     } else {
       setSelectedPayment(null)
+      setRefunds([])
     }
   }
 
   const handleClose = () => {
     setOpen(false)
     setSelectedPayment(null)
+    setRefunds([])
   }
 
-  const handleRefund = () => {
-    if (onRefund && selectedPayment) {
-      onRefund(selectedPayment.id)
-      handleClose()
+  const handleRefunded = async (result) => {
+    try {
+      await loadPaymentDetails(selectedPayment.id)
+    } catch (error) {
+      console.error('Failed to reload payment after refund:', error)
     }
+    onRefunded?.(result)
   }
 
+  const formatAmount = (value) => new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: selectedPayment?.currency || "MAD",
+  }).format(parseFloat(value) || 0)
+
   if (!payment) return null
 
   return (
@@ -251,6 +275,12 @@ export function ViewPaymentModal({ payment, children, onRefund }) {
                         }).format(selectedPayment.platform_fee || 0)}
                       </p>
                     </div>
+                    {selectedPayment.fee_rule && (
+                      <div className="flex justify-between items-center">
+                        <p className="text-sm text-muted-foreground">Fee Rule</p>
+                        <p className="text-sm">{describeAppliedFee(selectedPayment.fee_rule)}</p>
+                      </div>
+                    )}
                     <div className="flex justify-between items-center">
                       <p className="text-sm text-muted-foreground">Worker Earnings</p>
                       <p className="text-sm font-medium text-green-600">
@@ -260,11 +290,58 @@ export function ViewPaymentModal({ payment, children, onRefund }) {
                         }).format(selectedPayment.worker_earnings || 0)}
                       </p>
                     </div>
+                    {getRefundedAmount(selectedPayment) > 0 && (
+                      <div className="flex justify-between items-center pt-2 border-t">
+                        <p className="text-sm text-muted-foreground">Refunded</p>
+                        <p className="text-sm font-medium text-red-600">
+                          -{formatAmount(getRefundedAmount(selectedPayment))}
+                        </p>
+                      </div>
+                    )}
+                    <div className="flex justify-between items-center">
+                      <p className="text-sm text-muted-foreground">Refundable Balance</p>
+                      <p className="text-sm font-medium">
+                        {formatAmount(getRefundableBalance(selectedPayment))}
+                      </p>
+                    </div>
                   </div>
                 </div>
               </div>
             </div>
 
+            {/* Refund History */}
+            {refunds.length > 0 && (
+              <div>
+                <h3 className="font-semibold text-sm text-muted-foreground mb-3 flex items-center">
+                  <RotateCcw className="mr-2 h-4 w-4" />
+                  Refund History
+                </h3>
+                <div className="divide-y rounded-lg border">
+                  {refunds.map((refund) => (
+                    <div key={refund.id} className="flex items-start justify-between gap-4 p-3">
+                      <div className="space-y-1">
+                        <p className="text-sm">{refund.reason || 'No reason given'}</p>
+                        <p className="text-xs text-muted-foreground">
+                          {new Date(refund.created_at).toLocaleString("en-US", {
+                            year: "numeric",
+                            month: "short",
+                            day: "numeric",
+                            hour: "2-digit",
+                            minute: "2-digit",
+                          })}
+                          {' · '}
+                          {refund.refunder?.full_name || 'Unknown user'}
+                        </p>
+                      </div>
+                      <p className="text-sm font-medium text-red-600 whitespace-nowrap">
+                        -{formatAmount(refund.amount)}
+                      </p>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Actions */}
             <div className="flex justify-end gap-2 pt-4 border-t">
               <Button variant="outline" onClick={handleClose}>
@@ -274,16 +351,23 @@ export function ViewPaymentModal({ payment, children, onRefund }) {
                 <Download className="mr-2 h-4 w-4" />
                 Download Receipt
               </Button>
-              {(selectedPayment.status === 'completed' || selectedPayment.payment_status === 'completed') && (
+              {getRefundableBalance(selectedPayment) > 0 && (
                 <Button 
                   variant="destructive"
-                  onClick={handleRefund}
+                  onClick={() => setRefundOpen(true)}
                 >
                   <RefreshCw className="mr-2 h-4 w-4" />
                   Process Refund
                 </Button>
               )}
             </div>
+
+            <RefundPaymentDialog
+              payment={selectedPayment}
+              open={refundOpen}
+              onOpenChange={setRefundOpen}
+              onRefunded={handleRefunded}
+            />
           </div>
         ) : (
           <div className="text-center py-8 text-muted-foreground">
@@ -0,0 +1,208 @@
+import {
+  ACTIVE_BOOKING_STATUSES,
+  computeWorkerSlots,
+  mergeWorkerSlots,
+  getTodayDateString,
+  getCurrentMinutes,
+  timeToMinutes,
+  DEFAULT_SLOT_INTERVAL
+} from '@/utils/scheduleUtils'
+import { getDayBlackout } from '@/utils/blackoutUtils'
+import { fetchBlackouts } from '@/lib/blackouts'
+
+const DAY_BOOKING_COLUMNS = 'id, booking_number, worker_id, status, scheduled_time, estimated_duration'
+
+/**
+ * Get the active bookings on a date for a set of workers, whether they lead the booking or are on its crew.
+ * A booking is returned once per worker it occupies, with `worker_id` set to that worker.
+ */
+export async function fetchWorkerDayBookings(client, workerIds, date, options = {}) {
+  const { excludeBookingId = null, columns = DAY_BOOKING_COLUMNS } = options
+
+  if (!workerIds?.length || !date) return []
+
+  let leadQuery = client
+    .from('bookings')
+    .select(columns)
+    .in('worker_id', workerIds)
+    .eq('scheduled_date', date)
+    .in('status', ACTIVE_BOOKING_STATUSES)
+
+  let crewQuery = client
+    .from('booking_crew')
+    .select(`worker_id, booking:bookings!inner ( ${columns} )`)
+    .in('worker_id', workerIds)
+    .eq('booking.scheduled_date', date)
+    .in('booking.status', ACTIVE_BOOKING_STATUSES)
+
+  if (excludeBookingId) {
+    leadQuery = leadQuery.neq('id', excludeBookingId)
+    crewQuery = crewQuery.neq('booking_id', excludeBookingId)
+  }
+
+  const [leadResult, crewResult] = await Promise.all([leadQuery, crewQuery])
+
+  if (leadResult.error) throw leadResult.error
+  if (crewResult.error) throw crewResult.error
+
+  const bookings = [...(leadResult.data || [])]
+  const seen = new Set(bookings.map(booking => `${booking.worker_id}:${booking.id}`))
+
+  for (const row of crewResult.data || []) {
+    const key = `${row.worker_id}:${row.booking.id}`
+    if (seen.has(key)) continue
+    seen.add(key)
+    bookings.push({ ...row.booking, worker_id: row.worker_id })
+  }
+
+  return bookings
+}
+
+/**
+ * Compute the open start times for a service on a date across all eligible workers.
+ * Takes the Supabase client explicitly so it can run in the browser and in API routes.
+ * `location` (a city or service address) decides which city blackouts apply; the result's
+ * `blackout` describes any closure or reduced hours that shaped the slots.
+ */
+export async function fetchAvailableSlots(client, options = {}) {
+  try {
+    const {
+      serviceId,
+      date,
+      workerId = '',
+      duration = null,
+      interval = DEFAULT_SLOT_INTERVAL,
+      excludeBookingId = null,
+      crewWorkerIds = [],
+      location = ''
+    } = options
+
+    if (!serviceId || !date) {
+      throw new Error('Service and date are required')
+    }
+
+    const { data: service, error: serviceError } = await client
+      .from('services')
+      .select('id, title, duration_minutes')
+      .eq('id', serviceId)
+      .single()
+
+    if (serviceError) throw serviceError
+
+    const slotDuration = parseInt(duration) || parseInt(service.duration_minutes) || 60
+
+    // Holidays close the day; Ramadan-style reduced hours narrow it
+    const blackout = getDayBlackout(await fetchBlackouts(client, { from: date, to: date }), date, location)
+    if (blackout?.closed) {
+      return { date, duration: slotDuration, slots: [], blackout }
+    }
+
+    // Workers offering this service who are not offline
+    let workersQuery = client
+      .from('worker_services')
+      .select(`
+        worker_id,
+        worker:worker_id (
+          id,
+          business_name,
+          status,
+          start_time,
+          end_time,
+          works_weekends,
+          user:user_id (
+            full_name
+          )
+        )
+      `)
+      .eq('service_id', serviceId)
+      .eq('is_active', true)
+
+    if (workerId) {
+      workersQuery = workersQuery.eq('worker_id', workerId)
+    }
+
+    const { data: workerServices, error: workersError } = await workersQuery
+
+    if (workersError) throw workersError
+
+    const workers = (workerServices || [])
+      .map(item => item.worker)
+      .filter(worker => worker && worker.status !== 'offline')
+
+    if (workers.length === 0) {
+      return { date, duration: slotDuration, slots: [], blackout }
+    }
+
+    // Helpers on a crew don't need to offer the service, but they must be free too
+    const helperIds = (crewWorkerIds || []).filter(id => id && !workers.some(worker => worker.id === id))
+    let helpers = []
+
+    if (helperIds.length > 0) {
+      const { data: helperData, error: helpersError } = await client
+        .from('worker_profiles')
+        .select('id, business_name, status, start_time, end_time, works_weekends')
+        .in('id', helperIds)
+
+      if (helpersError) throw helpersError
+      helpers = helperData || []
+    }
+
+    const bookings = await fetchWorkerDayBookings(
+      client,
+      [...workers, ...helpers].map(worker => worker.id),
+      date,
+      { excludeBookingId }
+    )
+
+    // Don't offer start times that have already passed today
+    let notBefore = 0
+    if (date === getTodayDateString()) {
+      notBefore = getCurrentMinutes()
+    } else if (date < getTodayDateString()) {
+      return { date, duration: slotDuration, slots: [], blackout }
+    }
+
+    const slotOptions = {
+      interval: parseInt(interval) || DEFAULT_SLOT_INTERVAL,
+      notBefore,
+      ...(blackout && { openStart: blackout.openStart, openEnd: blackout.openEnd })
+    }
+    const getWorkerSlots = (worker) => computeWorkerSlots(
+      worker,
+      bookings.filter(booking => booking.worker_id === worker.id),
+      date,
+      slotDuration,
+      slotOptions
+    )
+
+    const workerSlots = workers.map(worker => ({
+      worker: {
+        id: worker.id,
+        business_name: worker.business_name,
+        full_name: worker.user?.full_name || null
+      },
+      slots: getWorkerSlots(worker)
+    }))
+
+    let slots = mergeWorkerSlots(workerSlots)
+
+    // With a crew, a start time is only open when every crew member is free
+    if (crewWorkerIds?.length > 0) {
+      const crewSlots = crewWorkerIds.filter(Boolean).map(id => {
+        const member = workers.find(worker => worker.id === id) || helpers.find(worker => worker.id === id)
+        return new Set(member && member.status !== 'offline' ? getWorkerSlots(member) : [])
+      })
+      slots = slots.filter(slot => crewSlots.every(memberSlots => memberSlots.has(timeToMinutes(slot.time))))
+    }
+
+    return {
+      date,
+      duration: slotDuration,
+      slots,
+      blackout
+    }
+  } catch (error) {
+    console.error('Error computing available slots:', error)
+    throw error
+  }
+}
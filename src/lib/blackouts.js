@@ -0,0 +1,20 @@
+/**
+ * Get the blackout dates overlapping a 'YYYY-MM-DD' range, earliest first.
+ * Takes the Supabase client explicitly so slot computation can use it in the browser and in API routes.
+ */
+export async function fetchBlackouts(client, options = {}) {
+  const { from = null, to = null } = options
+
+  let query = client
+    .from('blackout_dates')
+    .select('*')
+    .order('start_date', { ascending: true })
+
+  if (from) query = query.gte('end_date', from)
+  if (to) query = query.lte('start_date', to)
+
+  const { data, error } = await query
+
+  if (error) throw error
+  return data || []
+}
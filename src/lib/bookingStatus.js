@@ -0,0 +1,139 @@
+import { BOOKING_STATUSES, FLOW_ONLY_STATUSES, isValidStatusTransition } from '@/utils/bookingUtils'
+
+// Build the error thrown when a status change breaks the booking workflow
+export function createStatusTransitionError(fromStatus, toStatus) {
+  const from = BOOKING_STATUSES[fromStatus]?.label || fromStatus
+  const to = BOOKING_STATUSES[toStatus]?.label || toStatus
+  const error = new Error(`A ${from.toLowerCase()} booking cannot be moved to ${to.toLowerCase()}.`)
+  error.code = 'INVALID_STATUS_TRANSITION'
+  error.fromStatus = fromStatus
+  error.toStatus = toStatus
+  return error
+}
+
+// Throw unless the status change is allowed for the role
+export function assertStatusTransition(fromStatus, toStatus, role = 'admin') {
+  if (!BOOKING_STATUSES[toStatus]) {
+    const error = new Error(`Unknown booking status: ${toStatus}`)
+    error.code = 'INVALID_STATUS_TRANSITION'
+    throw error
+  }
+
+  if (!isValidStatusTransition(fromStatus, toStatus, role)) {
+    throw createStatusTransitionError(fromStatus, toStatus)
+  }
+}
+
+// Throw when the status needs its own flow, e.g. cancelling has to go through cancelBooking
+export function assertPlainStatusChange(toStatus) {
+  if (!FLOW_ONLY_STATUSES.includes(toStatus)) return
+
+  const error = new Error(toStatus === 'cancelled'
+    ? 'Use Cancel booking to cancel a booking, so the cancellation policy applies.'
+    : 'Use Mark as no-show to record a no-show, so the no-show fee applies.')
+  error.code = 'STATUS_REQUIRES_FLOW'
+  error.toStatus = toStatus
+  throw error
+}
+
+// Fields stamped on the booking when it enters a status
+export function getStatusTimestampFields(toStatus, options = {}) {
+  const now = new Date().toISOString()
+
+  switch (toStatus) {
+    case 'in_progress':
+      return { started_at: now }
+    case 'completed':
+      return { completed_at: now, can_rate: true }
+    case 'cancelled':
+      return {
+        cancelled_at: now,
+        cancelled_by: options.changedBy || null,
+        cancellation_reason: options.reason || null
+      }
+    case 'no_show':
+      return {
+        no_show_at: now,
+        can_cancel: false,
+        can_reschedule: false
+      }
+    default:
+      return {}
+  }
+}
+
+/**
+ * Append an entry to a booking's status history.
+ * A failed history write is logged rather than thrown, since the status change itself already succeeded.
+ */
+export async function recordStatusChange(client, entry) {
+  const { error } = await client
+    .from('booking_status_history')
+    .insert([{
+      booking_id: entry.bookingId,
+      from_status: entry.fromStatus || null,
+      to_status: entry.toStatus,
+      changed_by: entry.changedBy || null,
+      changed_by_role: entry.role || null,
+      reason: entry.reason || null,
+      created_at: new Date().toISOString()
+    }])
+
+  if (error) {
+    console.error('⚠️ Failed to record booking status history:', error)
+  }
+}
+
+/**
+ * Move a booking to a new status, enforcing the workflow and recording the change.
+ * Takes the Supabase client explicitly so it can run in the browser and in API routes.
+ * Cancelled and no-show are refused unless `viaStatusFlow` is set by the flow that owns them.
+ */
+export async function transitionBookingStatus(client, bookingId, toStatus, options = {}) {
+  const { changedBy = null, role = 'admin', reason = null, additionalData = {}, viaStatusFlow = false } = options
+
+  if (!viaStatusFlow) assertPlainStatusChange(toStatus)
+
+  const { data: current, error: currentError } = await client
+    .from('bookings')
+    .select('id, status')
+    .eq('id', bookingId)
+    .single()
+
+  if (currentError) throw currentError
+
+  assertStatusTransition(current.status, toStatus, role)
+
+  // Only update if nobody changed the status since we read it
+  const { data, error } = await client
+    .from('bookings')
+    .update({
+      ...getStatusTimestampFields(toStatus, { changedBy, reason }),
+      ...additionalData,
+      status: toStatus,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', bookingId)
+    .eq('status', current.status)
+    .select()
+    .maybeSingle()
+
+  if (error) throw error
+
+  if (!data) {
+    const staleError = new Error('The booking status was changed by someone else. Reload and try again.')
+    staleError.code = 'STATUS_CHANGED'
+    throw staleError
+  }
+
+  await recordStatusChange(client, {
+    bookingId,
+    fromStatus: current.status,
+    toStatus,
+    changedBy,
+    role,
+    reason
+  })
+
+  return data
+}
@@ -0,0 +1,82 @@
+import { ACTIVE_BOOKING_STATUSES } from '@/utils/scheduleUtils'
+import { toZonedDateString } from '@/utils/timeZoneUtils'
+import { DEFAULT_CANCELLATION_POLICY, isCancellationWindowClosed } from '@/utils/cancellationUtils'
+
+// Pick the policy for a category from the active policies, falling back to the catch-all and then the default
+const selectPolicy = (policies, category) => {
+  return (
+    (category && policies.find(policy => policy.service_category === category)) ||
+    policies.find(policy => !policy.service_category) ||
+    DEFAULT_CANCELLATION_POLICY
+  )
+}
+
+/**
+ * Get the active cancellation policy for a service category.
+ * Falls back to the catch-all policy (no category), then to the built-in default.
+ */
+export async function fetchCancellationPolicy(client, category = null) {
+  const { data, error } = await client
+    .from('cancellation_policies')
+    .select('*')
+    .eq('is_active', true)
+
+  if (error) throw error
+
+  return selectPolicy(data || [], category)
+}
+
+/**
+ * Turn off can_cancel on open bookings whose cancellation window has closed.
+ * Takes the Supabase client explicitly so it can run from the browser or a scheduled API route.
+ */
+export async function closeCancellationWindows(client, now = new Date()) {
+  const { data: policies, error: policiesError } = await client
+    .from('cancellation_policies')
+    .select('*')
+    .eq('is_active', true)
+
+  if (policiesError) throw policiesError
+
+  const activePolicies = policies || []
+  const maxCutoff = Math.max(
+    0,
+    ...activePolicies.map(policy => parseFloat(policy.cancel_cutoff_hours) || 0),
+    DEFAULT_CANCELLATION_POLICY.cancel_cutoff_hours
+  )
+
+  // Only bookings up to the longest cutoff ahead can have a closed window
+  const horizon = new Date(now.getTime() + maxCutoff * 60 * 60 * 1000)
+  const horizonDate = toZonedDateString(horizon)
+
+  const { data: bookings, error: bookingsError } = await client
+    .from('bookings')
+    .select(`
+      id,
+      scheduled_date,
+      scheduled_time,
+      service:service_id (
+        category
+      )
+    `)
+    .eq('can_cancel', true)
+    .in('status', ACTIVE_BOOKING_STATUSES)
+    .lte('scheduled_date', horizonDate)
+
+  if (bookingsError) throw bookingsError
+
+  const closedIds = (bookings || [])
+    .filter(booking => isCancellationWindowClosed(selectPolicy(activePolicies, booking.service?.category), booking, now))
+    .map(booking => booking.id)
+
+  if (closedIds.length > 0) {
+    const { error } = await client
+      .from('bookings')
+      .update({ can_cancel: false, updated_at: now.toISOString() })
+      .in('id', closedIds)
+
+    if (error) throw error
+  }
+
+  return closedIds.length
+}
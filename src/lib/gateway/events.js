@@ -0,0 +1,90 @@
+import { GATEWAY_EVENT_STATUSES, canApplyGatewayStatus } from './index'
+
+// Find the payment a webhook event is about, by transaction ID first and then by reference
+async function findPaymentForEvent(client, event) {
+  const lookups = [
+    ['gateway_transaction_id', event.transactionId],
+    ['gateway_reference', event.reference]
+  ].filter(([, value]) => value)
+
+  for (const [column, value] of lookups) {
+    const { data, error } = await client
+      .from('payments')
+      .select('id, status, amount, gateway_transaction_id, gateway_reference')
+      .eq(column, value)
+      .limit(1)
+      .maybeSingle()
+
+    if (error) throw error
+    if (data) return data
+  }
+
+  return null
+}
+
+/**
+ * Apply a verified webhook event to its payment. Each event ID is stored once in payment_gateway_events,
+ * so redelivered events are reported as duplicates instead of being applied again.
+ * Returns { result } with 'ignored', 'unmatched', 'duplicate', 'unchanged' or 'updated', plus the payment.
+ */
+export async function applyGatewayEvent(client, event, providerName) {
+  const nextStatus = GATEWAY_EVENT_STATUSES[event.type]
+  if (!nextStatus) return { result: 'ignored' }
+
+  const payment = await findPaymentForEvent(client, event)
+  if (!payment) return { result: 'unmatched' }
+
+  const { data: eventRecord, error: eventError } = await client
+    .from('payment_gateway_events')
+    .insert([{
+      provider: providerName,
+      event_id: event.id,
+      type: event.type,
+      payment_id: payment.id,
+      payload: event.payload || null,
+      created_at: new Date().toISOString()
+    }])
+    .select('id')
+    .single()
+
+  // Unique violation on event_id: this event was already handled
+  if (eventError?.code === '23505') return { result: 'duplicate', payment }
+  if (eventError) throw eventError
+
+  if (!canApplyGatewayStatus(payment.status, nextStatus)) {
+    return { result: 'unchanged', payment }
+  }
+
+  if (event.amount !== null && event.amount !== undefined &&
+      Math.abs((parseFloat(event.amount) || 0) - (parseFloat(payment.amount) || 0)) >= 0.01) {
+    console.warn(`⚠️ Gateway reported ${event.amount} for payment ${payment.id}, which is recorded as ${payment.amount}`)
+  }
+
+  const updates = {
+    status: nextStatus,
+    gateway_provider: providerName,
+    gateway_transaction_id: payment.gateway_transaction_id || event.transactionId || null,
+    gateway_reference: payment.gateway_reference || event.reference || null,
+    updated_at: new Date().toISOString()
+  }
+  if (nextStatus === 'completed') {
+    updates.processed_at = event.occurredAt || new Date().toISOString()
+  }
+
+  // Only update if nothing else changed the payment since it was read
+  const { data: updated, error: updateError } = await client
+    .from('payments')
+    .update(updates)
+    .eq('id', payment.id)
+    .eq('status', payment.status)
+    .select()
+    .maybeSingle()
+
+  if (updateError) {
+    // Forget the event so the provider's retry can apply it
+    await client.from('payment_gateway_events').delete().eq('id', eventRecord.id)
+    throw updateError
+  }
+
+  return updated ? { result: 'updated', payment: updated } : { result: 'unchanged', payment }
+}
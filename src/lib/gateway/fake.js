@@ -0,0 +1,141 @@
+// Header the fake provider signs webhooks with: 't=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">'
+export const FAKE_SIGNATURE_HEADER = 'x-fake-signature'
+
+const DEFAULT_TOLERANCE_SECONDS = 300
+
+const randomId = () => Math.random().toString(36).substring(2, 12)
+
+const createError = (message, code) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+// Web Crypto works both in the browser and in API routes
+const hmacHex = async (secret, message) => {
+  const encoder = new TextEncoder()
+  const key = await globalThis.crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  )
+  const signature = await globalThis.crypto.subtle.sign('HMAC', key, encoder.encode(message))
+  return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+// Compare without stopping at the first difference, so timing doesn't leak the signature
+const safeEqual = (a, b) => {
+  if (a.length !== b.length) return false
+  let difference = 0
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i)
+  }
+  return difference === 0
+}
+
+const parseSignatureHeader = (header) => {
+  return Object.fromEntries(
+    String(header || '').split(',').map(part => part.trim().split('=')).filter(([key, value]) => key && value)
+  )
+}
+
+/**
+ * Payment provider that never talks to a processor, for development and tests.
+ * Every intent captures and every refund succeeds; webhooks are signed with the shared secret
+ * (PAYMENT_WEBHOOK_SECRET) so the webhook route can be exercised end to end (see signWebhook).
+ */
+export function createFakeProvider(options = {}) {
+  const {
+    webhookSecret = process.env.PAYMENT_WEBHOOK_SECRET,
+    toleranceSeconds = DEFAULT_TOLERANCE_SECONDS
+  } = options
+
+  const getWebhookSecret = () => {
+    if (!webhookSecret) {
+      throw createError('PAYMENT_WEBHOOK_SECRET is not set', 'WEBHOOK_NOT_CONFIGURED')
+    }
+    return webhookSecret
+  }
+
+  return {
+    name: 'fake',
+
+    async createIntent({ amount, currency = 'MAD', reference = null }) {
+      return {
+        transactionId: `fake_pi_${randomId()}`,
+        reference,
+        amount,
+        currency,
+        status: 'pending'
+      }
+    },
+
+    async capture(transactionId, { amount } = {}) {
+      return {
+        transactionId,
+        amount,
+        status: 'completed',
+        capturedAt: new Date().toISOString()
+      }
+    },
+
+    async refund(transactionId, { amount } = {}) {
+      return {
+        refundId: `fake_re_${randomId()}`,
+        transactionId,
+        amount,
+        status: 'completed'
+      }
+    },
+
+    // Build the body and headers of a webhook the way the provider would send it
+    async signWebhook(event, timestamp = Math.floor(Date.now() / 1000)) {
+      const body = JSON.stringify({
+        id: event.id || `fake_evt_${randomId()}`,
+        type: event.type,
+        created: timestamp,
+        data: {
+          transaction_id: event.transactionId || null,
+          reference: event.reference || null,
+          amount: event.amount ?? null,
+          currency: event.currency || 'MAD'
+        }
+      })
+      const signature = await hmacHex(getWebhookSecret(), `${timestamp}.${body}`)
+      return { body, headers: { [FAKE_SIGNATURE_HEADER]: `t=${timestamp},v1=${signature}` } }
+    },
+
+    // Check a webhook's signature and age, and return the event in the shape the app uses
+    async verifyWebhook(rawBody, headers) {
+      const secret = getWebhookSecret()
+      const { t, v1 } = parseSignatureHeader(headers.get(FAKE_SIGNATURE_HEADER))
+      if (!t || !v1) {
+        throw createError('Missing webhook signature', 'INVALID_SIGNATURE')
+      }
+
+      const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(t, 10))
+      if (!(age <= toleranceSeconds)) {
+        throw createError('Webhook timestamp is outside the allowed window', 'INVALID_SIGNATURE')
+      }
+
+      const expected = await hmacHex(secret, `${t}.${rawBody}`)
+      if (!safeEqual(expected, v1)) {
+        throw createError('Webhook signature does not match', 'INVALID_SIGNATURE')
+      }
+
+      const payload = JSON.parse(rawBody)
+      return {
+        id: payload.id,
+        type: payload.type,
+        transactionId: payload.data?.transaction_id || null,
+        reference: payload.data?.reference || null,
+        amount: payload.data?.amount ?? null,
+        currency: payload.data?.currency || null,
+        occurredAt: new Date(parseInt(t, 10) * 1000).toISOString(),
+        payload
+      }
+    }
+  }
+}
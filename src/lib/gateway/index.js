@@ -0,0 +1,57 @@
+import { createFakeProvider } from './fake'
+
+/**
+ * Payment providers by name. Each one is a factory returning an object with:
+ * - createIntent({ amount, currency, reference }) -> { transactionId, reference, status }
+ * - capture(transactionId, { amount }) -> { transactionId, amount, status }
+ * - refund(transactionId, { amount, reason }) -> { refundId, amount, status }
+ * - verifyWebhook(rawBody, headers) -> { id, type, transactionId, reference, amount, ... },
+ *   throwing an error with code 'INVALID_SIGNATURE' when the signature doesn't check out
+ *   and 'WEBHOOK_NOT_CONFIGURED' when there is no secret to check it against
+ * Webhook event types are reported as one of GATEWAY_EVENT_STATUSES' keys (or passed through when unknown).
+ */
+const PAYMENT_PROVIDERS = {
+  fake: createFakeProvider
+}
+
+// Provider used in development when none is configured; other environments must set one
+export const DEFAULT_PAYMENT_PROVIDER = 'fake'
+
+// Payment status each webhook event type moves a payment to
+export const GATEWAY_EVENT_STATUSES = {
+  'payment.processing': 'processing',
+  'payment.succeeded': 'completed',
+  'payment.failed': 'failed',
+  'payment.canceled': 'cancelled'
+}
+
+// Once money has been collected, late or repeated events can't move a payment back
+const SETTLED_PAYMENT_STATUSES = ['completed', 'partially_refunded', 'refunded']
+
+// Whether a webhook may move a payment from its current status to the event's status
+export function canApplyGatewayStatus(currentStatus, nextStatus) {
+  if (!nextStatus || currentStatus === nextStatus) return false
+  return !SETTLED_PAYMENT_STATUSES.includes(currentStatus)
+}
+
+// Name of the provider in use, set with NEXT_PUBLIC_PAYMENT_PROVIDER
+export function getPaymentProviderName() {
+  const name = process.env.NEXT_PUBLIC_PAYMENT_PROVIDER
+  if (name) return name
+  if (process.env.NODE_ENV === 'development') return DEFAULT_PAYMENT_PROVIDER
+
+  const error = new Error('No payment provider is configured (set NEXT_PUBLIC_PAYMENT_PROVIDER)')
+  error.code = 'PAYMENT_PROVIDER_NOT_CONFIGURED'
+  throw error
+}
+
+// Get a payment provider by name, the configured one by default
+export function getPaymentProvider(name = getPaymentProviderName(), options = {}) {
+  const createProvider = PAYMENT_PROVIDERS[name]
+  if (!createProvider) {
+    const error = new Error(`Unknown payment provider: ${name}`)
+    error.code = 'UNKNOWN_PAYMENT_PROVIDER'
+    throw error
+  }
+  return createProvider(options)
+}
@@ -0,0 +1,105 @@
+import { supabase } from './supabaseClient'
+import {
+  getBookingRange,
+  getWorkingHoursIssue,
+  findOverlappingBookings
+} from '@/utils/scheduleUtils'
+import { parseLocation, scoreWorkerCandidate, rankCandidates } from '@/utils/assignmentUtils'
+import { fetchWorkerDayBookings } from '@/lib/availability'
+
+// Resolve a booking's coordinates from its service location or saved address
+const getBookingLocation = async (bookingData) => {
+  const location = parseLocation(bookingData.service_location)
+  if (location) return location
+
+  if (!bookingData.service_address_id) return null
+
+  const { data: address, error } = await supabase
+    .from('addresses')
+    .select('latitude, longitude')
+    .eq('id', bookingData.service_address_id)
+    .maybeSingle()
+
+  if (error) throw error
+  return parseLocation(address)
+}
+
+// Rank every worker offering the booking's service, best candidate first
+export const rankWorkersForBooking = async (bookingData, options = {}) => {
+  try {
+    const { excludeBookingId = null } = options
+
+    if (!bookingData.service_id) {
+      throw new Error('Select a service before ranking workers')
+    }
+
+    const { data: workerServices, error: workersError } = await supabase
+      .from('worker_services')
+      .select(`
+        worker_id,
+        custom_price,
+        worker:worker_id (
+          id,
+          business_name,
+          status,
+          service_radius_km,
+          start_time,
+          end_time,
+          works_weekends,
+          current_location,
+          base_location,
+          user:user_id (
+            full_name,
+            status,
+            worker_rating,
+            worker_review_count
+          )
+        )
+      `)
+      .eq('service_id', bookingData.service_id)
+      .eq('is_active', true)
+
+    if (workersError) throw workersError
+
+    const candidates = (workerServices || [])
+      .filter(item => item.worker && item.worker.user?.status !== 'inactive')
+
+    if (candidates.length === 0) return []
+
+    // Crew jobs count towards a candidate's load and conflicts like the ones they lead
+    const [bookingLocation, dayBookings] = await Promise.all([
+      getBookingLocation(bookingData),
+      fetchWorkerDayBookings(
+        supabase,
+        candidates.map(item => item.worker.id),
+        bookingData.scheduled_date,
+        { excludeBookingId }
+      )
+    ])
+
+    const range = getBookingRange(bookingData)
+
+    const scored = candidates.map(({ worker, ...workerService }) => {
+      const workerBookings = dayBookings.filter(booking => booking.worker_id === worker.id)
+      const scheduleCheck = range
+        ? {
+            conflicts: findOverlappingBookings(workerBookings, range.start, range.end),
+            workingHoursIssue: getWorkingHoursIssue(worker, bookingData.scheduled_date, range.start, range.end)
+          }
+        : null
+
+      return scoreWorkerCandidate({ worker, workerService, dayBookings: workerBookings, scheduleCheck }, bookingLocation)
+    })
+
+    return rankCandidates(scored)
+  } catch (error) {
+    console.error('Error ranking workers for booking:', error)
+    throw error
+  }
+}
+
+// Pick the highest-ranked worker who can take the booking, or null if nobody can
+export const findBestWorker = async (bookingData, options = {}) => {
+  const ranked = await rankWorkersForBooking(bookingData, options)
+  return ranked.find(candidate => candidate.eligible) || null
+}
@@ -0,0 +1,157 @@
+import { supabase } from './supabaseClient'
+import {
+  getBookingRange,
+  getWorkingHoursIssue,
+  findOverlappingBookings,
+  timeToMinutes
+} from '@/utils/scheduleUtils'
+import { fetchAvailableSlots, fetchWorkerDayBookings } from '@/lib/availability'
+import { fetchBlackouts } from '@/lib/blackouts'
+import { getBlackoutIssue } from '@/utils/blackoutUtils'
+import { buildBookingCrew } from '@/utils/crewUtils'
+
+// Get a worker's active bookings for a single date, including crew jobs led by someone else
+export const getWorkerBookingsForDate = async (workerId, date, options = {}) => {
+  try {
+    const { excludeBookingId = null } = options
+
+    const bookings = await fetchWorkerDayBookings(supabase, [workerId], date, {
+      excludeBookingId,
+      columns: `
+        id,
+        booking_number,
+        worker_id,
+        status,
+        scheduled_date,
+        scheduled_time,
+        estimated_duration,
+        service_address_text,
+        customer:profiles!bookings_customer_id_fkey (
+          id,
+          full_name
+        ),
+        service:services!bookings_service_id_fkey (
+          id,
+          title
+        )
+      `
+    })
+
+    return bookings.sort((a, b) => a.scheduled_time.localeCompare(b.scheduled_time))
+  } catch (error) {
+    console.error('Error fetching worker bookings for date:', error)
+    throw error
+  }
+}
+
+/**
+ * Check a booking slot against blackout dates and the other bookings and working hours of every crew member.
+ * `slot.crew` lists the helpers (see buildBookingCrew); without it only `slot.worker_id` is checked.
+ * City blackouts are matched against `slot.city` or `slot.service_address_text`.
+ */
+export const checkBookingConflicts = async (slot, options = {}) => {
+  try {
+    const { excludeBookingId = null } = options
+    const result = {
+      hasConflicts: false,
+      conflicts: [],
+      workingHoursIssue: null,
+      blackoutIssue: null
+    }
+
+    if (!slot.scheduled_date || !slot.scheduled_time) {
+      return result
+    }
+
+    const range = getBookingRange(slot)
+    if (!range) return result
+
+    const blackouts = await fetchBlackouts(supabase, { from: slot.scheduled_date, to: slot.scheduled_date })
+    result.blackoutIssue = getBlackoutIssue(blackouts, slot.scheduled_date, slot.city || slot.service_address_text, range)
+    result.hasConflicts = !!result.blackoutIssue
+
+    if (!slot.worker_id) return result
+
+    const workerIds = buildBookingCrew(slot.worker_id, slot.crew).map(member => member.worker_id)
+
+    const [{ data: workers, error: workerError }, memberBookings] = await Promise.all([
+      supabase
+        .from('worker_profiles')
+        .select('id, business_name, start_time, end_time, works_weekends, user:user_id ( full_name )')
+        .in('id', workerIds),
+      Promise.all(workerIds.map(workerId =>
+        getWorkerBookingsForDate(workerId, slot.scheduled_date, { excludeBookingId })
+      ))
+    ])
+
+    if (workerError) throw workerError
+
+    const isCrew = workerIds.length > 1
+    const issues = []
+
+    workerIds.forEach((workerId, index) => {
+      const worker = (workers || []).find(item => item.id === workerId)
+      const name = worker?.user?.full_name || worker?.business_name || 'Crew member'
+
+      findOverlappingBookings(memberBookings[index], range.start, range.end).forEach(conflict => {
+        result.conflicts.push(isCrew ? { ...conflict, worker_name: name } : conflict)
+      })
+
+      const issue = getWorkingHoursIssue(worker, slot.scheduled_date, range.start, range.end)
+      if (issue) issues.push(isCrew ? `${name}: ${issue}` : issue)
+    })
+
+    result.workingHoursIssue = issues.length > 0 ? issues.join('; ') : null
+    result.hasConflicts = result.conflicts.length > 0 || !!result.workingHoursIssue || !!result.blackoutIssue
+
+    return result
+  } catch (error) {
+    console.error('Error checking booking conflicts:', error)
+    throw error
+  }
+}
+
+// Throw when a slot conflicts, unless the caller explicitly allows it
+export const assertNoBookingConflicts = async (slot, options = {}) => {
+  const { excludeBookingId = null, allowConflicts = false } = options
+
+  const result = await checkBookingConflicts(slot, { excludeBookingId })
+  if (!result.hasConflicts) return result
+
+  if (allowConflicts) {
+    console.warn('⚠️ Booking saved despite scheduling conflicts:', result)
+    return result
+  }
+
+  const reasons = []
+  if (result.blackoutIssue) {
+    reasons.push(result.blackoutIssue.charAt(0).toLowerCase() + result.blackoutIssue.slice(1))
+  }
+  if (result.conflicts.length > 0) {
+    const isCrew = result.conflicts.some(b => b.worker_name)
+    const booked = result.conflicts.map(b => (isCrew ? `${b.booking_number} (${b.worker_name})` : b.booking_number))
+    reasons.push(`${isCrew ? 'crew' : 'worker'} already has ${booked.join(', ')} at this time`)
+  }
+  if (result.workingHoursIssue) {
+    // Lower-case only the first letter so crew member names keep their capitals
+    reasons.push(result.workingHoursIssue.charAt(0).toLowerCase() + result.workingHoursIssue.slice(1))
+  }
+
+  const error = new Error(`Scheduling conflict: ${reasons.join('; ')}.`)
+  error.code = 'BOOKING_CONFLICT'
+  error.conflicts = result.conflicts
+  error.workingHoursIssue = result.workingHoursIssue
+  error.blackoutIssue = result.blackoutIssue
+  throw error
+}
+
+// Get the open start times for a service on a date across all eligible workers
+export const getAvailableSlots = async (options = {}) => {
+  return fetchAvailableSlots(supabase, options)
+}
+
+// Check whether a specific time is one of the open slots
+export const isSlotAvailable = (slots, time) => {
+  const minutes = timeToMinutes(time)
+  return (slots || []).some(slot => timeToMinutes(slot.time) === minutes)
+}
@@ -0,0 +1,61 @@
+import { supabase } from './supabaseClient'
+import { fetchBlackouts } from '@/lib/blackouts'
+import { validateBlackout } from '@/utils/blackoutUtils'
+
+// Get blackout dates overlapping a date range (both ends optional)
+export const getBlackouts = async (options = {}) => {
+  try {
+    return await fetchBlackouts(supabase, options)
+  } catch (error) {
+    console.error('Error fetching blackout dates:', error)
+    throw error
+  }
+}
+
+// Create or update a blackout date range
+export const saveBlackout = async (blackout) => {
+  try {
+    const validationError = validateBlackout(blackout)
+    if (validationError) throw new Error(validationError)
+
+    const isReduced = blackout.type === 'reduced_hours'
+    const record = {
+      title: blackout.title.trim(),
+      type: blackout.type,
+      start_date: blackout.start_date,
+      end_date: blackout.end_date,
+      city: blackout.city?.trim() || null,
+      open_time: isReduced ? blackout.open_time : null,
+      close_time: isReduced ? blackout.close_time : null,
+      updated_at: new Date().toISOString()
+    }
+
+    const query = blackout.id
+      ? supabase.from('blackout_dates').update(record).eq('id', blackout.id)
+      : supabase.from('blackout_dates').insert([record])
+
+    const { data, error } = await query.select().single()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error saving blackout date:', error)
+    throw error
+  }
+}
+
+// Delete a blackout date range
+export const deleteBlackout = async (id) => {
+  try {
+    const { error } = await supabase
+      .from('blackout_dates')
+      .delete()
+      .eq('id', id)
+
+    if (error) throw error
+    return true
+  } catch (error) {
+    console.error('Error deleting blackout date:', error)
+    throw error
+  }
+}
@@ -0,0 +1,53 @@
+import { updateBooking, updateBookingStatus, cancelBooking, deleteBooking } from './bookings'
+
+// Run an action on each booking in turn and report the outcome per row
+const runForEach = async (bookings, action) => {
+  const results = []
+
+  for (const booking of bookings) {
+    try {
+      const data = await action(booking)
+      results.push({ id: booking.id, booking_number: booking.booking_number, success: true, data })
+    } catch (error) {
+      results.push({
+        id: booking.id,
+        booking_number: booking.booking_number,
+        success: false,
+        message: error.message || 'Unknown error'
+      })
+    }
+  }
+
+  return {
+    results,
+    succeeded: results.filter(result => result.success).length,
+    failed: results.filter(result => !result.success).length
+  }
+}
+
+// Move each booking to a status; rows whose current status doesn't allow it fail individually
+export const bulkUpdateStatus = async (bookings, status, reason = null) => {
+  return runForEach(bookings, booking => updateBookingStatus(booking.id, status, {}, reason))
+}
+
+// Assign every booking to one worker, re-checking each slot for conflicts
+export const bulkReassignWorker = async (bookings, workerId, options = {}) => {
+  const { allowConflicts = false } = options
+
+  return runForEach(bookings, booking => {
+    if (booking.worker_id === workerId) {
+      throw new Error('Already assigned to this worker')
+    }
+    return updateBooking(booking.id, { worker_id: workerId, allow_conflicts: allowConflicts })
+  })
+}
+
+// Cancel every booking with the same reason
+export const bulkCancelBookings = async (bookings, cancelledBy, cancellationReason) => {
+  return runForEach(bookings, booking => cancelBooking(booking.id, cancelledBy, cancellationReason))
+}
+
+// Delete every booking along with its payments and reviews
+export const bulkDeleteBookings = async (bookings) => {
+  return runForEach(bookings, booking => deleteBooking(booking.id))
+}
@@ -0,0 +1,182 @@
+import { supabase } from './supabaseClient'
+import { calculateCrewShares, splitCrewEarnings } from '@/utils/crewUtils'
+
+const CREW_SELECT = `
+  id,
+  booking_id,
+  worker_id,
+  role,
+  share_percent,
+  earnings,
+  worker:worker_id (
+    id,
+    business_name,
+    user:user_id (
+      full_name
+    )
+  )
+`
+
+// Current worker earnings recorded on a booking's payment (0 when there is no payment yet)
+const getBookingWorkerEarnings = async (bookingId) => {
+  const { data, error } = await supabase
+    .from('payments')
+    .select('worker_earnings')
+    .eq('booking_id', bookingId)
+    .maybeSingle()
+
+  if (error) throw error
+  return parseFloat(data?.worker_earnings) || 0
+}
+
+/**
+ * Replace a booking's crew, working out each member's share and earnings.
+ * `crew` must already have the lead first (see buildBookingCrew).
+ */
+export const syncBookingCrew = async (bookingId, crew, options = {}) => {
+  try {
+    const { rule, workerEarnings } = options
+    const earnings = workerEarnings !== undefined
+      ? parseFloat(workerEarnings) || 0
+      : await getBookingWorkerEarnings(bookingId)
+
+    const rows = splitCrewEarnings(calculateCrewShares(crew, rule), earnings)
+      .map(({ worker_id, role, share_percent, earnings }) => ({
+        booking_id: bookingId,
+        worker_id,
+        role,
+        share_percent,
+        earnings
+      }))
+
+    const { error: deleteError } = await supabase
+      .from('booking_crew')
+      .delete()
+      .eq('booking_id', bookingId)
+
+    if (deleteError) throw deleteError
+
+    if (rows.length === 0) return []
+
+    const { data, error } = await supabase
+      .from('booking_crew')
+      .insert(rows)
+      .select(CREW_SELECT)
+
+    if (error) throw error
+    return data || []
+  } catch (error) {
+    console.error('Error saving booking crew:', error)
+    throw error
+  }
+}
+
+// Re-split a booking's worker earnings across its crew after the payment changes
+export const updateCrewEarnings = async (bookingId, workerEarnings) => {
+  try {
+    const { data: crew, error } = await supabase
+      .from('booking_crew')
+      .select('id, role, share_percent')
+      .eq('booking_id', bookingId)
+
+    if (error) throw error
+    if (!crew || crew.length === 0) return []
+
+    // Lead first so it absorbs any rounding difference
+    const ordered = [...crew].sort((a, b) => (a.role === 'lead' ? -1 : b.role === 'lead' ? 1 : 0))
+    const split = splitCrewEarnings(ordered, workerEarnings)
+
+    for (const member of split) {
+      const { error: updateError } = await supabase
+        .from('booking_crew')
+        .update({ earnings: member.earnings })
+        .eq('id', member.id)
+
+      if (updateError) throw updateError
+    }
+
+    return split
+  } catch (error) {
+    console.error('Error updating crew earnings:', error)
+    throw error
+  }
+}
+
+// Get the bookings a worker is on, as lead or helper, newest first
+export const getWorkerJobs = async (workerId, options = {}) => {
+  try {
+    const { limit = 20 } = options
+
+    const bookingColumns = `
+      id,
+      booking_number,
+      status,
+      scheduled_date,
+      scheduled_time,
+      estimated_duration,
+      total_price,
+      crew_split_rule,
+      customer:profiles!bookings_customer_id_fkey (
+        full_name
+      ),
+      service:services!bookings_service_id_fkey (
+        title
+      ),
+      payment:payments!payments_booking_id_fkey (
+        worker_earnings
+      ),
+      crew:booking_crew (
+        worker_id
+      )
+    `
+
+    const [crewResult, leadResult] = await Promise.all([
+      supabase
+        .from('booking_crew')
+        .select(`role, share_percent, earnings, booking:bookings!inner ( ${bookingColumns} )`)
+        .eq('worker_id', workerId)
+        .order('created_at', { ascending: false })
+        .limit(limit),
+      // Bookings saved before crews existed only have the lead on the booking itself
+      supabase
+        .from('bookings')
+        .select(bookingColumns)
+        .eq('worker_id', workerId)
+        .order('scheduled_date', { ascending: false })
+        .limit(limit)
+    ])
+
+    if (crewResult.error) throw crewResult.error
+    if (leadResult.error) throw leadResult.error
+
+    const jobs = (crewResult.data || []).map(row => ({
+      booking: row.booking,
+      role: row.role,
+      share_percent: row.share_percent,
+      earnings: row.earnings,
+      crewSize: row.booking.crew?.length || 1
+    }))
+
+    const seen = new Set(jobs.map(job => job.booking.id))
+    for (const booking of leadResult.data || []) {
+      if (seen.has(booking.id) || booking.crew?.length > 0) continue
+
+      const payment = Array.isArray(booking.payment) ? booking.payment[0] : booking.payment
+      jobs.push({
+        booking,
+        role: 'lead',
+        share_percent: 100,
+        earnings: parseFloat(payment?.worker_earnings) || 0,
+        crewSize: 1
+      })
+    }
+
+    return jobs
+      .sort((a, b) => `${b.booking.scheduled_date} ${b.booking.scheduled_time}`
+        .localeCompare(`${a.booking.scheduled_date} ${a.booking.scheduled_time}`))
+      .slice(0, limit)
+  } catch (error) {
+    console.error('Error fetching worker jobs:', error)
+    throw error
+  }
+}
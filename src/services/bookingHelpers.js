@@ -1,5 +1,6 @@
 import { supabase } from './supabaseClient'
 import { getAvailableWorkers } from './workers'
+import { getSignedLineAmount } from '@/utils/priceLineUtils'
 
 // Debug: Get all profiles to check what exists
 export const debugGetAllProfiles = async () => {
@@ -224,11 +225,22 @@ export const validateBookingData = (bookingData) => {
     errors.discount_amount = 'Discount amount must be a positive number'
   }
 
-  // Calculate total and validate
+  // Itemized price lines, when provided, need a label and a positive amount
+  const priceLines = Array.isArray(bookingData.price_lines) ? bookingData.price_lines : null
+  if (priceLines) {
+    const invalidLine = priceLines.find(line => isNaN(parseFloat(line.amount)) || parseFloat(line.amount) < 0)
+    if (invalidLine) {
+      errors.price_lines = `Price line "${invalidLine.label || invalidLine.type}" needs a positive amount`
+    }
+  }
+
+  // Calculate total and validate (discount lines can't take the total below zero)
   const basePrice = parseFloat(bookingData.base_price || 0)
   const additionalCharges = parseFloat(bookingData.additional_charges || 0)
   const discountAmount = parseFloat(bookingData.discount_amount || 0)
-  const totalPrice = basePrice + additionalCharges - discountAmount
+  const totalPrice = priceLines
+    ? priceLines.reduce((sum, line) => sum + getSignedLineAmount(line), 0)
+    : basePrice + additionalCharges - discountAmount
 
   if (totalPrice < 0) {
     errors.total_price = 'Total price cannot be negative'
@@ -0,0 +1,168 @@
+import { supabase } from './supabaseClient'
+import { createBooking } from './bookings'
+import { validateBookingData } from './bookingHelpers'
+import { VEHICLE_TYPES } from '@/utils/bookingUtils'
+import { normalizeDateCell, normalizeTimeCell } from '@/utils/import'
+import { buildLegacyPriceLines } from '@/utils/priceLineUtils'
+import { normalizeBookingChannel } from '@/utils/channelUtils'
+
+// Compare phone numbers on their last 9 digits so +212 6... and 06... match
+const phoneKey = (value) => String(value || '').replace(/\D/g, '').slice(-9)
+
+const cellText = (value) => (value === null || value === undefined ? '' : String(value).trim())
+
+// Load the customers and services that import rows are resolved against
+export const getImportLookups = async () => {
+  try {
+    const [customersResult, servicesResult] = await Promise.all([
+      supabase
+        .from('profiles')
+        .select('id, full_name, email, phone')
+        .eq('role', 'customer'),
+      supabase
+        .from('services')
+        .select('id, key, title, base_price, duration_minutes, category')
+        .eq('is_active', true)
+    ])
+
+    if (customersResult.error) throw customersResult.error
+    if (servicesResult.error) throw servicesResult.error
+
+    const customersByEmail = new Map()
+    const customersByPhone = new Map()
+    for (const customer of customersResult.data || []) {
+      if (customer.email) customersByEmail.set(customer.email.toLowerCase(), customer)
+      if (phoneKey(customer.phone)) customersByPhone.set(phoneKey(customer.phone), customer)
+    }
+
+    const servicesByKey = new Map(
+      (servicesResult.data || [])
+        .filter(service => service.key)
+        .map(service => [service.key.toLowerCase(), service])
+    )
+
+    return { customersByEmail, customersByPhone, servicesByKey }
+  } catch (error) {
+    console.error('Error loading import lookups:', error)
+    throw error
+  }
+}
+
+/**
+ * Turn spreadsheet rows into booking data and validate each one (the dry run).
+ * `mapping` maps each import field key to a column index; nothing is written.
+ */
+export const prepareImportRows = (rows, mapping, lookups) => {
+  const getCell = (cells, field) => {
+    const index = mapping[field]
+    return index === '' || index === undefined ? '' : cells[index]
+  }
+
+  return rows.map((cells, index) => {
+    const errors = {}
+
+    // Resolve the customer by email, then by phone
+    const customerRef = cellText(getCell(cells, 'customer'))
+    const customer = customerRef.includes('@')
+      ? lookups.customersByEmail.get(customerRef.toLowerCase())
+      : lookups.customersByPhone.get(phoneKey(customerRef))
+    if (customerRef && !customer) {
+      errors.customer_id = `No customer found for "${customerRef}"`
+    }
+
+    const serviceRef = cellText(getCell(cells, 'service'))
+    const service = lookups.servicesByKey.get(serviceRef.toLowerCase())
+    if (serviceRef && !service) {
+      errors.service_id = `No active service with key "${serviceRef}"`
+    }
+
+    // Accept the vehicle type value or its label
+    const vehicleRef = cellText(getCell(cells, 'vehicle_type')).toLowerCase()
+    const vehicle = VEHICLE_TYPES.find(type =>
+      type.value.toLowerCase() === vehicleRef || type.label.toLowerCase() === vehicleRef
+    )
+    if (vehicleRef && !vehicle) {
+      errors.vehicle_type = `Unknown vehicle type "${cellText(getCell(cells, 'vehicle_type'))}"`
+    }
+
+    // Imported rows without a channel count as entered by an admin
+    const channelRef = cellText(getCell(cells, 'source'))
+    const channel = normalizeBookingChannel(channelRef)
+    if (channelRef && !channel) {
+      errors.source = `Unknown channel "${channelRef}"`
+    }
+
+    const basePrice = cellText(getCell(cells, 'base_price'))
+    const duration = cellText(getCell(cells, 'estimated_duration'))
+    const additionalCharges = parseFloat(cellText(getCell(cells, 'additional_charges'))) || 0
+    const discountAmount = parseFloat(cellText(getCell(cells, 'discount_amount'))) || 0
+
+    const data = {
+      customer_id: customer?.id || null,
+      service_id: service?.id || null,
+      scheduled_date: normalizeDateCell(getCell(cells, 'scheduled_date')),
+      scheduled_time: normalizeTimeCell(getCell(cells, 'scheduled_time')),
+      service_address_text: cellText(getCell(cells, 'service_address_text')),
+      vehicle_type: vehicle?.value || '',
+      vehicle_make: cellText(getCell(cells, 'vehicle_make')) || null,
+      vehicle_model: cellText(getCell(cells, 'vehicle_model')) || null,
+      vehicle_year: cellText(getCell(cells, 'vehicle_year')) || null,
+      vehicle_color: cellText(getCell(cells, 'vehicle_color')) || null,
+      license_plate: cellText(getCell(cells, 'license_plate')) || null,
+      // Price and duration fall back to the service's defaults
+      base_price: basePrice !== '' ? parseFloat(basePrice) : parseFloat(service?.base_price) || 0,
+      additional_charges: additionalCharges,
+      discount_amount: discountAmount,
+      estimated_duration: duration !== '' ? parseInt(duration) : service?.duration_minutes || 60,
+      special_instructions: cellText(getCell(cells, 'special_instructions')) || null,
+      customer_notes: cellText(getCell(cells, 'customer_notes')) || null,
+      source: channel || 'admin',
+      utm_campaign: cellText(getCell(cells, 'utm_campaign')) || null
+    }
+    data.total_price = (data.base_price || 0) + additionalCharges - discountAmount
+    data.price_lines = buildLegacyPriceLines(data, service?.title)
+
+    if (data.scheduled_date && !/^\d{4}-\d{2}-\d{2}$/.test(data.scheduled_date)) {
+      errors.scheduled_date = `Unreadable date "${data.scheduled_date}"`
+    }
+    if (data.scheduled_time && !/^\d{2}:\d{2}$/.test(data.scheduled_time)) {
+      errors.scheduled_time = `Unreadable time "${data.scheduled_time}"`
+    }
+
+    // Resolution errors are more specific than the generic "required" ones
+    const validation = validateBookingData(data)
+    const allErrors = { ...validation.errors, ...errors }
+
+    return {
+      rowNumber: index + 2, // Row 1 is the header
+      data,
+      customer: customer || null,
+      service: service || null,
+      errors: allErrors,
+      isValid: Object.keys(allErrors).length === 0
+    }
+  })
+}
+
+// Create bookings for the given prepared rows one at a time, reporting each row's outcome
+export const commitImportRows = async (preparedRows) => {
+  const results = []
+
+  for (const row of preparedRows) {
+    if (!row.isValid) {
+      results.push({ rowNumber: row.rowNumber, success: false, message: 'Row has validation errors' })
+      continue
+    }
+
+    try {
+      const booking = await createBooking(row.data)
+      results.push({ rowNumber: row.rowNumber, success: true, booking_number: booking.booking_number, data: booking })
+    } catch (error) {
+      console.error(`Import of row ${row.rowNumber} failed:`, error)
+      results.push({ rowNumber: row.rowNumber, success: false, message: error.message || 'Failed to create booking' })
+    }
+  }
+
+  const succeeded = results.filter(result => result.success).length
+  return { results, succeeded, failed: results.length - succeeded }
+}
@@ -0,0 +1,212 @@
+import { supabase } from './supabaseClient'
+import { createBooking, updateBooking, cancelBooking } from './bookings'
+import { checkBookingConflicts } from './availability'
+import { generateOccurrenceDates } from '@/utils/recurrenceUtils'
+
+// Statuses that can no longer be changed through a series-wide edit
+const CLOSED_STATUSES = ['completed', 'cancelled', 'no_show']
+
+// Fields a 'following' / 'all' edit copies to the other occurrences; status, payment, prices
+// and vehicles belong to each booking, and dates are what define the series
+const SERIES_SHARED_FIELDS = [
+  'service_id',
+  'worker_id',
+  'crew',
+  'crew_split_rule',
+  'scheduled_time',
+  'service_address_id',
+  'service_location',
+  'service_address_text',
+  'special_instructions',
+  'customer_notes',
+  'worker_notes',
+  'allow_conflicts'
+]
+
+// Check every occurrence of a prospective series for conflicts before creating it
+export const previewBookingSeries = async (bookingData, rule) => {
+  try {
+    const dates = generateOccurrenceDates(bookingData.scheduled_date, rule)
+
+    return await Promise.all(dates.map(async (date) => {
+      const check = await checkBookingConflicts({ ...bookingData, scheduled_date: date })
+      return { date, ...check }
+    }))
+  } catch (error) {
+    console.error('Error previewing booking series:', error)
+    throw error
+  }
+}
+
+// Create a series row and one booking per occurrence
+export const createBookingSeries = async (bookingData, rule) => {
+  try {
+    const dates = generateOccurrenceDates(bookingData.scheduled_date, rule)
+
+    const { data: series, error } = await supabase
+      .from('booking_series')
+      .insert([{
+        customer_id: bookingData.customer_id || null,
+        worker_id: bookingData.worker_id || null,
+        service_id: bookingData.service_id || null,
+        frequency: rule.frequency,
+        occurrence_count: dates.length,
+        start_date: dates[0],
+        end_date: dates[dates.length - 1],
+        scheduled_time: bookingData.scheduled_time,
+        status: 'active'
+      }])
+      .select()
+      .single()
+
+    if (error) throw error
+
+    const created = []
+    const skipped = []
+
+    // Create occurrences one at a time so each sees the previous ones when checking conflicts
+    for (const [index, date] of dates.entries()) {
+      try {
+        const booking = await createBooking({
+          ...bookingData,
+          booking_number: null,
+          scheduled_date: date,
+          series_id: series.id,
+          series_index: index + 1
+        })
+        created.push(booking)
+      } catch (occurrenceError) {
+        skipped.push({
+          date,
+          reason: occurrenceError.message,
+          conflicts: occurrenceError.conflicts || []
+        })
+      }
+    }
+
+    return { series, created, skipped }
+  } catch (error) {
+    console.error('Error creating booking series:', error)
+    throw error
+  }
+}
+
+// Get a series with its bookings in schedule order
+export const getBookingSeries = async (seriesId) => {
+  try {
+    const { data, error } = await supabase
+      .from('booking_series')
+      .select(`
+        *,
+        bookings (
+          id,
+          booking_number,
+          status,
+          scheduled_date,
+          scheduled_time,
+          series_index
+        )
+      `)
+      .eq('id', seriesId)
+      .single()
+
+    if (error) throw error
+
+    data.bookings = (data.bookings || []).sort((a, b) => a.series_index - b.series_index)
+    return data
+  } catch (error) {
+    console.error('Error fetching booking series:', error)
+    throw error
+  }
+}
+
+// Resolve which bookings a 'this' / 'following' / 'all' action applies to
+const getScopedBookings = async (bookingId, scope) => {
+  const { data: booking, error } = await supabase
+    .from('bookings')
+    .select('id, series_id, series_index, status')
+    .eq('id', bookingId)
+    .single()
+
+  if (error) throw error
+
+  if (scope === 'this' || !booking.series_id) {
+    return { booking, targets: [booking] }
+  }
+
+  let query = supabase
+    .from('bookings')
+    .select('id, series_id, series_index, status')
+    .eq('series_id', booking.series_id)
+    .not('status', 'in', `(${CLOSED_STATUSES.join(',')})`)
+    .order('series_index', { ascending: true })
+
+  if (scope === 'following') {
+    query = query.gte('series_index', booking.series_index)
+  }
+
+  const { data: targets, error: targetsError } = await query
+
+  if (targetsError) throw targetsError
+  return { booking, targets: targets || [] }
+}
+
+// Update one booking, the following ones or the whole series
+export const updateSeriesBookings = async (bookingId, updates, scope = 'this') => {
+  try {
+    const { targets } = await getScopedBookings(bookingId, scope)
+
+    const sharedUpdates = Object.fromEntries(
+      Object.entries(updates).filter(([field]) => SERIES_SHARED_FIELDS.includes(field))
+    )
+
+    const updated = []
+    const failed = []
+
+    for (const target of targets) {
+      try {
+        const targetUpdates = target.id === bookingId ? updates : sharedUpdates
+        updated.push(await updateBooking(target.id, targetUpdates))
+      } catch (targetError) {
+        failed.push({ id: target.id, reason: targetError.message })
+      }
+    }
+
+    return { updated, failed }
+  } catch (error) {
+    console.error('Error updating series bookings:', error)
+    throw error
+  }
+}
+
+// Cancel one booking, the following ones or the whole series
+export const cancelSeriesBookings = async (bookingId, scope, cancelledBy, cancellationReason) => {
+  try {
+    const { booking, targets } = await getScopedBookings(bookingId, scope)
+
+    const cancelled = []
+    const failed = []
+
+    for (const target of targets) {
+      try {
+        cancelled.push(await cancelBooking(target.id, cancelledBy, cancellationReason))
+      } catch (targetError) {
+        failed.push({ id: target.id, reason: targetError.message })
+      }
+    }
+
+    if (booking.series_id && scope === 'all') {
+      const { error } = await supabase
+        .from('booking_series')
+        .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+        .eq('id', booking.series_id)
+
+      if (error) console.error('⚠️ Failed to mark series as cancelled:', error)
+    }
+
+    return { cancelled, failed }
+  } catch (error) {
+    console.error('Error cancelling series bookings:', error)
+    throw error
+  }
+}
@@ -0,0 +1,82 @@
+import { supabase } from './supabaseClient'
+import { normalizeBookingVehicles } from '@/utils/vehicleUtils'
+
+// Replace a booking's vehicles with the given list, keeping rows (and their status) that still exist
+export const syncBookingVehicles = async (bookingId, vehicles) => {
+  try {
+    const rows = normalizeBookingVehicles(vehicles).map(vehicle => ({ ...vehicle, booking_id: bookingId }))
+
+    const { data: existing, error: existingError } = await supabase
+      .from('booking_vehicles')
+      .select('id')
+      .eq('booking_id', bookingId)
+
+    if (existingError) throw existingError
+
+    const keptIds = rows.filter(row => row.id).map(row => row.id)
+    const removedIds = (existing || []).map(row => row.id).filter(id => !keptIds.includes(id))
+
+    if (removedIds.length > 0) {
+      const { error } = await supabase
+        .from('booking_vehicles')
+        .delete()
+        .in('id', removedIds)
+
+      if (error) throw error
+    }
+
+    const updates = rows.filter(row => row.id)
+    for (const { id, ...row } of updates) {
+      const { error } = await supabase
+        .from('booking_vehicles')
+        .update({ ...row, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .eq('booking_id', bookingId)
+
+      if (error) throw error
+    }
+
+    const inserts = rows.filter(row => !row.id)
+    if (inserts.length > 0) {
+      const { error } = await supabase
+        .from('booking_vehicles')
+        .insert(inserts)
+
+      if (error) throw error
+    }
+
+    const { data, error } = await supabase
+      .from('booking_vehicles')
+      .select('*')
+      .eq('booking_id', bookingId)
+      .order('position', { ascending: true })
+
+    if (error) throw error
+    return data || []
+  } catch (error) {
+    console.error('Error saving booking vehicles:', error)
+    throw error
+  }
+}
+
+// Mark one vehicle on a booking as done (or back to pending)
+export const setBookingVehicleStatus = async (vehicleId, status) => {
+  try {
+    const { data, error } = await supabase
+      .from('booking_vehicles')
+      .update({
+        status,
+        completed_at: status === 'done' ? new Date().toISOString() : null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', vehicleId)
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error updating vehicle status:', error)
+    throw error
+  }
+}
@@ -1,4 +1,29 @@
 import { supabase } from './supabaseClient'
+import { assertNoBookingConflicts } from './availability'
+import { findBestWorker } from './assignment'
+import { getCancellationQuote, applyCancellationFee, applyNoShowFee } from './cancellation'
+import { ACTIVE_BOOKING_STATUSES, getTodayDateString } from '@/utils/scheduleUtils'
+import { addDaysToDateString, getBusinessMonthStart, zonedDateTimeToDate } from '@/utils/timeZoneUtils'
+import { normalizePriceLines, buildLegacyPriceLines, summarizePriceLines } from '@/utils/priceLineUtils'
+import { normalizeBookingVehicles, sumVehicleDurations } from '@/utils/vehicleUtils'
+import { syncBookingVehicles } from './bookingVehicles'
+import { buildBookingCrew, getDefaultCrewSplitRule } from '@/utils/crewUtils'
+import { normalizeBookingChannel, getDefaultBookingChannel } from '@/utils/channelUtils'
+import { REFUND_PAYMENT_STATUSES, calculateRefundSplit, getRefundedAmount } from '@/utils/refundUtils'
+import { calculateFeeSplit, getManualFee, hasManualFee } from '@/utils/feeRuleUtils'
+import { FLOW_ONLY_STATUSES } from '@/utils/bookingUtils'
+import { resolveBookingFee } from './feeRules'
+import { syncBookingCrew, updateCrewEarnings } from './bookingCrew'
+import { assertNoDuplicateBookings } from './duplicates'
+import { assertCustomerCanBook } from './customers'
+import { offerSlotFreedByBooking, markWaitlistEntryBooked } from './waitlist'
+import {
+  assertPlainStatusChange,
+  assertStatusTransition,
+  getStatusTimestampFields,
+  recordStatusChange,
+  transitionBookingStatus
+} from '@/lib/bookingStatus'
 
 // Generate unique booking number
 const generateBookingNumber = () => {
@@ -8,6 +33,20 @@ const generateBookingNumber = () => {
   return `${prefix}${timestamp}${random}`
 }
 
+// Resolve the signed-in user and their role, for the status history
+const getCurrentActor = async () => {
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) return { id: null, role: null }
+
+  const { data: profile } = await supabase
+    .from('profiles')
+    .select('role')
+    .eq('id', user.id)
+    .maybeSingle()
+
+  return { id: user.id, role: profile?.role || null }
+}
+
 // Get all bookings with pagination and filtering
 export const getBookings = async (options = {}) => {
   try {
@@ -72,6 +111,33 @@ export const getBookings = async (options = {}) => {
           platform_fee,
           worker_earnings,
           processed_at
+        ),
+        vehicles:booking_vehicles (
+          *,
+          service:service_id (
+            id,
+            title
+          )
+        ),
+        crew:booking_crew (
+          id,
+          worker_id,
+          role,
+          share_percent,
+          earnings,
+          worker:worker_id (
+            id,
+            business_name,
+            user:user_id (
+              full_name
+            )
+          )
+        ),
+        series:booking_series!bookings_series_id_fkey (
+          id,
+          frequency,
+          occurrence_count,
+          status
         )
       `, { count: 'exact' })
 
@@ -90,9 +156,19 @@ export const getBookings = async (options = {}) => {
       query = query.eq('customer_id', customerId)
     }
 
-    // Apply worker filter
+    // Apply worker filter (bookings they lead or are on the crew of)
     if (workerId) {
-      query = query.eq('worker_id', workerId)
+      const { data: crewRows, error: crewError } = await supabase
+        .from('booking_crew')
+        .select('booking_id')
+        .eq('worker_id', workerId)
+
+      if (crewError) throw crewError
+
+      const crewBookingIds = (crewRows || []).map(row => row.booking_id)
+      query = crewBookingIds.length > 0
+        ? query.or(`worker_id.eq.${workerId},id.in.(${crewBookingIds.join(',')})`)
+        : query.eq('worker_id', workerId)
     }
 
     // Apply service filter
@@ -195,8 +271,38 @@ export const getBooking = async (id) => {
           amount,
           platform_fee,
           worker_earnings,
+          fee_rule,
           processed_at,
           created_at
+        ),
+        vehicles:booking_vehicles (
+          *,
+          service:service_id (
+            id,
+            title
+          )
+        ),
+        crew:booking_crew (
+          id,
+          worker_id,
+          role,
+          share_percent,
+          earnings,
+          worker:worker_id (
+            id,
+            business_name,
+            user:user_id (
+              full_name
+            )
+          )
+        ),
+        series:series_id (
+          id,
+          frequency,
+          occurrence_count,
+          start_date,
+          end_date,
+          status
         )
       `)
       .eq('id', id)
@@ -216,6 +322,22 @@ export const createBooking = async (bookingData) => {
   try {
     // Generate booking number if not provided
     const bookingNumber = bookingData.booking_number || generateBookingNumber()
+
+    // Price lines drive the price; bookings created from lump-sum fields get equivalent lines
+    const priceLines = bookingData.price_lines?.length
+      ? normalizePriceLines(bookingData.price_lines)
+      : buildLegacyPriceLines(bookingData)
+
+    // Every booking stores its vehicles as rows; the first one is mirrored on the booking itself
+    const hasVehicleList = bookingData.vehicles?.length > 0
+    const vehicles = normalizeBookingVehicles(hasVehicleList ? bookingData.vehicles : [{
+      ...bookingData,
+      price: bookingData.base_price
+    }])
+    const primaryVehicle = vehicles[0]
+
+    // The channel defaults from who is booking when the caller doesn't say
+    const actor = await getCurrentActor()
     
     // Clean and prepare the data to match EXACT database schema
     const insertData = {
@@ -226,26 +348,33 @@ export const createBooking = async (bookingData) => {
       status: 'pending', // Make sure this matches your enum exactly
       scheduled_date: bookingData.scheduled_date,
       scheduled_time: bookingData.scheduled_time,
-      estimated_duration: parseInt(bookingData.estimated_duration) || 60,
+      estimated_duration: hasVehicleList
+        ? sumVehicleDurations(vehicles)
+        : parseInt(bookingData.estimated_duration) || 60,
       service_address_id: bookingData.service_address_id || null,
       // service_location is USER-DEFINED (PostGIS) - skip it for now
       service_address_text: bookingData.service_address_text,
-      vehicle_type: bookingData.vehicle_type, // Make sure this matches your enum
-      vehicle_make: bookingData.vehicle_make || null,
-      vehicle_model: bookingData.vehicle_model || null,
-      vehicle_year: bookingData.vehicle_year ? parseInt(bookingData.vehicle_year) : null,
-      vehicle_color: bookingData.vehicle_color || null,
-      license_plate: bookingData.license_plate || null,
-      base_price: parseFloat(bookingData.base_price) || 0,
-      additional_charges: parseFloat(bookingData.additional_charges) || 0,
-      discount_amount: parseFloat(bookingData.discount_amount) || 0,
-      total_price: parseFloat(bookingData.total_price) || parseFloat(bookingData.base_price) || 0,
+      vehicle_type: primaryVehicle.vehicle_type, // Make sure this matches your enum
+      vehicle_make: primaryVehicle.vehicle_make,
+      vehicle_model: primaryVehicle.vehicle_model,
+      vehicle_year: primaryVehicle.vehicle_year,
+      vehicle_color: primaryVehicle.vehicle_color,
+      license_plate: primaryVehicle.license_plate,
+      price_lines: priceLines,
+      ...summarizePriceLines(priceLines),
       special_instructions: bookingData.special_instructions || null,
       customer_notes: bookingData.customer_notes || null,
       worker_notes: bookingData.worker_notes || null,
       can_cancel: true,
       can_reschedule: true,
-      can_rate: false
+      can_rate: false,
+      series_id: bookingData.series_id || null,
+      series_index: bookingData.series_index || null,
+      crew_split_rule: bookingData.crew_split_rule || getDefaultCrewSplitRule(),
+      source: normalizeBookingChannel(bookingData.source) || getDefaultBookingChannel(actor.role),
+      utm_source: bookingData.utm_source || null,
+      utm_medium: bookingData.utm_medium || null,
+      utm_campaign: bookingData.utm_campaign || null
     }
     
     // Clean up UUID fields - ensure empty strings become null
@@ -262,6 +391,33 @@ export const createBooking = async (bookingData) => {
         delete insertData[key]
       }
     })
+
+    // Let the assignment engine pick a worker when none was chosen
+    if (!insertData.worker_id && bookingData.auto_assign === true) {
+      const best = await findBestWorker({ ...bookingData, ...insertData })
+      if (!best) {
+        throw new Error('No eligible worker is free for this slot. Choose a worker manually.')
+      }
+      insertData.worker_id = best.worker.id
+    }
+
+    // Customers with too many no-shows need an admin override to book
+    await assertCustomerCanBook(insertData.customer_id, {
+      allowBlocked: bookingData.allow_blocked_customer === true
+    })
+
+    // Reject what looks like a second copy of an existing booking
+    await assertNoDuplicateBookings({ ...insertData, vehicles }, {
+      allowDuplicates: bookingData.allow_duplicates === true
+    })
+
+    // The assigned worker leads the crew; helpers come from the form
+    const crew = buildBookingCrew(insertData.worker_id, bookingData.crew)
+
+    // Reject double-booking any crew member or booking outside their working hours
+    await assertNoBookingConflicts({ ...insertData, crew }, {
+      allowConflicts: bookingData.allow_conflicts === true
+    })
     
     const { data: booking, error } = await supabase
       .from('bookings')
@@ -301,24 +457,44 @@ export const createBooking = async (bookingData) => {
       
       throw new Error(error.message || 'Failed to create booking')
     }
+
+    await recordStatusChange(supabase, {
+      bookingId: booking.id,
+      fromStatus: null,
+      toStatus: booking.status,
+      changedBy: actor.id,
+      role: actor.role,
+      reason: 'Booking created'
+    })
+
+    try {
+      booking.vehicles = await syncBookingVehicles(booking.id, vehicles)
+    } catch (vehiclesError) {
+      console.error('⚠️ Failed to save booking vehicles:', vehiclesError)
+    }
     
     // Create payment record if payment information is provided
+    let workerEarnings = 0
     if (bookingData.payment_method) {
       try {
-        const platformFee = parseFloat(bookingData.platform_fee) || 
-                           (parseFloat(bookingData.total_price) * parseFloat(bookingData.platform_fee_percentage || 15)) / 100
-        const workerEarnings = parseFloat(bookingData.total_price) - platformFee
-        
+        // A fee typed in on the form overrides the fee rules
+        const fee = hasManualFee(bookingData.platform_fee_percentage)
+          ? getManualFee(bookingData.platform_fee_percentage)
+          : await resolveBookingFee(insertData)
+        const split = calculateFeeSplit(insertData.total_price, fee.fee_percentage)
+        workerEarnings = split.worker_earnings
+
         const paymentData = {
           booking_id: booking.id,
           customer_id: bookingData.customer_id,
-          worker_id: bookingData.worker_id,
-          amount: parseFloat(bookingData.total_price),
+          worker_id: insertData.worker_id,
+          amount: insertData.total_price,
           currency: 'MAD',
           payment_method: bookingData.payment_method,
           status: bookingData.payment_status || 'pending',
-          platform_fee: platformFee,
-          worker_earnings: workerEarnings
+          ...split,
+          fee_rule_id: fee.rule_id,
+          fee_rule: fee
         }
         
         const { data: payment, error: paymentError } = await supabase
@@ -330,8 +506,18 @@ export const createBooking = async (bookingData) => {
       } catch (paymentError) {
         console.error('⚠️ Payment creation error:', paymentError)
         // Don't fail the entire booking creation
+        workerEarnings = 0
       }
     }
+
+    try {
+      booking.crew = await syncBookingCrew(booking.id, crew, {
+        rule: insertData.crew_split_rule,
+        workerEarnings
+      })
+    } catch (crewError) {
+      console.error('⚠️ Failed to save booking crew:', crewError)
+    }
     
     return booking
   } catch (error) {
@@ -350,15 +536,22 @@ export const updateBooking = async (id, updates) => {
       platform_fee_percentage,
       platform_fee,
       worker_earnings,
+      allow_conflicts,
+      recurrence,
+      series_scope,
+      status_reason,
+      vehicles,
+      crew,
       ...bookingUpdates 
     } = updates
     
-    // Clean up empty strings - convert to null for UUID fields
+    // Clean up empty strings - convert to null for UUID fields.
+    // Fields the caller didn't send are left alone so partial updates don't clear them.
     const cleanedUpdates = { ...bookingUpdates }
     const uuidFields = ['customer_id', 'worker_id', 'service_id', 'service_address_id']
-    
+
     uuidFields.forEach(field => {
-      if (cleanedUpdates[field] === '' || cleanedUpdates[field] === undefined) {
+      if (field in cleanedUpdates && cleanedUpdates[field] === '') {
         cleanedUpdates[field] = null
       }
     })
@@ -369,6 +562,102 @@ export const updateBooking = async (id, updates) => {
         delete cleanedUpdates[key]
       }
     })
+
+    // Mirror the first vehicle on the booking and take the duration from all of them
+    const vehicleRows = Array.isArray(vehicles) && vehicles.length > 0 ? normalizeBookingVehicles(vehicles) : null
+    if (vehicleRows) {
+      const { vehicle_type, vehicle_make, vehicle_model, vehicle_year, vehicle_color, license_plate } = vehicleRows[0]
+      Object.assign(cleanedUpdates, {
+        vehicle_type,
+        vehicle_make,
+        vehicle_model,
+        vehicle_year,
+        vehicle_color,
+        license_plate,
+        estimated_duration: sumVehicleDurations(vehicleRows)
+      })
+    }
+
+    // Only store known channels
+    if ('source' in cleanedUpdates) {
+      cleanedUpdates.source = normalizeBookingChannel(cleanedUpdates.source)
+    }
+
+    // Keep the lump-sum price fields in step with the lines
+    if (Array.isArray(cleanedUpdates.price_lines)) {
+      cleanedUpdates.price_lines = normalizePriceLines(cleanedUpdates.price_lines)
+      Object.assign(cleanedUpdates, summarizePriceLines(cleanedUpdates.price_lines))
+    }
+
+    const scheduleFields = ['worker_id', 'scheduled_date', 'scheduled_time', 'estimated_duration']
+    const changesSchedule = scheduleFields.some(field => field in cleanedUpdates) || !!vehicleRows || crew !== undefined
+    const changesStatus = 'status' in cleanedUpdates
+    const changesCrew = crew !== undefined || 'worker_id' in cleanedUpdates || 'crew_split_rule' in cleanedUpdates
+    // Everything a fee rule looks at, besides a fee typed in by hand
+    const feeFields = ['total_price', 'worker_id', 'service_id', 'scheduled_date', 'utm_campaign']
+    const mayChangeFee = platform_fee_percentage !== undefined || feeFields.some(field => field in cleanedUpdates)
+    let current = null
+    let actor = null
+    let crewRows = null
+
+    if (changesSchedule || changesStatus || changesCrew || mayChangeFee) {
+      const { data: currentData, error: currentError } = await supabase
+        .from('bookings')
+        .select(`
+          worker_id,
+          service_id,
+          status,
+          total_price,
+          utm_campaign,
+          scheduled_date,
+          scheduled_time,
+          estimated_duration,
+          service_address_text,
+          crew_split_rule,
+          crew:booking_crew (
+            worker_id,
+            role,
+            share_percent
+          )
+        `)
+        .eq('id', id)
+        .single()
+
+      if (currentError) throw currentError
+      current = currentData
+    }
+
+    // A new lead keeps the existing helpers unless a new crew was sent
+    if (changesCrew) {
+      const leadId = 'worker_id' in cleanedUpdates ? cleanedUpdates.worker_id : current.worker_id
+      crewRows = buildBookingCrew(leadId, crew ?? current.crew)
+    }
+
+    // Status changes must follow the booking workflow
+    if (changesStatus) {
+      if (cleanedUpdates.status === current.status) {
+        delete cleanedUpdates.status
+      } else {
+        assertPlainStatusChange(cleanedUpdates.status)
+        actor = await getCurrentActor()
+        assertStatusTransition(current.status, cleanedUpdates.status, actor.role)
+        Object.assign(cleanedUpdates, getStatusTimestampFields(cleanedUpdates.status, {
+          changedBy: actor.id,
+          reason: status_reason
+        }))
+      }
+    }
+
+    // Re-check scheduling conflicts when the worker or slot changes
+    if (changesSchedule) {
+      const slot = { ...current, ...cleanedUpdates, crew: crewRows ?? current.crew }
+      if (ACTIVE_BOOKING_STATUSES.includes(slot.status)) {
+        await assertNoBookingConflicts(slot, {
+          excludeBookingId: id,
+          allowConflicts: allow_conflicts === true
+        })
+      }
+    }
     
     // Update booking record (without payment fields)
     const { data, error } = await supabase
@@ -413,40 +702,124 @@ export const updateBooking = async (id, updates) => {
           amount,
           platform_fee,
           worker_earnings,
+          fee_rule,
           processed_at,
           created_at
+        ),
+        vehicles:booking_vehicles (
+          *,
+          service:service_id (
+            id,
+            title
+          )
+        ),
+        crew:booking_crew (
+          id,
+          worker_id,
+          role,
+          share_percent,
+          earnings,
+          worker:worker_id (
+            id,
+            business_name,
+            user:user_id (
+              full_name
+            )
+          )
         )
       `)
       .single()
 
     if (error) throw error
+
+    if (vehicleRows) {
+      data.vehicles = await syncBookingVehicles(id, vehicleRows)
+    }
+
+    if (actor) {
+      await recordStatusChange(supabase, {
+        bookingId: id,
+        fromStatus: current.status,
+        toStatus: data.status,
+        changedBy: actor.id,
+        role: actor.role,
+        reason: status_reason
+      })
+    }
     
+    // The platform fee follows the price and everything a fee rule looks at, but only when one of them
+    // actually changed, since the edit form sends them all on every save. Cancelled and no-show
+    // bookings keep the amount their fee flow left on the payment.
+    const feeInputsChanged = mayChangeFee && feeFields.some(field => {
+      if (!(field in cleanedUpdates)) return false
+      return field === 'total_price'
+        ? parseFloat(cleanedUpdates.total_price) !== parseFloat(current.total_price)
+        : (cleanedUpdates[field] || null) !== (current[field] || null)
+    })
+    const feeLocked = FLOW_ONLY_STATUSES.includes(data.status)
+
     // If payment fields were provided, update the related payment record
-    if (payment_method || payment_status || platform_fee_percentage) {
+    let updatedWorkerEarnings
+    if (payment_method || payment_status || (mayChangeFee && !feeLocked)) {
       // Check if payment record exists
       const { data: existingPayment } = await supabase
         .from('payments')
-        .select('id')
+        .select('id, status, refunded_amount, fee_rule')
         .eq('booking_id', id)
         .single()
       
       if (existingPayment) {
+        const savedManualPercentage = existingPayment.fee_rule?.source === 'manual'
+          ? existingPayment.fee_rule.fee_percentage
+          : null
+        const manualFeeChanged = platform_fee_percentage !== undefined && (
+          hasManualFee(platform_fee_percentage) !== hasManualFee(savedManualPercentage) ||
+          (hasManualFee(platform_fee_percentage) && parseFloat(platform_fee_percentage) !== parseFloat(savedManualPercentage))
+        )
+        const changesFee = !feeLocked && (feeInputsChanged || manualFeeChanged)
+
         // Build payment update object
         const paymentUpdates = {}
         
         if (payment_method) paymentUpdates.payment_method = payment_method
-        if (payment_status) paymentUpdates.status = payment_status
+        // Refund statuses follow the refund ledger, so they are never set or overwritten from here
+        if (
+          payment_status &&
+          !REFUND_PAYMENT_STATUSES.includes(payment_status) &&
+          !REFUND_PAYMENT_STATUSES.includes(existingPayment.status)
+        ) {
+          paymentUpdates.status = payment_status
+        }
         
-        // Calculate platform fee if percentage or total price changed
-        if (platform_fee_percentage !== undefined || bookingUpdates.total_price !== undefined) {
-          const totalPrice = bookingUpdates.total_price || data.total_price
-          const feePercentage = parseFloat(platform_fee_percentage) || 15
-          const calculatedPlatformFee = (totalPrice * feePercentage) / 100
-          const calculatedWorkerEarnings = totalPrice - calculatedPlatformFee
-          
+        // Recalculate the platform fee; one set by hand sticks until it is cleared on the form
+        let fee = null
+        if (changesFee) {
+          const manualPercentage = platform_fee_percentage !== undefined ? platform_fee_percentage : savedManualPercentage
+
+          try {
+            fee = hasManualFee(manualPercentage) ? getManualFee(manualPercentage) : await resolveBookingFee(data)
+          } catch (feeError) {
+            console.error('⚠️ Failed to resolve the platform fee:', feeError)
+          }
+        }
+
+        if (fee) {
+          const totalPrice = cleanedUpdates.total_price ?? data.total_price
+
           paymentUpdates.amount = totalPrice
-          paymentUpdates.platform_fee = calculatedPlatformFee
-          paymentUpdates.worker_earnings = calculatedWorkerEarnings
+          Object.assign(paymentUpdates, calculateFeeSplit(totalPrice, fee.fee_percentage))
+          paymentUpdates.fee_rule_id = fee.rule_id
+          paymentUpdates.fee_rule = fee
+
+          // Money already refunded stays out of the split
+          if (getRefundedAmount(existingPayment) > 0) {
+            const { platform_fee, worker_earnings } = calculateRefundSplit(
+              { ...paymentUpdates, refunded_amount: existingPayment.refunded_amount },
+              0
+            )
+            paymentUpdates.platform_fee = platform_fee
+            paymentUpdates.worker_earnings = worker_earnings
+          }
         }
         
         if (Object.keys(paymentUpdates).length > 0) {
@@ -461,12 +834,34 @@ export const updateBooking = async (id, updates) => {
           if (paymentError) {
             console.error('⚠️ Failed to update payment record:', paymentError)
             // Don't throw - booking was updated successfully
+          } else {
+            updatedWorkerEarnings = paymentUpdates.worker_earnings
           }
         }
       } else {
         // No payment record found - could create one here if needed
       }
     }
+
+    // Keep each crew member's share of the earnings in step with the crew and the payment
+    try {
+      if (crewRows) {
+        const payment = Array.isArray(data.payment) ? data.payment[0] : data.payment
+        data.crew = await syncBookingCrew(id, crewRows, {
+          rule: data.crew_split_rule,
+          workerEarnings: updatedWorkerEarnings ?? payment?.worker_earnings ?? 0
+        })
+      } else if (updatedWorkerEarnings !== undefined) {
+        await updateCrewEarnings(id, updatedWorkerEarnings)
+      }
+    } catch (crewError) {
+      console.error('⚠️ Failed to update booking crew:', crewError)
+    }
+
+    // A booking that moved or was cancelled may have freed a slot someone is waiting for
+    if (current) {
+      await offerSlotFreedByBooking(current, data)
+    }
     
     return data
   } catch (error) {
@@ -556,58 +951,159 @@ export const deleteBooking = async (id) => {
   }
 }
 
-// Cancel a booking
-export const cancelBooking = async (id, cancelledBy, cancellationReason) => {
+// Cancel a booking, charging the fee set by its cancellation policy
+export const cancelBooking = async (id, cancelledBy, cancellationReason, options = {}) => {
   try {
-    const { data, error } = await supabase
-      .from('bookings')
-      .update({
-        status: 'cancelled',
-        cancelled_at: new Date().toISOString(),
-        cancelled_by: cancelledBy,
-        cancellation_reason: cancellationReason,
-        updated_at: new Date().toISOString()
+    const { waiveFee = false, ignoreWindow = false } = options
+    const actor = await getCurrentActor()
+    const quote = await getCancellationQuote(id)
+
+    const windowClosed = quote.booking.can_cancel === false || quote.windowClosed
+    if (!ignoreWindow && windowClosed && ACTIVE_BOOKING_STATUSES.includes(quote.booking.status)) {
+      const error = new Error('The cancellation window for this booking has closed')
+      error.code = 'CANCELLATION_CLOSED'
+      throw error
+    }
+
+    const feeAmount = waiveFee ? 0 : quote.feeAmount
+
+    const booking = await transitionBookingStatus(supabase, id, 'cancelled', {
+      changedBy: cancelledBy || actor.id,
+      role: actor.role,
+      reason: cancellationReason,
+      viaStatusFlow: true,
+      additionalData: {
+        can_cancel: false,
+        can_reschedule: false,
+        cancellation_fee: feeAmount,
+        cancellation_policy: {
+          id: quote.policyId,
+          name: quote.policyName,
+          hours_before: quote.hoursBefore,
+          fee_percentage: waiveFee ? 0 : quote.feePercentage,
+          fee_waived: waiveFee && quote.feeAmount > 0
+        }
+      }
+    })
+
+    try {
+      await applyCancellationFee(quote.booking, feeAmount, {
+        reason: cancellationReason,
+        refundedBy: cancelledBy || actor.id
       })
-      .eq('id', id)
-      .select()
-      .single()
+    } catch (paymentError) {
+      console.error('⚠️ Booking cancelled but payment was not adjusted:', paymentError)
+    }
 
-    if (error) throw error
-    return data
+    await offerSlotFreedByBooking(quote.booking, booking)
+
+    return booking
   } catch (error) {
     console.error('Error cancelling booking:', error)
     throw error
   }
 }
 
-// Update booking status
-export const updateBookingStatus = async (id, status, additionalData = {}) => {
+// Mark a booking as a no-show when the worker arrived and the customer wasn't there, optionally charging a fee
+export const markNoShow = async (id, reason = null, options = {}) => {
   try {
-    const updateData = {
-      status,
-      updated_at: new Date().toISOString(),
-      ...additionalData
+    const feeAmount = Math.max(0, parseFloat(options.feeAmount) || 0)
+    const actor = await getCurrentActor()
+
+    const booking = await transitionBookingStatus(supabase, id, 'no_show', {
+      changedBy: actor.id,
+      role: actor.role,
+      reason,
+      viaStatusFlow: true,
+      additionalData: {
+        no_show_fee: feeAmount
+      }
+    })
+
+    try {
+      await applyNoShowFee(booking, feeAmount, { reason, refundedBy: actor.id })
+    } catch (paymentError) {
+      console.error('⚠️ Booking marked as no-show but payment was not adjusted:', paymentError)
     }
 
-    // Add timestamp fields based on status
-    if (status === 'in_progress') {
-      updateData.started_at = new Date().toISOString()
-    } else if (status === 'completed') {
-      updateData.completed_at = new Date().toISOString()
-      updateData.can_rate = true
+    return booking
+  } catch (error) {
+    console.error('Error marking booking as no-show:', error)
+    throw error
+  }
+}
+
+// Book the slot offered to a waitlist entry
+export const bookWaitlistOffer = async (entry) => {
+  try {
+    if (entry.status !== 'offered' || !entry.offered_time) {
+      throw new Error('This waitlist entry has no offered slot to book')
     }
 
+    const booking = await createBooking({
+      customer_id: entry.customer_id,
+      service_id: entry.service_id,
+      worker_id: entry.offered_worker_id,
+      auto_assign: !entry.offered_worker_id,
+      scheduled_date: entry.preferred_date,
+      scheduled_time: entry.offered_time,
+      estimated_duration: entry.estimated_duration,
+      service_address_text: entry.service_address_text,
+      vehicle_type: entry.vehicle_type,
+      base_price: entry.service?.price,
+      customer_notes: entry.notes
+    })
+
+    try {
+      await markWaitlistEntryBooked(entry.id, booking.id)
+    } catch (waitlistError) {
+      console.error('⚠️ Booking created but waitlist entry was not updated:', waitlistError)
+    }
+
+    return booking
+  } catch (error) {
+    console.error('Error booking waitlist offer:', error)
+    throw error
+  }
+}
+
+// Update booking status, enforcing the allowed transitions and recording the change
+export const updateBookingStatus = async (id, status, additionalData = {}, reason = null) => {
+  try {
+    const actor = await getCurrentActor()
+
+    return await transitionBookingStatus(supabase, id, status, {
+      changedBy: actor.id,
+      role: actor.role,
+      reason,
+      additionalData
+    })
+  } catch (error) {
+    console.error('Error updating booking status:', error)
+    throw error
+  }
+}
+
+// Get the status history of a booking, oldest first
+export const getBookingStatusHistory = async (bookingId) => {
+  try {
     const { data, error } = await supabase
-      .from('bookings')
-      .update(updateData)
-      .eq('id', id)
-      .select()
-      .single()
+      .from('booking_status_history')
+      .select(`
+        *,
+        actor:changed_by (
+          id,
+          full_name,
+          role
+        )
+      `)
+      .eq('booking_id', bookingId)
+      .order('created_at', { ascending: true })
 
     if (error) throw error
-    return data
+    return data || []
   } catch (error) {
-    console.error('Error updating booking status:', error)
+    console.error('Error fetching booking status history:', error)
     throw error
   }
 }
@@ -667,18 +1163,16 @@ export const getBookingStats = async (userId = null, userRole = null) => {
 
     if (cancelledError) throw cancelledError
 
-    // Get today's bookings
-    const today = new Date().toISOString().split('T')[0]
+    // Get today's bookings (today on the business clock)
+    const today = getTodayDateString()
     const { count: todayBookings, error: todayError } = await baseQuery
       .select('*', { count: 'exact', head: true })
       .eq('scheduled_date', today)
 
     if (todayError) throw todayError
 
-    // Get revenue for completed bookings this month
-    const startOfMonth = new Date()
-    startOfMonth.setDate(1)
-    startOfMonth.setHours(0, 0, 0, 0)
+    // Get revenue for completed bookings this month, from midnight on the 1st in the business time zone
+    const startOfMonth = zonedDateTimeToDate(getBusinessMonthStart())
 
     const { data: revenueData, error: revenueError } = await supabase
       .from('bookings')
@@ -753,12 +1247,10 @@ export const getCustomerBookings = async (customerId, options = {}) => {
   }
 }
 
-// Get upcoming bookings
+// Get upcoming bookings over the next few business days
 export const getUpcomingBookings = async (days = 7) => {
   try {
-    const today = new Date()
-    const futureDate = new Date()
-    futureDate.setDate(today.getDate() + days)
+    const today = getTodayDateString()
 
     const { data, error } = await supabase
       .from('bookings')
@@ -771,11 +1263,11 @@ export const getUpcomingBookings = async (days = 7) => {
           phone
         )
       `)
-      .gte('booking_date', today.toISOString().split('T')[0])
-      .lte('booking_date', futureDate.toISOString().split('T')[0])
+      .gte('scheduled_date', today)
+      .lte('scheduled_date', addDaysToDateString(today, days))
       .in('status', ['pending', 'confirmed'])
-      .order('booking_date', { ascending: true })
-      .order('booking_time', { ascending: true })
+      .order('scheduled_date', { ascending: true })
+      .order('scheduled_time', { ascending: true })
 
     if (error) throw error
     return data
@@ -786,20 +1278,9 @@ export const getUpcomingBookings = async (days = 7) => {
 }
 
 // Confirm a booking
-export const confirmBooking = async (id) => {
+export const confirmBooking = async (id, reason = null) => {
   try {
-    const { data, error } = await supabase
-      .from('bookings')
-      .update({ 
-        status: 'confirmed',
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', id)
-      .select()
-      .single()
-
-    if (error) throw error
-    return data
+    return await updateBookingStatus(id, 'confirmed', {}, reason)
   } catch (error) {
     console.error('Error confirming booking:', error)
     throw error
@@ -807,24 +1288,11 @@ export const confirmBooking = async (id) => {
 }
 
 // Complete a booking
-export const completeBooking = async (id) => {
+export const completeBooking = async (id, reason = null) => {
   try {
-    const { data, error } = await supabase
-      .from('bookings')
-      .update({ 
-        status: 'completed',
-        completed_at: new Date().toISOString(),
-        can_rate: true,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', id)
-      .select()
-      .single()
-
-    if (error) throw error
-    return data
+    return await updateBookingStatus(id, 'completed', {}, reason)
   } catch (error) {
     console.error('Error completing booking:', error)
     throw error
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,223 @@
+import { supabase } from './supabaseClient'
+import { fetchCancellationPolicy, closeCancellationWindows } from '@/lib/cancellation'
+import { calculateCancellationFee } from '@/utils/cancellationUtils'
+import { updateCrewEarnings } from './bookingCrew'
+import { resolveBookingFee } from './feeRules'
+import { refundPayment } from './payments'
+import { REFUNDABLE_PAYMENT_STATUSES, getRefundableBalance } from '@/utils/refundUtils'
+
+const roundAmount = (value) => Math.round(value * 100) / 100
+
+// Get all cancellation policies, catch-all first
+export const getCancellationPolicies = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('cancellation_policies')
+      .select('*')
+      .order('service_category', { ascending: true, nullsFirst: true })
+
+    if (error) throw error
+    return data || []
+  } catch (error) {
+    console.error('Error fetching cancellation policies:', error)
+    throw error
+  }
+}
+
+// Create or update a cancellation policy
+export const saveCancellationPolicy = async (policy) => {
+  try {
+    const policyData = {
+      name: policy.name,
+      service_category: policy.service_category || null,
+      tiers: (policy.tiers || []).map(tier => ({
+        hours_before: parseFloat(tier.hours_before) || 0,
+        fee_percentage: parseFloat(tier.fee_percentage) || 0
+      })),
+      cancel_cutoff_hours: parseFloat(policy.cancel_cutoff_hours) || 0,
+      is_active: policy.is_active !== false,
+      updated_at: new Date().toISOString()
+    }
+
+    const query = policy.id
+      ? supabase.from('cancellation_policies').update(policyData).eq('id', policy.id)
+      : supabase.from('cancellation_policies').insert([policyData])
+
+    const { data, error } = await query.select().single()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error saving cancellation policy:', error)
+    throw error
+  }
+}
+
+// Delete a cancellation policy
+export const deleteCancellationPolicy = async (id) => {
+  try {
+    const { error } = await supabase
+      .from('cancellation_policies')
+      .delete()
+      .eq('id', id)
+
+    if (error) throw error
+    return true
+  } catch (error) {
+    console.error('Error deleting cancellation policy:', error)
+    throw error
+  }
+}
+
+// Work out the policy and fee that would apply if a booking were cancelled now
+export const getCancellationQuote = async (bookingId) => {
+  try {
+    const { data: booking, error } = await supabase
+      .from('bookings')
+      .select(`
+        id,
+        status,
+        customer_id,
+        worker_id,
+        service_id,
+        scheduled_date,
+        scheduled_time,
+        total_price,
+        price_lines,
+        utm_campaign,
+        can_cancel,
+        service:service_id (
+          category
+        )
+      `)
+      .eq('id', bookingId)
+      .single()
+
+    if (error) throw error
+
+    const policy = await fetchCancellationPolicy(supabase, booking.service?.category)
+
+    return {
+      booking,
+      policy,
+      ...calculateCancellationFee(policy, booking)
+    }
+  } catch (error) {
+    console.error('Error calculating cancellation fee:', error)
+    throw error
+  }
+}
+
+/**
+ * Create or adjust the booking's payment so it reflects a fee charged instead of the job,
+ * such as a cancellation or no-show fee. `feeField` is the payment column the fee is recorded in.
+ * Uncollected payments are reduced to the fee; collected ones keep the fee and refund the rest.
+ * `options.reason` and `options.refundedBy` go on that refund.
+ */
+export const applyBookingFee = async (booking, feeAmount, feeField = 'cancellation_fee', options = {}) => {
+  try {
+    const { reason = null, refundedBy = null } = options
+    const { data: payment, error: paymentError } = await supabase
+      .from('payments')
+      .select('id, status, amount, refunded_amount, platform_fee')
+      .eq('booking_id', booking.id)
+      .maybeSingle()
+
+    if (paymentError) throw paymentError
+
+    // Split the fee the same way the original payment was split, or by the booking's fee rules without one
+    const fee = payment?.amount > 0 ? null : await resolveBookingFee(booking)
+    const platformShare = fee
+      ? fee.fee_percentage / 100
+      : (parseFloat(payment.platform_fee) || 0) / parseFloat(payment.amount)
+    const platformFee = roundAmount(feeAmount * platformShare)
+    const split = {
+      [feeField]: feeAmount,
+      platform_fee: platformFee,
+      worker_earnings: roundAmount(feeAmount - platformFee),
+      ...(fee && { fee_rule_id: fee.rule_id, fee_rule: fee })
+    }
+
+    let result = null
+
+    if (!payment) {
+      if (feeAmount <= 0) return null
+
+      result = await supabase
+        .from('payments')
+        .insert([{
+          booking_id: booking.id,
+          customer_id: booking.customer_id,
+          worker_id: booking.worker_id,
+          amount: feeAmount,
+          currency: 'MAD',
+          payment_method: 'cash',
+          status: 'pending',
+          ...split
+        }])
+        .select()
+        .single()
+    } else if (payment.status === 'pending') {
+      result = await supabase
+        .from('payments')
+        .update({
+          ...split,
+          amount: feeAmount,
+          status: feeAmount > 0 ? 'pending' : 'cancelled',
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', payment.id)
+        .select()
+        .single()
+    } else if (REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+      // Give back everything above the fee through the refund ledger, then record the fee on what's kept
+      const refundAmount = roundAmount(getRefundableBalance(payment) - feeAmount)
+      if (refundAmount > 0) {
+        await refundPayment(payment.id, refundAmount, reason, refundedBy)
+      }
+
+      result = await supabase
+        .from('payments')
+        .update({
+          ...split,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', payment.id)
+        .select()
+        .single()
+    } else {
+      // Failed or already refunded payments are left as they are
+      return payment
+    }
+
+    if (result.error) throw result.error
+
+    // The crew shares the fee's worker earnings like they would have shared the job's
+    try {
+      await updateCrewEarnings(booking.id, split.worker_earnings)
+    } catch (crewError) {
+      console.error('⚠️ Failed to split booking fee across the crew:', crewError)
+    }
+
+    return result.data
+  } catch (error) {
+    console.error('Error applying booking fee:', error)
+    throw error
+  }
+}
+
+// Adjust the booking's payment for a cancellation fee
+export const applyCancellationFee = (booking, feeAmount, options) => applyBookingFee(booking, feeAmount, 'cancellation_fee', options)
+
+// Adjust the booking's payment for a no-show fee
+export const applyNoShowFee = (booking, feeAmount, options) => applyBookingFee(booking, feeAmount, 'no_show_fee', options)
+
+// Turn off can_cancel on bookings whose cancellation window has closed
+export const closeExpiredCancellationWindows = async () => {
+  try {
+    return await closeCancellationWindows(supabase)
+  } catch (error) {
+    console.error('Error closing cancellation windows:', error)
+    throw error
+  }
+}
@@ -1,4 +1,6 @@
 import { supabase } from './supabaseClient'
+import { getReliabilityLevel, getNoShowFlagThreshold, getNoShowBlockThreshold } from '@/utils/reliabilityUtils'
+import { REFUNDABLE_PAYMENT_STATUSES, getNetPaymentAmount } from '@/utils/refundUtils'
 
  export const getCustomers = async (options = {}) => {
   try {
@@ -319,6 +321,49 @@ export const getCustomerPayments = async (customerId, options = {}) => {
   }
 }
 
+// Count a customer's no-shows and work out whether they should be flagged or blocked
+export const getCustomerReliability = async (customerId) => {
+  try {
+    const { count, error } = await supabase
+      .from('bookings')
+      .select('id', { count: 'exact', head: true })
+      .eq('customer_id', customerId)
+      .eq('status', 'no_show')
+
+    if (error) throw error
+
+    const noShowCount = count || 0
+    return {
+      noShowCount,
+      level: getReliabilityLevel(noShowCount),
+      flagThreshold: getNoShowFlagThreshold(),
+      blockThreshold: getNoShowBlockThreshold()
+    }
+  } catch (error) {
+    console.error('Error fetching customer reliability:', error)
+    throw error
+  }
+}
+
+// Throw when the customer has too many no-shows to book, unless the caller explicitly allows it
+export const assertCustomerCanBook = async (customerId, options = {}) => {
+  const { allowBlocked = false } = options
+  if (!customerId) return null
+
+  const reliability = await getCustomerReliability(customerId)
+  if (reliability.level !== 'blocked') return reliability
+
+  if (allowBlocked) {
+    console.warn('⚠️ Booking saved for a blocked customer:', customerId, reliability.noShowCount)
+    return reliability
+  }
+
+  const error = new Error(`This customer has ${reliability.noShowCount} no-shows and is blocked from booking.`)
+  error.code = 'CUSTOMER_BLOCKED'
+  error.reliability = reliability
+  throw error
+}
+
 // Get customer analytics summary
 export const getCustomerAnalytics = async (customerId) => {
   try {
@@ -336,11 +381,12 @@ export const getCustomerAnalytics = async (customerId) => {
     const totalBookings = bookings.length
     const completedBookings = bookings.filter(b => b.status === 'completed').length
     const cancelledBookings = bookings.filter(b => b.status === 'cancelled').length
+    const noShowBookings = bookings.filter(b => b.status === 'no_show').length
     const pendingBookings = bookings.filter(b => b.status === 'pending').length
 
     const totalSpent = payments
-      .filter(p => p.status === 'completed')
-      .reduce((sum, p) => sum + parseFloat(p.amount || 0), 0)
+      .filter(p => REFUNDABLE_PAYMENT_STATUSES.includes(p.status))
+      .reduce((sum, p) => sum + getNetPaymentAmount(p), 0)
 
     const averageBookingValue = completedBookings > 0 ? totalSpent / completedBookings : 0
 
@@ -374,6 +420,8 @@ export const getCustomerAnalytics = async (customerId) => {
         totalBookings,
         completedBookings,
         cancelledBookings,
+        noShowBookings,
+        reliability: getReliabilityLevel(noShowBookings),
         pendingBookings,
         totalSpent,
         averageBookingValue,
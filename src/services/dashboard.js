@@ -1,4 +1,13 @@
 import { supabase } from './supabaseClient'
+import { countBookingVehicles, splitAmountByVehicleType } from '@/utils/vehicleUtils'
+import { summarizeBookingsByChannel, summarizeBookingsByCampaign } from '@/utils/channelUtils'
+import { getTodayDateString } from '@/utils/scheduleUtils'
+import {
+  toZonedDateString,
+  zonedDateTimeToDate,
+  addDaysToDateString,
+  getBusinessMonthStart
+} from '@/utils/timeZoneUtils'
 
 // ============================================
 // OVERVIEW STATISTICS (For Dashboard Cards)
@@ -12,10 +21,9 @@ import { supabase } from './supabaseClient'
 export const getDashboardOverview = async (options = {}) => {
   try {
     const { userId, role, dateFrom, dateTo } = options
-    const today = new Date().toISOString().split('T')[0]
-    const thisMonth = new Date()
-    thisMonth.setDate(1)
-    const thisMonthStart = thisMonth.toISOString().split('T')[0]
+    // Days and months follow the business time zone, not the viewer's
+    const today = getTodayDateString()
+    const thisMonth = getBusinessMonthStart().slice(0, 7)
 
     // Build base query filters
     let filters = {}
@@ -25,7 +33,7 @@ export const getDashboardOverview = async (options = {}) => {
     // Get bookings statistics
     const { data: bookings, error: bookingsError } = await supabase
       .from('bookings')
-      .select('id, status, total_price, scheduled_date, created_at')
+      .select('id, status, total_price, scheduled_date, created_at, vehicle_type, vehicles:booking_vehicles ( id, vehicle_type )')
       .match(filters)
 
     if (bookingsError) throw bookingsError
@@ -47,15 +55,18 @@ export const getDashboardOverview = async (options = {}) => {
       inProgressBookings: bookings?.filter(b => b.status === 'in_progress').length || 0,
       completedBookings: bookings?.filter(b => b.status === 'completed').length || 0,
       cancelledBookings: bookings?.filter(b => b.status === 'cancelled').length || 0,
+      noShowBookings: bookings?.filter(b => b.status === 'no_show').length || 0,
+
+      // Vehicles serviced (a booking can carry several)
+      totalVehicles: bookings?.reduce((sum, b) => sum + countBookingVehicles(b), 0) || 0,
+      completedVehicles: bookings?.filter(b => b.status === 'completed')
+        .reduce((sum, b) => sum + countBookingVehicles(b), 0) || 0,
 
       // Today's bookings
       todayBookings: bookings?.filter(b => b.scheduled_date === today).length || 0,
 
       // This month's bookings
-      monthlyBookings: bookings?.filter(b => {
-        const bookingDate = new Date(b.created_at)
-        return bookingDate >= thisMonth
-      }).length || 0,
+      monthlyBookings: bookings?.filter(b => toZonedDateString(b.created_at).startsWith(thisMonth)).length || 0,
 
       // Revenue statistics
       totalRevenue: bookings?.reduce((sum, b) => sum + parseFloat(b.total_price || 0), 0) || 0,
@@ -266,6 +277,37 @@ export const getBookingAnalytics = async (options = {}) => {
   }
 }
 
+/**
+ * Get bookings, revenue and cancellation rate per booking channel, plus campaign performance
+ * @param {Object} options - Filter options (dateFrom, dateTo on the booking creation date)
+ * @returns {Object} Channel and campaign breakdowns
+ */
+export const getChannelAnalytics = async (options = {}) => {
+  try {
+    const { dateFrom, dateTo } = options
+
+    let query = supabase
+      .from('bookings')
+      .select('id, status, total_price, source, utm_source, utm_medium, utm_campaign, created_at')
+
+    if (dateFrom) query = query.gte('created_at', dateFrom)
+    if (dateTo) query = query.lte('created_at', dateTo)
+
+    const { data: bookings, error } = await query
+
+    if (error) throw error
+
+    return {
+      totalBookings: bookings?.length || 0,
+      channels: summarizeBookingsByChannel(bookings),
+      campaigns: summarizeBookingsByCampaign(bookings)
+    }
+  } catch (error) {
+    console.error('Error fetching channel analytics:', error)
+    throw error
+  }
+}
+
 // ============================================
 // REVENUE ANALYTICS
 // ============================================
@@ -286,7 +328,13 @@ export const getRevenueAnalytics = async (options = {}) => {
         booking:bookings!payments_booking_id_fkey (
           scheduled_date,
           service_id,
-          vehicle_type
+          vehicle_type,
+          base_price,
+          vehicles:booking_vehicles (
+            vehicle_type,
+            price,
+            position
+          )
         )
       `)
 
@@ -422,18 +470,13 @@ export const getServicePerformance = async () => {
 const calculateGrowthRate = (bookings) => {
   if (!bookings || bookings.length === 0) return 0
 
-  const now = new Date()
-  const thisMonth = bookings.filter(b => {
-    const date = new Date(b.created_at)
-    return date.getMonth() === now.getMonth() && date.getFullYear() === now.getFullYear()
-  }).length
-
-  const lastMonth = bookings.filter(b => {
-    const date = new Date(b.created_at)
-    const lastMonthDate = new Date(now.getFullYear(), now.getMonth() - 1)
-    return date.getMonth() === lastMonthDate.getMonth() &&
-      date.getFullYear() === lastMonthDate.getFullYear()
-  }).length
+  // Compare business-time 'YYYY-MM' months; the day before the 1st is in last month
+  const thisMonthStart = getBusinessMonthStart()
+  const thisMonthKey = thisMonthStart.slice(0, 7)
+  const lastMonthKey = addDaysToDateString(thisMonthStart, -1).slice(0, 7)
+
+  const thisMonth = bookings.filter(b => toZonedDateString(b.created_at).startsWith(thisMonthKey)).length
+  const lastMonth = bookings.filter(b => toZonedDateString(b.created_at).startsWith(lastMonthKey)).length
 
   if (lastMonth === 0) return thisMonth > 0 ? 100 : 0
   return ((thisMonth - lastMonth) / lastMonth) * 100
@@ -550,12 +593,11 @@ const groupBookingsByPeriod = (bookings, period) => {
   const bookingsByDate = {}
 
   bookings.forEach(booking => {
-    const date = new Date(booking.created_at)
-    const key = `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`
+    const key = toZonedDateString(booking.created_at)
 
     if (!bookingsByDate[key]) {
       bookingsByDate[key] = {
-        date: date.toISOString().split('T')[0],
+        date: key,
         count: 0,
         revenue: 0
       }
@@ -576,7 +618,8 @@ const calculateStatusDistribution = (bookings) => {
     confirmed: 0,
     in_progress: 0,
     completed: 0,
-    cancelled: 0
+    cancelled: 0,
+    no_show: 0
   }
 
   bookings?.forEach(b => {
@@ -635,36 +678,22 @@ const calculatePeakHours = (bookings) => {
 
 const calculateRevenueByPeriod = (bookings, period) => {
   const revenue = []
-  const now = new Date()
+  const today = getTodayDateString()
+  const days = period === 'week' ? 7 : period === 'month' ? 30 : 0
 
-  if (period === 'week') {
-    for (let i = 6; i >= 0; i--) {
-      const date = new Date(now)
-      date.setDate(date.getDate() - i)
-      const dayBookings = bookings?.filter(b => {
-        const bookingDate = new Date(b.created_at)
-        return bookingDate.toDateString() === date.toDateString()
-      }) || []
-
-      revenue.push({
-        date: date.toISOString().split('T')[0],
-        amount: dayBookings.reduce((sum, b) => sum + parseFloat(b.total_price || 0), 0)
-      })
-    }
-  } else if (period === 'month') {
-    for (let i = 29; i >= 0; i--) {
-      const date = new Date(now)
-      date.setDate(date.getDate() - i)
-      const dayBookings = bookings?.filter(b => {
-        const bookingDate = new Date(b.created_at)
-        return bookingDate.toDateString() === date.toDateString()
-      }) || []
-
-      revenue.push({
-        date: date.toISOString().split('T')[0],
-        amount: dayBookings.reduce((sum, b) => sum + parseFloat(b.total_price || 0), 0)
-      })
-    }
+  // Bucket bookings by the business day they were created on
+  const amountsByDate = {}
+  bookings?.forEach(b => {
+    const date = toZonedDateString(b.created_at)
+    amountsByDate[date] = (amountsByDate[date] || 0) + parseFloat(b.total_price || 0)
+  })
+
+  for (let i = days - 1; i >= 0; i--) {
+    const date = addDaysToDateString(today, -i)
+    revenue.push({
+      date,
+      amount: amountsByDate[date] || 0
+    })
   }
 
   return revenue
@@ -711,11 +740,11 @@ const calculateRevenueByService = async (payments) => {
 const calculateRevenueByVehicleType = (payments) => {
   const vehicleRevenue = {}
 
+  // Multi-vehicle bookings split their payment across their vehicles
   payments?.forEach(p => {
-    if (p.booking?.vehicle_type) {
-      vehicleRevenue[p.booking.vehicle_type] =
-        (vehicleRevenue[p.booking.vehicle_type] || 0) + parseFloat(p.amount || 0)
-    }
+    splitAmountByVehicleType(p.booking, parseFloat(p.amount || 0)).forEach(({ vehicleType, amount }) => {
+      vehicleRevenue[vehicleType] = (vehicleRevenue[vehicleType] || 0) + amount
+    })
   })
 
   return Object.entries(vehicleRevenue).map(([type, amount]) => ({
@@ -728,8 +757,7 @@ const calculateMonthlyRevenueTrend = (payments) => {
   const monthlyRevenue = {}
 
   payments?.forEach(p => {
-    const date = new Date(p.created_at)
-    const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`
+    const key = toZonedDateString(p.created_at).slice(0, 7)
     monthlyRevenue[key] = (monthlyRevenue[key] || 0) + parseFloat(p.amount || 0)
   })
 
@@ -803,7 +831,8 @@ const groupServicesByCategory = (services) => {
 export const getRealTimeStats = async () => {
   try {
     const now = new Date()
-    const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate())
+    // Midnight today on the business clock
+    const todayStart = zonedDateTimeToDate(getTodayDateString(now))
 
     // Today's bookings
     const { data: todayBookings, error: bookingsError } = await supabase
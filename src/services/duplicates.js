@@ -0,0 +1,107 @@
+import { supabase } from './supabaseClient'
+import { DUPLICATE_IGNORED_STATUSES, getDuplicateReason, findDuplicateGroups } from '@/utils/duplicateUtils'
+
+const DUPLICATE_SELECT = `
+  id,
+  booking_number,
+  status,
+  customer_id,
+  service_id,
+  scheduled_date,
+  scheduled_time,
+  estimated_duration,
+  license_plate,
+  total_price,
+  created_at,
+  customer:profiles!bookings_customer_id_fkey (
+    id,
+    full_name,
+    phone
+  ),
+  service:services!bookings_service_id_fkey (
+    id,
+    title
+  ),
+  vehicles:booking_vehicles (
+    license_plate
+  )
+`
+
+// Find existing bookings that look like the same job as the given booking data
+export const findDuplicateBookings = async (bookingData, options = {}) => {
+  try {
+    const { excludeBookingId = null } = options
+
+    if (!bookingData.service_id || !bookingData.scheduled_date || !bookingData.scheduled_time) {
+      return []
+    }
+
+    let query = supabase
+      .from('bookings')
+      .select(DUPLICATE_SELECT)
+      .eq('service_id', bookingData.service_id)
+      .eq('scheduled_date', bookingData.scheduled_date)
+      .not('status', 'in', `(${DUPLICATE_IGNORED_STATUSES.join(',')})`)
+
+    if (excludeBookingId) {
+      query = query.neq('id', excludeBookingId)
+    }
+
+    const { data, error } = await query
+
+    if (error) throw error
+
+    return (data || [])
+      .map(booking => ({ ...booking, duplicate_reason: getDuplicateReason(bookingData, booking) }))
+      .filter(booking => booking.duplicate_reason)
+  } catch (error) {
+    console.error('Error checking for duplicate bookings:', error)
+    throw error
+  }
+}
+
+// Throw when the booking looks like one that already exists, unless the caller explicitly allows it
+export const assertNoDuplicateBookings = async (bookingData, options = {}) => {
+  const { excludeBookingId = null, allowDuplicates = false } = options
+
+  const duplicates = await findDuplicateBookings(bookingData, { excludeBookingId })
+  if (duplicates.length === 0) return duplicates
+
+  if (allowDuplicates) {
+    console.warn('⚠️ Booking saved despite likely duplicates:', duplicates.map(b => b.booking_number))
+    return duplicates
+  }
+
+  const error = new Error(`Possible duplicate of ${duplicates.map(b => b.booking_number).join(', ')}.`)
+  error.code = 'DUPLICATE_BOOKING'
+  error.duplicates = duplicates
+  throw error
+}
+
+// List groups of suspected duplicates among the bookings scheduled in a date range
+export const getDuplicateReport = async (options = {}) => {
+  try {
+    const { dateFrom, dateTo } = options
+
+    let query = supabase
+      .from('bookings')
+      .select(DUPLICATE_SELECT)
+      .not('status', 'in', `(${DUPLICATE_IGNORED_STATUSES.join(',')})`)
+      .order('scheduled_date', { ascending: true })
+
+    if (dateFrom) {
+      query = query.gte('scheduled_date', dateFrom)
+    }
+    if (dateTo) {
+      query = query.lte('scheduled_date', dateTo)
+    }
+
+    const { data, error } = await query
+
+    if (error) throw error
+    return findDuplicateGroups(data || [])
+  } catch (error) {
+    console.error('Error building duplicate report:', error)
+    throw error
+  }
+}
@@ -0,0 +1,111 @@
+import { supabase } from './supabaseClient'
+import { getBookingPromotionCodes, resolveFeeRule } from '@/utils/feeRuleUtils'
+
+// Get fee rules, most recent first
+export const getFeeRules = async ({ activeOnly = false } = {}) => {
+  try {
+    let query = supabase
+      .from('fee_rules')
+      .select(`
+        *,
+        worker:worker_id (
+          id,
+          business_name,
+          user:user_id (
+            full_name
+          )
+        )
+      `)
+      .order('created_at', { ascending: false })
+
+    if (activeOnly) {
+      query = query.eq('is_active', true)
+    }
+
+    const { data, error } = await query
+
+    if (error) throw error
+    return data || []
+  } catch (error) {
+    console.error('Error fetching fee rules:', error)
+    throw error
+  }
+}
+
+// Create or update a fee rule; only the target of its scope is kept
+export const saveFeeRule = async (rule) => {
+  try {
+    const ruleData = {
+      name: rule.name.trim(),
+      scope: rule.scope,
+      fee_percentage: parseFloat(rule.fee_percentage) || 0,
+      promotion_code: rule.scope === 'promotion' ? rule.promotion_code.trim().toUpperCase() : null,
+      worker_id: rule.scope === 'worker' ? rule.worker_id : null,
+      service_category: rule.scope === 'category' ? rule.service_category : null,
+      starts_on: rule.starts_on || null,
+      ends_on: rule.ends_on || null,
+      is_active: rule.is_active !== false,
+      updated_at: new Date().toISOString()
+    }
+
+    const query = rule.id
+      ? supabase.from('fee_rules').update(ruleData).eq('id', rule.id)
+      : supabase.from('fee_rules').insert([ruleData])
+
+    const { data, error } = await query.select().single()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error saving fee rule:', error)
+    throw error
+  }
+}
+
+// Delete a fee rule; payments keep the record of the rule they were charged under
+export const deleteFeeRule = async (id) => {
+  try {
+    const { error } = await supabase
+      .from('fee_rules')
+      .delete()
+      .eq('id', id)
+
+    if (error) throw error
+    return true
+  } catch (error) {
+    console.error('Error deleting fee rule:', error)
+    throw error
+  }
+}
+
+/**
+ * Work out the platform fee that applies to a booking from the active rules, the worker's commission
+ * and the default (see resolveFeeRule). Uses booking.service.category when present, otherwise looks it up.
+ */
+export const resolveBookingFee = async (booking) => {
+  try {
+    const [rules, workerResult, serviceResult] = await Promise.all([
+      getFeeRules({ activeOnly: true }),
+      booking.worker_id
+        ? supabase.from('worker_profiles').select('commission_rate').eq('id', booking.worker_id).maybeSingle()
+        : Promise.resolve({ data: null }),
+      booking.service?.category === undefined && booking.service_id
+        ? supabase.from('services').select('category').eq('id', booking.service_id).maybeSingle()
+        : Promise.resolve({ data: booking.service || null })
+    ])
+
+    if (workerResult.error) throw workerResult.error
+    if (serviceResult.error) throw serviceResult.error
+
+    return resolveFeeRule(rules, {
+      workerId: booking.worker_id || null,
+      commissionRate: workerResult.data?.commission_rate,
+      serviceCategory: serviceResult.data?.category || null,
+      promotionCodes: getBookingPromotionCodes(booking),
+      date: booking.scheduled_date || null
+    })
+  } catch (error) {
+    console.error('Error resolving booking fee:', error)
+    throw error
+  }
+}
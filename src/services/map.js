@@ -27,6 +27,13 @@ export const getBookingsWithLocations = async (options = {}) => {
         vehicle_color,
         license_plate,
         total_price,
+        vehicles:booking_vehicles (
+          position,
+          vehicle_type,
+          vehicle_make,
+          vehicle_model,
+          license_plate
+        ),
         customer:profiles!bookings_customer_id_fkey (
           id,
           full_name,
@@ -1,4 +1,14 @@
 import { supabase } from './supabaseClient'
+import { updateCrewEarnings } from './bookingCrew'
+import { getPaymentProvider } from '@/lib/gateway'
+import {
+  REFUNDABLE_PAYMENT_STATUSES,
+  REFUND_PAYMENT_STATUSES,
+  calculateRefundSplit,
+  getNetPaymentAmount,
+  getRefundableBalance,
+  validateRefundAmount
+} from '@/utils/refundUtils'
 
 // Get all payments with pagination and filtering
 export const getPayments = async (options = {}) => {
@@ -12,6 +22,9 @@ export const getPayments = async (options = {}) => {
       bookingId = '',
       dateFrom = '',
       dateTo = '',
+      reconciled = '',
+      reconciledFrom = '',
+      reconciledTo = '',
       sortBy = 'created_at',
       sortOrder = 'desc'
     } = options
@@ -70,6 +83,19 @@ export const getPayments = async (options = {}) => {
       query = query.lte('created_at', dateTo)
     }
 
+    // Apply reconciliation filters (payments never reconciled have no flag yet)
+    if (reconciled === true || reconciled === 'true') {
+      query = query.eq('reconciled', true)
+    } else if (reconciled === false || reconciled === 'false') {
+      query = query.or('reconciled.is.null,reconciled.eq.false')
+    }
+    if (reconciledFrom) {
+      query = query.gte('reconciled_at', reconciledFrom)
+    }
+    if (reconciledTo) {
+      query = query.lte('reconciled_at', reconciledTo)
+    }
+
     // Apply sorting
     query = query.order(sortBy, { ascending: sortOrder === 'asc' })
 
@@ -202,6 +228,12 @@ export const createPayment = async (paymentData) => {
 // Update an existing payment
 export const updatePayment = async (id, updates) => {
   try {
+    if (REFUND_PAYMENT_STATUSES.includes(updates.status)) {
+      const error = new Error('Use Refund to refund a payment')
+      error.code = 'INVALID_PAYMENT_STATUS'
+      throw error
+    }
+
     const { data, error } = await supabase
       .from('payments')
       .update({
@@ -251,15 +283,77 @@ export const deletePayment = async (id) => {
   }
 }
 
-// Process a payment (mark as completed)
-export const processPayment = async (id, transactionId) => {
+// Payment statuses that can still be charged through the gateway
+const CHARGEABLE_PAYMENT_STATUSES = ['pending', 'processing', 'failed']
+
+/**
+ * Mark a payment as completed. With a transaction ID the charge is recorded as made elsewhere
+ * (e.g. a card terminal); without one it is charged through the configured payment provider.
+ * The intent is saved before capturing so a webhook can still find the payment if the capture reply is lost.
+ */
+export const processPayment = async (id, transactionId = null) => {
   try {
+    if (transactionId) {
+      const { data, error } = await supabase
+        .from('payments')
+        .update({ 
+          status: 'completed',
+          gateway_transaction_id: transactionId,
+          processed_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', id)
+        .select()
+        .single()
+
+      if (error) throw error
+      return data
+    }
+
+    const { data: payment, error: paymentError } = await supabase
+      .from('payments')
+      .select('id, status, amount, currency, gateway_provider, gateway_transaction_id, gateway_reference, booking:booking_id ( booking_number )')
+      .eq('id', id)
+      .single()
+
+    if (paymentError) throw paymentError
+    if (!CHARGEABLE_PAYMENT_STATUSES.includes(payment.status)) {
+      throw new Error(`A ${payment.status} payment cannot be charged`)
+    }
+
+    const provider = getPaymentProvider()
+    let transaction = payment.gateway_provider === provider.name && payment.gateway_transaction_id
+      ? { transactionId: payment.gateway_transaction_id, reference: payment.gateway_reference }
+      : null
+
+    if (!transaction) {
+      transaction = await provider.createIntent({
+        amount: parseFloat(payment.amount) || 0,
+        currency: payment.currency || 'MAD',
+        reference: payment.gateway_reference || payment.booking?.booking_number || payment.id
+      })
+
+      const { error: intentError } = await supabase
+        .from('payments')
+        .update({
+          status: 'processing',
+          gateway_provider: provider.name,
+          gateway_transaction_id: transaction.transactionId,
+          gateway_reference: transaction.reference,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', id)
+
+      if (intentError) throw intentError
+    }
+
+    const capture = await provider.capture(transaction.transactionId, { amount: parseFloat(payment.amount) || 0 })
+
     const { data, error } = await supabase
       .from('payments')
-      .update({ 
-        status: 'completed',
-        gateway_transaction_id: transactionId,
-        processed_at: new Date().toISOString(),
+      .update({
+        status: capture.status === 'completed' ? 'completed' : 'failed',
+        processed_at: capture.status === 'completed' ? new Date().toISOString() : null,
         updated_at: new Date().toISOString()
       })
       .eq('id', id)
@@ -274,28 +368,149 @@ export const processPayment = async (id, transactionId) => {
   }
 }
 
-// Refund a payment
-export const refundPayment = async (id, reason = '') => {
+/**
+ * Refund part or all of a collected payment. Each refund is kept in payment_refunds with its
+ * amount, reason and who made it, and the payment's platform fee and worker earnings shrink to match.
+ * Leave the amount empty to refund the whole remaining balance.
+ */
+export const refundPayment = async (id, amount = null, reason = '', refundedBy = null) => {
   try {
-    const { data, error } = await supabase
+    const { data: payment, error: paymentError } = await supabase
+      .from('payments')
+      .select('id, booking_id, status, amount, refunded_amount, platform_fee, worker_earnings, gateway_provider, gateway_transaction_id')
+      .eq('id', id)
+      .single()
+
+    if (paymentError) throw paymentError
+
+    const refundAmount = amount === null || amount === '' ? getRefundableBalance(payment) : parseFloat(amount)
+    const validationError = validateRefundAmount(payment, refundAmount)
+    if (validationError) {
+      const error = new Error(validationError)
+      error.code = 'INVALID_REFUND'
+      throw error
+    }
+
+    const roundedAmount = Math.round(refundAmount * 100) / 100
+
+    // Reserve the refund on the payment first, and only if no other refund landed since it was read,
+    // so two refunds racing each other can't both send money back through the gateway
+    const split = calculateRefundSplit(payment, roundedAmount)
+    let reservation = supabase
       .from('payments')
-      .update({ 
-        status: 'refunded',
-        processed_at: new Date().toISOString(),
+      .update({
+        ...split,
         updated_at: new Date().toISOString()
       })
       .eq('id', id)
+    reservation = payment.refunded_amount === null
+      ? reservation.is('refunded_amount', null)
+      : reservation.eq('refunded_amount', payment.refunded_amount)
+
+    const { data, error: reserveError } = await reservation.select().maybeSingle()
+
+    if (reserveError) throw reserveError
+    if (!data) {
+      const error = new Error('This payment was refunded by someone else in the meantime. Reload it and try again.')
+      error.code = 'REFUND_CONFLICT'
+      throw error
+    }
+
+    // Put the payment back the way it was when the refund doesn't go through
+    const releaseReservation = async () => {
+      const { error: releaseError } = await supabase
+        .from('payments')
+        .update({
+          refunded_amount: payment.refunded_amount,
+          status: payment.status,
+          platform_fee: payment.platform_fee,
+          worker_earnings: payment.worker_earnings,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', id)
+        .eq('refunded_amount', split.refunded_amount)
+
+      if (releaseError) {
+        console.error(`⚠️ Failed to release the refund reserved on payment ${id}:`, releaseError)
+      }
+    }
+
+    // Money taken through the gateway goes back the same way
+    let gatewayRefund = null
+    if (payment.gateway_provider && payment.gateway_transaction_id) {
+      try {
+        gatewayRefund = await getPaymentProvider(payment.gateway_provider).refund(payment.gateway_transaction_id, {
+          amount: roundedAmount,
+          reason: reason?.trim() || null
+        })
+      } catch (gatewayError) {
+        await releaseReservation()
+        throw gatewayError
+      }
+    }
+
+    const { data: refund, error: refundError } = await supabase
+      .from('payment_refunds')
+      .insert([{
+        payment_id: id,
+        amount: roundedAmount,
+        reason: reason?.trim() || null,
+        refunded_by: refundedBy || null,
+        gateway_refund_id: gatewayRefund?.refundId || null,
+        created_at: new Date().toISOString()
+      }])
       .select()
       .single()
 
-    if (error) throw error
-    return data
+    if (refundError) {
+      // Keep the payment in step with the ledger, unless the money has already gone back
+      if (gatewayRefund) {
+        console.error(`⚠️ Gateway refund ${gatewayRefund.refundId} was made but could not be recorded:`, refundError)
+      } else {
+        await releaseReservation()
+      }
+      throw refundError
+    }
+
+    // The crew's shares follow the reduced worker earnings
+    if (payment.booking_id) {
+      try {
+        await updateCrewEarnings(payment.booking_id, split.worker_earnings)
+      } catch (crewError) {
+        console.error('⚠️ Failed to update crew earnings after refund:', crewError)
+      }
+    }
+
+    return { payment: data, refund }
   } catch (error) {
     console.error('Error refunding payment:', error)
     throw error
   }
 }
 
+// Get the refunds made on a payment, newest first
+export const getPaymentRefunds = async (paymentId) => {
+  try {
+    const { data, error } = await supabase
+      .from('payment_refunds')
+      .select(`
+        *,
+        refunder:refunded_by (
+          id,
+          full_name
+        )
+      `)
+      .eq('payment_id', paymentId)
+      .order('created_at', { ascending: false })
+
+    if (error) throw error
+    return data || []
+  } catch (error) {
+    console.error('Error fetching payment refunds:', error)
+    throw error
+  }
+}
+
 // Get payment statistics
 export const getPaymentStats = async () => {
   try {
@@ -322,16 +537,16 @@ export const getPaymentStats = async () => {
 
     if (pendingError) throw pendingError
 
-    // Get total revenue (completed payments)
+    // Get total revenue (collected payments, less refunds)
     const { data: revenueData, error: revenueError } = await supabase
       .from('payments')
-      .select('amount')
-      .eq('status', 'completed')
+      .select('amount, refunded_amount')
+      .in('status', REFUNDABLE_PAYMENT_STATUSES)
 
     if (revenueError) throw revenueError
 
     const totalRevenue = revenueData?.reduce((total, payment) => 
-      total + (parseFloat(payment.amount) || 0), 0
+      total + getNetPaymentAmount(payment), 0
     ) || 0
 
     // Get this month's revenue
@@ -341,14 +556,14 @@ export const getPaymentStats = async () => {
 
     const { data: monthlyRevenueData, error: monthlyError } = await supabase
       .from('payments')
-      .select('amount')
-      .eq('status', 'completed')
+      .select('amount, refunded_amount')
+      .in('status', REFUNDABLE_PAYMENT_STATUSES)
       .gte('processed_at', startOfMonth.toISOString())
 
     if (monthlyError) throw monthlyError
 
     const monthlyRevenue = monthlyRevenueData?.reduce((total, payment) => 
-      total + (parseFloat(payment.amount) || 0), 0
+      total + getNetPaymentAmount(payment), 0
     ) || 0
 
     return {
@@ -425,8 +640,8 @@ export const getPaymentMethodsSummary = async () => {
   try {
     const { data, error } = await supabase
       .from('payments')
-      .select('payment_method, amount')
-      .eq('status', 'completed')
+      .select('payment_method, amount, refunded_amount')
+      .in('status', REFUNDABLE_PAYMENT_STATUSES)
 
     if (error) throw error
 
@@ -436,7 +651,7 @@ export const getPaymentMethodsSummary = async () => {
       if (!acc[method]) {
         acc[method] = { method, total: 0, count: 0 }
       }
-      acc[method].total += parseFloat(payment.amount) || 0
+      acc[method].total += getNetPaymentAmount(payment)
       acc[method].count += 1
       return acc
     }, {}) || {}
@@ -453,8 +668,8 @@ export const getDailyRevenue = async (dateFrom, dateTo) => {
   try {
     const { data, error } = await supabase
       .from('payments')
-      .select('amount, processed_at')
-      .eq('status', 'completed')
+      .select('amount, refunded_amount, processed_at')
+      .in('status', REFUNDABLE_PAYMENT_STATUSES)
       .gte('processed_at', dateFrom)
       .lte('processed_at', dateTo)
       .order('processed_at', { ascending: true })
@@ -467,7 +682,7 @@ export const getDailyRevenue = async (dateFrom, dateTo) => {
       if (!acc[date]) {
         acc[date] = 0
       }
-      acc[date] += parseFloat(payment.amount) || 0
+      acc[date] += getNetPaymentAmount(payment)
       return acc
     }, {}) || {}
 
@@ -0,0 +1,456 @@
+import { supabase } from './supabaseClient'
+import {
+  PAYOUT_STATUSES,
+  RELEASED_PAYOUT_STATUSES,
+  buildPayoutItems,
+  calculatePayoutNet,
+  summarizePayoutItems,
+  validatePayoutDeduction,
+  validatePayoutPeriod
+} from '@/utils/payoutUtils'
+import { REFUNDABLE_PAYMENT_STATUSES } from '@/utils/refundUtils'
+import { addDaysToDateString, zonedDateTimeToDate } from '@/utils/timeZoneUtils'
+
+const PAYOUT_ITEM_SELECT = `
+  *,
+  worker:worker_id (
+    id,
+    business_name,
+    user:user_id (
+      id,
+      full_name,
+      email,
+      phone
+    )
+  )
+`
+
+// Generate unique payout batch number
+const generatePayoutNumber = () => {
+  const prefix = 'PO'
+  const timestamp = Date.now().toString().slice(-8)
+  const random = Math.random().toString(36).substring(2, 5).toUpperCase()
+  return `${prefix}${timestamp}${random}`
+}
+
+const createPayoutStatusError = (message) => {
+  const error = new Error(message)
+  error.code = 'INVALID_STATUS_TRANSITION'
+  return error
+}
+
+/**
+ * Put every collected, not yet batched payment processed in the batch's period into the batch,
+ * one item per worker. `previousDeductions` maps worker IDs to deductions to carry over.
+ */
+const fillPayoutBatch = async (batch, previousDeductions = {}) => {
+  const from = zonedDateTimeToDate(batch.period_start).toISOString()
+  const to = zonedDateTimeToDate(addDaysToDateString(batch.period_end, 1)).toISOString()
+
+  const { data: payments, error } = await supabase
+    .from('payments')
+    .select(`
+      id,
+      booking_id,
+      worker_id,
+      worker_earnings,
+      processed_at,
+      booking:booking_id (
+        booking_number,
+        scheduled_date,
+        crew:booking_crew (
+          worker_id,
+          role,
+          earnings
+        )
+      )
+    `)
+    .in('status', REFUNDABLE_PAYMENT_STATUSES)
+    .is('payout_batch_id', null)
+    .gte('processed_at', from)
+    .lt('processed_at', to)
+
+  if (error) throw error
+
+  const { paymentIds } = buildPayoutItems(payments)
+
+  // Claim the payments first; any that another batch took in the meantime are left out of this one
+  let claimedIds = new Set()
+  if (paymentIds.length > 0) {
+    const { data: claimed, error: claimError } = await supabase
+      .from('payments')
+      .update({ payout_batch_id: batch.id })
+      .in('id', paymentIds)
+      .is('payout_batch_id', null)
+      .select('id')
+
+    if (claimError) throw claimError
+    claimedIds = new Set((claimed || []).map(payment => payment.id))
+  }
+
+  const { items } = buildPayoutItems(payments.filter(payment => claimedIds.has(payment.id)))
+
+  const rows = items.map(item => {
+    const previous = previousDeductions[item.worker_id]
+    const deductions = previous ? Math.min(parseFloat(previous.deductions) || 0, item.gross_earnings) : 0
+    const row = {
+      batch_id: batch.id,
+      worker_id: item.worker_id,
+      gross_earnings: item.gross_earnings,
+      deductions,
+      deduction_reason: previous?.deduction_reason || null,
+      lines: item.lines
+    }
+    return { ...row, net_amount: calculatePayoutNet(row) }
+  })
+
+  if (rows.length > 0) {
+    const { error: itemsError } = await supabase
+      .from('payout_items')
+      .insert(rows)
+
+    if (itemsError) throw itemsError
+  }
+
+  const { error: totalsError } = await supabase
+    .from('payout_batches')
+    .update({ ...summarizePayoutItems(rows), updated_at: new Date().toISOString() })
+    .eq('id', batch.id)
+
+  if (totalsError) throw totalsError
+}
+
+// Take a batch's items out and hand its payments back so another batch can pick them up
+const emptyPayoutBatch = async (batchId) => {
+  const { error: paymentsError } = await supabase
+    .from('payments')
+    .update({ payout_batch_id: null })
+    .eq('payout_batch_id', batchId)
+
+  if (paymentsError) throw paymentsError
+
+  const { error: itemsError } = await supabase
+    .from('payout_items')
+    .delete()
+    .eq('batch_id', batchId)
+
+  if (itemsError) throw itemsError
+}
+
+// Get payout batches, newest period first
+export const getPayoutBatches = async (options = {}) => {
+  try {
+    const { status = '' } = options
+
+    let query = supabase
+      .from('payout_batches')
+      .select('*, items:payout_items(count)')
+      .order('period_start', { ascending: false })
+
+    if (status) {
+      query = query.eq('status', status)
+    }
+
+    const { data, error } = await query
+
+    if (error) throw error
+    return data || []
+  } catch (error) {
+    console.error('Error fetching payout batches:', error)
+    throw error
+  }
+}
+
+// Get a payout batch with its worker items
+export const getPayoutBatch = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('payout_batches')
+      .select(`
+        *,
+        items:payout_items (
+          ${PAYOUT_ITEM_SELECT}
+        ),
+        creator:created_by (
+          id,
+          full_name
+        ),
+        approver:approved_by (
+          id,
+          full_name
+        ),
+        payer:paid_by (
+          id,
+          full_name
+        )
+      `)
+      .eq('id', id)
+      .single()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error fetching payout batch:', error)
+    throw error
+  }
+}
+
+// Create a draft payout batch for a 'YYYY-MM-DD' period, filled with the earnings not yet paid out
+export const createPayoutBatch = async ({ periodStart, periodEnd, notes = '' }, createdBy = null) => {
+  try {
+    const validationError = validatePayoutPeriod(periodStart, periodEnd)
+    if (validationError) throw new Error(validationError)
+
+    const { data: batch, error } = await supabase
+      .from('payout_batches')
+      .insert([{
+        batch_number: generatePayoutNumber(),
+        period_start: periodStart,
+        period_end: periodEnd,
+        status: 'draft',
+        notes: notes?.trim() || null,
+        created_by: createdBy || null
+      }])
+      .select()
+      .single()
+
+    if (error) throw error
+
+    try {
+      await fillPayoutBatch(batch)
+    } catch (fillError) {
+      // Don't leave a half-filled batch holding on to payments
+      await emptyPayoutBatch(batch.id)
+      await supabase.from('payout_batches').delete().eq('id', batch.id)
+      throw fillError
+    }
+
+    return await getPayoutBatch(batch.id)
+  } catch (error) {
+    console.error('Error creating payout batch:', error)
+    throw error
+  }
+}
+
+// Rebuild a draft batch from the current payments, e.g. after refunds, keeping each worker's deductions
+export const recalculatePayoutBatch = async (id) => {
+  try {
+    const batch = await getPayoutBatch(id)
+    if (batch.status !== 'draft') {
+      throw createPayoutStatusError('Only draft payouts can be recalculated')
+    }
+
+    const previousDeductions = Object.fromEntries(
+      (batch.items || []).map(item => [item.worker_id, item])
+    )
+
+    await emptyPayoutBatch(id)
+    await fillPayoutBatch(batch, previousDeductions)
+
+    return await getPayoutBatch(id)
+  } catch (error) {
+    console.error('Error recalculating payout batch:', error)
+    throw error
+  }
+}
+
+// Set the deductions taken from one worker's payout in a draft batch
+export const updatePayoutDeduction = async (itemId, amount, reason = '') => {
+  try {
+    const { data: item, error: itemError } = await supabase
+      .from('payout_items')
+      .select('*, batch:batch_id ( id, status )')
+      .eq('id', itemId)
+      .single()
+
+    if (itemError) throw itemError
+    if (item.batch?.status !== 'draft') {
+      throw createPayoutStatusError('Deductions can only be changed while the payout is a draft')
+    }
+
+    const validationError = validatePayoutDeduction(item, amount)
+    if (validationError) throw new Error(validationError)
+
+    const deductions = Math.round((parseFloat(amount) || 0) * 100) / 100
+    const { error } = await supabase
+      .from('payout_items')
+      .update({
+        deductions,
+        deduction_reason: deductions > 0 ? reason?.trim() || null : null,
+        net_amount: calculatePayoutNet({ ...item, deductions })
+      })
+      .eq('id', itemId)
+
+    if (error) throw error
+
+    const batch = await getPayoutBatch(item.batch_id)
+    const { error: totalsError } = await supabase
+      .from('payout_batches')
+      .update({ ...summarizePayoutItems(batch.items), updated_at: new Date().toISOString() })
+      .eq('id', item.batch_id)
+
+    if (totalsError) throw totalsError
+    return await getPayoutBatch(item.batch_id)
+  } catch (error) {
+    console.error('Error updating payout deduction:', error)
+    throw error
+  }
+}
+
+// Move a batch to a new status if it is still in the expected one
+const transitionPayoutBatch = async (id, fromStatus, toStatus, fields = {}) => {
+  const { data, error } = await supabase
+    .from('payout_batches')
+    .update({
+      status: toStatus,
+      ...fields,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', id)
+    .eq('status', fromStatus)
+    .select()
+    .maybeSingle()
+
+  if (error) throw error
+  if (!data) {
+    const from = PAYOUT_STATUSES[fromStatus].label.toLowerCase()
+    const to = PAYOUT_STATUSES[toStatus].label.toLowerCase()
+    throw createPayoutStatusError(`Only ${from} payouts can be moved to ${to}`)
+  }
+  return data
+}
+
+// Approve a draft batch so its statements are released to the workers
+export const approvePayoutBatch = async (id, approvedBy = null) => {
+  try {
+    const { count, error } = await supabase
+      .from('payout_items')
+      .select('id', { count: 'exact', head: true })
+      .eq('batch_id', id)
+
+    if (error) throw error
+    if (!count) throw new Error('This payout has no worker earnings to approve')
+
+    return await transitionPayoutBatch(id, 'draft', 'approved', {
+      approved_by: approvedBy || null,
+      approved_at: new Date().toISOString()
+    })
+  } catch (error) {
+    console.error('Error approving payout batch:', error)
+    throw error
+  }
+}
+
+// Record that an approved batch was paid out
+export const markPayoutBatchPaid = async (id, paidBy = null, paymentReference = '') => {
+  try {
+    return await transitionPayoutBatch(id, 'approved', 'paid', {
+      paid_by: paidBy || null,
+      paid_at: new Date().toISOString(),
+      payment_reference: paymentReference?.trim() || null
+    })
+  } catch (error) {
+    console.error('Error marking payout batch as paid:', error)
+    throw error
+  }
+}
+
+// Send an approved batch back to draft so it can be corrected
+export const reopenPayoutBatch = async (id) => {
+  try {
+    return await transitionPayoutBatch(id, 'approved', 'draft', {
+      approved_by: null,
+      approved_at: null
+    })
+  } catch (error) {
+    console.error('Error reopening payout batch:', error)
+    throw error
+  }
+}
+
+// Delete a draft batch, releasing its payments
+export const deletePayoutBatch = async (id) => {
+  try {
+    const batch = await getPayoutBatch(id)
+    if (batch.status !== 'draft') {
+      throw createPayoutStatusError('Only draft payouts can be deleted')
+    }
+
+    await emptyPayoutBatch(id)
+
+    const { error } = await supabase
+      .from('payout_batches')
+      .delete()
+      .eq('id', id)
+      .eq('status', 'draft')
+
+    if (error) throw error
+    return true
+  } catch (error) {
+    console.error('Error deleting payout batch:', error)
+    throw error
+  }
+}
+
+// Get one worker's payout item with its batch, for the statement
+export const getPayoutStatement = async (itemId) => {
+  try {
+    const { data, error } = await supabase
+      .from('payout_items')
+      .select(`
+        ${PAYOUT_ITEM_SELECT},
+        batch:batch_id (
+          id,
+          batch_number,
+          period_start,
+          period_end,
+          status,
+          approved_at,
+          paid_at,
+          payment_reference
+        )
+      `)
+      .eq('id', itemId)
+      .single()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error fetching payout statement:', error)
+    throw error
+  }
+}
+
+// Get the released statements of the worker linked to a user, newest period first
+export const getWorkerPayoutStatements = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('payout_items')
+      .select(`
+        id,
+        gross_earnings,
+        deductions,
+        net_amount,
+        worker:worker_id!inner (
+          id,
+          user_id
+        ),
+        batch:batch_id!inner (
+          id,
+          batch_number,
+          period_start,
+          period_end,
+          status,
+          paid_at
+        )
+      `)
+      .eq('worker.user_id', userId)
+      .in('batch.status', RELEASED_PAYOUT_STATUSES)
+
+    if (error) throw error
+    return (data || []).sort((a, b) => b.batch.period_start.localeCompare(a.batch.period_start))
+  } catch (error) {
+    console.error('Error fetching worker payout statements:', error)
+    throw error
+  }
+}
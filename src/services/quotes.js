@@ -0,0 +1,252 @@
+import { supabase } from './supabaseClient'
+import { createBooking } from './bookings'
+import { EDITABLE_QUOTE_STATUSES, isQuoteExpired, summarizeQuote, buildBookingFromQuote } from '@/utils/quoteUtils'
+import { getTodayDateString } from '@/utils/scheduleUtils'
+
+const QUOTE_SELECT = `
+  *,
+  customer:profiles!quotes_customer_id_fkey (
+    id,
+    full_name,
+    email,
+    phone
+  ),
+  booking:bookings!quotes_booking_id_fkey (
+    id,
+    booking_number,
+    status,
+    scheduled_date,
+    scheduled_time
+  )
+`
+
+// Generate unique quote number
+const generateQuoteNumber = () => {
+  const prefix = 'QT'
+  const timestamp = Date.now().toString().slice(-8)
+  const random = Math.random().toString(36).substring(2, 5).toUpperCase()
+  return `${prefix}${timestamp}${random}`
+}
+
+// Get quotes, newest first
+export const getQuotes = async (options = {}) => {
+  try {
+    const { status = '', customerId = '', search = '' } = options
+
+    let query = supabase
+      .from('quotes')
+      .select(QUOTE_SELECT)
+      .order('created_at', { ascending: false })
+
+    if (status) {
+      query = query.eq('status', status)
+    }
+    if (customerId) {
+      query = query.eq('customer_id', customerId)
+    }
+    if (search) {
+      query = query.ilike('quote_number', `%${search}%`)
+    }
+
+    const { data, error } = await query
+
+    if (error) throw error
+    return data || []
+  } catch (error) {
+    console.error('Error fetching quotes:', error)
+    throw error
+  }
+}
+
+// Get a single quote by ID
+export const getQuote = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('quotes')
+      .select(QUOTE_SELECT)
+      .eq('id', id)
+      .single()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error fetching quote:', error)
+    throw error
+  }
+}
+
+// Create or update a quote; accepted and expired quotes can no longer be changed
+export const saveQuote = async (quote) => {
+  try {
+    if (quote.id && !EDITABLE_QUOTE_STATUSES.includes(quote.status)) {
+      throw new Error('Accepted or expired quotes can no longer be changed')
+    }
+
+    const quoteData = {
+      customer_id: quote.customer_id || null,
+      service_address_text: quote.service_address_text || null,
+      valid_until: quote.valid_until,
+      notes: quote.notes || null,
+      ...summarizeQuote(quote),
+      updated_at: new Date().toISOString()
+    }
+
+    const query = quote.id
+      ? supabase.from('quotes').update(quoteData).eq('id', quote.id)
+      : supabase.from('quotes').insert([{
+          ...quoteData,
+          quote_number: generateQuoteNumber(),
+          status: 'draft'
+        }])
+
+    const { data, error } = await query.select(QUOTE_SELECT).single()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error saving quote:', error)
+    throw error
+  }
+}
+
+// Mark a draft quote as sent to the customer
+export const markQuoteSent = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('quotes')
+      .update({
+        status: 'sent',
+        sent_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .eq('status', 'draft')
+      .select(QUOTE_SELECT)
+      .maybeSingle()
+
+    if (error) throw error
+    if (!data) throw new Error('Only draft quotes can be marked as sent')
+    return data
+  } catch (error) {
+    console.error('Error marking quote as sent:', error)
+    throw error
+  }
+}
+
+// Mark an open quote as expired
+export const expireQuote = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('quotes')
+      .update({ status: 'expired', updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .in('status', EDITABLE_QUOTE_STATUSES)
+      .select(QUOTE_SELECT)
+      .maybeSingle()
+
+    if (error) throw error
+    if (!data) throw new Error('Only open quotes can be expired')
+    return data
+  } catch (error) {
+    console.error('Error expiring quote:', error)
+    throw error
+  }
+}
+
+// Delete a draft quote
+export const deleteQuote = async (id) => {
+  try {
+    const { error } = await supabase
+      .from('quotes')
+      .delete()
+      .eq('id', id)
+      .eq('status', 'draft')
+
+    if (error) throw error
+    return true
+  } catch (error) {
+    console.error('Error deleting quote:', error)
+    throw error
+  }
+}
+
+/**
+ * Accept a quote and turn it into a booking at the given slot, keeping the quoted prices.
+ * `schedule` carries scheduled_date, scheduled_time and optionally worker_id, auto_assign and allow_conflicts.
+ */
+export const acceptQuote = async (id, schedule) => {
+  try {
+    const quote = await getQuote(id)
+
+    if (quote.booking_id) {
+      throw new Error(`This quote was already turned into booking ${quote.booking?.booking_number || ''}`.trim())
+    }
+    if (!EDITABLE_QUOTE_STATUSES.includes(quote.status)) {
+      throw new Error('Only draft or sent quotes can be accepted')
+    }
+    if (isQuoteExpired(quote, getTodayDateString())) {
+      const error = new Error(`Quote ${quote.quote_number} expired on ${quote.valid_until}`)
+      error.code = 'QUOTE_EXPIRED'
+      throw error
+    }
+
+    // Claim the quote first, so two accepts racing each other can't both book the slot
+    const { data: claimed, error: claimError } = await supabase
+      .from('quotes')
+      .update({
+        status: 'accepted',
+        accepted_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .in('status', EDITABLE_QUOTE_STATUSES)
+      .is('booking_id', null)
+      .select('id')
+      .maybeSingle()
+
+    if (claimError) throw claimError
+    if (!claimed) {
+      const error = new Error(`Quote ${quote.quote_number} was accepted by someone else in the meantime`)
+      error.code = 'QUOTE_ALREADY_ACCEPTED'
+      throw error
+    }
+
+    let booking
+    try {
+      booking = await createBooking(buildBookingFromQuote(quote, schedule))
+    } catch (bookingError) {
+      // Hand the quote back so it can be accepted again
+      const { error: releaseError } = await supabase
+        .from('quotes')
+        .update({
+          status: quote.status,
+          accepted_at: null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', id)
+        .is('booking_id', null)
+
+      if (releaseError) console.error('⚠️ Failed to release quote after booking failed:', releaseError)
+      throw bookingError
+    }
+
+    const { data, error } = await supabase
+      .from('quotes')
+      .update({
+        booking_id: booking.id,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select(QUOTE_SELECT)
+      .single()
+
+    if (error) {
+      console.error('⚠️ Booking created but not linked to the quote:', error)
+    }
+
+    return { quote: data || quote, booking }
+  } catch (error) {
+    console.error('Error accepting quote:', error)
+    throw error
+  }
+}
@@ -0,0 +1,262 @@
+import { supabase } from './supabaseClient'
+import {
+  OPEN_SETTLEMENT_STATUSES,
+  SETTLED_PAYMENT_STATUSES,
+  countSettlementLines,
+  getSettlementDateRange,
+  matchSettlementLines
+} from '@/utils/reconciliationUtils'
+import { addDaysToDateString, zonedDateTimeToDate } from '@/utils/timeZoneUtils'
+
+const PAYMENT_MATCH_FIELDS = 'id, amount, status, processed_at, gateway_transaction_id, gateway_reference, reconciled, reconciled_at'
+
+const SETTLEMENT_LINE_SELECT = `
+  *,
+  payment:payment_id (
+    id,
+    amount,
+    status,
+    processed_at,
+    gateway_transaction_id,
+    gateway_reference,
+    reconciled,
+    reconciled_at,
+    booking:booking_id (
+      booking_number
+    )
+  ),
+  resolver:resolved_by (
+    id,
+    full_name
+  )
+`
+
+// Load the payments a set of settlement lines could match: by reference, or processed around the same dates
+const getCandidatePayments = async (lines) => {
+  const references = [...new Set(lines.map(line => line.reference).filter(Boolean))]
+  const range = getSettlementDateRange(lines)
+
+  const queries = []
+  if (references.length > 0) {
+    queries.push(supabase.from('payments').select(PAYMENT_MATCH_FIELDS).in('gateway_transaction_id', references))
+    queries.push(supabase.from('payments').select(PAYMENT_MATCH_FIELDS).in('gateway_reference', references))
+  }
+  if (range) {
+    queries.push(supabase
+      .from('payments')
+      .select(PAYMENT_MATCH_FIELDS)
+      .in('status', SETTLED_PAYMENT_STATUSES)
+      .gte('processed_at', zonedDateTimeToDate(range.from).toISOString())
+      .lt('processed_at', zonedDateTimeToDate(addDaysToDateString(range.to, 1)).toISOString()))
+  }
+
+  const results = await Promise.all(queries)
+  const byId = new Map()
+  for (const { data, error } of results) {
+    if (error) throw error
+    for (const payment of data || []) byId.set(payment.id, payment)
+  }
+  return Array.from(byId.values())
+}
+
+// Flag payments as reconciled
+const markPaymentsReconciled = async (paymentIds) => {
+  if (paymentIds.length === 0) return
+
+  const { error } = await supabase
+    .from('payments')
+    .update({
+      reconciled: true,
+      reconciled_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .in('id', paymentIds)
+
+  if (error) throw error
+}
+
+// Store the current per-status line counts on an import
+const refreshImportCounts = async (importId) => {
+  const { data: lines, error } = await supabase
+    .from('settlement_lines')
+    .select('status')
+    .eq('import_id', importId)
+
+  if (error) throw error
+
+  const counts = countSettlementLines(lines)
+  const { error: updateError } = await supabase
+    .from('settlement_imports')
+    .update({
+      matched_count: counts.matched,
+      mismatched_count: counts.mismatched,
+      unmatched_count: counts.unmatched,
+      resolved_count: counts.resolved + counts.ignored,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', importId)
+
+  if (updateError) throw updateError
+}
+
+// Get uploaded settlement files, newest first
+export const getSettlementImports = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('settlement_imports')
+      .select(`
+        *,
+        uploader:uploaded_by (
+          id,
+          full_name
+        )
+      `)
+      .order('created_at', { ascending: false })
+
+    if (error) throw error
+    return data || []
+  } catch (error) {
+    console.error('Error fetching settlement imports:', error)
+    throw error
+  }
+}
+
+// Get the lines of a settlement file with the payments they matched, in file order
+export const getSettlementLines = async (importId) => {
+  try {
+    const { data, error } = await supabase
+      .from('settlement_lines')
+      .select(SETTLEMENT_LINE_SELECT)
+      .eq('import_id', importId)
+      .order('row_number', { ascending: true })
+
+    if (error) throw error
+    return data || []
+  } catch (error) {
+    console.error('Error fetching settlement lines:', error)
+    throw error
+  }
+}
+
+/**
+ * Save a settlement file's lines (see prepareSettlementLines) and match them to payments.
+ * Payments on cleanly matched lines are reconciled straight away; the rest wait for someone to resolve them.
+ */
+export const importSettlementFile = async ({ fileName, lines }, uploadedBy = null) => {
+  try {
+    if (!lines || lines.length === 0) throw new Error('The settlement file has no lines')
+
+    const payments = await getCandidatePayments(lines)
+    const matchedLines = matchSettlementLines(lines, payments)
+
+    const { data: settlementImport, error } = await supabase
+      .from('settlement_imports')
+      .insert([{
+        file_name: fileName || null,
+        line_count: matchedLines.length,
+        uploaded_by: uploadedBy || null
+      }])
+      .select()
+      .single()
+
+    if (error) throw error
+
+    const { error: linesError } = await supabase
+      .from('settlement_lines')
+      .insert(matchedLines.map(line => ({
+        import_id: settlementImport.id,
+        row_number: line.row_number,
+        reference: line.reference,
+        amount: line.amount,
+        settled_date: line.settled_date,
+        description: line.description,
+        status: line.status,
+        payment_id: line.payment_id,
+        issues: line.issues
+      })))
+
+    if (linesError) {
+      await supabase.from('settlement_imports').delete().eq('id', settlementImport.id)
+      throw linesError
+    }
+
+    await markPaymentsReconciled(matchedLines.filter(line => line.status === 'matched').map(line => line.payment_id))
+    await refreshImportCounts(settlementImport.id)
+
+    return { import: settlementImport, counts: countSettlementLines(matchedLines) }
+  } catch (error) {
+    console.error('Error importing settlement file:', error)
+    throw error
+  }
+}
+
+// Settle an open line by hand against a payment (its suggested one or another), reconciling that payment
+export const resolveSettlementLine = async (lineId, paymentId, note = '', resolvedBy = null) => {
+  try {
+    if (!paymentId) throw new Error('Choose the payment this line settles')
+
+    const { data: payment, error: paymentError } = await supabase
+      .from('payments')
+      .select('id, reconciled')
+      .eq('id', paymentId)
+      .single()
+
+    if (paymentError) throw paymentError
+
+    const { data: line, error } = await supabase
+      .from('settlement_lines')
+      .update({
+        status: 'resolved',
+        payment_id: paymentId,
+        resolution_note: note?.trim() || null,
+        resolved_by: resolvedBy || null,
+        resolved_at: new Date().toISOString()
+      })
+      .eq('id', lineId)
+      .in('status', OPEN_SETTLEMENT_STATUSES)
+      .select()
+      .maybeSingle()
+
+    if (error) throw error
+    if (!line) throw new Error('Only mismatched or unmatched lines can be resolved')
+
+    if (!payment.reconciled) {
+      await markPaymentsReconciled([paymentId])
+    }
+    await refreshImportCounts(line.import_id)
+
+    return line
+  } catch (error) {
+    console.error('Error resolving settlement line:', error)
+    throw error
+  }
+}
+
+// Close an open line that doesn't correspond to a payment, such as a bank fee
+export const ignoreSettlementLine = async (lineId, note = '', resolvedBy = null) => {
+  try {
+    if (!note?.trim()) throw new Error('Say why this line is being ignored')
+
+    const { data: line, error } = await supabase
+      .from('settlement_lines')
+      .update({
+        status: 'ignored',
+        resolution_note: note.trim(),
+        resolved_by: resolvedBy || null,
+        resolved_at: new Date().toISOString()
+      })
+      .eq('id', lineId)
+      .in('status', OPEN_SETTLEMENT_STATUSES)
+      .select()
+      .maybeSingle()
+
+    if (error) throw error
+    if (!line) throw new Error('Only mismatched or unmatched lines can be ignored')
+
+    await refreshImportCounts(line.import_id)
+    return line
+  } catch (error) {
+    console.error('Error ignoring settlement line:', error)
+    throw error
+  }
+}
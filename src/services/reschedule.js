@@ -0,0 +1,229 @@
+import { supabase } from './supabaseClient'
+import { assertNoBookingConflicts } from './availability'
+import { createNotification } from './notifications'
+import { offerSlotFreedByBooking } from './waitlist'
+import { syncBookingCrew } from './bookingCrew'
+import { buildBookingCrew } from '@/utils/crewUtils'
+import { getRescheduleIssue, getHoursUntilSlot } from '@/utils/scheduleUtils'
+
+// Format a slot for notification messages, e.g. '2025-03-14 at 09:30'
+const formatSlot = (date, time) => `${date} at ${(time || '').slice(0, 5)}`
+
+// Look up the user account of a worker profile, for notifications
+const getWorkerUserId = async (workerId) => {
+  if (!workerId) return null
+
+  const { data, error } = await supabase
+    .from('worker_profiles')
+    .select('user_id')
+    .eq('id', workerId)
+    .maybeSingle()
+
+  if (error) throw error
+  return data?.user_id || null
+}
+
+// Tell the customer and the worker that their booking moved.
+// When it also changed hands, the previous worker hears it was reassigned and the new one that it's theirs.
+const notifyReschedule = async (booking, reschedule) => {
+  const oldSlot = formatSlot(reschedule.old_date, reschedule.old_time)
+  const newSlot = formatSlot(reschedule.new_date, reschedule.new_time)
+  const movedMessage = `Booking ${booking.booking_number} moved from ${oldSlot} to ${newSlot}.`
+  const reassigned = reschedule.new_worker_id !== reschedule.old_worker_id
+
+  let newWorkerUserId = null
+  if (reassigned) {
+    try {
+      newWorkerUserId = await getWorkerUserId(reschedule.new_worker_id)
+    } catch (error) {
+      console.error('⚠️ Failed to look up the newly assigned worker:', error)
+    }
+  }
+
+  const notices = [
+    { userId: booking.customer_id, title: 'Booking rescheduled', message: movedMessage },
+    reassigned
+      ? { userId: booking.worker?.user_id, title: 'Booking reassigned', message: `Booking ${booking.booking_number} on ${oldSlot} was reassigned to another worker.` }
+      : { userId: booking.worker?.user_id, title: 'Booking rescheduled', message: movedMessage },
+    reassigned && { userId: newWorkerUserId, title: 'Booking assigned', message: `Booking ${booking.booking_number} was assigned to you for ${newSlot}.` }
+  ].filter(notice => notice && notice.userId)
+
+  await Promise.all(notices.map(async (notice) => {
+    try {
+      await createNotification({
+        user_id: notice.userId,
+        type: 'booking_update',
+        title: notice.title,
+        message: reschedule.reason ? `${notice.message} Reason: ${reschedule.reason}` : notice.message,
+        booking_id: booking.id,
+        data: {
+          event: 'rescheduled',
+          old_date: reschedule.old_date,
+          old_time: reschedule.old_time,
+          new_date: reschedule.new_date,
+          new_time: reschedule.new_time,
+          old_worker_id: reschedule.old_worker_id,
+          new_worker_id: reschedule.new_worker_id
+        },
+        action_url: '/dashboard/bookings'
+      })
+    } catch (error) {
+      console.error('⚠️ Failed to send reschedule notification:', error)
+    }
+  }))
+}
+
+// Move a booking to a new slot, keeping a record of the old one
+export const rescheduleBooking = async (id, newSlot, rescheduledBy, reason, options = {}) => {
+  try {
+    const { allowConflicts = false, allowShortNotice = false } = options
+
+    if (!newSlot?.scheduled_date || !newSlot?.scheduled_time) {
+      throw new Error('Choose a new date and time')
+    }
+    if (!reason?.trim()) {
+      throw new Error('A reason is required to reschedule a booking')
+    }
+
+    const { data: booking, error: bookingError } = await supabase
+      .from('bookings')
+      .select(`
+        id,
+        booking_number,
+        status,
+        can_reschedule,
+        customer_id,
+        worker_id,
+        scheduled_date,
+        scheduled_time,
+        estimated_duration,
+        service_address_text,
+        crew_split_rule,
+        worker:worker_id (
+          user_id
+        ),
+        crew:booking_crew (
+          worker_id,
+          role,
+          share_percent
+        )
+      `)
+      .eq('id', id)
+      .single()
+
+    if (bookingError) throw bookingError
+
+    const issue = getRescheduleIssue(booking, { allowShortNotice })
+    if (issue) {
+      const error = new Error(issue)
+      error.code = 'RESCHEDULE_NOT_ALLOWED'
+      throw error
+    }
+
+    if (getHoursUntilSlot(newSlot.scheduled_date, newSlot.scheduled_time) <= 0) {
+      throw new Error('The new slot must be in the future')
+    }
+
+    const updates = {
+      scheduled_date: newSlot.scheduled_date,
+      scheduled_time: newSlot.scheduled_time,
+      worker_id: newSlot.worker_id !== undefined ? (newSlot.worker_id || null) : booking.worker_id
+    }
+
+    if (
+      updates.scheduled_date === booking.scheduled_date &&
+      updates.scheduled_time.slice(0, 5) === booking.scheduled_time?.slice(0, 5) &&
+      updates.worker_id === booking.worker_id
+    ) {
+      throw new Error('The new slot is the same as the current one')
+    }
+
+    // The helpers move with the booking; a new lead takes over the lead row
+    const workerChanged = updates.worker_id !== booking.worker_id
+    const crew = buildBookingCrew(updates.worker_id, booking.crew)
+
+    await assertNoBookingConflicts(
+      {
+        ...updates,
+        crew,
+        estimated_duration: booking.estimated_duration,
+        service_address_text: booking.service_address_text
+      },
+      { excludeBookingId: id, allowConflicts }
+    )
+
+    const { data: updated, error: updateError } = await supabase
+      .from('bookings')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .single()
+
+    if (updateError) throw updateError
+
+    if (workerChanged) {
+      try {
+        updated.crew = await syncBookingCrew(id, crew, { rule: booking.crew_split_rule })
+      } catch (crewError) {
+        console.error('⚠️ Failed to update booking crew:', crewError)
+      }
+    }
+
+    const record = {
+      booking_id: id,
+      old_date: booking.scheduled_date,
+      old_time: booking.scheduled_time,
+      old_worker_id: booking.worker_id,
+      new_date: updates.scheduled_date,
+      new_time: updates.scheduled_time,
+      new_worker_id: updates.worker_id,
+      reason: reason.trim(),
+      rescheduled_by: rescheduledBy || null,
+      created_at: new Date().toISOString()
+    }
+
+    const { data: reschedule, error: historyError } = await supabase
+      .from('booking_reschedules')
+      .insert([record])
+      .select()
+      .single()
+
+    if (historyError) {
+      console.error('⚠️ Failed to record reschedule history:', historyError)
+    }
+
+    await notifyReschedule(booking, record)
+    await offerSlotFreedByBooking(booking, updated)
+
+    return { booking: updated, reschedule: reschedule || record }
+  } catch (error) {
+    console.error('Error rescheduling booking:', error)
+    throw error
+  }
+}
+
+// Get the reschedule history of a booking, newest first
+export const getBookingReschedules = async (bookingId) => {
+  try {
+    const { data, error } = await supabase
+      .from('booking_reschedules')
+      .select(`
+        *,
+        rescheduler:rescheduled_by (
+          id,
+          full_name
+        )
+      `)
+      .eq('booking_id', bookingId)
+      .order('created_at', { ascending: false })
+
+    if (error) throw error
+    return data || []
+  } catch (error) {
+    console.error('Error fetching booking reschedules:', error)
+    throw error
+  }
+}
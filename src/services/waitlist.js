@@ -0,0 +1,258 @@
+import { supabase } from './supabaseClient'
+import { getAvailableSlots } from './availability'
+import { createNotification } from './notifications'
+import { OPEN_WAITLIST_STATUSES, didBookingFreeSlot, pickWaitlistSlot } from '@/utils/waitlistUtils'
+import { getTodayDateString } from '@/utils/scheduleUtils'
+
+const WAITLIST_SELECT = `
+  *,
+  customer:profiles!waitlist_entries_customer_id_fkey (
+    id,
+    full_name,
+    email,
+    phone
+  ),
+  service:services!waitlist_entries_service_id_fkey (
+    id,
+    title,
+    price,
+    duration_minutes
+  ),
+  offered_worker:offered_worker_id (
+    id,
+    business_name,
+    user:user_id (
+      full_name
+    )
+  )
+`
+
+// Get waitlist entries, oldest first so they read in the order they will be served
+export const getWaitlistEntries = async (options = {}) => {
+  try {
+    const { statuses = OPEN_WAITLIST_STATUSES, dateFrom = null } = options
+
+    let query = supabase
+      .from('waitlist_entries')
+      .select(WAITLIST_SELECT)
+      .in('status', statuses)
+      .order('preferred_date', { ascending: true })
+      .order('created_at', { ascending: true })
+
+    if (dateFrom) {
+      query = query.gte('preferred_date', dateFrom)
+    }
+
+    const { data, error } = await query
+
+    if (error) throw error
+    return data || []
+  } catch (error) {
+    console.error('Error fetching waitlist:', error)
+    throw error
+  }
+}
+
+// Put a customer on the waitlist for a service on a date within a time window
+export const addWaitlistEntry = async (entry) => {
+  try {
+    if (!entry.customer_id || !entry.service_id || !entry.preferred_date) {
+      throw new Error('Customer, service and date are required to join the waitlist')
+    }
+    if (!entry.window_start || !entry.window_end || entry.window_start >= entry.window_end) {
+      throw new Error('Choose a time window that ends after it starts')
+    }
+
+    const { data, error } = await supabase
+      .from('waitlist_entries')
+      .insert([{
+        customer_id: entry.customer_id,
+        service_id: entry.service_id,
+        preferred_date: entry.preferred_date,
+        window_start: entry.window_start,
+        window_end: entry.window_end,
+        estimated_duration: parseInt(entry.estimated_duration) || 60,
+        vehicle_type: entry.vehicle_type || null,
+        service_address_text: entry.service_address_text || null,
+        notes: entry.notes || null,
+        status: 'waiting'
+      }])
+      .select(WAITLIST_SELECT)
+      .single()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error adding waitlist entry:', error)
+    throw error
+  }
+}
+
+// Take an entry off the waitlist
+export const removeWaitlistEntry = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('waitlist_entries')
+      .update({ status: 'removed', updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error removing waitlist entry:', error)
+    throw error
+  }
+}
+
+// Record the booking made from an entry's offered slot
+export const markWaitlistEntryBooked = async (id, bookingId) => {
+  try {
+    const { data, error } = await supabase
+      .from('waitlist_entries')
+      .update({
+        status: 'booked',
+        booking_id: bookingId,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error marking waitlist entry booked:', error)
+    throw error
+  }
+}
+
+// Tell the admins a freed slot was offered to someone on the waitlist
+const notifyAdminsOfOffer = async (entry) => {
+  const { data: admins, error } = await supabase
+    .from('profiles')
+    .select('id')
+    .in('role', ['admin', 'manager'])
+
+  if (error) {
+    console.error('⚠️ Failed to load admins for waitlist notification:', error)
+    return
+  }
+
+  const customerName = entry.customer?.full_name || 'A waitlisted customer'
+  const message = `${customerName} can have ${entry.service?.title || 'their service'} on ${entry.preferred_date} at ${entry.offered_time.slice(0, 5)}. Confirm with the customer and book it from the waitlist.`
+
+  await Promise.all((admins || []).map(async (admin) => {
+    try {
+      await createNotification({
+        user_id: admin.id,
+        type: 'booking_update',
+        title: 'Waitlist slot freed',
+        message,
+        data: {
+          event: 'waitlist_offer',
+          waitlist_entry_id: entry.id,
+          date: entry.preferred_date,
+          time: entry.offered_time
+        },
+        action_url: '/dashboard/bookings/waitlist'
+      })
+    } catch (notifyError) {
+      console.error('⚠️ Failed to send waitlist notification:', notifyError)
+    }
+  }))
+}
+
+/**
+ * Offer a slot on the given date to the first waiting entry (FIFO) that now fits.
+ * Slots already offered to other entries are skipped. Returns the offered entry, or null.
+ */
+export const offerFreedSlot = async (date) => {
+  try {
+    if (!date || date < getTodayDateString()) return null
+
+    const { data: entries, error } = await supabase
+      .from('waitlist_entries')
+      .select(WAITLIST_SELECT)
+      .eq('preferred_date', date)
+      .in('status', OPEN_WAITLIST_STATUSES)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+
+    const takenTimes = (entries || []).filter(entry => entry.status === 'offered').map(entry => entry.offered_time)
+
+    for (const entry of (entries || []).filter(item => item.status === 'waiting')) {
+      const { slots } = await getAvailableSlots({
+        serviceId: entry.service_id,
+        date,
+        duration: entry.estimated_duration,
+        location: entry.service_address_text
+      })
+
+      const slot = pickWaitlistSlot(entry, slots, takenTimes)
+      if (!slot) continue
+
+      // Only offer if the entry is still waiting
+      const { data: offered, error: offerError } = await supabase
+        .from('waitlist_entries')
+        .update({
+          status: 'offered',
+          offered_time: slot.time,
+          offered_worker_id: slot.workers[0]?.id || null,
+          offered_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', entry.id)
+        .eq('status', 'waiting')
+        .select(WAITLIST_SELECT)
+        .maybeSingle()
+
+      if (offerError) throw offerError
+      if (!offered) continue
+
+      await notifyAdminsOfOffer(offered)
+      return offered
+    }
+
+    return null
+  } catch (error) {
+    console.error('Error offering freed slot to waitlist:', error)
+    throw error
+  }
+}
+
+// Offer the slot a booking gave up, if it gave one up. Never throws, since the booking change already succeeded.
+export const offerSlotFreedByBooking = async (before, after) => {
+  if (!didBookingFreeSlot(before, after)) return null
+
+  try {
+    return await offerFreedSlot(before.scheduled_date)
+  } catch (error) {
+    console.error('⚠️ Failed to offer freed slot to the waitlist:', error)
+    return null
+  }
+}
+
+// The customer turned down the offered slot: move on to the next entry in line
+export const declineWaitlistOffer = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('waitlist_entries')
+      .update({ status: 'declined', updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('status', 'offered')
+      .select()
+      .maybeSingle()
+
+    if (error) throw error
+    if (!data) throw new Error('This entry has no open offer')
+
+    const next = await offerFreedSlot(data.preferred_date)
+    return { entry: data, next }
+  } catch (error) {
+    console.error('Error declining waitlist offer:', error)
+    throw error
+  }
+}
@@ -0,0 +1,172 @@
+// Maximum points each ranking factor can contribute to a worker's score
+export const ASSIGNMENT_WEIGHTS = {
+  status: 30,
+  distance: 25,
+  load: 20,
+  rating: 15,
+  service: 10
+}
+
+// Number of bookings in a day at which a worker counts as fully loaded
+export const MAX_DAILY_LOAD = 6
+
+// Radius used when a worker profile has none set
+export const DEFAULT_SERVICE_RADIUS_KM = 20
+
+// How many candidates the booking form proposes
+export const SUGGESTION_COUNT = 3
+
+// Parse the hex EWKB that PostgREST returns for a PostGIS point
+const parseEwkbPoint = (hex) => {
+  const bytes = new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)))
+  const view = new DataView(bytes.buffer)
+  const littleEndian = bytes[0] === 1
+  const type = view.getUint32(1, littleEndian)
+  // The SRID flag adds a 4-byte SRID before the coordinates
+  const offset = type & 0x20000000 ? 9 : 5
+  return {
+    lng: view.getFloat64(offset, littleEndian),
+    lat: view.getFloat64(offset + 8, littleEndian)
+  }
+}
+
+// Normalise a location ({ lat, lng }, GeoJSON, WKT or EWKB) into { lat, lng }, or null
+export const parseLocation = (value) => {
+  if (!value) return null
+
+  let point = null
+
+  if (typeof value === 'object') {
+    if (Array.isArray(value.coordinates)) {
+      point = { lng: value.coordinates[0], lat: value.coordinates[1] }
+    } else if (value.lat !== undefined || value.latitude !== undefined) {
+      point = { lat: value.lat ?? value.latitude, lng: value.lng ?? value.longitude }
+    }
+  } else if (typeof value === 'string') {
+    const wkt = value.match(/POINT\s*\(\s*(-?[\d.]+)\s+(-?[\d.]+)\s*\)/i)
+    if (wkt) {
+      point = { lng: wkt[1], lat: wkt[2] }
+    } else if (/^[0-9a-f]+$/i.test(value) && value.length >= 42) {
+      point = parseEwkbPoint(value)
+    }
+  }
+
+  if (!point) return null
+
+  const lat = parseFloat(point.lat)
+  const lng = parseFloat(point.lng)
+  return isNaN(lat) || isNaN(lng) ? null : { lat, lng }
+}
+
+// Great-circle distance between two { lat, lng } points in kilometres
+export const getDistanceKm = (from, to) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180
+  const dLat = toRadians(to.lat - from.lat)
+  const dLng = toRadians(to.lng - from.lng)
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
+}
+
+const round = (value) => Math.round(value * 10) / 10
+
+// Score a candidate worker, with one explanation line per factor and any blockers that rule them out
+export const scoreWorkerCandidate = (candidate, bookingLocation = null) => {
+  const { worker, workerService, dayBookings = [], scheduleCheck = null } = candidate
+  const reasons = []
+  const blockers = []
+
+  // Offers the service
+  const customPrice = workerService?.custom_price
+  reasons.push({
+    factor: 'service',
+    points: ASSIGNMENT_WEIGHTS.service,
+    label: customPrice ? `Offers this service (${customPrice} MAD)` : 'Offers this service'
+  })
+
+  // Status
+  if (worker.status === 'offline') {
+    blockers.push('Worker is offline')
+    reasons.push({ factor: 'status', points: 0, label: 'Offline' })
+  } else {
+    const available = worker.status === 'available'
+    reasons.push({
+      factor: 'status',
+      points: available ? ASSIGNMENT_WEIGHTS.status : ASSIGNMENT_WEIGHTS.status / 3,
+      label: available ? 'Available now' : 'Currently busy'
+    })
+  }
+
+  // Distance within the service radius
+  const workerLocation = parseLocation(worker.current_location) || parseLocation(worker.base_location)
+  const radius = parseFloat(worker.service_radius_km) || DEFAULT_SERVICE_RADIUS_KM
+  let distanceKm = null
+
+  if (workerLocation && bookingLocation) {
+    distanceKm = round(getDistanceKm(workerLocation, bookingLocation))
+    if (distanceKm > radius) {
+      blockers.push(`${distanceKm} km away, outside ${radius} km service radius`)
+      reasons.push({ factor: 'distance', points: 0, label: `${distanceKm} km away (radius ${radius} km)` })
+    } else {
+      reasons.push({
+        factor: 'distance',
+        points: round(ASSIGNMENT_WEIGHTS.distance * (1 - distanceKm / radius)),
+        label: `${distanceKm} km away (radius ${radius} km)`
+      })
+    }
+  } else {
+    // Unknown distance scores neutrally rather than ruling the worker out
+    reasons.push({
+      factor: 'distance',
+      points: ASSIGNMENT_WEIGHTS.distance / 2,
+      label: workerLocation ? 'Booking location unknown' : 'Worker location unknown'
+    })
+  }
+
+  // Daily load
+  const load = dayBookings.length
+  reasons.push({
+    factor: 'load',
+    points: round(ASSIGNMENT_WEIGHTS.load * Math.max(0, 1 - load / MAX_DAILY_LOAD)),
+    label: load === 0 ? 'No other bookings that day' : `${load} booking${load === 1 ? '' : 's'} that day`
+  })
+
+  // Rating
+  const rating = parseFloat(worker.user?.worker_rating)
+  if (rating > 0) {
+    reasons.push({
+      factor: 'rating',
+      points: round(ASSIGNMENT_WEIGHTS.rating * Math.min(rating, 5) / 5),
+      label: `Rated ${rating.toFixed(1)}/5`
+    })
+  } else {
+    reasons.push({ factor: 'rating', points: ASSIGNMENT_WEIGHTS.rating / 2, label: 'Not rated yet' })
+  }
+
+  // The requested slot itself must be free
+  if (scheduleCheck?.conflicts?.length > 0) {
+    blockers.push(`Already booked at this time (${scheduleCheck.conflicts.map(b => b.booking_number).join(', ')})`)
+  }
+  if (scheduleCheck?.workingHoursIssue) {
+    blockers.push(scheduleCheck.workingHoursIssue)
+  }
+
+  return {
+    worker,
+    score: round(reasons.reduce((total, reason) => total + reason.points, 0)),
+    eligible: blockers.length === 0,
+    blockers,
+    reasons,
+    distanceKm,
+    load
+  }
+}
+
+// Sort scored candidates: eligible first, then by score, then by lightest load
+export const rankCandidates = (scored) => {
+  return [...scored].sort((a, b) => {
+    if (a.eligible !== b.eligible) return a.eligible ? -1 : 1
+    if (b.score !== a.score) return b.score - a.score
+    return a.load - b.load
+  })
+}
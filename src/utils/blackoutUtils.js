@@ -0,0 +1,93 @@
+import { timeToMinutes, minutesToTime } from '@/utils/scheduleUtils'
+
+// Kinds of blackout: the whole day closed, or only open within reduced hours (e.g. Ramadan)
+export const BLACKOUT_TYPES = {
+  closed: {
+    label: 'Closed',
+    color: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300'
+  },
+  reduced_hours: {
+    label: 'Reduced hours',
+    color: 'bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-300'
+  }
+}
+
+/**
+ * Check whether a blackout covers a 'YYYY-MM-DD' date at a location.
+ * Blackouts without a city apply everywhere; city blackouts match when the location
+ * (a city or a full service address) mentions that city.
+ */
+export const blackoutAppliesTo = (blackout, date, location = '') => {
+  if (!blackout || !date) return false
+  if (date < blackout.start_date || date > blackout.end_date) return false
+  if (!blackout.city) return true
+  return String(location || '').toLowerCase().includes(blackout.city.trim().toLowerCase())
+}
+
+/**
+ * Combine the blackouts covering a date at a location into one set of opening rules.
+ * Returns null when nothing applies, otherwise { closed, titles, openStart, openEnd }
+ * where the open window (minutes since midnight) is the overlap of all reduced-hours entries.
+ */
+export const getDayBlackout = (blackouts, date, location = '') => {
+  const matching = (blackouts || []).filter(blackout => blackoutAppliesTo(blackout, date, location))
+  if (matching.length === 0) return null
+
+  const day = {
+    closed: false,
+    titles: matching.map(blackout => blackout.title),
+    openStart: 0,
+    openEnd: 24 * 60
+  }
+
+  matching.forEach(blackout => {
+    if (blackout.type === 'closed') {
+      day.closed = true
+      return
+    }
+    day.openStart = Math.max(day.openStart, timeToMinutes(blackout.open_time) ?? 0)
+    day.openEnd = Math.min(day.openEnd, timeToMinutes(blackout.close_time) ?? 24 * 60)
+  })
+
+  // Reduced-hours windows that don't overlap leave nothing open
+  if (day.openStart >= day.openEnd) day.closed = true
+
+  return day
+}
+
+// Describe a day's blackout for display, e.g. 'Closed: Eid al-Fitr' or 'Open 09:00 - 15:00: Ramadan'
+export const describeDayBlackout = (day) => {
+  if (!day) return ''
+  const reason = day.titles.join(', ')
+  if (day.closed) return `Closed: ${reason}`
+  return `Open ${minutesToTime(day.openStart)} - ${minutesToTime(day.openEnd)}: ${reason}`
+}
+
+// Describe why a date (and optionally a start/end range in minutes) falls in a blackout, or return null
+export const getBlackoutIssue = (blackouts, date, location = '', range = null) => {
+  const day = getDayBlackout(blackouts, date, location)
+  if (!day) return null
+
+  if (day.closed) return describeDayBlackout(day)
+
+  if (range && (range.start < day.openStart || range.end > day.openEnd)) {
+    return `Outside reduced hours (${describeDayBlackout(day)})`
+  }
+
+  return null
+}
+
+// Check a blackout form before saving, returning an error message or null
+export const validateBlackout = (blackout) => {
+  if (!blackout.title?.trim()) return 'Give the blackout a name'
+  if (!BLACKOUT_TYPES[blackout.type]) return 'Choose whether the day is closed or on reduced hours'
+  if (!blackout.start_date || !blackout.end_date) return 'Choose the first and last date'
+  if (blackout.end_date < blackout.start_date) return 'The last date cannot be before the first date'
+  if (blackout.type === 'reduced_hours') {
+    if (!blackout.open_time || !blackout.close_time) return 'Set the reduced opening hours'
+    if (timeToMinutes(blackout.open_time) >= timeToMinutes(blackout.close_time)) {
+      return 'Reduced hours must close after they open'
+    }
+  }
+  return null
+}
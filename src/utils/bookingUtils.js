@@ -1,3 +1,7 @@
+import { getDayBlackout, describeDayBlackout } from '@/utils/blackoutUtils'
+import { getTodayDateString } from '@/utils/scheduleUtils'
+import { formatDateString } from '@/utils/timeZoneUtils'
+
  
 export const getDefaultBookingForm = (userProfile = null) => {
   const defaultForm = {
@@ -81,6 +85,11 @@ export const BOOKING_STATUSES = {
     label: 'Cancelled',
     color: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300',
     description: 'Booking cancelled'
+  },
+  no_show: {
+    label: 'No-show',
+    color: 'bg-gray-200 text-gray-800 dark:bg-gray-800 dark:text-gray-300',
+    description: 'Customer was not there when the worker arrived'
   }
 }
 
@@ -99,7 +108,7 @@ export const getServiceDisplayPrice = (service) => {
 export const formatBookingForDisplay = (booking) => {
   if (!booking) return null
 
-  const formattedDate = new Date(booking.scheduled_date).toLocaleDateString('en-US', {
+  const formattedDate = formatDateString(booking.scheduled_date, {
     weekday: 'long',
     year: 'numeric',
     month: 'long',
@@ -149,19 +158,25 @@ export const getRequiredFields = (userRole) => {
   return baseRequired
 }
 
-// Generate field error messages
-export const getFieldErrorMessage = (fieldName, value, userRole) => {
+// Generate field error messages. `options.blackouts` and `options.location` close holiday dates.
+export const getFieldErrorMessage = (fieldName, value, userRole, options = {}) => {
   switch (fieldName) {
     case 'customer_id':
       return !value ? 'Please select a customer' : ''
     case 'service_id':
       return !value ? 'Please select a service' : ''
-    case 'scheduled_date':
+    case 'scheduled_date': {
       if (!value) return 'Please select a date'
-      if (new Date(value) < new Date().setHours(0, 0, 0, 0)) {
+      // Compare against today in the business time zone, not the browser's
+      if (value < getTodayDateString()) {
         return 'Date cannot be in the past'
       }
+      const blackout = getDayBlackout(options.blackouts, value, options.location)
+      if (blackout?.closed) {
+        return `No bookings on this date (${describeDayBlackout(blackout)})`
+      }
       return ''
+    }
     case 'scheduled_time':
       return !value ? 'Please select a time' : ''
     case 'service_address_text':
@@ -253,6 +268,10 @@ export const canCancelBooking = (booking, userRole, userId) => {
   return false
 }
 
+// Statuses only reached through their own flow (cancelBooking, markNoShow), which apply the fee,
+// refund the rest and free the slot, so plain status changes can't set them
+export const FLOW_ONLY_STATUSES = ['cancelled', 'no_show']
+
 // Get available status transitions based on current status and user role
 export const getAvailableStatusTransitions = (currentStatus, userRole) => {
   const transitions = {
@@ -262,13 +281,13 @@ export const getAvailableStatusTransitions = (currentStatus, userRole) => {
       customer: ['cancelled']
     },
     confirmed: {
-      admin: ['in_progress', 'cancelled'],
-      worker: ['in_progress', 'cancelled'],
+      admin: ['in_progress', 'cancelled', 'no_show'],
+      worker: ['in_progress', 'cancelled', 'no_show'],
       customer: []
     },
     in_progress: {
-      admin: ['completed', 'cancelled'],
-      worker: ['completed'],
+      admin: ['completed', 'cancelled', 'no_show'],
+      worker: ['completed', 'no_show'],
       customer: []
     },
     completed: {
@@ -280,10 +299,23 @@ export const getAvailableStatusTransitions = (currentStatus, userRole) => {
       admin: [],
       worker: [],
       customer: []
+    },
+    no_show: {
+      admin: [],
+      worker: [],
+      customer: []
     }
   }
 
-  return transitions[currentStatus]?.[userRole] || []
+  // Managers follow the admin workflow
+  const role = userRole === 'manager' ? 'admin' : userRole
+
+  return transitions[currentStatus]?.[role] || []
+}
+
+// Check whether a status change is allowed for a role
+export const isValidStatusTransition = (fromStatus, toStatus, userRole = 'admin') => {
+  return getAvailableStatusTransitions(fromStatus, userRole).includes(toStatus)
 }
 
 // Format form data for API submission
@@ -334,6 +366,7 @@ const bookingUtils = {
   getDefaultBookingForm,
   VEHICLE_TYPES,
   BOOKING_STATUSES,
+  FLOW_ONLY_STATUSES,
   calculateBookingPrice,
   getServiceDisplayPrice,
   formatBookingForDisplay,
@@ -342,6 +375,7 @@ const bookingUtils = {
   canEditBooking,
   canCancelBooking,
   getAvailableStatusTransitions,
+  isValidStatusTransition,
   prepareBookingDataForAPI,
   prepareBookingDataForForm
 }
@@ -0,0 +1,74 @@
+import { getHoursUntilSlot } from '@/utils/scheduleUtils'
+
+// Policy used when no policy is configured for a service category.
+// Tiers are checked from the longest notice down: the first tier whose hours_before is met applies.
+export const DEFAULT_CANCELLATION_POLICY = {
+  id: null,
+  name: 'Standard',
+  service_category: null,
+  tiers: [
+    { hours_before: 24, fee_percentage: 0 },
+    { hours_before: 2, fee_percentage: 25 },
+    { hours_before: 0, fee_percentage: 50 }
+  ],
+  cancel_cutoff_hours: 0
+}
+
+// Tiers sorted from the longest notice to the shortest
+const getSortedTiers = (policy) => {
+  return [...(policy?.tiers || [])].sort((a, b) => b.hours_before - a.hours_before)
+}
+
+// Get the fee tier that applies with the given hours of notice
+export const getApplicableTier = (policy, hoursBefore) => {
+  const tiers = getSortedTiers(policy)
+  if (tiers.length === 0) return { hours_before: 0, fee_percentage: 0 }
+  return tiers.find(tier => hoursBefore >= tier.hours_before) || tiers[tiers.length - 1]
+}
+
+// Check whether the cancellation window has closed for a booking
+export const isCancellationWindowClosed = (policy, booking, now = new Date()) => {
+  const cutoff = parseFloat(policy?.cancel_cutoff_hours) || 0
+  return getHoursUntilSlot(booking.scheduled_date, booking.scheduled_time, now) < cutoff
+}
+
+// Work out what cancelling a booking now would cost under a policy
+export const calculateCancellationFee = (policy, booking, now = new Date()) => {
+  const hoursBefore = getHoursUntilSlot(booking.scheduled_date, booking.scheduled_time, now)
+  const tier = getApplicableTier(policy, hoursBefore)
+  const total = parseFloat(booking.total_price) || 0
+  const feeAmount = Math.round(total * (parseFloat(tier.fee_percentage) || 0)) / 100
+
+  return {
+    policyId: policy?.id || null,
+    policyName: policy?.name || DEFAULT_CANCELLATION_POLICY.name,
+    hoursBefore: Math.round(hoursBefore * 10) / 10,
+    feePercentage: parseFloat(tier.fee_percentage) || 0,
+    feeAmount,
+    refundableAmount: Math.max(0, total - feeAmount),
+    windowClosed: isCancellationWindowClosed(policy, booking, now)
+  }
+}
+
+// Describe each tier of a policy, e.g. 'Free until 24h before'
+export const describeCancellationPolicy = (policy) => {
+  const tiers = getSortedTiers(policy)
+
+  const lines = tiers.map((tier, index) => {
+    const fee = parseFloat(tier.fee_percentage) || 0
+    const feeLabel = fee === 0 ? 'Free' : `${fee}% fee`
+
+    if (index === 0) return `${feeLabel} from ${tier.hours_before}h before`
+    const previous = tiers[index - 1]
+    return tier.hours_before > 0
+      ? `${feeLabel} from ${tier.hours_before}h to ${previous.hours_before}h before`
+      : `${feeLabel} within ${previous.hours_before}h`
+  })
+
+  const cutoff = parseFloat(policy?.cancel_cutoff_hours) || 0
+  if (cutoff > 0) {
+    lines.push(`No cancellations within ${cutoff}h of the appointment`)
+  }
+
+  return lines
+}
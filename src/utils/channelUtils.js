@@ -0,0 +1,109 @@
+// Channels a booking can come in through, stored in bookings.source
+export const BOOKING_CHANNELS = {
+  app: {
+    label: 'Mobile app',
+    color: 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-300'
+  },
+  website: {
+    label: 'Website',
+    color: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300'
+  },
+  whatsapp: {
+    label: 'WhatsApp',
+    color: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300'
+  },
+  phone: {
+    label: 'Phone call',
+    color: 'bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-300'
+  },
+  admin: {
+    label: 'Admin',
+    color: 'bg-gray-100 text-gray-800 dark:bg-gray-800 dark:text-gray-300'
+  }
+}
+
+// Bucket for bookings made before the channel was recorded
+export const UNKNOWN_CHANNEL = 'unknown'
+
+// Campaign fields kept on the booking alongside its channel
+export const CAMPAIGN_FIELDS = ['utm_source', 'utm_medium', 'utm_campaign']
+
+// Get a channel's label, including the bucket for unrecorded channels
+export const getChannelLabel = (channel) => {
+  if (!channel || channel === UNKNOWN_CHANNEL) return 'Not recorded'
+  return BOOKING_CHANNELS[channel]?.label || channel
+}
+
+// Accept a channel key or label in any case (e.g. from an import), or return null
+export const normalizeBookingChannel = (value) => {
+  const text = String(value || '').trim().toLowerCase()
+  if (!text) return null
+  const match = Object.entries(BOOKING_CHANNELS).find(([key, config]) =>
+    key === text || config.label.toLowerCase() === text
+  )
+  return match ? match[0] : null
+}
+
+// Channel to record when none was chosen: customers book on the website, staff book on their behalf
+export const getDefaultBookingChannel = (role) => {
+  if (!role) return null
+  return role === 'customer' ? 'website' : 'admin'
+}
+
+// Read utm_* campaign parameters from a URL query string, keeping only the ones present
+export const getCampaignFromQuery = (search) => {
+  const params = new URLSearchParams(search || '')
+  return CAMPAIGN_FIELDS.reduce((campaign, field) => {
+    const value = params.get(field)?.trim()
+    if (value) campaign[field] = value
+    return campaign
+  }, {})
+}
+
+/**
+ * Group bookings by channel with their count, revenue and cancellation rate.
+ * Revenue counts bookings that weren't cancelled or missed; rates are percentages.
+ */
+export const summarizeBookingsByChannel = (bookings) => {
+  const byChannel = new Map()
+
+  for (const booking of bookings || []) {
+    const channel = BOOKING_CHANNELS[booking.source] ? booking.source : UNKNOWN_CHANNEL
+    if (!byChannel.has(channel)) {
+      byChannel.set(channel, { channel, label: getChannelLabel(channel), bookings: 0, cancelled: 0, revenue: 0 })
+    }
+
+    const row = byChannel.get(channel)
+    row.bookings += 1
+    if (booking.status === 'cancelled') {
+      row.cancelled += 1
+    } else if (booking.status !== 'no_show') {
+      row.revenue += parseFloat(booking.total_price) || 0
+    }
+  }
+
+  return Array.from(byChannel.values())
+    .map(row => ({
+      ...row,
+      cancellationRate: row.bookings > 0 ? (row.cancelled / row.bookings) * 100 : 0
+    }))
+    .sort((a, b) => b.bookings - a.bookings)
+}
+
+// Count bookings and revenue per utm_campaign, most bookings first
+export const summarizeBookingsByCampaign = (bookings) => {
+  const byCampaign = new Map()
+
+  for (const booking of (bookings || []).filter(item => item.utm_campaign)) {
+    if (!byCampaign.has(booking.utm_campaign)) {
+      byCampaign.set(booking.utm_campaign, { campaign: booking.utm_campaign, bookings: 0, revenue: 0 })
+    }
+    const row = byCampaign.get(booking.utm_campaign)
+    row.bookings += 1
+    if (!['cancelled', 'no_show'].includes(booking.status)) {
+      row.revenue += parseFloat(booking.total_price) || 0
+    }
+  }
+
+  return Array.from(byCampaign.values()).sort((a, b) => b.bookings - a.bookings)
+}
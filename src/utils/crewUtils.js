@@ -0,0 +1,119 @@
+// Roles a worker can have on a booking's crew
+export const CREW_ROLES = {
+  lead: { label: 'Lead' },
+  helper: { label: 'Helper' }
+}
+
+// Ways a booking's worker earnings are divided between its crew
+export const CREW_SPLIT_RULES = [
+  { value: 'equal', label: 'Equal shares' },
+  { value: 'lead_weighted', label: 'Lead takes a larger share' },
+  { value: 'custom', label: 'Custom percentages' }
+]
+
+const roundAmount = (value) => Math.round(value * 100) / 100
+
+// Rule used when a booking has none set, from NEXT_PUBLIC_CREW_SPLIT_RULE
+export const getDefaultCrewSplitRule = () => {
+  const rule = process.env.NEXT_PUBLIC_CREW_SPLIT_RULE
+  return CREW_SPLIT_RULES.some(item => item.value === rule) ? rule : 'equal'
+}
+
+// Shares the lead counts for under 'lead_weighted' (helpers count 1 each), from NEXT_PUBLIC_CREW_LEAD_WEIGHT
+export const getCrewLeadWeight = () => {
+  const weight = parseFloat(process.env.NEXT_PUBLIC_CREW_LEAD_WEIGHT)
+  return isNaN(weight) || weight < 1 ? 1.5 : weight
+}
+
+/**
+ * Build a booking's crew with the lead first.
+ * The lead is always `leadId`; helpers are de-duplicated and never repeat the lead.
+ * Returns an empty crew when there is no lead.
+ */
+export const buildBookingCrew = (leadId, crew = []) => {
+  if (!leadId) return []
+
+  const members = Array.isArray(crew) ? crew : []
+  const leadEntry = members.find(member => member.role === 'lead') || {}
+  const seen = new Set([leadId])
+  const helpers = []
+
+  members
+    .filter(member => member.role !== 'lead' && member.worker_id)
+    .forEach(member => {
+      if (seen.has(member.worker_id)) return
+      seen.add(member.worker_id)
+      helpers.push({
+        worker_id: member.worker_id,
+        role: 'helper',
+        share_percent: member.share_percent ?? null
+      })
+    })
+
+  return [
+    { worker_id: leadId, role: 'lead', share_percent: leadEntry.share_percent ?? null },
+    ...helpers
+  ]
+}
+
+// Get a booking's crew, falling back to its single worker for bookings saved before crews existed
+export const getBookingCrew = (booking) => {
+  if (!booking) return []
+
+  if (Array.isArray(booking.crew) && booking.crew.length > 0) {
+    return [...booking.crew].sort((a, b) => (a.role === 'lead' ? -1 : b.role === 'lead' ? 1 : 0))
+  }
+
+  return booking.worker_id
+    ? [{ worker_id: booking.worker_id, role: 'lead', share_percent: 100, worker: booking.worker }]
+    : []
+}
+
+// Every worker a booking occupies, lead first
+export const getCrewWorkerIds = (booking) => {
+  return getBookingCrew(booking).map(member => member.worker_id).filter(Boolean)
+}
+
+// Describe why custom percentages can't be used, or return null if they add up
+export const getCustomSplitIssue = (crew = []) => {
+  if (crew.some(member => isNaN(parseFloat(member.share_percent)) || parseFloat(member.share_percent) < 0)) {
+    return 'Enter a share percentage for every crew member'
+  }
+
+  const total = roundAmount(crew.reduce((sum, member) => sum + parseFloat(member.share_percent), 0))
+  return total === 100 ? null : `Crew shares add up to ${total}%, not 100%`
+}
+
+/**
+ * Work out each crew member's share of the earnings under a split rule.
+ * Shares are percentages adding up to 100; rounding leftovers go to the lead.
+ */
+export const calculateCrewShares = (crew = [], rule = getDefaultCrewSplitRule()) => {
+  if (crew.length === 0) return []
+
+  let weights
+  if (rule === 'custom' && !getCustomSplitIssue(crew)) {
+    weights = crew.map(member => parseFloat(member.share_percent))
+  } else if (rule === 'lead_weighted') {
+    weights = crew.map(member => (member.role === 'lead' ? getCrewLeadWeight() : 1))
+  } else {
+    weights = crew.map(() => 1)
+  }
+
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0)
+  const shares = weights.map(weight => roundAmount(weight * 100 / totalWeight))
+  shares[0] = roundAmount(shares[0] + 100 - shares.reduce((sum, share) => sum + share, 0))
+
+  return crew.map((member, index) => ({ ...member, share_percent: shares[index] }))
+}
+
+// Split an earnings amount by the crew's shares so the parts add up to the whole
+export const splitCrewEarnings = (crew = [], workerEarnings = 0) => {
+  if (crew.length === 0) return []
+
+  const total = parseFloat(workerEarnings) || 0
+  const earnings = crew.map(member => roundAmount(total * (parseFloat(member.share_percent) || 0) / 100))
+  earnings[0] = roundAmount(earnings[0] + total - earnings.reduce((sum, amount) => sum + amount, 0))
+
+  return crew.map((member, index) => ({ ...member, earnings: earnings[index] }))
+}
@@ -0,0 +1,81 @@
+import { getBookingRange, rangesOverlap } from '@/utils/scheduleUtils'
+import { getBookingVehicles } from '@/utils/vehicleUtils'
+
+// Bookings in these statuses are never treated as duplicates of a new booking
+export const DUPLICATE_IGNORED_STATUSES = ['cancelled', 'no_show']
+
+// Compare plates without spaces, dashes or case, so '12345-A-6' matches '12345 a 6'
+export const normalizePlate = (plate) => String(plate || '').replace(/[^0-9a-z]/gi, '').toUpperCase()
+
+// Every plate on a booking, including its additional vehicles
+export const getBookingPlates = (booking) => {
+  const plates = [booking.license_plate, ...getBookingVehicles(booking).map(vehicle => vehicle.license_plate)]
+  return [...new Set(plates.map(normalizePlate).filter(Boolean))]
+}
+
+/**
+ * Explain why two bookings look like the same job, or return null if they don't.
+ * They must be for the same service on the same date at overlapping times,
+ * and share the customer or a license plate.
+ */
+export const getDuplicateReason = (a, b) => {
+  if (!a || !b || (a.id && a.id === b.id)) return null
+  if (!a.service_id || a.service_id !== b.service_id) return null
+  if (!a.scheduled_date || a.scheduled_date !== b.scheduled_date) return null
+
+  const rangeA = getBookingRange(a)
+  const rangeB = getBookingRange(b)
+  if (!rangeA || !rangeB || !rangesOverlap(rangeA.start, rangeA.end, rangeB.start, rangeB.end)) return null
+
+  if (a.customer_id && a.customer_id === b.customer_id) return 'Same customer'
+
+  const platesB = getBookingPlates(b)
+  const sharedPlate = getBookingPlates(a).find(plate => platesB.includes(plate))
+  return sharedPlate ? `Same license plate (${sharedPlate})` : null
+}
+
+/**
+ * Group bookings that look like duplicates of each other.
+ * Returns [{ bookings, reason }] with each group's bookings oldest first.
+ */
+export const findDuplicateGroups = (bookings = []) => {
+  const candidates = bookings.filter(booking => !DUPLICATE_IGNORED_STATUSES.includes(booking.status))
+  const groupOf = new Map()
+  const groups = []
+
+  // Only bookings on the same date for the same service can match
+  const buckets = new Map()
+  candidates.forEach(booking => {
+    const key = `${booking.scheduled_date}|${booking.service_id}`
+    if (!buckets.has(key)) buckets.set(key, [])
+    buckets.get(key).push(booking)
+  })
+
+  buckets.forEach(bucket => {
+    for (let i = 0; i < bucket.length; i++) {
+      for (let j = i + 1; j < bucket.length; j++) {
+        const reason = getDuplicateReason(bucket[i], bucket[j])
+        if (!reason) continue
+
+        const group = groupOf.get(bucket[i].id) || groupOf.get(bucket[j].id)
+        if (group) {
+          [bucket[i], bucket[j]].forEach(booking => {
+            if (groupOf.has(booking.id)) return
+            group.bookings.push(booking)
+            groupOf.set(booking.id, group)
+          })
+        } else {
+          const newGroup = { bookings: [bucket[i], bucket[j]], reason }
+          groups.push(newGroup)
+          groupOf.set(bucket[i].id, newGroup)
+          groupOf.set(bucket[j].id, newGroup)
+        }
+      }
+    }
+  })
+
+  return groups.map(group => ({
+    ...group,
+    bookings: [...group.bookings].sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)))
+  }))
+}
@@ -3,6 +3,9 @@
  * Functions for exporting data to CSV format
  */
 
+import { formatPriceLines, getBookingPriceLines } from '@/utils/priceLineUtils'
+import { countBookingVehicles, formatBookingVehicles } from '@/utils/vehicleUtils'
+
 /**
  * Format a value for CSV export
  * @param {any} value - The value to format
@@ -76,7 +79,7 @@ function escapeCSV(value) {
 /**
  * Convert data array to CSV string
  * @param {Array} data - Array of objects to convert
- * @param {Array} columns - Column definitions [{ key: 'field.path', label: 'Header', type: 'date' }]
+ * @param {Array} columns - Column definitions [{ key: 'field.path', label: 'Header', type: 'date', value: (item) => any }]
  * @returns {string} CSV string
  */
 export function convertToCSV(data, columns) {
@@ -90,7 +93,8 @@ export function convertToCSV(data, columns) {
     // Create data rows
     const rows = data.map(item => {
         return columns.map(col => {
-            const value = getNestedValue(item, col.key)
+            // Computed columns supply their own accessor
+            const value = col.value ? col.value(item) : getNestedValue(item, col.key)
             const formatted = formatValue(value, col.type)
             return escapeCSV(formatted)
         }).join(',')
@@ -169,7 +173,10 @@ export const EXPORT_COLUMNS = {
         { key: 'vehicle_type', label: 'Vehicle Type' },
         { key: 'vehicle_make', label: 'Vehicle Make' },
         { key: 'vehicle_model', label: 'Vehicle Model' },
+        { key: 'vehicle_count', label: 'Vehicle Count', value: countBookingVehicles },
+        { key: 'vehicles', label: 'Vehicles', value: formatBookingVehicles },
         { key: 'service_address_text', label: 'Address' },
+        { key: 'price_lines', label: 'Price Breakdown', value: (booking) => formatPriceLines(getBookingPriceLines(booking)) },
         { key: 'total_price', label: 'Total Price (MAD)', type: 'currency' },
         { key: 'created_at', label: 'Created At', type: 'date' },
     ],
@@ -185,7 +192,15 @@ export const EXPORT_COLUMNS = {
         { key: 'status', label: 'Status' },
         { key: 'worker_earnings', label: 'Worker Earnings', type: 'currency' },
         { key: 'platform_fee', label: 'Platform Fee', type: 'currency' },
+        { key: 'refunded_amount', label: 'Refunded', type: 'currency' },
         { key: 'processed_at', label: 'Processed At', type: 'date' },
         { key: 'created_at', label: 'Created At', type: 'date' },
     ],
+
+    payoutStatement: [
+        { key: 'booking_number', label: 'Booking Number' },
+        { key: 'scheduled_date', label: 'Service Date' },
+        { key: 'role', label: 'Role' },
+        { key: 'earnings', label: 'Earnings', type: 'currency' },
+    ],
 }
@@ -0,0 +1,145 @@
+// Platform fee used when no rule matches and the booking has no worker commission to fall back on
+export const DEFAULT_PLATFORM_FEE_PERCENTAGE = 15
+
+/**
+ * What a fee rule can target, in order of precedence: when several rules match a booking,
+ * the one whose scope comes first wins. Any rule can also be limited to a date window.
+ */
+export const FEE_RULE_SCOPES = [
+  { value: 'promotion', label: 'Promotion', description: 'Bookings with this promo code or campaign' },
+  { value: 'worker', label: 'Worker', description: 'Bookings led by this worker' },
+  { value: 'category', label: 'Service category', description: 'Bookings for services in this category' },
+  { value: 'period', label: 'Date range', description: 'Every booking scheduled in the date range' }
+]
+
+// Where the applied fee came from, for the audit record stored on the payment
+export const FEE_RULE_SOURCES = {
+  rule: { label: 'Fee rule' },
+  commission: { label: 'Worker commission' },
+  default: { label: 'Default fee' },
+  manual: { label: 'Set by hand' }
+}
+
+const roundAmount = (value) => Math.round(value * 100) / 100
+
+const codeKey = (value) => String(value || '').trim().toUpperCase()
+
+// Get the config for a fee rule scope
+export const getFeeRuleScope = (scope) => {
+  return FEE_RULE_SCOPES.find(item => item.value === scope) || null
+}
+
+// Check a fee rule before saving; returns an error message or null
+export const validateFeeRule = (rule) => {
+  if (!String(rule.name || '').trim()) return 'Please enter a rule name'
+  if (!getFeeRuleScope(rule.scope)) return 'Choose what the rule applies to'
+
+  const percentage = parseFloat(rule.fee_percentage)
+  if (isNaN(percentage) || percentage < 0 || percentage > 100) {
+    return 'Fee percentage must be between 0 and 100'
+  }
+
+  if (rule.scope === 'promotion' && !String(rule.promotion_code || '').trim()) return 'Enter the promo code'
+  if (rule.scope === 'worker' && !rule.worker_id) return 'Choose a worker'
+  if (rule.scope === 'category' && !rule.service_category) return 'Choose a service category'
+  if (rule.scope === 'period' && (!rule.starts_on || !rule.ends_on)) return 'A date range rule needs a first and last day'
+  if (rule.starts_on && rule.ends_on && rule.ends_on < rule.starts_on) return 'The last day must be on or after the first day'
+
+  return null
+}
+
+// Promo codes a booking was made with: its promo price lines and its campaign
+export const getBookingPromotionCodes = (booking) => {
+  const codes = (booking.price_lines || [])
+    .filter(line => line.type === 'promo')
+    .map(line => codeKey(line.label))
+
+  if (booking.utm_campaign) codes.push(codeKey(booking.utm_campaign))
+
+  return [...new Set(codes.filter(Boolean))]
+}
+
+/**
+ * Check whether an active rule applies to a booking.
+ * `context` is { workerId, serviceCategory, promotionCodes, date } (date as 'YYYY-MM-DD').
+ */
+export const feeRuleMatches = (rule, context) => {
+  if (rule.is_active === false) return false
+  if (rule.starts_on && (!context.date || context.date < rule.starts_on)) return false
+  if (rule.ends_on && (!context.date || context.date > rule.ends_on)) return false
+
+  switch (rule.scope) {
+    case 'promotion':
+      return (context.promotionCodes || []).includes(codeKey(rule.promotion_code))
+    case 'worker':
+      return !!context.workerId && rule.worker_id === context.workerId
+    case 'category':
+      return !!context.serviceCategory && rule.service_category === context.serviceCategory
+    case 'period':
+      return true
+    default:
+      return false
+  }
+}
+
+// Record of the fee applied to a payment
+const buildAppliedFee = (source, percentage, rule = null) => ({
+  source,
+  rule_id: rule?.id || null,
+  name: rule?.name || FEE_RULE_SOURCES[source].label,
+  scope: rule?.scope || null,
+  fee_percentage: parseFloat(percentage) || 0
+})
+
+// Whether a fee percentage was typed in by hand (blank means the rules decide)
+export const hasManualFee = (percentage) => {
+  return percentage !== undefined && percentage !== null && String(percentage).trim() !== '' && !isNaN(parseFloat(percentage))
+}
+
+// The fee typed in by hand, overriding the rules
+export const getManualFee = (percentage) => buildAppliedFee('manual', percentage)
+
+/**
+ * Work out the platform fee for a booking. Matching rules are ranked by scope (see FEE_RULE_SCOPES);
+ * between rules of the same scope, the one with the latest start wins, so a dated rule beats an open-ended one.
+ * With no matching rule the worker's commission_rate applies, then DEFAULT_PLATFORM_FEE_PERCENTAGE.
+ * `context` is as for feeRuleMatches plus `commissionRate`.
+ * Returns { source, rule_id, name, scope, fee_percentage }.
+ */
+export const resolveFeeRule = (rules, context) => {
+  const scopeRank = (rule) => FEE_RULE_SCOPES.findIndex(scope => scope.value === rule.scope)
+
+  const [rule] = (rules || [])
+    .filter(candidate => feeRuleMatches(candidate, context))
+    .sort((a, b) =>
+      scopeRank(a) - scopeRank(b) ||
+      String(b.starts_on || '').localeCompare(String(a.starts_on || '')) ||
+      String(b.created_at || '').localeCompare(String(a.created_at || ''))
+    )
+
+  if (rule) return buildAppliedFee('rule', rule.fee_percentage, rule)
+
+  const commissionRate = parseFloat(context.commissionRate)
+  if (!isNaN(commissionRate)) return buildAppliedFee('commission', commissionRate)
+
+  return buildAppliedFee('default', DEFAULT_PLATFORM_FEE_PERCENTAGE)
+}
+
+// Split a payment amount into the platform fee and the worker's earnings
+export const calculateFeeSplit = (amount, feePercentage) => {
+  const total = parseFloat(amount) || 0
+  const platformFee = roundAmount((total * (parseFloat(feePercentage) || 0)) / 100)
+  return {
+    platform_fee: platformFee,
+    worker_earnings: roundAmount(total - platformFee)
+  }
+}
+
+// Describe what an applied fee came from, e.g. 'Weekend promo (Promotion rule) · 10%'
+export const describeAppliedFee = (fee) => {
+  if (!fee) return null
+  const origin = fee.source === 'rule'
+    ? `${fee.name} (${getFeeRuleScope(fee.scope)?.label || 'Fee'} rule)`
+    : FEE_RULE_SOURCES[fee.source]?.label || fee.name
+  return `${origin} · ${fee.fee_percentage}%`
+}
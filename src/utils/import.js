@@ -0,0 +1,230 @@
+/**
+ * Import Utilities
+ * Functions for reading CSV/XLSX files and mapping their columns to fields
+ */
+
+import { readSheet } from 'read-excel-file/browser'
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted values, escaped quotes and both comma and semicolon delimiters
+ * @param {string} text - The CSV content
+ * @returns {Array<Array<string>>} Rows of cell values
+ */
+export function parseCSV(text) {
+    const content = text.replace(/^\uFEFF/, '')
+    const firstLine = content.split(/\r?\n/, 1)[0] || ''
+    // Spreadsheets saved with a French locale use semicolons
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ','
+
+    const rows = []
+    let row = []
+    let cell = ''
+    let inQuotes = false
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i]
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                cell += '"'
+                i++
+            } else if (char === '"') {
+                inQuotes = false
+            } else {
+                cell += char
+            }
+        } else if (char === '"') {
+            inQuotes = true
+        } else if (char === delimiter) {
+            row.push(cell)
+            cell = ''
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++
+            row.push(cell)
+            rows.push(row)
+            row = []
+            cell = ''
+        } else {
+            cell += char
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell)
+        rows.push(row)
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(value => String(value).trim() !== ''))
+}
+
+/**
+ * Read a CSV or XLSX file into a header row and data rows
+ * @param {File} file - The uploaded file
+ * @returns {Promise<{headers: Array<string>, rows: Array<Array<any>>}>}
+ */
+export async function readSpreadsheetFile(file) {
+    const name = file.name.toLowerCase()
+    let data
+
+    if (name.endsWith('.xlsx')) {
+        data = await readSheet(file)
+    } else if (name.endsWith('.csv') || file.type === 'text/csv') {
+        data = parseCSV(await file.text())
+    } else {
+        throw new Error('Unsupported file type. Upload a .csv or .xlsx file.')
+    }
+
+    const [headerRow = [], ...rows] = (data || []).filter(cells =>
+        cells.some(value => value !== null && String(value).trim() !== '')
+    )
+
+    if (headerRow.length === 0) {
+        throw new Error('The file is empty')
+    }
+
+    return {
+        headers: headerRow.map(value => (value === null ? '' : String(value).trim())),
+        rows
+    }
+}
+
+/**
+ * Normalize a header or alias for comparison ("Customer E-mail" -> "customeremail")
+ * @param {string} value - The header text
+ * @returns {string} Normalized text
+ */
+function normalizeHeader(value) {
+    return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '')
+}
+
+/**
+ * Guess which column holds each field from the header names
+ * @param {Array<string>} headers - Header row of the file
+ * @param {Array} fields - Field definitions [{ key, label, aliases }]
+ * @returns {Object} Mapping of field key to column index ('' when not found)
+ */
+export function guessColumnMapping(headers, fields) {
+    const normalized = headers.map(normalizeHeader)
+
+    return fields.reduce((mapping, field) => {
+        const candidates = [field.key, field.label, ...(field.aliases || [])].map(normalizeHeader)
+        const index = normalized.findIndex(header => candidates.includes(header))
+        mapping[field.key] = index === -1 ? '' : index
+        return mapping
+    }, {})
+}
+
+/**
+ * Convert a date cell to YYYY-MM-DD
+ * Accepts spreadsheet dates, ISO dates and day-first dates (DD/MM/YYYY)
+ * @param {any} value - The cell value
+ * @returns {string} The date, or the original text when it can't be read
+ */
+export function normalizeDateCell(value) {
+    if (value === null || value === undefined || value === '') return ''
+
+    const pad = (number) => String(number).padStart(2, '0')
+
+    // Spreadsheet dates are read as UTC midnight
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) return ''
+        return `${value.getUTCFullYear()}-${pad(value.getUTCMonth() + 1)}-${pad(value.getUTCDate())}`
+    }
+
+    const text = String(value).trim()
+
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/)
+    if (iso) return `${iso[1]}-${pad(iso[2])}-${pad(iso[3])}`
+
+    const dayFirst = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/)
+    if (dayFirst) return `${dayFirst[3]}-${pad(dayFirst[2])}-${pad(dayFirst[1])}`
+
+    return text
+}
+
+/**
+ * Convert a time cell to HH:mm
+ * Accepts spreadsheet times, "9:30", "09:30:00" and day fractions (0.375)
+ * @param {any} value - The cell value
+ * @returns {string} The time, or the original text when it can't be read
+ */
+export function normalizeTimeCell(value) {
+    if (value === null || value === undefined || value === '') return ''
+
+    const pad = (number) => String(number).padStart(2, '0')
+
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) return ''
+        return `${pad(value.getUTCHours())}:${pad(value.getUTCMinutes())}`
+    }
+
+    if (typeof value === 'number' && value >= 0 && value < 1) {
+        const minutes = Math.round(value * 24 * 60)
+        return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`
+    }
+
+    const text = String(value).trim()
+    const match = text.match(/^(\d{1,2})[:h](\d{2})/)
+    if (match) return `${pad(match[1])}:${match[2]}`
+
+    return text
+}
+
+/**
+ * Convert an amount cell to a number
+ * Accepts spreadsheet numbers, "1,234.50", "1 234,50" and amounts with a currency ("250.00 MAD")
+ * @param {any} value - The cell value
+ * @returns {number|null} The amount, or null when it can't be read
+ */
+export function normalizeAmountCell(value) {
+    if (value === null || value === undefined || value === '') return null
+    if (typeof value === 'number') return isNaN(value) ? null : value
+
+    let text = String(value).replace(/[^\d,.-]/g, '')
+    const lastComma = text.lastIndexOf(',')
+    const lastDot = text.lastIndexOf('.')
+
+    // Whichever separator comes last is the decimal one
+    if (lastComma > lastDot) {
+        text = text.replace(/\./g, '').replace(',', '.')
+    } else {
+        text = text.replace(/,/g, '')
+    }
+
+    const amount = parseFloat(text)
+    return isNaN(amount) ? null : amount
+}
+
+// Pre-defined field configurations for common imports
+export const IMPORT_FIELDS = {
+    bookings: [
+        { key: 'customer', label: 'Customer Email or Phone', required: true, aliases: ['customer email', 'email', 'customer phone', 'phone', 'client'] },
+        { key: 'service', label: 'Service Key', required: true, aliases: ['service', 'service key', 'service_key'] },
+        { key: 'scheduled_date', label: 'Date', required: true, aliases: ['scheduled date', 'booking date'] },
+        { key: 'scheduled_time', label: 'Time', required: true, aliases: ['scheduled time', 'start time'] },
+        { key: 'service_address_text', label: 'Address', required: true, aliases: ['service address', 'location'] },
+        { key: 'vehicle_type', label: 'Vehicle Type', required: true, aliases: ['vehicle', 'car type'] },
+        { key: 'vehicle_make', label: 'Vehicle Make', aliases: ['make', 'brand'] },
+        { key: 'vehicle_model', label: 'Vehicle Model', aliases: ['model'] },
+        { key: 'vehicle_year', label: 'Vehicle Year', aliases: ['year'] },
+        { key: 'vehicle_color', label: 'Vehicle Color', aliases: ['color', 'colour'] },
+        { key: 'license_plate', label: 'License Plate', aliases: ['plate', 'registration'] },
+        { key: 'base_price', label: 'Base Price', aliases: ['price'] },
+        { key: 'additional_charges', label: 'Additional Charges', aliases: ['extras'] },
+        { key: 'discount_amount', label: 'Discount', aliases: ['discount amount'] },
+        { key: 'estimated_duration', label: 'Duration (minutes)', aliases: ['duration', 'estimated duration'] },
+        { key: 'special_instructions', label: 'Special Instructions', aliases: ['instructions', 'notes'] },
+        { key: 'customer_notes', label: 'Customer Notes' },
+        { key: 'source', label: 'Channel', aliases: ['channel', 'booking source', 'booked via'] },
+        { key: 'utm_campaign', label: 'Campaign', aliases: ['campaign', 'utm campaign'] },
+    ],
+
+    settlements: [
+        { key: 'reference', label: 'Reference', required: true, aliases: ['transaction id', 'transaction', 'payment reference', 'ref', 'gateway reference'] },
+        { key: 'amount', label: 'Amount', required: true, aliases: ['gross amount', 'settled amount', 'credit', 'montant'] },
+        { key: 'date', label: 'Date', required: true, aliases: ['settlement date', 'value date', 'transaction date', 'booking date'] },
+        { key: 'description', label: 'Description', aliases: ['details', 'narrative', 'label', 'libelle'] },
+    ],
+}
@@ -0,0 +1,104 @@
+// Lifecycle of a worker payout batch
+export const PAYOUT_STATUSES = {
+  draft: {
+    label: 'Draft',
+    color: 'bg-gray-100 text-gray-800 dark:bg-gray-800 dark:text-gray-300',
+    description: 'Totals and deductions can still change'
+  },
+  approved: {
+    label: 'Approved',
+    color: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300',
+    description: 'Checked and waiting to be paid out'
+  },
+  paid: {
+    label: 'Paid',
+    color: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
+    description: 'Money sent to the workers'
+  }
+}
+
+// Batches whose statements workers can see
+export const RELEASED_PAYOUT_STATUSES = ['approved', 'paid']
+
+const roundAmount = (value) => Math.round(value * 100) / 100
+
+// Check a payout period, returning an error message or null
+export const validatePayoutPeriod = (periodStart, periodEnd) => {
+  if (!periodStart || !periodEnd) return 'Choose the first and last day of the period'
+  if (periodEnd < periodStart) return 'The period cannot end before it starts'
+  return null
+}
+
+/**
+ * Group payments' worker earnings into one payout item per worker, each with a line per job.
+ * Bookings with a crew pay each member their crew share; others pay the payment's worker.
+ * Payments with no worker to pay are left out.
+ */
+export const buildPayoutItems = (payments) => {
+  const byWorker = new Map()
+
+  const addLine = (workerId, line) => {
+    if (!workerId) return false
+    if (!byWorker.has(workerId)) {
+      byWorker.set(workerId, { worker_id: workerId, gross_earnings: 0, lines: [] })
+    }
+    const item = byWorker.get(workerId)
+    item.gross_earnings = roundAmount(item.gross_earnings + line.earnings)
+    item.lines.push(line)
+    return true
+  }
+
+  const paymentIds = []
+
+  for (const payment of payments || []) {
+    const booking = payment.booking || {}
+    const line = {
+      payment_id: payment.id,
+      booking_id: payment.booking_id || null,
+      booking_number: booking.booking_number || null,
+      scheduled_date: booking.scheduled_date || null,
+      processed_at: payment.processed_at || null
+    }
+    const crew = booking.crew || []
+
+    const added = crew.length > 0
+      ? crew.map(member => addLine(member.worker_id, {
+          ...line,
+          role: member.role,
+          earnings: roundAmount(parseFloat(member.earnings) || 0)
+        })).some(Boolean)
+      : addLine(payment.worker_id, {
+          ...line,
+          role: 'lead',
+          earnings: roundAmount(parseFloat(payment.worker_earnings) || 0)
+        })
+
+    if (added) paymentIds.push(payment.id)
+  }
+
+  return { items: Array.from(byWorker.values()), paymentIds }
+}
+
+// Check a deduction against a payout item, returning an error message or null
+export const validatePayoutDeduction = (item, amount) => {
+  const value = parseFloat(amount)
+  const gross = parseFloat(item?.gross_earnings) || 0
+
+  if (isNaN(value) || value < 0) return 'Deductions cannot be negative'
+  if (roundAmount(value) > gross) return `Deductions can be at most the earnings of ${gross.toFixed(2)} MAD`
+  return null
+}
+
+// Amount a worker is paid after deductions
+export const calculatePayoutNet = (item) => {
+  return roundAmount(Math.max(0, (parseFloat(item?.gross_earnings) || 0) - (parseFloat(item?.deductions) || 0)))
+}
+
+// Batch totals from its items
+export const summarizePayoutItems = (items) => {
+  return (items || []).reduce((totals, item) => ({
+    total_gross: roundAmount(totals.total_gross + (parseFloat(item.gross_earnings) || 0)),
+    total_deductions: roundAmount(totals.total_deductions + (parseFloat(item.deductions) || 0)),
+    total_net: roundAmount(totals.total_net + calculatePayoutNet(item))
+  }), { total_gross: 0, total_deductions: 0, total_net: 0 })
+}
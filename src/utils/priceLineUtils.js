@@ -0,0 +1,95 @@
+// Kinds of price line on a booking. Amounts are stored positive; the sign comes from the type.
+export const PRICE_LINE_TYPES = [
+  { value: 'service',   label: 'Service',    sign: 1 },
+  { value: 'addon',     label: 'Add-on',     sign: 1 },
+  { value: 'surcharge', label: 'Surcharge',  sign: 1 },
+  { value: 'discount',  label: 'Discount',   sign: -1 },
+  { value: 'promo',     label: 'Promo code', sign: -1 },
+  { value: 'tax',       label: 'Tax',        sign: 1 }
+]
+
+const roundAmount = (value) => Math.round(value * 100) / 100
+
+// Get the config for a price line type (unknown types count as add-ons)
+export const getPriceLineType = (type) => {
+  return PRICE_LINE_TYPES.find(lineType => lineType.value === type) || PRICE_LINE_TYPES[1]
+}
+
+// Get a line's effect on the total (negative for discounts and promos)
+export const getSignedLineAmount = (line) => {
+  return getPriceLineType(line.type).sign * Math.abs(parseFloat(line.amount) || 0)
+}
+
+// Clean price lines before saving: known types, trimmed labels, positive rounded amounts
+export const normalizePriceLines = (lines = []) => {
+  return lines
+    .map(line => {
+      const lineType = getPriceLineType(line.type)
+      return {
+        type: lineType.value,
+        label: String(line.label || '').trim() || lineType.label,
+        amount: roundAmount(Math.abs(parseFloat(line.amount) || 0))
+      }
+    })
+    .filter(line => line.type === 'service' || line.amount > 0)
+}
+
+// Total of all price lines, never below zero
+export const calculatePriceLinesTotal = (lines = []) => {
+  const total = lines.reduce((sum, line) => sum + getSignedLineAmount(line), 0)
+  return Math.max(0, roundAmount(total))
+}
+
+/**
+ * Derive the booking's lump-sum price fields from its lines.
+ * Add-ons, surcharges and tax roll into additional_charges; discounts and promos into discount_amount.
+ */
+export const summarizePriceLines = (lines = []) => {
+  const sumOf = (types) => roundAmount(
+    lines
+      .filter(line => types.includes(line.type))
+      .reduce((sum, line) => sum + Math.abs(parseFloat(line.amount) || 0), 0)
+  )
+
+  return {
+    base_price: sumOf(['service']),
+    additional_charges: sumOf(['addon', 'surcharge', 'tax']),
+    discount_amount: sumOf(['discount', 'promo']),
+    total_price: calculatePriceLinesTotal(lines)
+  }
+}
+
+// Build price lines from the lump-sum fields of a booking saved before line items existed
+export const buildLegacyPriceLines = (booking, serviceLabel = null) => {
+  const lines = [
+    { type: 'service', label: serviceLabel || 'Service', amount: parseFloat(booking.base_price) || 0 }
+  ]
+
+  const additionalCharges = parseFloat(booking.additional_charges) || 0
+  if (additionalCharges > 0) {
+    lines.push({ type: 'surcharge', label: 'Additional charges', amount: additionalCharges })
+  }
+
+  const discountAmount = parseFloat(booking.discount_amount) || 0
+  if (discountAmount > 0) {
+    lines.push({ type: 'discount', label: 'Discount', amount: discountAmount })
+  }
+
+  return normalizePriceLines(lines)
+}
+
+// Get a booking's price lines, falling back to its lump-sum fields
+export const getBookingPriceLines = (booking) => {
+  if (!booking) return []
+  if (Array.isArray(booking.price_lines) && booking.price_lines.length > 0) {
+    return booking.price_lines
+  }
+  return buildLegacyPriceLines(booking, booking.service?.title)
+}
+
+// One-line breakdown for exports, e.g. 'Exterior wash: 120.00; Promo WELCOME: -20.00'
+export const formatPriceLines = (lines = []) => {
+  return lines
+    .map(line => `${line.label}: ${getSignedLineAmount(line).toFixed(2)}`)
+    .join('; ')
+}
@@ -0,0 +1,99 @@
+import { calculatePriceLinesTotal, normalizePriceLines } from '@/utils/priceLineUtils'
+import { getVehicleLabel, normalizeBookingVehicles } from '@/utils/vehicleUtils'
+
+// Lifecycle of a price quote sent before committing to a booking
+export const QUOTE_STATUSES = {
+  draft: {
+    label: 'Draft',
+    color: 'bg-gray-100 text-gray-800 dark:bg-gray-800 dark:text-gray-300',
+    description: 'Being prepared, not sent to the customer yet'
+  },
+  sent: {
+    label: 'Sent',
+    color: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300',
+    description: 'Waiting for the customer to accept'
+  },
+  accepted: {
+    label: 'Accepted',
+    color: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
+    description: 'Accepted and turned into a booking'
+  },
+  expired: {
+    label: 'Expired',
+    color: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300',
+    description: 'No longer valid'
+  }
+}
+
+// Quotes can still be changed until they are accepted or expire
+export const EDITABLE_QUOTE_STATUSES = ['draft', 'sent']
+
+// Days a new quote stays valid, from NEXT_PUBLIC_QUOTE_VALIDITY_DAYS
+export const getDefaultQuoteValidityDays = () => {
+  const days = parseInt(process.env.NEXT_PUBLIC_QUOTE_VALIDITY_DAYS, 10)
+  return isNaN(days) || days < 1 ? 14 : days
+}
+
+// Validity date for a quote created on the given day
+export const getDefaultQuoteValidUntil = (today) => {
+  const date = new Date(`${today}T00:00:00`)
+  date.setDate(date.getDate() + getDefaultQuoteValidityDays())
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${date.getFullYear()}-${month}-${day}`
+}
+
+// Whether a quote's validity date has passed (it stays valid through the whole valid_until day)
+export const isQuoteExpired = (quote, today) => {
+  return !!quote?.valid_until && quote.valid_until < today
+}
+
+// Status to show for a quote, treating open quotes past their validity date as expired
+export const getQuoteStatus = (quote, today) => {
+  if (EDITABLE_QUOTE_STATUSES.includes(quote.status) && isQuoteExpired(quote, today)) return 'expired'
+  return quote.status
+}
+
+// Service lines for each quoted vehicle, e.g. 'Paint correction – Dacia Logan (12345-A-6)'
+export const buildQuoteVehicleLines = (vehicles = [], services = []) => {
+  return vehicles.map(vehicle => ({
+    type: 'service',
+    label: `${services.find(service => service.id === vehicle.service_id)?.title || 'Service'} – ${getVehicleLabel(vehicle)}`,
+    amount: parseFloat(vehicle.price) || 0
+  }))
+}
+
+// Clean a quote's vehicles and lines and work out its total
+export const summarizeQuote = (quote) => {
+  // Quoted vehicles have no work status until they are booked
+  const vehicles = normalizeBookingVehicles(quote.vehicles || []).map(({ status, ...vehicle }) => vehicle)
+  const priceLines = normalizePriceLines(quote.price_lines || [])
+  return {
+    vehicles,
+    price_lines: priceLines,
+    total_price: calculatePriceLinesTotal(priceLines)
+  }
+}
+
+/**
+ * Build the createBooking payload for an accepted quote.
+ * Vehicles and price lines are copied as quoted so the booking keeps the agreed prices.
+ */
+export const buildBookingFromQuote = (quote, schedule = {}) => {
+  const vehicles = normalizeBookingVehicles(quote.vehicles || [])
+
+  return {
+    customer_id: quote.customer_id,
+    service_id: vehicles[0]?.service_id || null,
+    worker_id: schedule.worker_id || null,
+    auto_assign: schedule.auto_assign === true,
+    scheduled_date: schedule.scheduled_date,
+    scheduled_time: schedule.scheduled_time,
+    service_address_text: schedule.service_address_text || quote.service_address_text,
+    vehicles,
+    price_lines: quote.price_lines || [],
+    special_instructions: quote.notes || null,
+    customer_notes: `Accepted quote ${quote.quote_number}`,
+    allow_conflicts: schedule.allow_conflicts === true
+  }
+}
@@ -0,0 +1,172 @@
+import { normalizeAmountCell, normalizeDateCell } from '@/utils/import'
+import { addDaysToDateString, toZonedDateString } from '@/utils/timeZoneUtils'
+
+// Outcome of matching a settlement line, and of resolving it by hand
+export const SETTLEMENT_LINE_STATUSES = {
+  matched: {
+    label: 'Matched',
+    color: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300'
+  },
+  mismatched: {
+    label: 'Mismatched',
+    color: 'bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-300'
+  },
+  unmatched: {
+    label: 'Unmatched',
+    color: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300'
+  },
+  resolved: {
+    label: 'Resolved',
+    color: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300'
+  },
+  ignored: {
+    label: 'Ignored',
+    color: 'bg-gray-100 text-gray-800 dark:bg-gray-800 dark:text-gray-300'
+  }
+}
+
+// Lines that still need someone to look at them
+export const OPEN_SETTLEMENT_STATUSES = ['mismatched', 'unmatched']
+
+// Payment statuses for money that was actually taken, so it should show up in a settlement
+export const SETTLED_PAYMENT_STATUSES = ['completed', 'partially_refunded', 'refunded']
+
+// Days a settlement can land after (or before) the payment was processed
+export const SETTLEMENT_DATE_TOLERANCE_DAYS = 3
+
+const referenceKey = (value) => String(value || '').trim().toLowerCase()
+
+const amountsEqual = (a, b) => Math.abs((parseFloat(a) || 0) - (parseFloat(b) || 0)) < 0.01
+
+// Days between two 'YYYY-MM-DD' dates, ignoring order
+const daysBetween = (a, b) => Math.abs(new Date(`${a}T00:00:00Z`) - new Date(`${b}T00:00:00Z`)) / 86400000
+
+// Business date a payment was processed on, or null when it never was
+export const getPaymentSettlementDate = (payment) => {
+  return payment?.processed_at ? toZonedDateString(payment.processed_at) : null
+}
+
+// Read mapped settlement file rows into lines, noting the cells that can't be read
+export const prepareSettlementLines = (rows, mapping) => {
+  const cell = (row, key) => (mapping[key] === '' || mapping[key] === undefined ? '' : row[mapping[key]])
+
+  return rows.map((row, index) => {
+    const amount = normalizeAmountCell(cell(row, 'amount'))
+    const date = normalizeDateCell(cell(row, 'date'))
+    const issues = []
+
+    if (amount === null) issues.push('Amount could not be read')
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) issues.push('Date could not be read')
+
+    return {
+      row_number: index + 2,
+      reference: String(cell(row, 'reference') ?? '').trim() || null,
+      amount,
+      settled_date: /^\d{4}-\d{2}-\d{2}$/.test(date) ? date : null,
+      description: String(cell(row, 'description') ?? '').trim() || null,
+      issues
+    }
+  })
+}
+
+// Date range of payments worth loading to match a set of lines
+export const getSettlementDateRange = (lines, toleranceDays = SETTLEMENT_DATE_TOLERANCE_DAYS) => {
+  const dates = lines.map(line => line.settled_date).filter(Boolean).sort()
+  if (dates.length === 0) return null
+  return {
+    from: addDaysToDateString(dates[0], -toleranceDays),
+    to: addDaysToDateString(dates[dates.length - 1], toleranceDays)
+  }
+}
+
+// Reasons a line and the payment it points to don't agree
+export const getSettlementIssues = (line, payment, toleranceDays = SETTLEMENT_DATE_TOLERANCE_DAYS) => {
+  const issues = []
+
+  if (line.amount !== null && !amountsEqual(line.amount, payment.amount)) {
+    issues.push(`Amount ${line.amount.toFixed(2)} differs from the payment's ${(parseFloat(payment.amount) || 0).toFixed(2)}`)
+  }
+
+  const paymentDate = getPaymentSettlementDate(payment)
+  if (line.settled_date && paymentDate && daysBetween(line.settled_date, paymentDate) > toleranceDays) {
+    issues.push(`Settled on ${line.settled_date}, more than ${toleranceDays} days from the payment on ${paymentDate}`)
+  }
+
+  if (!SETTLED_PAYMENT_STATUSES.includes(payment.status)) {
+    issues.push(`The payment is ${payment.status}`)
+  }
+  if (payment.reconciled) {
+    issues.push('The payment was already reconciled')
+  }
+
+  return issues
+}
+
+/**
+ * Match settlement lines to payments. A line is matched on its reference (the payment's transaction ID
+ * or gateway reference) and checked on amount and date; lines without a known reference fall back to
+ * the one unreconciled payment with the same amount and date. Each payment is matched at most once.
+ * Returns the lines with status, payment_id and issues filled in.
+ */
+export const matchSettlementLines = (lines, payments, toleranceDays = SETTLEMENT_DATE_TOLERANCE_DAYS) => {
+  const byReference = new Map()
+  for (const payment of payments || []) {
+    for (const reference of [payment.gateway_transaction_id, payment.gateway_reference]) {
+      if (reference && !byReference.has(referenceKey(reference))) {
+        byReference.set(referenceKey(reference), payment)
+      }
+    }
+  }
+
+  const claimedBy = new Map()
+
+  return lines.map(line => {
+    const issues = [...(line.issues || [])]
+    let payment = line.reference ? byReference.get(referenceKey(line.reference)) : null
+
+    if (!payment && line.amount !== null && line.settled_date) {
+      const candidates = (payments || []).filter(candidate =>
+        !candidate.reconciled &&
+        !claimedBy.has(candidate.id) &&
+        SETTLED_PAYMENT_STATUSES.includes(candidate.status) &&
+        amountsEqual(candidate.amount, line.amount) &&
+        getPaymentSettlementDate(candidate) &&
+        daysBetween(getPaymentSettlementDate(candidate), line.settled_date) <= toleranceDays
+      )
+
+      if (candidates.length === 1) {
+        payment = candidates[0]
+        issues.push(line.reference
+          ? `Reference ${line.reference} not found; matched on amount and date`
+          : 'No reference; matched on amount and date')
+      }
+    }
+
+    if (!payment) {
+      return { ...line, status: 'unmatched', payment_id: null, issues }
+    }
+
+    if (claimedBy.has(payment.id)) {
+      issues.push(`The payment was already matched by row ${claimedBy.get(payment.id)}`)
+    } else {
+      claimedBy.set(payment.id, line.row_number)
+    }
+
+    issues.push(...getSettlementIssues(line, payment, toleranceDays))
+
+    return {
+      ...line,
+      status: issues.length === 0 ? 'matched' : 'mismatched',
+      payment_id: payment.id,
+      issues
+    }
+  })
+}
+
+// Count lines per status
+export const countSettlementLines = (lines) => {
+  return Object.keys(SETTLEMENT_LINE_STATUSES).reduce((counts, status) => {
+    counts[status] = (lines || []).filter(line => line.status === status).length
+    return counts
+  }, {})
+}
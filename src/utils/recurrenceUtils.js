@@ -0,0 +1,78 @@
+import { addMonths, addWeeks, format, parseISO } from 'date-fns'
+
+// Recurrence frequencies offered for booking series
+export const RECURRENCE_FREQUENCIES = [
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'biweekly', label: 'Every 2 weeks' },
+  { value: 'monthly', label: 'Monthly' }
+]
+
+// Scopes for editing or cancelling a booking that belongs to a series
+export const SERIES_SCOPES = [
+  { value: 'this', label: 'This booking only' },
+  { value: 'following', label: 'This and following bookings' },
+  { value: 'all', label: 'All bookings in the series' }
+]
+
+// Hard cap on how many bookings one series can generate
+export const MAX_SERIES_OCCURRENCES = 52
+
+// Get the label for a recurrence frequency
+export const getFrequencyLabel = (frequency) => {
+  return RECURRENCE_FREQUENCIES.find(f => f.value === frequency)?.label || frequency
+}
+
+// Get the date of the nth occurrence (0-based) after the start date
+const getOccurrenceDate = (start, frequency, index) => {
+  switch (frequency) {
+    case 'weekly':
+      return addWeeks(start, index)
+    case 'biweekly':
+      return addWeeks(start, index * 2)
+    case 'monthly':
+      // addMonths clamps to the last day of shorter months (e.g. Jan 31 -> Feb 28)
+      return addMonths(start, index)
+    default:
+      throw new Error(`Unsupported recurrence frequency: ${frequency}`)
+  }
+}
+
+// Generate 'YYYY-MM-DD' occurrence dates for a rule { frequency, count, until }
+export const generateOccurrenceDates = (startDate, rule = {}) => {
+  const { frequency, count = null, until = null } = rule
+
+  if (!startDate) throw new Error('A start date is required for a recurring booking')
+  if (!count && !until) throw new Error('A recurring booking needs an occurrence count or an end date')
+
+  const start = parseISO(startDate)
+  const limit = Math.min(parseInt(count) || MAX_SERIES_OCCURRENCES, MAX_SERIES_OCCURRENCES)
+  const dates = []
+
+  for (let index = 0; index < limit; index++) {
+    const date = format(getOccurrenceDate(start, frequency, index), 'yyyy-MM-dd')
+    if (until && date > until) break
+    dates.push(date)
+  }
+
+  return dates
+}
+
+// Validate a recurrence rule from the booking form
+export const validateRecurrenceRule = (rule) => {
+  if (!rule || !rule.frequency) return null
+
+  if (!RECURRENCE_FREQUENCIES.some(f => f.value === rule.frequency)) {
+    return 'Please select a valid repeat frequency'
+  }
+
+  const count = parseInt(rule.count)
+  if (!rule.until && (isNaN(count) || count < 2)) {
+    return 'A recurring booking needs at least 2 occurrences'
+  }
+
+  if (count > MAX_SERIES_OCCURRENCES) {
+    return `A series can have at most ${MAX_SERIES_OCCURRENCES} occurrences`
+  }
+
+  return null
+}
@@ -0,0 +1,54 @@
+// Payment statuses that still hold money that can be refunded
+export const REFUNDABLE_PAYMENT_STATUSES = ['completed', 'partially_refunded']
+
+// Statuses only a refund sets (see refundPayment), so manual status changes can't pick or leave them
+export const REFUND_PAYMENT_STATUSES = ['partially_refunded', 'refunded']
+
+const roundAmount = (value) => Math.round(value * 100) / 100
+
+// Total refunded so far on a payment
+export const getRefundedAmount = (payment) => roundAmount(parseFloat(payment?.refunded_amount) || 0)
+
+// Amount the business kept after refunds
+export const getNetPaymentAmount = (payment) => {
+  return roundAmount(Math.max(0, (parseFloat(payment?.amount) || 0) - getRefundedAmount(payment)))
+}
+
+// Amount that can still be refunded, 0 when the payment was never collected
+export const getRefundableBalance = (payment) => {
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(payment?.status)) return 0
+  return getNetPaymentAmount(payment)
+}
+
+// Check a refund amount against a payment, returning an error message or null
+export const validateRefundAmount = (payment, amount) => {
+  const balance = getRefundableBalance(payment)
+  const value = parseFloat(amount)
+
+  if (balance <= 0) return 'This payment has nothing left to refund'
+  if (!value || value <= 0) return 'Enter a refund amount above 0'
+  if (roundAmount(value) > balance) return `The refund can be at most ${balance.toFixed(2)} MAD`
+  return null
+}
+
+/**
+ * Work out a payment's totals after refunding an amount.
+ * The platform fee and worker earnings keep their ratio and never cover more than the money kept,
+ * so a payment that only keeps a cancellation fee is untouched until the refund cuts into the fee.
+ */
+export const calculateRefundSplit = (payment, amount) => {
+  const refundedAmount = roundAmount(getRefundedAmount(payment) + roundAmount(parseFloat(amount) || 0))
+  const netAmount = roundAmount(Math.max(0, (parseFloat(payment.amount) || 0) - refundedAmount))
+
+  const platformFee = parseFloat(payment.platform_fee) || 0
+  const earningsBase = roundAmount(platformFee + (parseFloat(payment.worker_earnings) || 0))
+  const newBase = Math.min(earningsBase, netAmount)
+  const newPlatformFee = earningsBase > 0 ? roundAmount(newBase * platformFee / earningsBase) : 0
+
+  return {
+    refunded_amount: refundedAmount,
+    status: netAmount > 0 ? 'partially_refunded' : 'refunded',
+    platform_fee: newPlatformFee,
+    worker_earnings: roundAmount(newBase - newPlatformFee)
+  }
+}
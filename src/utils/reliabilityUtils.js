@@ -0,0 +1,49 @@
+// How much a customer can be trusted to be there for their bookings, based on their no-shows
+export const RELIABILITY_LEVELS = {
+  ok: {
+    label: 'Reliable',
+    color: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300'
+  },
+  flagged: {
+    label: 'Flagged',
+    color: 'bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-300'
+  },
+  blocked: {
+    label: 'Blocked',
+    color: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300'
+  }
+}
+
+const readCount = (value, fallback) => {
+  const count = parseInt(value, 10)
+  return isNaN(count) || count < 1 ? fallback : count
+}
+
+// No-shows after which a customer is flagged, from NEXT_PUBLIC_NO_SHOW_FLAG_THRESHOLD
+export const getNoShowFlagThreshold = () => readCount(process.env.NEXT_PUBLIC_NO_SHOW_FLAG_THRESHOLD, 2)
+
+// No-shows after which a customer can no longer book, from NEXT_PUBLIC_NO_SHOW_BLOCK_THRESHOLD
+export const getNoShowBlockThreshold = () => {
+  const threshold = readCount(process.env.NEXT_PUBLIC_NO_SHOW_BLOCK_THRESHOLD, 3)
+  return Math.max(threshold, getNoShowFlagThreshold())
+}
+
+// Percentage of the booking price suggested as a no-show fee, from NEXT_PUBLIC_NO_SHOW_FEE_PERCENTAGE
+export const getDefaultNoShowFeePercentage = () => {
+  const percentage = parseFloat(process.env.NEXT_PUBLIC_NO_SHOW_FEE_PERCENTAGE)
+  return isNaN(percentage) ? 0 : Math.min(Math.max(percentage, 0), 100)
+}
+
+// Suggested no-show fee for a booking
+export const getDefaultNoShowFee = (booking) => {
+  const price = parseFloat(booking?.total_price) || 0
+  return Math.round(price * getDefaultNoShowFeePercentage()) / 100
+}
+
+// Reliability level for a customer with the given number of no-shows
+export const getReliabilityLevel = (noShowCount) => {
+  const count = parseInt(noShowCount, 10) || 0
+  if (count >= getNoShowBlockThreshold()) return 'blocked'
+  if (count >= getNoShowFlagThreshold()) return 'flagged'
+  return 'ok'
+}
@@ -0,0 +1,158 @@
+import { toZonedDateString, getZonedMinutes, zonedDateTimeToDate } from '@/utils/timeZoneUtils'
+
+// Booking statuses that keep a worker occupied for the booked slot
+export const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed', 'in_progress']
+
+// Default working hours when a worker profile has none set
+export const DEFAULT_WORK_START = '08:00:00'
+export const DEFAULT_WORK_END = '18:00:00'
+
+// Convert 'HH:MM' or 'HH:MM:SS' into minutes since midnight
+export const timeToMinutes = (time) => {
+  if (!time) return null
+  const [hours, minutes] = String(time).split(':').map(part => parseInt(part, 10))
+  if (isNaN(hours)) return null
+  return hours * 60 + (isNaN(minutes) ? 0 : minutes)
+}
+
+// Convert minutes since midnight into 'HH:MM'
+export const minutesToTime = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60)
+  const minutes = totalMinutes % 60
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`
+}
+
+// Two half-open ranges [start, end) overlap when each starts before the other ends
+export const rangesOverlap = (startA, endA, startB, endB) => {
+  return startA < endB && startB < endA
+}
+
+// Get the start/end minutes of a booking slot
+export const getBookingRange = (booking) => {
+  const start = timeToMinutes(booking.scheduled_time)
+  if (start === null) return null
+  const duration = parseInt(booking.estimated_duration) || 60
+  return { start, end: start + duration }
+}
+
+// Check if a 'YYYY-MM-DD' date falls on a Saturday or Sunday
+export const isWeekend = (date) => {
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay()
+  return day === 0 || day === 6
+}
+
+// Describe why a slot is outside a worker's working hours, or return null if it fits
+export const getWorkingHoursIssue = (worker, date, start, end) => {
+  if (!worker) return null
+
+  if (worker.works_weekends === false && isWeekend(date)) {
+    return 'Worker does not work on weekends'
+  }
+
+  const workStart = timeToMinutes(worker.start_time || DEFAULT_WORK_START)
+  const workEnd = timeToMinutes(worker.end_time || DEFAULT_WORK_END)
+
+  if (start < workStart || end > workEnd) {
+    return `Outside working hours (${minutesToTime(workStart)} - ${minutesToTime(workEnd)})`
+  }
+
+  return null
+}
+
+// Find the bookings from a list that overlap a slot
+export const findOverlappingBookings = (bookings, start, end) => {
+  return (bookings || []).filter(booking => {
+    const range = getBookingRange(booking)
+    return range && rangesOverlap(start, end, range.start, range.end)
+  })
+}
+
+// Default spacing between offered start times, in minutes
+export const DEFAULT_SLOT_INTERVAL = 30
+
+// Smallest spacing allowed, so a tiny or negative interval can't make the slot loop run away
+export const MIN_SLOT_INTERVAL = 5
+
+// Get today's date as 'YYYY-MM-DD' in the business time zone
+export const getTodayDateString = (now = new Date()) => toZonedDateString(now)
+
+// Minutes since midnight right now on the business clock
+export const getCurrentMinutes = (now = new Date()) => getZonedMinutes(now)
+
+// Compute the start times at which a worker can take a job of the given duration.
+// `openStart`/`openEnd` (minutes) narrow the working day, e.g. to reduced holiday hours.
+export const computeWorkerSlots = (worker, bookings, date, duration, options = {}) => {
+  const { notBefore = 0, openStart = 0, openEnd = 24 * 60 } = options
+  const interval = Math.max(parseInt(options.interval) || DEFAULT_SLOT_INTERVAL, MIN_SLOT_INTERVAL)
+
+  if (!worker || (worker.works_weekends === false && isWeekend(date))) {
+    return []
+  }
+
+  const workStart = Math.max(timeToMinutes(worker.start_time || DEFAULT_WORK_START), openStart)
+  const workEnd = Math.min(timeToMinutes(worker.end_time || DEFAULT_WORK_END), openEnd)
+  const slots = []
+
+  for (let start = workStart; start + duration <= workEnd; start += interval) {
+    if (start < notBefore) continue
+    if (findOverlappingBookings(bookings, start, start + duration).length > 0) continue
+    slots.push(start)
+  }
+
+  return slots
+}
+
+// Merge per-worker slots into a sorted list of { time, workers } entries
+export const mergeWorkerSlots = (workerSlots) => {
+  const byStart = new Map()
+
+  workerSlots.forEach(({ worker, slots }) => {
+    slots.forEach(start => {
+      if (!byStart.has(start)) byStart.set(start, [])
+      byStart.get(start).push(worker)
+    })
+  })
+
+  return Array.from(byStart.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([start, workers]) => ({
+      time: minutesToTime(start),
+      workers
+    }))
+}
+
+// Statuses a booking can still be rescheduled from
+export const RESCHEDULABLE_STATUSES = ['pending', 'confirmed']
+
+// Minimum hours between now and the booked slot for a reschedule, set with NEXT_PUBLIC_RESCHEDULE_NOTICE_HOURS
+export const getRescheduleNoticeHours = () => {
+  const hours = parseFloat(process.env.NEXT_PUBLIC_RESCHEDULE_NOTICE_HOURS)
+  return isNaN(hours) || hours < 0 ? 24 : hours
+}
+
+// Hours from now until a business 'YYYY-MM-DD' date and 'HH:MM' time (negative once it has passed)
+export const getHoursUntilSlot = (date, time, now = new Date()) => {
+  const start = zonedDateTimeToDate(date, (time || '00:00').slice(0, 5))
+  return (start.getTime() - now.getTime()) / (60 * 60 * 1000)
+}
+
+// Describe why a booking cannot be rescheduled, or return null if it can
+export const getRescheduleIssue = (booking, options = {}) => {
+  const { noticeHours = getRescheduleNoticeHours(), allowShortNotice = false } = options
+
+  if (!booking) return 'Booking not found'
+
+  if (!RESCHEDULABLE_STATUSES.includes(booking.status)) {
+    return `A ${String(booking.status).replace('_', ' ')} booking cannot be rescheduled`
+  }
+
+  if (booking.can_reschedule === false) {
+    return 'This booking is locked against rescheduling'
+  }
+
+  if (!allowShortNotice && getHoursUntilSlot(booking.scheduled_date, booking.scheduled_time) < noticeHours) {
+    return `Bookings must be rescheduled at least ${noticeHours} hours in advance`
+  }
+
+  return null
+}
@@ -0,0 +1,122 @@
+// Booking dates and times are wall-clock values in the business time zone, whatever zone the viewer is in
+export const DEFAULT_BUSINESS_TIME_ZONE = 'Africa/Casablanca'
+
+const pad = (value) => String(value).padStart(2, '0')
+
+// Time zone the business schedules in, set with NEXT_PUBLIC_BUSINESS_TIME_ZONE (an IANA name)
+export const getBusinessTimeZone = () => {
+  const zone = process.env.NEXT_PUBLIC_BUSINESS_TIME_ZONE
+  if (!zone) return DEFAULT_BUSINESS_TIME_ZONE
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone })
+    return zone
+  } catch {
+    console.warn(`⚠️ Unknown time zone "${zone}", using ${DEFAULT_BUSINESS_TIME_ZONE}`)
+    return DEFAULT_BUSINESS_TIME_ZONE
+  }
+}
+
+// Time zone of the browser (or server) running the code
+export const getViewerTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone
+
+// Get the wall-clock year, month, day, hour, minute and second of an instant in a time zone
+export const getZonedParts = (instant = new Date(), timeZone = getBusinessTimeZone()) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(instant))
+
+  const get = (type) => parseInt(parts.find(part => part.type === type)?.value, 10) || 0
+
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour') % 24,
+    minute: get('minute'),
+    second: get('second')
+  }
+}
+
+// Get the 'YYYY-MM-DD' date of an instant (Date or timestamp string) in a time zone
+export const toZonedDateString = (instant = new Date(), timeZone = getBusinessTimeZone()) => {
+  const { year, month, day } = getZonedParts(instant, timeZone)
+  return `${year}-${pad(month)}-${pad(day)}`
+}
+
+// Get the 'HH:MM' time of an instant in a time zone
+export const toZonedTimeString = (instant = new Date(), timeZone = getBusinessTimeZone()) => {
+  const { hour, minute } = getZonedParts(instant, timeZone)
+  return `${pad(hour)}:${pad(minute)}`
+}
+
+// Minutes since midnight of an instant in a time zone
+export const getZonedMinutes = (instant = new Date(), timeZone = getBusinessTimeZone()) => {
+  const { hour, minute } = getZonedParts(instant, timeZone)
+  return hour * 60 + minute
+}
+
+// Minutes a time zone is ahead of UTC at an instant
+const getOffsetMinutes = (instant, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(instant, timeZone)
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second)
+  return Math.round((wallClockAsUtc - Math.floor(instant.getTime() / 1000) * 1000) / 60000)
+}
+
+/**
+ * Get the instant at which a 'YYYY-MM-DD' date and 'HH:MM' time happen in a time zone.
+ * The offset is checked twice so slots next to a daylight-saving change land on the right hour.
+ */
+export const zonedDateTimeToDate = (date, time = '00:00', timeZone = getBusinessTimeZone()) => {
+  const [year, month, day] = String(date).split('-').map(Number)
+  const [hours, minutes] = String(time || '00:00').split(':').map(Number)
+  const wallClock = Date.UTC(year, month - 1, day, hours || 0, minutes || 0)
+
+  const firstOffset = getOffsetMinutes(new Date(wallClock), timeZone)
+  const firstGuess = wallClock - firstOffset * 60000
+  const secondOffset = getOffsetMinutes(new Date(firstGuess), timeZone)
+
+  return new Date(secondOffset === firstOffset ? firstGuess : wallClock - secondOffset * 60000)
+}
+
+// Move a 'YYYY-MM-DD' date by whole days, independent of any time zone
+export const addDaysToDateString = (date, days) => {
+  const value = new Date(`${date}T00:00:00Z`)
+  value.setUTCDate(value.getUTCDate() + days)
+  return value.toISOString().slice(0, 10)
+}
+
+// First day of the business month containing an instant, as 'YYYY-MM-DD'
+export const getBusinessMonthStart = (instant = new Date()) => `${toZonedDateString(instant).slice(0, 7)}-01`
+
+// Format a 'YYYY-MM-DD' date without the viewer's zone moving it to the previous or next day
+export const formatDateString = (date, options = {}, locale = 'en-US') => {
+  if (!date) return ''
+  return new Date(`${date}T12:00:00Z`).toLocaleDateString(locale, { ...options, timeZone: 'UTC' })
+}
+
+// Whether to also show booking times in the viewer's own zone, set with NEXT_PUBLIC_SHOW_VIEWER_TIME
+export const shouldShowViewerTime = () => process.env.NEXT_PUBLIC_SHOW_VIEWER_TIME === 'true'
+
+/**
+ * Describe a business-time slot in the viewer's zone, e.g. '11:00 your time' or '2026-03-02 01:00 your time'.
+ * Returns null when the option is off or the viewer's clock shows the same date and time.
+ */
+export const getViewerSlotLabel = (date, time, options = {}) => {
+  const { viewerTimeZone = getViewerTimeZone(), businessTimeZone = getBusinessTimeZone() } = options
+  if (!date || !time || !shouldShowViewerTime()) return null
+
+  const instant = zonedDateTimeToDate(date, time, businessTimeZone)
+  const viewerDate = toZonedDateString(instant, viewerTimeZone)
+  const viewerTime = toZonedTimeString(instant, viewerTimeZone)
+
+  if (viewerDate === date && viewerTime === String(time).slice(0, 5)) return null
+  return `${viewerDate === date ? '' : `${viewerDate} `}${viewerTime} your time`
+}
@@ -0,0 +1,99 @@
+import { VEHICLE_TYPES } from '@/utils/bookingUtils'
+
+// Per-vehicle work status within a booking
+export const BOOKING_VEHICLE_STATUSES = {
+  pending: { label: 'Pending' },
+  done: { label: 'Done' }
+}
+
+const roundAmount = (value) => Math.round(value * 100) / 100
+
+// Describe a vehicle, e.g. 'Dacia Logan (12345-A-6)' or 'SUV'
+export const getVehicleLabel = (vehicle) => {
+  const name = [vehicle.vehicle_make, vehicle.vehicle_model].filter(Boolean).join(' ') ||
+    VEHICLE_TYPES.find(type => type.value === vehicle.vehicle_type)?.label ||
+    vehicle.vehicle_type ||
+    'Vehicle'
+  return vehicle.license_plate ? `${name} (${vehicle.license_plate})` : name
+}
+
+/**
+ * Get the vehicles on a booking in order.
+ * Bookings saved before multi-vehicle support fall back to their own vehicle fields.
+ */
+export const getBookingVehicles = (booking) => {
+  if (!booking) return []
+
+  if (Array.isArray(booking.vehicles) && booking.vehicles.length > 0) {
+    return [...booking.vehicles].sort((a, b) => (a.position || 0) - (b.position || 0))
+  }
+
+  if (!booking.vehicle_type) return []
+
+  return [{
+    id: null,
+    position: 1,
+    vehicle_type: booking.vehicle_type,
+    vehicle_make: booking.vehicle_make,
+    vehicle_model: booking.vehicle_model,
+    vehicle_year: booking.vehicle_year,
+    vehicle_color: booking.vehicle_color,
+    license_plate: booking.license_plate,
+    service_id: booking.service_id,
+    service: booking.service,
+    price: parseFloat(booking.base_price) || 0,
+    estimated_duration: booking.estimated_duration,
+    status: booking.status === 'completed' ? 'done' : 'pending'
+  }]
+}
+
+// Number of vehicles on a booking (every booking has at least one)
+export const countBookingVehicles = (booking) => {
+  return getBookingVehicles(booking).length || 1
+}
+
+// Total minutes needed for a set of vehicles
+export const sumVehicleDurations = (vehicles = []) => {
+  return vehicles.reduce((sum, vehicle) => sum + (parseInt(vehicle.estimated_duration) || 0), 0)
+}
+
+// One-line list of a booking's vehicles for exports and map popups
+export const formatBookingVehicles = (booking) => {
+  return getBookingVehicles(booking).map(getVehicleLabel).join('; ')
+}
+
+// Clean vehicles before saving: positions in order, numeric fields parsed
+export const normalizeBookingVehicles = (vehicles = []) => {
+  return vehicles.map((vehicle, index) => ({
+    ...(vehicle.id && { id: vehicle.id }),
+    position: index + 1,
+    vehicle_type: vehicle.vehicle_type,
+    vehicle_make: vehicle.vehicle_make || null,
+    vehicle_model: vehicle.vehicle_model || null,
+    vehicle_year: vehicle.vehicle_year ? parseInt(vehicle.vehicle_year) : null,
+    vehicle_color: vehicle.vehicle_color || null,
+    license_plate: vehicle.license_plate || null,
+    service_id: vehicle.service_id || null,
+    price: roundAmount(parseFloat(vehicle.price) || 0),
+    estimated_duration: parseInt(vehicle.estimated_duration) || 60,
+    status: vehicle.status || 'pending'
+  }))
+}
+
+/**
+ * Split an amount across a booking's vehicles by vehicle type.
+ * Shares follow each vehicle's price, or are equal when no prices are recorded.
+ */
+export const splitAmountByVehicleType = (booking, amount) => {
+  const vehicles = getBookingVehicles(booking)
+  if (vehicles.length === 0) return []
+
+  const totalPrice = vehicles.reduce((sum, vehicle) => sum + (parseFloat(vehicle.price) || 0), 0)
+
+  return vehicles.map(vehicle => ({
+    vehicleType: vehicle.vehicle_type,
+    amount: totalPrice > 0
+      ? amount * (parseFloat(vehicle.price) || 0) / totalPrice
+      : amount / vehicles.length
+  }))
+}
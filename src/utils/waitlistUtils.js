@@ -0,0 +1,56 @@
+import { ACTIVE_BOOKING_STATUSES, timeToMinutes } from '@/utils/scheduleUtils'
+
+// Lifecycle of a waitlist entry
+export const WAITLIST_STATUSES = {
+  waiting: {
+    label: 'Waiting',
+    color: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300'
+  },
+  offered: {
+    label: 'Slot offered',
+    color: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300'
+  },
+  booked: {
+    label: 'Booked',
+    color: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300'
+  },
+  declined: {
+    label: 'Declined',
+    color: 'bg-gray-100 text-gray-800 dark:bg-gray-800 dark:text-gray-300'
+  },
+  removed: {
+    label: 'Removed',
+    color: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300'
+  }
+}
+
+// Entries still hoping for a slot, in the order they should be served
+export const OPEN_WAITLIST_STATUSES = ['waiting', 'offered']
+
+// Whether a booking that moved or ended gave up the slot it held
+export const didBookingFreeSlot = (before, after) => {
+  if (!before || !ACTIVE_BOOKING_STATUSES.includes(before.status)) return false
+  if (!after) return true
+
+  return ['cancelled', 'no_show'].includes(after.status) ||
+    after.scheduled_date !== before.scheduled_date ||
+    String(after.scheduled_time).slice(0, 5) !== String(before.scheduled_time).slice(0, 5) ||
+    (after.worker_id || null) !== (before.worker_id || null) ||
+    (parseInt(after.estimated_duration) || 60) < (parseInt(before.estimated_duration) || 60)
+}
+
+/**
+ * Pick the earliest open slot that starts inside the entry's time window.
+ * Slots whose times are in `takenTimes` (already offered to someone else) are skipped.
+ */
+export const pickWaitlistSlot = (entry, slots = [], takenTimes = []) => {
+  const windowStart = timeToMinutes(entry.window_start)
+  const windowEnd = timeToMinutes(entry.window_end)
+
+  return slots.find(slot => {
+    const start = timeToMinutes(slot.time)
+    return start >= windowStart &&
+      start <= windowEnd &&
+      !takenTimes.some(time => timeToMinutes(time) === start)
+  }) || null
+}